@@ -0,0 +1,81 @@
+/**
+ * Database Migration CLI
+ * Giftunity Backend Service
+ *
+ * Usage:
+ *   npm run migrate -- up [targetVersion]   Apply pending migrations
+ *   npm run migrate -- status               Show applied and pending migrations
+ *   npm run migrate -- down [steps]         Roll back the last migration(s) (default: 1)
+ *
+ * Environment Variables:
+ * - DATABASE_URL: PostgreSQL connection string
+ */
+
+require('dotenv').config();
+
+const db = require('../config/db');
+const migrationService = require('../services/migration-service');
+
+const USAGE = 'Usage: node src/cli/migrate.js <up [targetVersion] | status | down [steps]>';
+
+/**
+ * Parse an optional positive integer argument
+ * @param {string|undefined} value - Raw CLI argument
+ * @param {string} label - Argument name for error messages
+ * @returns {number|undefined} Parsed value
+ */
+const parsePositiveInteger = (value, label) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`${label} must be a positive integer, got "${value}"`);
+  }
+  return parsed;
+};
+
+const printStatus = (status) => {
+  console.log(`Current version: ${status.currentVersion}`);
+  console.log(`Latest version:  ${status.latestVersion}`);
+
+  for (const migration of status.applied) {
+    console.log(`  [x] ${migration.version} ${migration.name} (${new Date(migration.applied_at).toISOString()})`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  [ ] ${migration.version} ${migration.name}`);
+  }
+  if (status.checksumMismatches.length > 0) {
+    console.log(`⚠️ Checksum mismatch for applied version(s): ${status.checksumMismatches.join(', ')}`);
+  }
+};
+
+const run = async () => {
+  const [command, argument] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrationService.migrateUp({ target: parsePositiveInteger(argument, 'targetVersion') });
+      console.log(applied.length > 0 ? `🎉 Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+    case 'down': {
+      const rolledBack = await migrationService.migrateDown({ steps: parsePositiveInteger(argument, 'steps') });
+      console.log(rolledBack.length > 0 ? `🎉 Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back');
+      break;
+    }
+    case 'status':
+      printStatus(await migrationService.getStatus());
+      break;
+    default:
+      console.error(USAGE);
+      process.exitCode = 1;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Migration command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
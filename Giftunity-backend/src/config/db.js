@@ -9,7 +9,12 @@
  * - DATABASE_URL: PostgreSQL connection string (provided by Render)
  */
 
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Return DATE columns as "YYYY-MM-DD" strings; the default parses them as local midnight
+types.setTypeParser(types.builtins.DATE, (value) => value);
 
 // Create connection pool with optimized settings for production
 const pool = new Pool({
@@ -23,32 +28,47 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000, // Return error after 2 seconds if connection could not be established
 });
 
-// Handle pool errors gracefully
+const queryDuration = metrics.histogram(
+  'db_query_duration_seconds',
+  'Duration of database queries in seconds',
+  ['outcome']
+);
+metrics.gauge('db_pool_clients', 'PostgreSQL pool clients by state', ['state'], (gauge) => {
+  gauge.set({ state: 'total' }, pool.totalCount);
+  gauge.set({ state: 'idle' }, pool.idleCount);
+  gauge.set({ state: 'waiting' }, pool.waitingCount);
+});
+
+// Handle pool errors gracefully: the pool discards the broken client and
+// connects again on the next query, so a database restart does not end the
+// process (GET /ready reports the outage meanwhile)
 pool.on('error', (err) => {
-  console.error('Unexpected error on idle client', err);
-  process.exit(-1);
+  logger.error('Unexpected error on idle database client', { error: err });
 });
 
 // Handle pool connect events for monitoring
 pool.on('connect', () => {
-  console.log('New client connected to PostgreSQL database');
+  logger.debug('New client connected to PostgreSQL database');
 });
 
 // Graceful shutdown handler
 process.on('SIGINT', async () => {
-  console.log('Shutting down database pool...');
+  logger.info('Shutting down database pool');
   await pool.end();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-  console.log('Shutting down database pool...');
+  logger.info('Shutting down database pool');
   await pool.end();
   process.exit(0);
 });
 
 /**
  * Database query wrapper with error handling
+ * Queries are logged at debug level by duration and row count only; SQL text
+ * and parameters carry user data and never reach the logs. Durations also feed
+ * db_query_duration_seconds (see /metrics).
  * @param {string} text - SQL query text
  * @param {Array} params - Query parameters
  * @returns {Promise<Object>} Query result object
@@ -58,10 +78,12 @@ const query = async (text, params) => {
   try {
     const result = await pool.query(text, params);
     const duration = Date.now() - start;
-    console.log('Executed query', { text, duration, rows: result.rowCount });
+    queryDuration.observe({ outcome: 'ok' }, duration / 1000);
+    logger.debug('Executed query', { duration_ms: duration, rows: result.rowCount });
     return result;
   } catch (error) {
-    console.error('Database query error:', error);
+    queryDuration.observe({ outcome: 'error' }, (Date.now() - start) / 1000);
+    logger.error('Database query error', { error, duration_ms: Date.now() - start });
     throw error;
   }
 };
@@ -0,0 +1,28 @@
+/**
+ * Supported Languages Configuration
+ * Giftunity Backend Service
+ *
+ * Single list of interface languages shared by the translation service and
+ * user preference validation. Each code is a BCP-47 tag with a matching file in locales/.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Native language names, shown as-is in language pickers, and the writing
+// direction clients lay the interface out in
+const LANGUAGES = [
+  { code: 'en', name: 'English', direction: 'ltr' },
+  { code: 'ar', name: 'العربية', direction: 'rtl' },
+  { code: 'fa', name: 'فارسی', direction: 'rtl' },
+  { code: 'ru', name: 'Русский', direction: 'ltr' },
+  { code: 'de', name: 'Deutsch', direction: 'ltr' },
+  { code: 'zh', name: '中文', direction: 'ltr' }
+];
+
+const SUPPORTED_LANGUAGES = LANGUAGES.map((language) => language.code);
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  SUPPORTED_LANGUAGES
+};
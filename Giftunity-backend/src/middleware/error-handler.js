@@ -0,0 +1,75 @@
+/**
+ * Route Error Handling
+ * Giftunity Backend Service
+ *
+ * Maps database and unexpected errors to consistent JSON responses so every
+ * router reports failures the same way.
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Log an error raised inside a route handler and send the matching response
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} operation - Route description for logs (e.g. 'GET /api/wishlists')
+ */
+const handleRouteError = (res, error, operation) => {
+  // error.detail is left out: PostgreSQL puts the offending values in it
+  logger.error(`Error in ${operation}`, { error, constraint: error.constraint });
+
+  const details = process.env.NODE_ENV === 'development' ? error.message : undefined;
+
+  // Invalid or expired credentials (services/auth-service.js)
+  if (error.name === 'AuthenticationError') {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: error.message
+    });
+  }
+
+  // Telegram rejected or did not answer a Bot API call (services/telegram-api.js)
+  if (error.name === 'TelegramAPIError') {
+    return res.status(502).json({
+      error: 'Telegram API error',
+      message: error.message
+    });
+  }
+
+  // Database connection errors
+  if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+    return res.status(503).json({
+      error: 'Database connection failed',
+      message: 'Unable to connect to the database',
+      details
+    });
+  }
+
+  // Undefined table - migrations have not been applied
+  if (error.code === '42P01') {
+    return res.status(503).json({
+      error: 'Database table not found',
+      message: 'A required table does not exist. Please check database migrations.',
+      details
+    });
+  }
+
+  // Check constraint violation - input passed validation but violates the schema
+  if (error.code === '23514') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'The request violates a data constraint',
+      details
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: `Failed to process ${operation}`,
+    details
+  });
+};
+
+module.exports = {
+  handleRouteError
+};
@@ -0,0 +1,148 @@
+/**
+ * Idempotency Middleware
+ * Giftunity Backend Service
+ *
+ * Makes mutating requests (POST, PUT, PATCH, DELETE) safe to repeat. A caller
+ * that may retry (after a timeout or a lost connection) sends the same
+ * Idempotency-Key header with every attempt:
+ *
+ *   - the first request runs normally; its response is stored unless it is a 5xx
+ *   - a repeat gets the stored response, marked with "Idempotent-Replayed: true"
+ *   - a repeat while the first request still runs gets 409 with Retry-After
+ *   - a key reused for a different request (method, path, acting user or body)
+ *     gets 422
+ *
+ * Keys are scoped to the caller: a signed service (see service-auth.js) or the
+ * Mini App user of a session token. Requests without either pass through
+ * untouched; their routes reject or serve them as usual. Server errors are
+ * not stored, so the caller can repeat the request with the same key. Each
+ * stored response records the user the request acted for, so erasing that
+ * account deletes it whatever the scope.
+ *
+ * Environment Variables:
+ * - IDEMPOTENCY_KEY_TTL_HOURS: How long responses are kept for replay (default: 24)
+ */
+
+const crypto = require('crypto');
+const idempotencyModel = require('../models/idempotency-model');
+const { authenticateSession, identifyUser } = require('./require-user');
+const { handleRouteError } = require('./error-handler');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+const DEFAULT_TTL_HOURS = 24;
+const RETRY_AFTER_SECONDS = 1;
+
+const idempotentRequests = metrics.counter(
+  'idempotency_requests_total',
+  'Requests with an Idempotency-Key by outcome (stored, replayed, in_progress, mismatch)',
+  ['outcome']
+);
+
+const ttlSeconds = () => (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_TTL_HOURS) * 3600;
+
+/**
+ * Caller the key belongs to
+ * @param {Object} req - Express request
+ * @returns {string|null} "service:<name>", "user:<id>" or null for anonymous callers
+ */
+const scopeOf = (req) => {
+  if (req.service) {
+    return `service:${req.service}`;
+  }
+  try {
+    const session = authenticateSession(req);
+    return session ? `user:${session.userId}` : null;
+  } catch (error) {
+    // Invalid session tokens are rejected by the route
+    return null;
+  }
+};
+
+const hashRequest = (req) => crypto.createHash('sha256')
+  .update([req.method, req.originalUrl, req.get('X-Telegram-User-Id') || '', ''].join('\n'))
+  .update(req.rawBody || '')
+  .digest('hex');
+
+/**
+ * Replay, reject or run a request carrying an Idempotency-Key
+ * @param {Object} req - Express request (req.rawBody captured by the body parsers)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Idempotency-Key must be 1-255 visible ASCII characters'
+    });
+  }
+  const scope = scopeOf(req);
+  if (!scope) {
+    return next();
+  }
+
+  const requestHash = hashRequest(req);
+  try {
+    const { claimed, record } = await idempotencyModel.claimKey(scope, key, requestHash, ttlSeconds(), identifyUser(req));
+    if (!claimed) {
+      if (record.request_hash !== requestHash) {
+        idempotentRequests.inc({ outcome: 'mismatch' });
+        return res.status(422).json({
+          error: 'Unprocessable Entity',
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+      if (record.status === 'processing') {
+        idempotentRequests.inc({ outcome: 'in_progress' });
+        return res.status(409).set('Retry-After', String(RETRY_AFTER_SECONDS)).json({
+          error: 'Conflict',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      idempotentRequests.inc({ outcome: 'replayed' });
+      res.status(record.response_status).set('Idempotent-Replayed', 'true');
+      return record.response_body === null ? res.end() : res.json(record.response_body);
+    }
+  } catch (error) {
+    return handleRouteError(res, error, 'idempotency key lookup');
+  }
+
+  // Store the response before it is sent, so a repeat arriving right after
+  // the response already finds it
+  let responseBody = null;
+  const json = res.json.bind(res);
+  const end = res.end.bind(res);
+  res.json = (body) => {
+    responseBody = body === undefined ? null : body;
+    return json(body);
+  };
+  res.end = (...args) => {
+    const stored = res.statusCode < 500
+      ? idempotencyModel.completeKey(scope, key, res.statusCode, responseBody)
+      : idempotencyModel.releaseKey(scope, key);
+    stored
+      .then(() => {
+        if (res.statusCode < 500) {
+          idempotentRequests.inc({ outcome: 'stored' });
+        }
+      })
+      .catch((error) => {
+        logger.error('Failed to store the idempotent response', { error, status: res.statusCode });
+      })
+      .finally(() => end(...args));
+    return res;
+  };
+  next();
+};
+
+module.exports = {
+  idempotency
+};
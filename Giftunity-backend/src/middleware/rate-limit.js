@@ -0,0 +1,97 @@
+/**
+ * Rate Limit Middleware
+ * Giftunity Backend Service
+ *
+ * Token-bucket limits for /api, chosen by route (see RULES):
+ *
+ *   auth    POST /api/auth/*, per IP: Mini App sign-ins
+ *   write   POST, PUT, PATCH and DELETE, per user (per IP for anonymous callers)
+ *   read    everything else, per user (per IP for anonymous callers)
+ *
+ * The user is the session's user or, on signed service requests, the user in
+ * X-Telegram-User-Id. Signed requests without a user (the bot's own sessions,
+ * translations and broadcasts) are not limited; the bot limits chat users
+ * itself. Refused requests get 429 with Retry-After. When the store fails
+ * (e.g. the database is down with RATE_LIMIT_STORE=postgres) requests pass,
+ * so an outage of the limiter does not take the API down with it.
+ *
+ * Environment Variables:
+ * - RATE_LIMIT_STORE: memory or postgres (see services/rate-limit-store.js)
+ */
+
+const rateLimitStore = require('../services/rate-limit-store');
+const { identifyUser } = require('./require-user');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// capacity: burst size; perMinute: sustained rate
+const RULES = {
+  auth: { capacity: 10, perMinute: 10 },
+  write: { capacity: 30, perMinute: 30 },
+  read: { capacity: 120, perMinute: 120 }
+};
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const limitedRequests = metrics.counter(
+  'rate_limited_requests_total',
+  'API requests refused by a rate limit',
+  ['rule']
+);
+
+/**
+ * Rule and bucket key for a request
+ * @param {Object} req - Express request (mounted at /api)
+ * @returns {Object|null} { rule, key } or null when the request is not limited
+ */
+const bucketFor = (req) => {
+  const mutating = MUTATING_METHODS.includes(req.method);
+  if (mutating && req.path.startsWith('/auth/')) {
+    return { rule: 'auth', key: `auth:ip:${req.ip}` };
+  }
+
+  const rule = mutating ? 'write' : 'read';
+  const userId = identifyUser(req);
+  if (userId) {
+    return { rule, key: `${rule}:user:${userId}` };
+  }
+  return req.service ? null : { rule, key: `${rule}:ip:${req.ip}` };
+};
+
+/**
+ * Refuse requests over their rule's limit
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const rateLimit = async (req, res, next) => {
+  const bucket = bucketFor(req);
+  if (!bucket) {
+    return next();
+  }
+
+  const { capacity, perMinute } = RULES[bucket.rule];
+  const refillPerSecond = perMinute / 60;
+  let result;
+  try {
+    result = await rateLimitStore.getStore().take(bucket.key, { capacity, refillPerSecond });
+  } catch (error) {
+    logger.warn('Rate limit check failed; letting the request through', { rule: bucket.rule, error });
+    return next();
+  }
+  if (result.allowed) {
+    return next();
+  }
+
+  const retryAfterSeconds = Math.max(1, Math.ceil((1 - result.tokens) / refillPerSecond));
+  limitedRequests.inc({ rule: bucket.rule });
+  // debug: a flood of refused requests would otherwise flood the logs too
+  logger.debug('Rate limit exceeded', { rule: bucket.rule, user_id: identifyUser(req) || undefined, ip: req.ip });
+  res.status(429).set('Retry-After', String(retryAfterSeconds)).json({
+    error: 'Too Many Requests',
+    message: `Rate limit exceeded; retry in ${retryAfterSeconds} seconds`
+  });
+};
+
+module.exports = {
+  rateLimit
+};
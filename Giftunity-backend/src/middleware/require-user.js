@@ -0,0 +1,122 @@
+/**
+ * User Identification Middleware
+ * Giftunity Backend Service
+ *
+ * Resolves the acting Telegram user for routes that operate on user-owned data.
+ * The user is identified by, in order of preference:
+ * - Authorization: Bearer <session token> issued by POST /api/auth/telegram (Mini App)
+ * - X-Telegram-User-Id header on a signed service request (see service-auth.js),
+ *   sent by the bot on behalf of a chat user
+ *
+ * The user must exist in users and must not be banned (403, see
+ * routes/admin-user-routes.js); requireUserAllowBanned skips the ban check for
+ * the personal data export, which banned users are entitled to. The resolved id is exposed as req.userId for
+ * ownership checks in the routes; req.auth describes how it was established.
+ */
+
+const db = require('../config/db');
+const authService = require('../services/auth-service');
+const { handleRouteError } = require('./error-handler');
+
+const USER_ID_PATTERN = /^[1-9]\d{0,18}$/;
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+/**
+ * Verify the session token in the Authorization header, if any
+ * @param {Object} req - Express request
+ * @returns {Object|null} { userId, expiresAt } or null when no Authorization header is sent
+ * @throws {AuthenticationError} If the header or token is invalid
+ */
+const authenticateSession = (req) => {
+  const authorization = req.get('Authorization');
+  if (!authorization) {
+    return null;
+  }
+
+  const match = BEARER_PATTERN.exec(authorization);
+  if (!match) {
+    throw new authService.AuthenticationError('Authorization header must use the Bearer scheme');
+  }
+  return authService.verifySessionToken(match[1]);
+};
+
+/**
+ * Acting user of a request, without checking that the user exists
+ * For keying rate limits and idempotency keys before any route runs; invalid
+ * tokens count as anonymous.
+ * @param {Object} req - Express request
+ * @returns {string|null} Telegram user id or null
+ */
+const identifyUser = (req) => {
+  try {
+    const session = authenticateSession(req);
+    if (session) {
+      return session.userId;
+    }
+  } catch (error) {
+    return null;
+  }
+  const rawUserId = req.service && req.get('X-Telegram-User-Id');
+  return rawUserId && USER_ID_PATTERN.test(rawUserId) ? rawUserId : null;
+};
+
+/**
+ * Refuse a banned user (the bot recognizes the error and tells the user)
+ * @param {Object} res - Express response
+ */
+const sendUserBanned = (res) => res.status(403).json({
+  error: 'User banned',
+  message: 'This account has been banned'
+});
+
+/**
+ * Create middleware requiring a known Telegram user on the request
+ * @param {Object} [options]
+ * @param {boolean} [options.allowBanned] - Let banned users through
+ * @returns {Function} Express middleware
+ */
+const createRequireUser = ({ allowBanned = false } = {}) => async (req, res, next) => {
+  try {
+    const session = authenticateSession(req);
+    // The user id header is only trusted on signed requests from internal services
+    const rawUserId = session ? session.userId : (req.service && req.get('X-Telegram-User-Id'));
+
+    if (!rawUserId || !USER_ID_PATTERN.test(rawUserId)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A session token, or a signed service request with a valid X-Telegram-User-Id header, is required'
+      });
+    }
+
+    const result = await db.query('SELECT id, banned_at FROM users WHERE id = $1', [rawUserId]);
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Unknown user'
+      });
+    }
+    if (result.rows[0].banned_at && !allowBanned) {
+      return sendUserBanned(res);
+    }
+
+    // BIGINT ids are kept as strings to avoid precision loss
+    req.userId = rawUserId;
+    req.auth = session
+      ? { method: 'session', expiresAt: session.expiresAt }
+      : { method: 'service', service: req.service };
+    next();
+  } catch (error) {
+    handleRouteError(res, error, 'user identification');
+  }
+};
+
+const requireUser = createRequireUser();
+const requireUserAllowBanned = createRequireUser({ allowBanned: true });
+
+module.exports = {
+  authenticateSession,
+  identifyUser,
+  sendUserBanned,
+  requireUser,
+  requireUserAllowBanned
+};
@@ -0,0 +1,191 @@
+/**
+ * Service and Admin Authentication Middleware
+ * Giftunity Backend Service
+ *
+ * Internal callers (the bot service) sign every request with a shared secret:
+ *
+ *   X-Giftunity-Service:   Caller name (e.g. "bot")
+ *   X-Giftunity-Timestamp: Unix time in seconds
+ *   X-Giftunity-Nonce:     Unique random value per request
+ *   X-Giftunity-Signature: v1=<hex HMAC-SHA256>
+ *
+ * The signature covers "METHOD\nPATH\nTIMESTAMP\nNONCE\nUSER_ID\nSHA256(body)",
+ * where PATH includes the query string, USER_ID is the X-Telegram-User-Id
+ * header (empty without one) and body is the raw request body (empty for GET).
+ * Signing the user id keeps a captured request from being replayed as another
+ * user within the signature window.
+ * Requests older than SIGNATURE_MAX_AGE_SECONDS or reusing a nonce are rejected.
+ * Nonces are remembered in memory for the signature window, so replay protection
+ * is per backend instance.
+ *
+ * Admin routes additionally accept X-Admin-Token matching ADMIN_API_TOKEN.
+ * Requests the backend makes to the bot are signed the same way, as service
+ * "backend" (see buildSignatureHeaders).
+ *
+ * Environment Variables:
+ * - SERVICE_SHARED_SECRET: Secret shared with the bot service
+ * - ADMIN_API_TOKEN: Token for operators calling admin routes
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const SIGNATURE_VERSION = 'v1';
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+const SERVICE_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+// nonce -> expiry (ms); every nonce lives equally long, so insertion order is
+// expiry order and pruning stops at the first live one
+const seenNonces = new Map();
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const pruneNonces = (now) => {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt > now) {
+      return;
+    }
+    seenNonces.delete(nonce);
+  }
+};
+
+/**
+ * Compute the request signature
+ * @param {string} secret - Shared secret
+ * @param {Object} parts - { method, path, timestamp, nonce, userId, body }
+ * @returns {string} Hex-encoded HMAC-SHA256
+ */
+const computeSignature = (secret, { method, path, timestamp, nonce, userId, body }) => {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  const canonical = [method.toUpperCase(), path, timestamp, nonce, userId || '', bodyHash].join('\n');
+  return crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+};
+
+/**
+ * Build the signature headers for an outgoing service request
+ * Used when the backend calls another service (e.g. reminders sent to the bot).
+ * @param {string} secret - Shared secret
+ * @param {Object} request - { service, method, path, userId, body }
+ * @returns {Object} X-Giftunity-* headers, plus X-Telegram-User-Id when userId is given
+ */
+const buildSignatureHeaders = (secret, { service, method, path, userId, body }) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomUUID();
+  const signature = computeSignature(secret, { method, path, timestamp, nonce, userId, body });
+  return {
+    'X-Giftunity-Service': service,
+    'X-Giftunity-Timestamp': timestamp,
+    'X-Giftunity-Nonce': nonce,
+    'X-Giftunity-Signature': `${SIGNATURE_VERSION}=${signature}`,
+    ...(userId ? { 'X-Telegram-User-Id': String(userId) } : {})
+  };
+};
+
+const rejectSignature = (res, message) => res.status(401).json({
+  error: 'Unauthorized',
+  message
+});
+
+/**
+ * Verify service signatures when present and mark the request as internal
+ * Unsigned requests pass through untouched; routes decide whether they need
+ * req.service via requireService/requireAdmin.
+ * @param {Object} req - Express request (req.rawBody captured by the JSON parser)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const verifyServiceSignature = (req, res, next) => {
+  const signatureHeader = req.get('X-Giftunity-Signature');
+  if (!signatureHeader) {
+    return next();
+  }
+
+  const secret = process.env.SERVICE_SHARED_SECRET;
+  if (!secret) {
+    logger.error('Signed request received but SERVICE_SHARED_SECRET is not configured');
+    return rejectSignature(res, 'Service authentication is not configured');
+  }
+
+  const service = req.get('X-Giftunity-Service');
+  const timestamp = req.get('X-Giftunity-Timestamp');
+  const nonce = req.get('X-Giftunity-Nonce');
+  if (!service || !SERVICE_NAME_PATTERN.test(service) || !timestamp || !nonce || nonce.length > 128) {
+    return rejectSignature(res, 'Incomplete service signature headers');
+  }
+
+  const now = Date.now();
+  const ageSeconds = Math.abs(Math.floor(now / 1000) - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || ageSeconds > SIGNATURE_MAX_AGE_SECONDS) {
+    return rejectSignature(res, 'Service signature timestamp is outside the allowed window');
+  }
+
+  const expected = `${SIGNATURE_VERSION}=${computeSignature(secret, {
+    method: req.method,
+    path: req.originalUrl,
+    timestamp,
+    nonce,
+    userId: req.get('X-Telegram-User-Id'),
+    body: req.rawBody
+  })}`;
+  if (!safeEqual(expected, signatureHeader)) {
+    return rejectSignature(res, 'Service signature is invalid');
+  }
+
+  pruneNonces(now);
+  if (seenNonces.has(nonce)) {
+    return rejectSignature(res, 'Service request was already processed');
+  }
+  seenNonces.set(nonce, now + SIGNATURE_MAX_AGE_SECONDS * 2 * 1000);
+
+  req.service = service;
+  next();
+};
+
+/**
+ * Require a signed internal service request
+ */
+const requireService = (req, res, next) => {
+  if (!req.service) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'This endpoint is only available to internal services'
+    });
+  }
+  next();
+};
+
+/**
+ * Require an admin token or a signed internal service request
+ */
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  const providedToken = req.get('X-Admin-Token');
+
+  if (req.service || (adminToken && providedToken && safeEqual(adminToken, providedToken))) {
+    return next();
+  }
+  res.status(401).json({
+    error: 'Unauthorized',
+    message: 'Admin credentials are required'
+  });
+};
+
+/**
+ * Capture the raw body for signature verification (express.json "verify" hook)
+ */
+const captureRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+
+module.exports = {
+  computeSignature,
+  buildSignatureHeaders,
+  verifyServiceSignature,
+  requireService,
+  requireAdmin,
+  captureRawBody
+};
@@ -0,0 +1,236 @@
+/**
+ * Broadcast Model
+ * Giftunity Backend Service
+ *
+ * Data access for broadcasts and broadcast_recipients.
+ *
+ * A segment selects users by preferred_language, is_premium and registration
+ * date; bots and users who blocked the bot are never included. The recipients
+ * are fixed when the broadcast is created, each with the language of the
+ * message they get (their preferred language when the broadcast has a message
+ * in it, the broadcast's default language otherwise).
+ *
+ * The bot sends in batches: it claims pending recipients ('sending'), sends,
+ * and reports each outcome. A claim that is never reported (the bot stopped
+ * mid-batch) is marked failed rather than sent again, since the message may
+ * already have reached the user.
+ */
+
+const db = require('../config/db');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+
+// Users matching a segment; $1 languages, $2 is_premium, $3 created_after
+const SEGMENT_CONDITIONS = `
+  u.is_bot IS NOT TRUE
+  AND u.bot_blocked_at IS NULL
+  AND u.banned_at IS NULL
+  AND ($1::text[] IS NULL OR COALESCE(u.preferred_language, '${DEFAULT_LANGUAGE}') = ANY($1::text[]))
+  AND ($2::boolean IS NULL OR COALESCE(u.is_premium, FALSE) = $2::boolean)
+  AND ($3::date IS NULL OR u.created_at >= $3::date)
+`;
+
+const BROADCAST_SUMMARY_SELECT = `
+  SELECT b.*,
+    COUNT(r.user_id)::int AS total_recipients,
+    COUNT(r.user_id) FILTER (WHERE r.status = 'pending')::int AS pending_count,
+    COUNT(r.user_id) FILTER (WHERE r.status = 'sending')::int AS sending_count,
+    COUNT(r.user_id) FILTER (WHERE r.status = 'sent')::int AS sent_count,
+    COUNT(r.user_id) FILTER (WHERE r.status = 'failed')::int AS failed_count,
+    COUNT(r.user_id) FILTER (WHERE r.status = 'skipped')::int AS skipped_count
+  FROM broadcasts b
+  LEFT JOIN broadcast_recipients r ON r.broadcast_id = b.id
+`;
+
+const segmentParams = ({ languages = null, is_premium = null, created_after = null }) => [
+  languages, is_premium, created_after
+];
+
+/**
+ * Count the users in a segment
+ * @param {Object} segment - { languages, is_premium, created_after }; null fields do not filter
+ * @returns {Promise<Object>} { total, by_language } keyed by preferred language
+ */
+const countSegment = async (segment) => {
+  const result = await db.query(`
+    SELECT COALESCE(u.preferred_language, '${DEFAULT_LANGUAGE}') AS language, COUNT(*)::int AS count
+    FROM users u
+    WHERE ${SEGMENT_CONDITIONS}
+    GROUP BY 1
+    ORDER BY 2 DESC
+  `, segmentParams(segment));
+
+  const byLanguage = Object.fromEntries(result.rows.map((row) => [row.language, row.count]));
+  return {
+    total: result.rows.reduce((sum, row) => sum + row.count, 0),
+    by_language: byLanguage
+  };
+};
+
+/**
+ * Find a broadcast with its recipient counts per status
+ * @param {string} broadcastId - Broadcast id
+ * @returns {Promise<Object|null>} Broadcast or null
+ */
+const findBroadcast = async (broadcastId) => {
+  const result = await db.query(`${BROADCAST_SUMMARY_SELECT} WHERE b.id = $1 GROUP BY b.id`, [broadcastId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * List broadcasts, newest first
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Promise<Array>} Broadcasts with recipient counts
+ */
+const listBroadcasts = async ({ status = null, limit, offset = 0 }) => {
+  const result = await db.query(`
+    ${BROADCAST_SUMMARY_SELECT}
+    WHERE ($1::text IS NULL OR b.status = $1)
+    GROUP BY b.id
+    ORDER BY b.created_at DESC, b.id DESC
+    LIMIT $2 OFFSET $3
+  `, [status, limit, offset]);
+  return result.rows;
+};
+
+/**
+ * Create a broadcast and select its recipients in one statement
+ * @param {string|null} createdBy - Telegram user id of the admin, if known
+ * @param {Object} data - { messages, default_language, segment }
+ * @returns {Promise<Object>} Broadcast with recipient counts
+ */
+const createBroadcast = async (createdBy, { messages, default_language, segment }) => {
+  const result = await db.query(`
+    WITH broadcast AS (
+      INSERT INTO broadcasts (created_by, messages, default_language, segment)
+      VALUES ((SELECT id FROM users WHERE id = $4), $5, $6, $7)
+      RETURNING id
+    ),
+    recipients AS (
+      INSERT INTO broadcast_recipients (broadcast_id, user_id, language)
+      SELECT broadcast.id, u.id,
+        CASE WHEN u.preferred_language = ANY($8::text[]) THEN u.preferred_language ELSE $6 END
+      FROM broadcast, users u
+      WHERE ${SEGMENT_CONDITIONS}
+      RETURNING user_id
+    )
+    SELECT id, (SELECT COUNT(*) FROM recipients)::int AS recipient_count FROM broadcast
+  `, [
+    ...segmentParams(segment),
+    createdBy,
+    JSON.stringify(messages),
+    default_language,
+    JSON.stringify(segment),
+    Object.keys(messages)
+  ]);
+  return findBroadcast(result.rows[0].id);
+};
+
+/**
+ * Mark a sending broadcast completed once no recipient is pending or being sent
+ */
+const completeIfFinished = async (broadcastId) => {
+  await db.query(`
+    UPDATE broadcasts SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+    WHERE id = $1 AND status = 'sending'
+      AND NOT EXISTS (
+        SELECT 1 FROM broadcast_recipients WHERE broadcast_id = $1 AND status IN ('pending', 'sending')
+      )
+  `, [broadcastId]);
+};
+
+/**
+ * Claim pending recipients of a sending broadcast for delivery
+ * Claims older than abandonedAfterSeconds are given up first (see module docs);
+ * a broadcast with nothing left to claim or report is completed.
+ * @param {string} broadcastId - Broadcast id
+ * @param {number} limit - Maximum recipients to claim
+ * @param {number} abandonedAfterSeconds - Age of a claim considered abandoned
+ * @returns {Promise<Array>} Claimed recipients { user_id, language }
+ */
+const claimRecipients = async (broadcastId, limit, abandonedAfterSeconds) => {
+  await db.query(`
+    UPDATE broadcast_recipients SET status = 'failed', last_error = 'Delivery was interrupted', updated_at = NOW()
+    WHERE broadcast_id = $1 AND status = 'sending' AND updated_at < NOW() - make_interval(secs => $2)
+  `, [broadcastId, abandonedAfterSeconds]);
+
+  const result = await db.query(`
+    UPDATE broadcast_recipients r
+    SET status = 'sending', updated_at = NOW()
+    FROM (
+      SELECT user_id FROM broadcast_recipients
+      WHERE broadcast_id = $1 AND status = 'pending'
+        AND EXISTS (SELECT 1 FROM broadcasts WHERE id = $1 AND status = 'sending')
+      ORDER BY user_id
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    ) due
+    WHERE r.broadcast_id = $1 AND r.user_id = due.user_id
+    RETURNING r.user_id, r.language
+  `, [broadcastId, limit]);
+  if (result.rows.length === 0) {
+    await completeIfFinished(broadcastId);
+  }
+  return result.rows;
+};
+
+/**
+ * Record delivery outcomes of claimed recipients and complete the broadcast when none are left
+ * Outcomes for recipients that are not claimed are ignored.
+ * @param {string} broadcastId - Broadcast id
+ * @param {Array<Object>} results - { user_id, status: 'sent'|'failed'|'skipped', message_id, error }
+ * @returns {Promise<number>} Number of recipients updated
+ */
+const recordResults = async (broadcastId, results) => {
+  const result = await db.query(`
+    UPDATE broadcast_recipients r SET
+      status = outcome.status,
+      telegram_message_id = outcome.message_id,
+      last_error = outcome.error,
+      sent_at = CASE WHEN outcome.status = 'sent' THEN NOW() ELSE NULL END,
+      updated_at = NOW()
+    FROM UNNEST($2::bigint[], $3::text[], $4::bigint[], $5::text[]) AS outcome(user_id, status, message_id, error)
+    WHERE r.broadcast_id = $1 AND r.user_id = outcome.user_id AND r.status = 'sending'
+  `, [
+    broadcastId,
+    results.map((item) => item.user_id),
+    results.map((item) => item.status),
+    results.map((item) => item.message_id ?? null),
+    results.map((item) => item.error ?? null)
+  ]);
+
+  await completeIfFinished(broadcastId);
+  return result.rowCount;
+};
+
+/**
+ * Stop a sending broadcast; recipients not claimed yet are skipped
+ * Messages already claimed are still reported by the sender.
+ * @param {string} broadcastId - Broadcast id
+ * @returns {Promise<boolean>} False when the broadcast was not sending
+ */
+const cancelBroadcast = async (broadcastId) => {
+  const result = await db.query(`
+    WITH cancelled AS (
+      UPDATE broadcasts SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'sending'
+      RETURNING id
+    ),
+    skipped AS (
+      UPDATE broadcast_recipients r SET status = 'skipped', last_error = 'Broadcast was cancelled', updated_at = NOW()
+      FROM cancelled
+      WHERE r.broadcast_id = cancelled.id AND r.status = 'pending'
+    )
+    SELECT id FROM cancelled
+  `, [broadcastId]);
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  countSegment,
+  findBroadcast,
+  listBroadcasts,
+  createBroadcast,
+  claimRecipients,
+  recordResults,
+  cancelBroadcast
+};
@@ -0,0 +1,189 @@
+/**
+ * Gift Pool Model
+ * Giftunity Backend Service
+ *
+ * Data access for gift_pools and gift_pool_contributions. A pool collects
+ * pledges from several users towards one target; every amount is an integer in
+ * minor units of the pool's currency, so totals are exact sums in SQL.
+ *
+ * Joining and pledging only succeed while the pool is open and before its
+ * deadline; both are single statements so concurrent pledges cannot slip past
+ * a pool being closed.
+ *
+ * Pools in Telegram Stars (currency XTR) can also be paid into; paid_amount is
+ * the part of each pledge actually paid and is only changed by payment-model.js.
+ */
+
+const db = require('../config/db');
+
+// Pool columns plus live totals
+const POOL_SUMMARY_SELECT = `
+  SELECT p.*,
+    COALESCE(SUM(c.amount), 0)::BIGINT AS pledged_amount,
+    COALESCE(SUM(c.paid_amount), 0)::BIGINT AS paid_amount,
+    COUNT(c.user_id)::INTEGER AS participant_count,
+    COUNT(c.user_id) FILTER (WHERE c.amount > 0)::INTEGER AS contributor_count
+  FROM gift_pools p
+  LEFT JOIN gift_pool_contributions c ON c.pool_id = p.id
+`;
+
+// Condition for pools that still accept participants and pledges
+const ACCEPTING_CONDITION = "p.status = 'open' AND (p.deadline IS NULL OR p.deadline > NOW())";
+
+/**
+ * Create a pool
+ * @param {string} organizerId - Telegram user id of the organizer
+ * @param {Object} data - { title, description, target_amount, currency, deadline, language, chat_id }
+ * @returns {Promise<Object>} Created pool with totals
+ */
+const createPool = async (organizerId, {
+  title, description = null, target_amount, currency, deadline = null, language = 'en', chat_id = null
+}) => {
+  const result = await db.query(`
+    INSERT INTO gift_pools (organizer_id, title, description, target_amount, currency, deadline, language, chat_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [organizerId, title, description, target_amount, currency, deadline, language, chat_id]);
+  return findPool(result.rows[0].id);
+};
+
+/**
+ * Find a pool with its totals
+ * @param {string} poolId - Pool id
+ * @returns {Promise<Object|null>} Pool or null
+ */
+const findPool = async (poolId) => {
+  const result = await db.query(`${POOL_SUMMARY_SELECT} WHERE p.id = $1 GROUP BY p.id`, [poolId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * List pools
+ * @param {string} userId - Telegram user id
+ * @param {Object} [filters]
+ * @param {string} [filters.chatId] - Only open pools tracked in this chat (any organizer)
+ * @returns {Promise<Array<Object>>} Pools with totals, newest first. Without chatId:
+ *   pools the user organizes or participates in.
+ */
+const listPools = async (userId, { chatId } = {}) => {
+  const result = chatId
+    ? await db.query(`
+      ${POOL_SUMMARY_SELECT}
+      WHERE p.chat_id = $1 AND p.status = 'open'
+      GROUP BY p.id
+      ORDER BY p.created_at DESC, p.id DESC
+    `, [chatId])
+    : await db.query(`
+      ${POOL_SUMMARY_SELECT}
+      WHERE p.organizer_id = $1
+        OR EXISTS (SELECT 1 FROM gift_pool_contributions m WHERE m.pool_id = p.id AND m.user_id = $1)
+      GROUP BY p.id
+      ORDER BY p.created_at DESC, p.id DESC
+    `, [userId]);
+  return result.rows;
+};
+
+/**
+ * List the participants of a pool
+ * @param {string} poolId - Pool id
+ * @returns {Promise<Array<Object>>} Contributions with participant names, largest pledge first
+ */
+const listContributions = async (poolId) => {
+  const result = await db.query(`
+    SELECT c.*, u.first_name, u.username
+    FROM gift_pool_contributions c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.pool_id = $1
+    ORDER BY c.amount DESC, c.joined_at
+  `, [poolId]);
+  return result.rows;
+};
+
+/**
+ * Join a pool without pledging
+ * @param {string} poolId - Pool id
+ * @param {string} userId - Telegram user id
+ * @returns {Promise<Object|null>} { contribution, created } or null if the pool does not accept participants
+ */
+const joinPool = async (poolId, userId) => {
+  const inserted = await db.query(`
+    INSERT INTO gift_pool_contributions (pool_id, user_id)
+    SELECT p.id, $2 FROM gift_pools p WHERE p.id = $1 AND ${ACCEPTING_CONDITION}
+    ON CONFLICT (pool_id, user_id) DO NOTHING
+    RETURNING *
+  `, [poolId, userId]);
+  if (inserted.rows.length > 0) {
+    return { contribution: inserted.rows[0], created: true };
+  }
+
+  const existing = await db.query(`
+    SELECT c.*
+    FROM gift_pool_contributions c
+    JOIN gift_pools p ON p.id = c.pool_id
+    WHERE c.pool_id = $1 AND c.user_id = $2 AND ${ACCEPTING_CONDITION}
+  `, [poolId, userId]);
+  return existing.rows[0] ? { contribution: existing.rows[0], created: false } : null;
+};
+
+/**
+ * Set a user's pledge, joining the pool if needed
+ * The pledge never drops below what the user has already paid (see payment-model.js).
+ * @param {string} poolId - Pool id
+ * @param {string} userId - Telegram user id
+ * @param {number} amount - Total pledged by the user, in minor units
+ * @returns {Promise<Object|null>} Contribution or null if the pool does not accept pledges
+ */
+const pledge = async (poolId, userId, amount) => {
+  const result = await db.query(`
+    INSERT INTO gift_pool_contributions (pool_id, user_id, amount)
+    SELECT p.id, $2, $3 FROM gift_pools p WHERE p.id = $1 AND ${ACCEPTING_CONDITION}
+    ON CONFLICT (pool_id, user_id) DO UPDATE SET
+      amount = GREATEST(EXCLUDED.amount, gift_pool_contributions.paid_amount),
+      updated_at = NOW()
+    RETURNING *
+  `, [poolId, userId, amount]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Close a pool
+ * @param {string} organizerId - Telegram user id; only the organizer may close
+ * @param {string} poolId - Pool id
+ * @returns {Promise<Object|null>} Closed pool with totals, or null if not found, not
+ *   organized by the user, or already closed
+ */
+const closePool = async (organizerId, poolId) => {
+  const result = await db.query(`
+    UPDATE gift_pools SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+    WHERE id = $1 AND organizer_id = $2 AND status = 'open'
+    RETURNING id
+  `, [poolId, organizerId]);
+  return result.rows[0] ? findPool(poolId) : null;
+};
+
+/**
+ * Record the chat message that shows the pool's progress
+ * @param {string} poolId - Pool id
+ * @param {string} chatId - Telegram chat id
+ * @param {string} messageId - Telegram message id
+ * @returns {Promise<Object|null>} Updated pool or null if not found
+ */
+const setProgressMessage = async (poolId, chatId, messageId) => {
+  const result = await db.query(`
+    UPDATE gift_pools SET chat_id = $2, progress_message_id = $3, updated_at = NOW()
+    WHERE id = $1
+    RETURNING id
+  `, [poolId, chatId, messageId]);
+  return result.rows[0] ? findPool(poolId) : null;
+};
+
+module.exports = {
+  createPool,
+  findPool,
+  listPools,
+  listContributions,
+  joinPool,
+  pledge,
+  closePool,
+  setProgressMessage
+};
@@ -0,0 +1,106 @@
+/**
+ * Idempotency Model
+ * Giftunity Backend Service
+ *
+ * Data access for idempotency_keys: the first response to a mutating request
+ * sent with an Idempotency-Key (see middleware/idempotency.js). The primary key
+ * (scope, idempotency_key) lets exactly one of two concurrent requests claim a
+ * key. A claim takes over an expired key, or a claim whose request never
+ * finished (e.g. the process died), in the same statement. Other stale keys
+ * are deleted by purgeStaleKeys, which services/idempotency-purge-service.js
+ * runs periodically rather than on every request.
+ */
+
+const db = require('../config/db');
+
+// A claim still processing after this long is considered abandoned
+const PROCESSING_TIMEOUT_SECONDS = 300;
+
+/**
+ * Claim a key for a request, or find the existing claim
+ * @param {string} scope - Caller the key belongs to
+ * @param {string} key - Idempotency-Key header
+ * @param {string} requestHash - Fingerprint of the request
+ * @param {number} ttlSeconds - How long the response is kept for replay
+ * @param {string|null} userId - Telegram user the request acts for, so erasing
+ *   the account deletes the stored response (see privacy-model.js)
+ * @returns {Promise<Object>} { claimed: true } or { claimed: false, record }
+ */
+const claimKey = async (scope, key, requestHash, ttlSeconds, userId) => {
+  const claimed = await db.query(`
+    INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, expires_at, user_id)
+    VALUES ($1, $2, $3, NOW() + make_interval(secs => $4), $6)
+    ON CONFLICT (scope, idempotency_key) DO UPDATE SET
+      request_hash = EXCLUDED.request_hash,
+      user_id = EXCLUDED.user_id,
+      status = 'processing',
+      response_status = NULL,
+      response_body = NULL,
+      expires_at = EXCLUDED.expires_at,
+      created_at = NOW(),
+      completed_at = NULL
+    WHERE idempotency_keys.expires_at <= NOW()
+       OR (idempotency_keys.status = 'processing' AND idempotency_keys.created_at <= NOW() - make_interval(secs => $5))
+    RETURNING scope
+  `, [scope, key, requestHash, ttlSeconds, PROCESSING_TIMEOUT_SECONDS, userId]);
+  if (claimed.rows.length > 0) {
+    return { claimed: true };
+  }
+
+  const existing = await db.query(
+    'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+    [scope, key]
+  );
+  // Released (5xx) between the insert and the select: claim it again
+  if (existing.rows.length === 0) {
+    return claimKey(scope, key, requestHash, ttlSeconds, userId);
+  }
+  return { claimed: false, record: existing.rows[0] };
+};
+
+/**
+ * Store the response of a claimed key
+ * @param {string} scope - Caller the key belongs to
+ * @param {string} key - Idempotency-Key header
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON response body (null when the response had none)
+ */
+const completeKey = async (scope, key, status, body) => {
+  await db.query(`
+    UPDATE idempotency_keys
+    SET status = 'completed', response_status = $3, response_body = $4, completed_at = NOW()
+    WHERE scope = $1 AND idempotency_key = $2
+  `, [scope, key, status, body === null ? null : JSON.stringify(body)]);
+};
+
+/**
+ * Give up a claim so the request can be repeated (server errors)
+ * @param {string} scope - Caller the key belongs to
+ * @param {string} key - Idempotency-Key header
+ */
+const releaseKey = async (scope, key) => {
+  await db.query(
+    "DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2 AND status = 'processing'",
+    [scope, key]
+  );
+};
+
+/**
+ * Delete expired keys and abandoned claims
+ * @returns {Promise<number>} Number of keys deleted
+ */
+const purgeStaleKeys = async () => {
+  const result = await db.query(`
+    DELETE FROM idempotency_keys
+    WHERE expires_at <= NOW()
+       OR (status = 'processing' AND created_at <= NOW() - make_interval(secs => $1))
+  `, [PROCESSING_TIMEOUT_SECONDS]);
+  return result.rowCount;
+};
+
+module.exports = {
+  claimKey,
+  completeKey,
+  releaseKey,
+  purgeStaleKeys
+};
@@ -0,0 +1,208 @@
+/**
+ * Occasion Model
+ * Giftunity Backend Service
+ *
+ * Data access for occasions and occasion_reminders. Occasion CRUD is scoped to
+ * the owner like the wishlist model. The reminder functions serve the scheduler
+ * (see services/reminder-service.js) and work across owners.
+ *
+ * Each occasion carries its next occurrence and the instant its reminder is due.
+ * Queuing a reminder and advancing the occasion happen in one statement, and the
+ * (occasion_id, occurs_on) key admits one reminder per occurrence, so several
+ * schedulers running at once never queue the same reminder twice.
+ */
+
+const db = require('../config/db');
+
+const OCCASION_FIELDS = [
+  'title', 'month', 'day', 'year', 'recurrence', 'timezone', 'remind_days_before',
+  'next_occurrence_on', 'next_remind_at'
+];
+
+/**
+ * List occasions of an owner
+ * @param {string} ownerId - Telegram user id
+ * @returns {Promise<Array<Object>>} Occasions, soonest first; past one-off occasions last
+ */
+const listOccasions = async (ownerId) => {
+  const result = await db.query(`
+    SELECT * FROM occasions
+    WHERE owner_id = $1
+    ORDER BY next_occurrence_on NULLS LAST, id
+  `, [ownerId]);
+  return result.rows;
+};
+
+/**
+ * Find an occasion owned by a user
+ * @param {string} ownerId - Telegram user id
+ * @param {string} occasionId - Occasion id
+ * @returns {Promise<Object|null>} Occasion or null
+ */
+const findOccasion = async (ownerId, occasionId) => {
+  const result = await db.query(
+    'SELECT * FROM occasions WHERE id = $1 AND owner_id = $2',
+    [occasionId, ownerId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Create an occasion
+ * @param {string} ownerId - Telegram user id
+ * @param {Object} data - All OCCASION_FIELDS, including the computed schedule
+ * @returns {Promise<Object>} Created occasion
+ */
+const createOccasion = async (ownerId, data) => {
+  const result = await db.query(`
+    INSERT INTO occasions (owner_id, ${OCCASION_FIELDS.join(', ')})
+    VALUES ($1, ${OCCASION_FIELDS.map((field, index) => `$${index + 2}`).join(', ')})
+    RETURNING *
+  `, [ownerId, ...OCCASION_FIELDS.map((field) => data[field] ?? null)]);
+  return result.rows[0];
+};
+
+/**
+ * Replace an occasion's fields
+ * @param {string} ownerId - Telegram user id
+ * @param {string} occasionId - Occasion id
+ * @param {Object} data - All OCCASION_FIELDS, including the recomputed schedule
+ * @returns {Promise<Object|null>} Updated occasion or null if not found
+ */
+const updateOccasion = async (ownerId, occasionId, data) => {
+  const result = await db.query(`
+    UPDATE occasions SET
+      ${OCCASION_FIELDS.map((field, index) => `${field} = $${index + 3}`).join(', ')},
+      updated_at = NOW()
+    WHERE id = $1 AND owner_id = $2
+    RETURNING *
+  `, [occasionId, ownerId, ...OCCASION_FIELDS.map((field) => data[field] ?? null)]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Delete an occasion and its reminder history
+ * @param {string} ownerId - Telegram user id
+ * @param {string} occasionId - Occasion id
+ * @returns {Promise<boolean>} True if an occasion was deleted
+ */
+const deleteOccasion = async (ownerId, occasionId) => {
+  const result = await db.query(
+    'DELETE FROM occasions WHERE id = $1 AND owner_id = $2',
+    [occasionId, ownerId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * List occasions whose reminder is due, including ones missed while no scheduler ran
+ * @param {number} limit - Maximum number of occasions
+ * @returns {Promise<Array<Object>>} Occasions, longest overdue first
+ */
+const listDueOccasions = async (limit) => {
+  const result = await db.query(`
+    SELECT * FROM occasions
+    WHERE next_remind_at <= NOW()
+    ORDER BY next_remind_at
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+};
+
+/**
+ * Queue the reminder for an occasion's due occurrence and move the occasion on
+ * Does nothing when another scheduler already moved the occasion past that occurrence
+ * or an edit made it no longer due.
+ * @param {Object} occasion - Due occasion as read by listDueOccasions
+ * @param {Object} next - { next_occurrence_on, next_remind_at } of the following occurrence
+ * @param {string} status - 'pending', or 'skipped' for an occurrence that already passed
+ * @returns {Promise<Object|null>} Queued reminder or null
+ */
+const queueReminder = async (occasion, next, status) => {
+  const result = await db.query(`
+    WITH advanced AS (
+      UPDATE occasions SET next_occurrence_on = $3, next_remind_at = $4, updated_at = NOW()
+      WHERE id = $1 AND next_occurrence_on = $2 AND next_remind_at <= NOW()
+      RETURNING id
+    )
+    INSERT INTO occasion_reminders (occasion_id, occurs_on, due_at, status)
+    SELECT id, $2, $5, $6 FROM advanced
+    ON CONFLICT (occasion_id, occurs_on) DO NOTHING
+    RETURNING *
+  `, [
+    occasion.id, occasion.next_occurrence_on, next.next_occurrence_on, next.next_remind_at,
+    occasion.next_remind_at, status
+  ]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Claim pending reminders for delivery
+ * Claimed rows move to 'sending', so no other scheduler picks them up.
+ * @param {number} limit - Maximum number of reminders
+ * @returns {Promise<Array<Object>>} Reminders with their occasion and the owner's language
+ */
+const claimPendingReminders = async (limit) => {
+  const result = await db.query(`
+    UPDATE occasion_reminders r
+    SET status = 'sending', attempts = r.attempts + 1, updated_at = NOW()
+    FROM (
+      SELECT id FROM occasion_reminders
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY due_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    ) due, occasions o, users u
+    WHERE r.id = due.id AND o.id = r.occasion_id AND u.id = o.owner_id
+    RETURNING r.*, o.owner_id, o.title, o.timezone, o.year, o.recurrence, u.preferred_language, u.bot_blocked_at, u.banned_at
+  `, [limit]);
+  return result.rows;
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {string} reminderId - Reminder id
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'sent', 'failed', 'skipped' or 'pending' (retry)
+ * @param {string} [outcome.error] - Reason for failures and retries
+ * @param {number} [outcome.retryInSeconds] - Delay before the next attempt when retrying
+ * @returns {Promise<void>}
+ */
+const finishReminder = async (reminderId, { status, error = null, retryInSeconds = 0 }) => {
+  await db.query(`
+    UPDATE occasion_reminders SET
+      status = $2,
+      last_error = $3,
+      next_attempt_at = NOW() + make_interval(secs => $4),
+      sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END,
+      updated_at = NOW()
+    WHERE id = $1 AND status = 'sending'
+  `, [reminderId, status, error, retryInSeconds]);
+};
+
+/**
+ * Give up on deliveries interrupted by a crash
+ * Whether the bot sent them is unknown, so they are not retried.
+ * @param {number} olderThanSeconds - Age of a 'sending' claim considered abandoned
+ * @returns {Promise<number>} Number of reminders marked failed
+ */
+const failAbandonedReminders = async (olderThanSeconds) => {
+  const result = await db.query(`
+    UPDATE occasion_reminders SET status = 'failed', last_error = 'Delivery was interrupted', updated_at = NOW()
+    WHERE status = 'sending' AND updated_at < NOW() - make_interval(secs => $1)
+  `, [olderThanSeconds]);
+  return result.rowCount;
+};
+
+module.exports = {
+  listOccasions,
+  findOccasion,
+  createOccasion,
+  updateOccasion,
+  deleteOccasion,
+  listDueOccasions,
+  queueReminder,
+  claimPendingReminders,
+  finishReminder,
+  failAbandonedReminders
+};
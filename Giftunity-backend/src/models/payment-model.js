@@ -0,0 +1,213 @@
+/**
+ * Payment Model
+ * Giftunity Backend Service
+ *
+ * Data access for payment_invoices, payments and payment_ledger_entries.
+ *
+ * An invoice is created before the bot sends it; its random payload is what
+ * Telegram echoes back in pre_checkout_query and successful_payment. Each
+ * successful payment is stored once, keyed by Telegram's
+ * telegram_payment_charge_id, so a redelivered update cannot count twice.
+ *
+ * The ledger is double-entry: a charge debits "telegram:stars" (Stars held by
+ * the bot) and credits the pool it pays into ("pool:<id>"); a refund posts the
+ * exact reverse of the charge's entries. The entries of one charge or refund
+ * always sum to zero. Recording a charge or refund also moves the payer's
+ * paid_amount on the pool, all in one statement.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/db');
+
+const STARS_ACCOUNT = 'telegram:stars';
+const UNALLOCATED_ACCOUNT = 'unallocated';
+
+/**
+ * Create an invoice for a pool contribution
+ * @param {string} userId - Telegram user id of the user the invoice is sent to
+ * @param {Object} data - { pool_id, amount, currency }
+ * @returns {Promise<Object>} Invoice with its payload
+ */
+const createInvoice = async (userId, { pool_id, amount, currency }) => {
+  const result = await db.query(`
+    INSERT INTO payment_invoices (payload, created_by, pool_id, amount, currency)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [crypto.randomUUID(), userId, pool_id, amount, currency]);
+  return result.rows[0];
+};
+
+/**
+ * Find an invoice by the payload sent to Telegram
+ * @param {string} payload - invoice_payload
+ * @returns {Promise<Object|null>} Invoice or null
+ */
+const findInvoiceByPayload = async (payload) => {
+  const result = await db.query('SELECT * FROM payment_invoices WHERE payload = $1', [payload]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Find a payment by Telegram's charge id
+ * @param {string} chargeId - telegram_payment_charge_id
+ * @returns {Promise<Object|null>} Payment or null
+ */
+const findPayment = async (chargeId) => {
+  const result = await db.query('SELECT * FROM payments WHERE telegram_payment_charge_id = $1', [chargeId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Record a successful payment with its ledger entries and credit the payer's contribution
+ * A charge id that is already recorded is left untouched.
+ * @param {string} userId - Telegram user id of the payer
+ * @param {Object} data - { invoice_payload, amount, currency, telegram_payment_charge_id, provider_payment_charge_id }
+ * @returns {Promise<Object>} { payment, created }
+ */
+const recordCharge = async (userId, {
+  invoice_payload, amount, currency, telegram_payment_charge_id, provider_payment_charge_id = null
+}) => {
+  const result = await db.query(`
+    WITH invoice AS (
+      SELECT id, pool_id FROM payment_invoices WHERE payload = $2
+    ),
+    payment AS (
+      INSERT INTO payments (invoice_id, user_id, pool_id, amount, currency, telegram_payment_charge_id, provider_payment_charge_id)
+      VALUES ((SELECT id FROM invoice), $1, (SELECT pool_id FROM invoice), $3, $4, $5, $6)
+      ON CONFLICT (telegram_payment_charge_id) DO NOTHING
+      RETURNING *
+    ),
+    entries AS (
+      INSERT INTO payment_ledger_entries (payment_id, telegram_payment_charge_id, entry_type, account, amount, currency)
+      SELECT p.id, p.telegram_payment_charge_id, 'charge', e.account, e.amount, p.currency
+      FROM payment p
+      CROSS JOIN LATERAL (VALUES
+        ($7, p.amount),
+        (COALESCE('pool:' || p.pool_id, $8), -p.amount)
+      ) AS e(account, amount)
+    ),
+    contribution AS (
+      INSERT INTO gift_pool_contributions (pool_id, user_id, amount, paid_amount)
+      SELECT p.pool_id, p.user_id, p.amount, p.amount FROM payment p WHERE p.pool_id IS NOT NULL
+      ON CONFLICT (pool_id, user_id) DO UPDATE SET
+        paid_amount = gift_pool_contributions.paid_amount + EXCLUDED.paid_amount,
+        amount = GREATEST(gift_pool_contributions.amount, gift_pool_contributions.paid_amount + EXCLUDED.paid_amount),
+        updated_at = NOW()
+    )
+    SELECT * FROM payment
+  `, [userId, invoice_payload, amount, currency, telegram_payment_charge_id, provider_payment_charge_id,
+    STARS_ACCOUNT, UNALLOCATED_ACCOUNT]);
+  if (result.rows[0]) {
+    return { payment: result.rows[0], created: true };
+  }
+  return { payment: await findPayment(telegram_payment_charge_id), created: false };
+};
+
+/**
+ * Record the refund of a payment: reverse its ledger entries and its contribution
+ * @param {string} chargeId - telegram_payment_charge_id
+ * @returns {Promise<Object|null>} Refunded payment, or null if not found or already refunded
+ */
+const recordRefund = async (chargeId) => {
+  const result = await db.query(`
+    WITH payment AS (
+      UPDATE payments SET status = 'refunded', refunded_at = NOW()
+      WHERE telegram_payment_charge_id = $1 AND status = 'paid'
+      RETURNING *
+    ),
+    entries AS (
+      INSERT INTO payment_ledger_entries (payment_id, telegram_payment_charge_id, entry_type, account, amount, currency)
+      SELECT e.payment_id, e.telegram_payment_charge_id, 'refund', e.account, -e.amount, e.currency
+      FROM payment_ledger_entries e
+      JOIN payment p ON p.id = e.payment_id
+      WHERE e.entry_type = 'charge'
+    ),
+    contribution AS (
+      UPDATE gift_pool_contributions c SET
+        paid_amount = GREATEST(c.paid_amount - p.amount, 0),
+        amount = GREATEST(c.amount - p.amount, 0),
+        updated_at = NOW()
+      FROM payment p
+      WHERE c.pool_id = p.pool_id AND c.user_id = p.user_id
+    )
+    SELECT * FROM payment
+  `, [chargeId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * List payments, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.poolId] - Only payments into this pool
+ * @param {string} [filters.userId] - Only payments by this user
+ * @param {number} [filters.limit] - Page size
+ * @param {number} [filters.offset] - Rows to skip
+ * @returns {Promise<Array<Object>>} Payments
+ */
+const listPayments = async ({ poolId = null, userId = null, limit = 50, offset = 0 } = {}) => {
+  const result = await db.query(`
+    SELECT * FROM payments
+    WHERE ($1::BIGINT IS NULL OR pool_id = $1) AND ($2::BIGINT IS NULL OR user_id = $2)
+    ORDER BY paid_at DESC, id DESC
+    LIMIT $3 OFFSET $4
+  `, [poolId, userId, limit, offset]);
+  return result.rows;
+};
+
+/**
+ * List all payments in a currency, for reconciliation
+ * @param {string} currency - ISO 4217 code (XTR for Telegram Stars)
+ * @returns {Promise<Array<Object>>} Payments, oldest first
+ */
+const listPaymentsByCurrency = async (currency) => {
+  const result = await db.query(
+    'SELECT * FROM payments WHERE currency = $1 ORDER BY paid_at, id',
+    [currency]
+  );
+  return result.rows;
+};
+
+/**
+ * Check the ledger's invariants
+ * @returns {Promise<Object>} { imbalances, missing_entries, balances }: postings that do not sum
+ *   to zero, payments without their charge or refund entries, and the balance of every account
+ */
+const checkLedger = async () => {
+  const imbalances = await db.query(`
+    SELECT telegram_payment_charge_id, entry_type, currency, SUM(amount)::BIGINT AS balance
+    FROM payment_ledger_entries
+    GROUP BY telegram_payment_charge_id, entry_type, currency
+    HAVING SUM(amount) <> 0
+    ORDER BY telegram_payment_charge_id, entry_type
+  `);
+  const missingEntries = await db.query(`
+    SELECT * FROM (
+      SELECT p.telegram_payment_charge_id, p.status,
+        NOT EXISTS (SELECT 1 FROM payment_ledger_entries e WHERE e.payment_id = p.id AND e.entry_type = 'charge') AS missing_charge,
+        p.status = 'refunded' AND NOT EXISTS (
+          SELECT 1 FROM payment_ledger_entries e WHERE e.payment_id = p.id AND e.entry_type = 'refund'
+        ) AS missing_refund
+      FROM payments p
+    ) checked
+    WHERE missing_charge OR missing_refund
+    ORDER BY telegram_payment_charge_id
+  `);
+  const balances = await db.query(`
+    SELECT account, currency, SUM(amount)::BIGINT AS balance
+    FROM payment_ledger_entries
+    GROUP BY account, currency
+    ORDER BY account, currency
+  `);
+  return { imbalances: imbalances.rows, missing_entries: missingEntries.rows, balances: balances.rows };
+};
+
+module.exports = {
+  createInvoice,
+  findInvoiceByPayload,
+  findPayment,
+  recordCharge,
+  recordRefund,
+  listPayments,
+  listPaymentsByCurrency,
+  checkLedger
+};
@@ -0,0 +1,187 @@
+/**
+ * Privacy Model
+ * Giftunity Backend Service
+ *
+ * Data access behind the personal data export and account erasure
+ * (GDPR Art. 15, 17 and 20). Every table holding data tied to a Telegram user
+ * id is listed here; a new user-owned table must be added to both the export
+ * and the erasure.
+ *
+ * Erasure deletes the user row and everything that cascades from it, plus the
+ * rows that reference the id without a foreign key (bot sessions, idempotency
+ * keys of requests made for the user by the bot or the Mini App, rate limit
+ * buckets). Payments are kept: financial records outlive accounts
+ * (see migration 0008). Broadcasts the user created as an admin stay with
+ * created_by cleared. Each erasure is recorded in account_erasures without
+ * anything that identifies the user.
+ */
+
+const db = require('../config/db');
+
+// Tables removed with the user row (ON DELETE CASCADE), counted for the audit record
+const CASCADE_COUNTS = {
+  wishlists: 'SELECT COUNT(*) FROM wishlists WHERE owner_id = $1',
+  wish_items: 'SELECT COUNT(*) FROM wish_items i JOIN wishlists w ON w.id = i.wishlist_id WHERE w.owner_id = $1',
+  item_reservations: `SELECT COUNT(*) FROM item_reservations r
+    WHERE r.reserved_by = $1
+      OR r.item_id IN (SELECT i.id FROM wish_items i JOIN wishlists w ON w.id = i.wishlist_id WHERE w.owner_id = $1)`,
+  wishlist_viewers: `SELECT COUNT(*) FROM wishlist_viewers v
+    WHERE v.user_id = $1 OR v.wishlist_id IN (SELECT id FROM wishlists WHERE owner_id = $1)`,
+  gift_pools: 'SELECT COUNT(*) FROM gift_pools WHERE organizer_id = $1',
+  gift_pool_contributions: `SELECT COUNT(*) FROM gift_pool_contributions c
+    WHERE c.user_id = $1 OR c.pool_id IN (SELECT id FROM gift_pools WHERE organizer_id = $1)`,
+  occasions: 'SELECT COUNT(*) FROM occasions WHERE owner_id = $1',
+  occasion_reminders: 'SELECT COUNT(*) FROM occasion_reminders r JOIN occasions o ON o.id = r.occasion_id WHERE o.owner_id = $1',
+  payment_invoices: 'SELECT COUNT(*) FROM payment_invoices WHERE created_by = $1',
+  broadcast_recipients: 'SELECT COUNT(*) FROM broadcast_recipients WHERE user_id = $1',
+  user_profile_history: 'SELECT COUNT(*) FROM user_profile_history WHERE user_id = $1',
+  referrals: 'SELECT COUNT(*) FROM referrals WHERE inviter_id = $1 OR invitee_id = $1'
+};
+
+// Rows that reference the user id without a foreign key
+const KEYED_DELETES = {
+  // Telegraf session keys are "<user id>:<chat id>"
+  bot_sessions: "DELETE FROM bot_sessions WHERE session_key LIKE $1 || ':%'",
+  // Stored responses carry profile data, also under the bot's service:bot scope
+  idempotency_keys: "DELETE FROM idempotency_keys WHERE user_id = $1 OR scope = 'user:' || $1",
+  rate_limit_buckets: "DELETE FROM rate_limit_buckets WHERE bucket_key LIKE '%:user:' || $1"
+};
+
+/**
+ * Everything stored about a user
+ * @param {string} userId - Telegram user id
+ * @returns {Promise<Object|null>} Export document, or null when the user does not exist
+ */
+const exportUserData = async (userId) => {
+  const user = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+  if (user.rows.length === 0) {
+    return null;
+  }
+
+  const queries = {
+    profile_history: db.query(`
+      SELECT field, old_value, new_value, changed_at
+      FROM user_profile_history WHERE user_id = $1 ORDER BY id
+    `, [userId]),
+    wishlists: db.query(`
+      SELECT w.*, COALESCE(
+        (SELECT json_agg(i ORDER BY i.position, i.id) FROM wish_items i WHERE i.wishlist_id = w.id), '[]'
+      ) AS items
+      FROM wishlists w WHERE w.owner_id = $1 ORDER BY w.id
+    `, [userId]),
+    reservations: db.query(`
+      SELECT r.item_id, i.title AS item_title, r.created_at
+      FROM item_reservations r JOIN wish_items i ON i.id = r.item_id
+      WHERE r.reserved_by = $1 ORDER BY r.created_at
+    `, [userId]),
+    shared_wishlists_opened: db.query(`
+      SELECT v.wishlist_id, w.title AS wishlist_title, v.created_at
+      FROM wishlist_viewers v JOIN wishlists w ON w.id = v.wishlist_id
+      WHERE v.user_id = $1 ORDER BY v.created_at
+    `, [userId]),
+    organized_pools: db.query('SELECT * FROM gift_pools WHERE organizer_id = $1 ORDER BY id', [userId]),
+    pool_contributions: db.query(`
+      SELECT c.pool_id, p.title AS pool_title, c.amount, c.paid_amount, p.currency, c.joined_at, c.updated_at
+      FROM gift_pool_contributions c JOIN gift_pools p ON p.id = c.pool_id
+      WHERE c.user_id = $1 ORDER BY c.joined_at
+    `, [userId]),
+    occasions: db.query(`
+      SELECT o.*, COALESCE(
+        (SELECT json_agg(r ORDER BY r.id) FROM occasion_reminders r WHERE r.occasion_id = o.id), '[]'
+      ) AS reminders
+      FROM occasions o WHERE o.owner_id = $1 ORDER BY o.id
+    `, [userId]),
+    payment_invoices: db.query('SELECT * FROM payment_invoices WHERE created_by = $1 ORDER BY id', [userId]),
+    payments: db.query('SELECT * FROM payments WHERE user_id = $1 ORDER BY id', [userId]),
+    broadcasts_received: db.query(`
+      SELECT broadcast_id, language, status, sent_at
+      FROM broadcast_recipients WHERE user_id = $1 ORDER BY broadcast_id
+    `, [userId]),
+    // Other users appear by id only
+    referrals: db.query(`
+      SELECT CASE WHEN inviter_id = $1 THEN 'invited' ELSE 'invited_by' END AS role,
+        CASE WHEN inviter_id = $1 THEN invitee_id ELSE inviter_id END AS other_user_id,
+        link_type, target_id, new_user, created_at
+      FROM referrals WHERE inviter_id = $1 OR invitee_id = $1 ORDER BY id
+    `, [userId]),
+    bot_sessions: db.query(`
+      SELECT session_key, data, expires_at, updated_at
+      FROM bot_sessions WHERE session_key LIKE $1 || ':%' AND expires_at > NOW()
+    `, [userId])
+  };
+
+  const names = Object.keys(queries);
+  const results = await Promise.all(Object.values(queries));
+  const data = { user: user.rows[0] };
+  names.forEach((name, index) => {
+    data[name] = results[index].rows;
+  });
+  return data;
+};
+
+/**
+ * Erase a user and everything tied to them
+ * Refused while the user organizes an open pool that holds paid Stars: deleting
+ * it would lose track of other people's money.
+ * @param {string} userId - Telegram user id
+ * @param {string} requestedVia - bot or mini_app, for the audit record
+ * @returns {Promise<Object>} { status: 'erased', erasure } | { status: 'not_found' }
+ *   | { status: 'open_paid_pools', pool_ids }
+ */
+const eraseUser = async (userId, requestedVia) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const user = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (user.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 'not_found' };
+    }
+
+    const paidPools = await client.query(`
+      SELECT p.id FROM gift_pools p
+      WHERE p.organizer_id = $1 AND p.status = 'open'
+        AND EXISTS (SELECT 1 FROM gift_pool_contributions c WHERE c.pool_id = p.id AND c.paid_amount > 0)
+      ORDER BY p.id
+    `, [userId]);
+    if (paidPools.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { status: 'open_paid_pools', pool_ids: paidPools.rows.map((row) => row.id) };
+    }
+
+    const deletedRows = { users: 1 };
+    for (const [table, sql] of Object.entries(CASCADE_COUNTS)) {
+      const result = await client.query(sql, [userId]);
+      deletedRows[table] = Number(result.rows[0].count);
+    }
+    for (const [table, sql] of Object.entries(KEYED_DELETES)) {
+      const result = await client.query(sql, [userId]);
+      deletedRows[table] = result.rowCount;
+    }
+
+    const payments = await client.query('SELECT COUNT(*) FROM payments WHERE user_id = $1', [userId]);
+    const broadcasts = await client.query('UPDATE broadcasts SET created_by = NULL WHERE created_by = $1', [userId]);
+    const retainedRows = { payments: Number(payments.rows[0].count), broadcasts: broadcasts.rowCount };
+
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+    const erasure = await client.query(`
+      INSERT INTO account_erasures (requested_via, deleted_rows, retained_rows)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [requestedVia, JSON.stringify(deletedRows), JSON.stringify(retainedRows)]);
+
+    await client.query('COMMIT');
+    return { status: 'erased', erasure: erasure.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  exportUserData,
+  eraseUser
+};
@@ -0,0 +1,50 @@
+/**
+ * Rate Limit Model
+ * Giftunity Backend Service
+ *
+ * Data access for rate_limit_buckets: token buckets shared by every backend
+ * instance (see services/rate-limit-store.js). Refilling and taking a token
+ * happen in one statement, so concurrent requests cannot both take the last one.
+ */
+
+const db = require('../config/db');
+
+/**
+ * Refill a bucket and take one token if there is one
+ * @param {string} key - Bucket key
+ * @param {number} capacity - Most tokens the bucket holds
+ * @param {number} refillPerSecond - Tokens added per second
+ * @returns {Promise<Object>} { allowed, tokens } with the tokens left
+ */
+const takeToken = async (key, capacity, refillPerSecond) => {
+  const result = await db.query(`
+    INSERT INTO rate_limit_buckets AS b (bucket_key, tokens, allowed, updated_at)
+    VALUES ($1, $2::float8 - 1, TRUE, NOW())
+    ON CONFLICT (bucket_key) DO UPDATE SET (tokens, allowed, updated_at) = (
+      SELECT CASE WHEN refilled >= 1 THEN refilled - 1 ELSE refilled END, refilled >= 1, NOW()
+      FROM (
+        SELECT LEAST($2::float8, b.tokens + EXTRACT(EPOCH FROM (NOW() - b.updated_at)) * $3::float8) AS refilled
+      ) r
+    )
+    RETURNING tokens, allowed
+  `, [key, capacity, refillPerSecond]);
+  return result.rows[0];
+};
+
+/**
+ * Delete buckets nobody used for a while (they are full again by then)
+ * @param {number} idleSeconds - Minimum time since the last request
+ * @returns {Promise<number>} Deleted buckets
+ */
+const purgeIdleBuckets = async (idleSeconds) => {
+  const result = await db.query(
+    'DELETE FROM rate_limit_buckets WHERE updated_at <= NOW() - make_interval(secs => $1)',
+    [idleSeconds]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  takeToken,
+  purgeIdleBuckets
+};
@@ -0,0 +1,71 @@
+/**
+ * Referral Model
+ * Giftunity Backend Service
+ *
+ * Data access for referrals: users who opened a signed deep link shared by
+ * another user. Each inviter, invitee and link (type and target) is recorded
+ * once; a referral is a conversion when it brought in a new user.
+ */
+
+const db = require('../config/db');
+
+/**
+ * Record that a user opened another user's link
+ * @param {Object} referral - { inviterId, inviteeId, linkType, targetId, newUser }
+ * @returns {Promise<Object|null>} { referral, created }, or null when the inviter does not exist
+ */
+const recordReferral = async ({ inviterId, inviteeId, linkType, targetId, newUser }) => {
+  const result = await db.query(`
+    INSERT INTO referrals (inviter_id, invitee_id, link_type, target_id, new_user)
+    SELECT $1, $2, $3, $4, $5
+    WHERE EXISTS (SELECT 1 FROM users WHERE id = $1)
+    ON CONFLICT (inviter_id, invitee_id, link_type, COALESCE(target_id, 0)) DO NOTHING
+    RETURNING *
+  `, [inviterId, inviteeId, linkType, targetId, newUser]);
+  if (result.rows.length > 0) {
+    return { referral: result.rows[0], created: true };
+  }
+
+  const existing = await db.query(`
+    SELECT * FROM referrals
+    WHERE inviter_id = $1 AND invitee_id = $2 AND link_type = $3 AND COALESCE(target_id, 0) = COALESCE($4::BIGINT, 0)
+  `, [inviterId, inviteeId, linkType, targetId]);
+  return existing.rows.length > 0 ? { referral: existing.rows[0], created: false } : null;
+};
+
+/**
+ * Referrals and conversions per inviter, most conversions first
+ * @param {Object} options - { inviterId (optional), limit, offset }
+ * @returns {Promise<Array<Object>>} { inviter_id, username, first_name, referrals, invitees,
+ *   conversions, conversions_by_link_type, last_referral_at }
+ */
+const listConversions = async ({ inviterId = null, limit, offset }) => {
+  const result = await db.query(`
+    SELECT
+      r.inviter_id,
+      u.username,
+      u.first_name,
+      COUNT(*)::INTEGER AS referrals,
+      COUNT(DISTINCT r.invitee_id)::INTEGER AS invitees,
+      COUNT(*) FILTER (WHERE r.new_user)::INTEGER AS conversions,
+      jsonb_build_object(
+        'invite', COUNT(*) FILTER (WHERE r.new_user AND r.link_type = 'invite'),
+        'wishlist', COUNT(*) FILTER (WHERE r.new_user AND r.link_type = 'wishlist'),
+        'item', COUNT(*) FILTER (WHERE r.new_user AND r.link_type = 'item'),
+        'pool', COUNT(*) FILTER (WHERE r.new_user AND r.link_type = 'pool')
+      ) AS conversions_by_link_type,
+      MAX(r.created_at) AS last_referral_at
+    FROM referrals r
+    JOIN users u ON u.id = r.inviter_id
+    WHERE $1::BIGINT IS NULL OR r.inviter_id = $1
+    GROUP BY r.inviter_id, u.username, u.first_name
+    ORDER BY conversions DESC, referrals DESC, r.inviter_id
+    LIMIT $2 OFFSET $3
+  `, [inviterId, limit, offset]);
+  return result.rows;
+};
+
+module.exports = {
+  recordReferral,
+  listConversions
+};
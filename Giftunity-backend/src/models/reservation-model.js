@@ -0,0 +1,107 @@
+/**
+ * Reservation Model
+ * Giftunity Backend Service
+ *
+ * Data access for item_reservations: friends reserving wishes so nobody else
+ * buys the same gift. A wish has at most one reservation (item_id is the
+ * primary key), so of two concurrent claims exactly one insert succeeds.
+ * Only viewers of the wishlist can reserve its wishes (see
+ * shared-wishlist-model.js); for anyone else a wish does not exist.
+ *
+ * The owner of a wish must not learn who reserved it, or whether it is
+ * reserved at all, before the wishlist's reveal_on date has passed in the
+ * owner's timezone. The owner's own queries (wishlist-model.js) never read this
+ * table; listRevealedReservations is the only owner-facing query and carries
+ * the reveal rule in its WHERE clause.
+ */
+
+const db = require('../config/db');
+
+// Whether the user ($2) was granted the wishlist w by a shared link
+const IS_VIEWER = 'EXISTS (SELECT 1 FROM wishlist_viewers v WHERE v.wishlist_id = w.id AND v.user_id = $2)';
+
+/**
+ * Reserve an item for a user
+ * @param {string} itemId - Wish item id
+ * @param {string} userId - Telegram user id of the friend
+ * @returns {Promise<Object>} { status, reservation? } with status one of
+ *   'reserved', 'already_yours', 'taken', 'own_item' or 'not_found'
+ */
+const reserveItem = async (itemId, userId) => {
+  const inserted = await db.query(`
+    INSERT INTO item_reservations (item_id, reserved_by)
+    SELECT i.id, $2
+    FROM wish_items i
+    JOIN wishlists w ON w.id = i.wishlist_id
+    WHERE i.id = $1 AND w.owner_id <> $2 AND ${IS_VIEWER}
+    ON CONFLICT (item_id) DO NOTHING
+    RETURNING *
+  `, [itemId, userId]);
+  if (inserted.rows[0]) {
+    return { status: 'reserved', reservation: inserted.rows[0] };
+  }
+
+  // A new statement sees a reservation committed by a concurrent claim
+  const result = await db.query(`
+    SELECT w.owner_id, r.reserved_by, r.created_at, ${IS_VIEWER} AS is_viewer
+    FROM wish_items i
+    JOIN wishlists w ON w.id = i.wishlist_id
+    LEFT JOIN item_reservations r ON r.item_id = i.id
+    WHERE i.id = $1
+  `, [itemId, userId]);
+  const row = result.rows[0];
+  if (!row || (!row.is_viewer && row.owner_id !== String(userId))) {
+    return { status: 'not_found' };
+  }
+  if (row.owner_id === String(userId)) {
+    return { status: 'own_item' };
+  }
+  if (row.reserved_by === String(userId)) {
+    return { status: 'already_yours', reservation: { item_id: String(itemId), reserved_by: row.reserved_by, created_at: row.created_at } };
+  }
+  return { status: 'taken' };
+};
+
+/**
+ * Release a reservation held by a user
+ * @param {string} itemId - Wish item id
+ * @param {string} userId - Telegram user id of the friend
+ * @returns {Promise<boolean>} True if the user's reservation was removed
+ */
+const releaseReservation = async (itemId, userId) => {
+  const result = await db.query(
+    'DELETE FROM item_reservations WHERE item_id = $1 AND reserved_by = $2',
+    [itemId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * List who reserved what on an owner's wishlist once its reveal date has passed
+ * Returns no rows before reveal_on (or without one), whatever the caller checked.
+ * @param {string} ownerId - Telegram user id of the owner
+ * @param {string} wishlistId - Wishlist id
+ * @returns {Promise<Array<Object>>} Reserved items with the friend's name
+ */
+const listRevealedReservations = async (ownerId, wishlistId) => {
+  const result = await db.query(`
+    SELECT i.id AS item_id, i.title, r.created_at AS reserved_at,
+      u.first_name AS reserved_by_first_name, u.username AS reserved_by_username
+    FROM wishlists w
+    JOIN users o ON o.id = w.owner_id
+    JOIN wish_items i ON i.wishlist_id = w.id
+    JOIN item_reservations r ON r.item_id = i.id
+    JOIN users u ON u.id = r.reserved_by
+    WHERE w.id = $1 AND w.owner_id = $2
+      AND w.reveal_on IS NOT NULL
+      AND w.reveal_on < (NOW() AT TIME ZONE o.timezone)::DATE
+    ORDER BY i.position, i.id
+  `, [wishlistId, ownerId]);
+  return result.rows;
+};
+
+module.exports = {
+  reserveItem,
+  releaseReservation,
+  listRevealedReservations
+};
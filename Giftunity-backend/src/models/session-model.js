@@ -0,0 +1,60 @@
+/**
+ * Session Model
+ * Giftunity Backend Service
+ *
+ * Data access for bot_sessions: opaque JSON conversation state stored by the bot
+ * under its session key. Expired rows are treated as missing and purged on write.
+ */
+
+const db = require('../config/db');
+
+/**
+ * Find a live session
+ * @param {string} sessionKey - Bot session key
+ * @returns {Promise<Object|null>} Session row or null
+ */
+const findSession = async (sessionKey) => {
+  const result = await db.query(
+    'SELECT * FROM bot_sessions WHERE session_key = $1 AND expires_at > NOW()',
+    [sessionKey]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Create or replace a session
+ * @param {string} sessionKey - Bot session key
+ * @param {Object} data - Session data
+ * @param {number} ttlSeconds - Lifetime from now
+ * @returns {Promise<Object>} Saved session row
+ */
+const saveSession = async (sessionKey, data, ttlSeconds) => {
+  const result = await db.query(`
+    INSERT INTO bot_sessions (session_key, data, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(secs => $3))
+    ON CONFLICT (session_key) DO UPDATE SET
+      data = EXCLUDED.data,
+      expires_at = EXCLUDED.expires_at,
+      updated_at = NOW()
+    RETURNING *
+  `, [sessionKey, JSON.stringify(data), ttlSeconds]);
+
+  await db.query('DELETE FROM bot_sessions WHERE expires_at <= NOW()');
+  return result.rows[0];
+};
+
+/**
+ * Delete a session
+ * @param {string} sessionKey - Bot session key
+ * @returns {Promise<boolean>} True if a session was deleted
+ */
+const deleteSession = async (sessionKey) => {
+  const result = await db.query('DELETE FROM bot_sessions WHERE session_key = $1', [sessionKey]);
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  findSession,
+  saveSession,
+  deleteSession
+};
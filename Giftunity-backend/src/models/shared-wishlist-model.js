@@ -0,0 +1,127 @@
+/**
+ * Shared Wishlist Model
+ * Giftunity Backend Service
+ *
+ * Read-only access to wishlists for users other than the owner: the friend
+ * who opens a wishlist or wish shared into a chat. Unlike wishlist-model.js
+ * these queries are not scoped to an owner; they add the owner's public name
+ * and never return the owner's private item notes.
+ *
+ * A wishlist is only visible to its owner and to its viewers: users who opened
+ * a signed link to it or one of its wishes (grantLinkAccess). Everyone else
+ * gets nothing, as if the wishlist did not exist, so its sequential id is no
+ * way in.
+ *
+ * Items carry the viewer's view of their reservation (see reservation-model.js):
+ * reserved and reserved_by_me are booleans for friends and NULL when the
+ * viewer owns the wishlist, so the owner's view stays spoiler-free. Who
+ * reserved an item is never returned here.
+ */
+
+const db = require('../config/db');
+
+// Item columns visible to friends (notes are the owner's own)
+const SHARED_ITEM_COLUMNS = `
+  i.id, i.wishlist_id, i.title, i.url, i.price_amount, i.price_currency, i.priority, i.position
+`;
+
+// Reservation state for the viewer ($2); requires w (wishlists) and r (LEFT JOIN item_reservations)
+const RESERVATION_COLUMNS = `
+  CASE WHEN w.owner_id = $2 THEN NULL ELSE r.item_id IS NOT NULL END AS reserved,
+  CASE WHEN w.owner_id = $2 THEN NULL ELSE COALESCE(r.reserved_by = $2, FALSE) END AS reserved_by_me
+`;
+
+// Whether the viewer ($2) may see the wishlist w
+const VIEWER_HAS_ACCESS = `(
+  w.owner_id = $2 OR EXISTS (SELECT 1 FROM wishlist_viewers v WHERE v.wishlist_id = w.id AND v.user_id = $2)
+)`;
+
+/**
+ * Let a user view the wishlist a signed link points to
+ * The link must have been shared by the wishlist's owner.
+ * @param {string} viewerId - Telegram user id of the user who opened the link
+ * @param {Object} link - Verified link { type: 'wishlist' or 'item', id, inviterId }
+ * @returns {Promise<Object|null>} { wishlist_id, item_id } or null when the target
+ *   no longer exists or was not shared by its owner
+ */
+const grantLinkAccess = async (viewerId, { type, id, inviterId }) => {
+  const target = await db.query(type === 'item'
+    ? `SELECT w.id AS wishlist_id, i.id AS item_id, w.owner_id
+      FROM wish_items i JOIN wishlists w ON w.id = i.wishlist_id
+      WHERE i.id = $1 AND w.owner_id = $2`
+    : `SELECT w.id AS wishlist_id, NULL AS item_id, w.owner_id
+      FROM wishlists w
+      WHERE w.id = $1 AND w.owner_id = $2`, [id, inviterId]);
+  const row = target.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  if (row.owner_id !== String(viewerId)) {
+    await db.query(
+      'INSERT INTO wishlist_viewers (wishlist_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [row.wishlist_id, viewerId]
+    );
+  }
+  return { wishlist_id: row.wishlist_id, item_id: row.item_id };
+};
+
+/**
+ * Find a wishlist the viewer may see, with its owner's name
+ * @param {string} wishlistId - Wishlist id
+ * @param {string} viewerId - Telegram user id of the viewer
+ * @returns {Promise<Object|null>} Wishlist or null
+ */
+const findSharedWishlist = async (wishlistId, viewerId) => {
+  const result = await db.query(`
+    SELECT w.id, w.owner_id, w.title, w.description, u.first_name AS owner_first_name, u.username AS owner_username
+    FROM wishlists w
+    JOIN users u ON u.id = w.owner_id
+    WHERE w.id = $1 AND ${VIEWER_HAS_ACCESS}
+  `, [wishlistId, viewerId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * List the items of a wishlist the viewer may see
+ * @param {string} wishlistId - Wishlist id
+ * @param {string} viewerId - Telegram user id of the viewer
+ * @returns {Promise<Array<Object>>} Items in display order
+ */
+const listSharedItems = async (wishlistId, viewerId) => {
+  const result = await db.query(`
+    SELECT ${SHARED_ITEM_COLUMNS}, ${RESERVATION_COLUMNS}
+    FROM wish_items i
+    JOIN wishlists w ON w.id = i.wishlist_id
+    LEFT JOIN item_reservations r ON r.item_id = i.id
+    WHERE i.wishlist_id = $1 AND ${VIEWER_HAS_ACCESS}
+    ORDER BY i.position, i.id
+  `, [wishlistId, viewerId]);
+  return result.rows;
+};
+
+/**
+ * Find an item the viewer may see, with its wishlist and owner's name
+ * @param {string} itemId - Item id
+ * @param {string} viewerId - Telegram user id of the viewer
+ * @returns {Promise<Object|null>} Item or null
+ */
+const findSharedItem = async (itemId, viewerId) => {
+  const result = await db.query(`
+    SELECT ${SHARED_ITEM_COLUMNS}, ${RESERVATION_COLUMNS}, w.title AS wishlist_title, w.owner_id,
+      u.first_name AS owner_first_name, u.username AS owner_username
+    FROM wish_items i
+    JOIN wishlists w ON w.id = i.wishlist_id
+    JOIN users u ON u.id = w.owner_id
+    LEFT JOIN item_reservations r ON r.item_id = i.id
+    WHERE i.id = $1 AND ${VIEWER_HAS_ACCESS}
+  `, [itemId, viewerId]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  grantLinkAccess,
+  findSharedWishlist,
+  listSharedItems,
+  findSharedItem
+};
@@ -0,0 +1,201 @@
+/**
+ * User Model
+ * Giftunity Backend Service
+ *
+ * Data access for the users table: Telegram profile sync (with its change
+ * history in user_profile_history), user preferences, whether the user has
+ * blocked the bot and whether an admin banned the user.
+ */
+
+const db = require('../config/db');
+const i18nService = require('../services/i18n-service');
+
+// Telegram User object fields stored on users, with their column types
+const PROFILE_COLUMNS = {
+  is_bot: 'boolean',
+  first_name: 'text',
+  last_name: 'text',
+  username: 'text',
+  language_code: 'varchar',
+  is_premium: 'boolean',
+  added_to_attachment_menu: 'boolean',
+  can_join_groups: 'boolean',
+  can_read_all_group_messages: 'boolean',
+  supports_inline_queries: 'boolean'
+};
+const PROFILE_FIELDS = Object.keys(PROFILE_COLUMNS);
+// Fields whose changes are recorded in user_profile_history
+const HISTORY_FIELDS = ['username', 'first_name', 'last_name', 'is_premium', 'language_code'];
+
+/**
+ * Create a user from a Telegram User object or refresh an existing user's profile
+ *
+ * One statement: it locks the existing row, inserts or updates the user and
+ * records changed HISTORY_FIELDS, so concurrent syncs of a new user cannot
+ * collide on the primary key. Fields left out of the profile (undefined) are
+ * kept; null clears them. When nothing changed the row is not written.
+ *
+ * @param {Object} profile - Telegram User object fields
+ * @returns {Promise<Object>} { user, created, updated }
+ */
+const findOrCreateUser = async (profile) => {
+  const present = PROFILE_FIELDS.filter((field) => profile[field] !== undefined);
+  // Inserts need every column; is_bot is NOT NULL and Mini App users are people
+  const insertValues = PROFILE_FIELDS.map((field) => (
+    field === 'is_bot' ? profile.is_bot ?? false : profile[field] ?? null
+  ));
+  // $1 id, $2 preferred_language, then PROFILE_FIELDS in order
+  const param = (field) => `$${PROFILE_FIELDS.indexOf(field) + 3}::${PROFILE_COLUMNS[field]}`;
+
+  // No fields to compare: the update never applies and the existing row is returned
+  const changed = present.length > 0
+    ? `(${present.map((field) => `users.${field}`).join(', ')}) IS DISTINCT FROM (${present.map((field) => `EXCLUDED.${field}`).join(', ')})`
+    : 'FALSE';
+  const historyRows = HISTORY_FIELDS
+    .filter((field) => present.includes(field))
+    .map((field) => `('${field}', p.${field}::text, u.${field}::text)`);
+
+  const result = await db.query(`
+    WITH prev AS (
+      SELECT * FROM users WHERE id = $1 FOR UPDATE
+    ),
+    upserted AS (
+      INSERT INTO users (id, preferred_language, ${PROFILE_FIELDS.join(', ')})
+      SELECT $1::bigint, $2::text, ${PROFILE_FIELDS.map(param).join(', ')}
+      -- Joining prev makes it lock the row before the insert looks for a conflict
+      FROM (SELECT 1) input LEFT JOIN (SELECT 1 FROM prev) locked ON TRUE
+      ON CONFLICT (id) DO UPDATE SET
+        ${present.map((field) => `${field} = EXCLUDED.${field}`).concat('updated_at = NOW()').join(',\n        ')}
+      WHERE ${changed}
+      RETURNING users.*, (xmax = 0) AS created
+    )${historyRows.length > 0 ? `,
+    history AS (
+      INSERT INTO user_profile_history (user_id, field, old_value, new_value)
+      SELECT u.id, f.field, f.old_value, f.new_value
+      FROM upserted u
+      JOIN prev p ON p.id = u.id
+      CROSS JOIN LATERAL (VALUES ${historyRows.join(', ')}) f(field, old_value, new_value)
+      WHERE f.old_value IS DISTINCT FROM f.new_value
+    )` : ''}
+    SELECT *, TRUE AS written FROM upserted
+    UNION ALL
+    SELECT *, FALSE, FALSE FROM prev WHERE NOT EXISTS (SELECT 1 FROM upserted)
+  `, [profile.id, i18nService.resolveLanguage(profile.language_code), ...insertValues]);
+
+  if (result.rows.length === 0) {
+    // A concurrent sync created the user after this statement's snapshot, with the same profile
+    return { user: await findUser(profile.id), created: false, updated: false };
+  }
+  const { created, written, ...user } = result.rows[0];
+  return { user, created, updated: written && !created };
+};
+
+/**
+ * Find a user by Telegram id
+ * @param {string} userId - Telegram user id
+ * @returns {Promise<Object|null>} User or null
+ */
+const findUser = async (userId) => {
+  const result = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Update user-selected preferences
+ * @param {string} userId - Telegram user id
+ * @param {Object} preferences - { preferred_language, timezone }; omitted fields are kept
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+const updatePreferences = async (userId, { preferred_language, timezone }) => {
+  const result = await db.query(`
+    UPDATE users SET
+      preferred_language = COALESCE($2, preferred_language),
+      timezone = COALESCE($3, timezone),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [userId, preferred_language ?? null, timezone ?? null]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Record whether the user has blocked the bot
+ * Keeps the time of the first report while the user stays blocked.
+ * @param {string} userId - Telegram user id
+ * @param {boolean} blocked - True when Telegram refused a message or reported the block
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+const setBotBlocked = async (userId, blocked) => {
+  const result = await db.query(`
+    UPDATE users SET
+      bot_blocked_at = CASE WHEN $2 THEN COALESCE(bot_blocked_at, NOW()) ELSE NULL END,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [userId, blocked]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Ban or unban a user
+ * Keeps the time of the first ban while the user stays banned; the reason is replaced.
+ * @param {string} userId - Telegram user id
+ * @param {boolean} banned - True to ban
+ * @param {string|null} [reason] - Admin note (cleared on unban)
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+const setBanned = async (userId, banned, reason = null) => {
+  const result = await db.query(`
+    UPDATE users SET
+      banned_at = CASE WHEN $2 THEN COALESCE(banned_at, NOW()) ELSE NULL END,
+      banned_reason = CASE WHEN $2 THEN $3 ELSE NULL END,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [userId, banned, reason]);
+  return result.rows[0] || null;
+};
+
+/**
+ * List banned users, most recently banned first
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<Array<Object>>} Users
+ */
+const listBannedUsers = async ({ limit, offset }) => {
+  const result = await db.query(`
+    SELECT id, first_name, last_name, username, banned_at, banned_reason
+    FROM users
+    WHERE banned_at IS NOT NULL
+    ORDER BY banned_at DESC, id
+    LIMIT $1 OFFSET $2
+  `, [limit, offset]);
+  return result.rows;
+};
+
+/**
+ * Changes to a user's Telegram profile, newest first
+ * @param {string} userId - Telegram user id
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<Array<Object>>} { field, old_value, new_value, changed_at }
+ */
+const listProfileHistory = async (userId, { limit, offset }) => {
+  const result = await db.query(`
+    SELECT field, old_value, new_value, changed_at
+    FROM user_profile_history
+    WHERE user_id = $1
+    -- ids follow the order of the changes; changed_at is each transaction's start
+    ORDER BY id DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, limit, offset]);
+  return result.rows;
+};
+
+module.exports = {
+  findOrCreateUser,
+  findUser,
+  updatePreferences,
+  setBotBlocked,
+  setBanned,
+  listBannedUsers,
+  listProfileHistory
+};
@@ -0,0 +1,315 @@
+/**
+ * Wishlist Model
+ * Giftunity Backend Service
+ *
+ * Data access for wishlists and wish_items. Every function takes the owner's
+ * Telegram user id and scopes its SQL to it, so ownership is enforced in the
+ * queries themselves: rows owned by someone else behave as if they did not exist.
+ *
+ * None of these queries read item_reservations, so nothing here can tell the
+ * owner which wishes friends have reserved (see reservation-model.js).
+ */
+
+const db = require('../config/db');
+
+const WISHLIST_FIELDS = ['title', 'description', 'reveal_on'];
+const WISH_ITEM_FIELDS = ['title', 'notes', 'url', 'price_amount', 'price_currency', 'priority', 'position'];
+
+// The owner's current date; needs users joined as u
+const OWNER_TODAY = '(NOW() AT TIME ZONE u.timezone)::DATE';
+
+/**
+ * Build "column = $n" assignments for the fields present in changes
+ * @param {Object} changes - Field values keyed by column
+ * @param {Array<string>} allowedFields - Updatable columns
+ * @param {number} offset - Number of parameters already used
+ * @returns {Object} { assignments, values }
+ */
+const buildAssignments = (changes, allowedFields, offset) => {
+  const columns = allowedFields.filter((field) => changes[field] !== undefined);
+  return {
+    assignments: columns.map((column, index) => `${column} = $${offset + index + 1}`),
+    values: columns.map((column) => changes[column])
+  };
+};
+
+/**
+ * Whether reveal_on may change to a requested value
+ * The rule depends only on the dates, never on reservations, so a refusal
+ * tells the owner nothing about them: a new date must be after the owner's
+ * today and, once a date is set, not earlier than it. Clearing a set date is
+ * refused too, since a cleared list could then get any date from tomorrow on.
+ * @param {string|null} currentRevealOn - Stored reveal_on
+ * @param {string|null|undefined} revealOn - Requested reveal_on, undefined if unchanged
+ * @param {string} ownerToday - The owner's current date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+const isRevealChangeAllowed = (currentRevealOn, revealOn, ownerToday) => {
+  if (revealOn === undefined || revealOn === currentRevealOn) {
+    return true;
+  }
+  if (revealOn === null) {
+    return currentRevealOn === null;
+  }
+  return revealOn > ownerToday && (currentRevealOn === null || revealOn > currentRevealOn);
+};
+
+/**
+ * List wishlists of an owner with their item counts
+ * @param {string} ownerId - Telegram user id
+ * @returns {Promise<Array<Object>>} Wishlists, newest first
+ */
+const listWishlists = async (ownerId) => {
+  const result = await db.query(`
+    SELECT w.*, COUNT(i.id)::INTEGER AS item_count
+    FROM wishlists w
+    LEFT JOIN wish_items i ON i.wishlist_id = w.id
+    WHERE w.owner_id = $1
+    GROUP BY w.id
+    ORDER BY w.created_at DESC, w.id DESC
+  `, [ownerId]);
+  return result.rows;
+};
+
+/**
+ * Find a wishlist owned by a user
+ * @param {string} ownerId - Telegram user id
+ * @param {string} wishlistId - Wishlist id
+ * @returns {Promise<Object|null>} Wishlist or null
+ */
+const findWishlist = async (ownerId, wishlistId) => {
+  const result = await db.query(
+    'SELECT * FROM wishlists WHERE id = $1 AND owner_id = $2',
+    [wishlistId, ownerId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Create a wishlist
+ * @param {string} ownerId - Telegram user id
+ * @param {Object} data - { title, description, reveal_on }
+ * @returns {Promise<Object>} { status, wishlist? } with status 'created' or
+ *   'reveal_refused' when reveal_on is not after the owner's today
+ */
+const createWishlist = async (ownerId, { title, description = null, reveal_on = null }) => {
+  const result = await db.query(`
+    INSERT INTO wishlists (owner_id, title, description, reveal_on)
+    SELECT u.id, $2, $3, $4::DATE
+    FROM users u
+    WHERE u.id = $1 AND ($4::DATE IS NULL OR $4::DATE > ${OWNER_TODAY})
+    RETURNING *
+  `, [ownerId, title, description, reveal_on]);
+  if (!result.rows[0]) {
+    return { status: 'reveal_refused' };
+  }
+  return { status: 'created', wishlist: result.rows[0] };
+};
+
+/**
+ * Update the provided fields of a wishlist
+ * reveal_on may only move later (see isRevealChangeAllowed); otherwise the
+ * owner could pull the date forward and read reservations straight away. The
+ * wishlist row is locked between the check and the update.
+ * @param {string} ownerId - Telegram user id
+ * @param {string} wishlistId - Wishlist id
+ * @param {Object} changes - Subset of { title, description, reveal_on }
+ * @returns {Promise<Object>} { status, wishlist? } with status one of
+ *   'updated', 'not_found' or 'reveal_refused'
+ */
+const updateWishlist = async (ownerId, wishlistId, changes) => {
+  const { assignments, values } = buildAssignments(changes, WISHLIST_FIELDS, 2);
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query(`
+      SELECT w.*, ${OWNER_TODAY} AS owner_today
+      FROM wishlists w
+      JOIN users u ON u.id = w.owner_id
+      WHERE w.id = $1 AND w.owner_id = $2
+      FOR UPDATE OF w
+    `, [wishlistId, ownerId]);
+    const { owner_today: ownerToday, ...wishlist } = current.rows[0] || {};
+    if (!current.rows[0] || !isRevealChangeAllowed(wishlist.reveal_on, changes.reveal_on, ownerToday)) {
+      await client.query('ROLLBACK');
+      return { status: current.rows[0] ? 'reveal_refused' : 'not_found' };
+    }
+    if (assignments.length === 0) {
+      await client.query('COMMIT');
+      return { status: 'updated', wishlist };
+    }
+
+    const result = await client.query(`
+      UPDATE wishlists SET ${assignments.join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND owner_id = $2
+      RETURNING *
+    `, [wishlistId, ownerId, ...values]);
+    await client.query('COMMIT');
+    return { status: 'updated', wishlist: result.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a wishlist and its items
+ * @param {string} ownerId - Telegram user id
+ * @param {string} wishlistId - Wishlist id
+ * @returns {Promise<boolean>} True if a wishlist was deleted
+ */
+const deleteWishlist = async (ownerId, wishlistId) => {
+  const result = await db.query(
+    'DELETE FROM wishlists WHERE id = $1 AND owner_id = $2',
+    [wishlistId, ownerId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * List items of a wishlist owned by a user
+ * @param {string} ownerId - Telegram user id
+ * @param {string} wishlistId - Wishlist id
+ * @returns {Promise<Array<Object>>} Items in display order
+ */
+const listItems = async (ownerId, wishlistId) => {
+  const result = await db.query(`
+    SELECT i.*
+    FROM wish_items i
+    JOIN wishlists w ON w.id = i.wishlist_id
+    WHERE i.wishlist_id = $1 AND w.owner_id = $2
+    ORDER BY i.position, i.id
+  `, [wishlistId, ownerId]);
+  return result.rows;
+};
+
+/**
+ * Find a single item of a wishlist owned by a user
+ * @param {string} ownerId - Telegram user id
+ * @param {string} wishlistId - Wishlist id
+ * @param {string} itemId - Item id
+ * @returns {Promise<Object|null>} Item or null
+ */
+const findItem = async (ownerId, wishlistId, itemId) => {
+  const result = await db.query(`
+    SELECT i.*
+    FROM wish_items i
+    JOIN wishlists w ON w.id = i.wishlist_id
+    WHERE i.id = $1 AND i.wishlist_id = $2 AND w.owner_id = $3
+  `, [itemId, wishlistId, ownerId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Create an item at the given position or at the end of the wishlist
+ * @param {string} ownerId - Telegram user id
+ * @param {string} wishlistId - Wishlist id
+ * @param {Object} data - Item fields
+ * @returns {Promise<Object|null>} Created item or null if the wishlist is not owned by the user
+ */
+const createItem = async (ownerId, wishlistId, data) => {
+  const result = await db.query(`
+    INSERT INTO wish_items (wishlist_id, title, notes, url, price_amount, price_currency, priority, position)
+    SELECT w.id, $3, $4, $5, $6, $7, COALESCE($8, 3),
+      COALESCE($9, (SELECT COALESCE(MAX(position), -1) + 1 FROM wish_items WHERE wishlist_id = w.id))
+    FROM wishlists w
+    WHERE w.id = $1 AND w.owner_id = $2
+    RETURNING *
+  `, [
+    wishlistId, ownerId,
+    data.title, data.notes ?? null, data.url ?? null,
+    data.price_amount ?? null, data.price_currency ?? null,
+    data.priority ?? null, data.position ?? null
+  ]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Update the provided fields of an item
+ * @param {string} ownerId - Telegram user id
+ * @param {string} wishlistId - Wishlist id
+ * @param {string} itemId - Item id
+ * @param {Object} changes - Subset of item fields
+ * @returns {Promise<Object|null>} Updated item or null if not found
+ */
+const updateItem = async (ownerId, wishlistId, itemId, changes) => {
+  const { assignments, values } = buildAssignments(changes, WISH_ITEM_FIELDS, 3);
+  if (assignments.length === 0) {
+    return findItem(ownerId, wishlistId, itemId);
+  }
+
+  const result = await db.query(`
+    UPDATE wish_items i SET ${assignments.join(', ')}, updated_at = NOW()
+    FROM wishlists w
+    WHERE i.id = $1 AND i.wishlist_id = $2 AND w.id = i.wishlist_id AND w.owner_id = $3
+    RETURNING i.*
+  `, [itemId, wishlistId, ownerId, ...values]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Delete an item
+ * @param {string} ownerId - Telegram user id
+ * @param {string} wishlistId - Wishlist id
+ * @param {string} itemId - Item id
+ * @returns {Promise<boolean>} True if an item was deleted
+ */
+const deleteItem = async (ownerId, wishlistId, itemId) => {
+  const result = await db.query(`
+    DELETE FROM wish_items i
+    USING wishlists w
+    WHERE i.id = $1 AND i.wishlist_id = $2 AND w.id = i.wishlist_id AND w.owner_id = $3
+  `, [itemId, wishlistId, ownerId]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Search an owner's wishlists and items by title, description or notes
+ * @param {string} ownerId - Telegram user id
+ * @param {string} query - Search text; empty matches everything
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<Array<Object>>} Results with type 'wishlist' or 'item'; wishlists
+ *   first (newest first), then items grouped by wishlist in display order
+ */
+const searchWishes = async (ownerId, query, { limit, offset }) => {
+  // Match the text literally, not as a LIKE pattern
+  const pattern = query ? `%${query.replace(/[\\%_]/g, '\\$&')}%` : null;
+  const result = await db.query(`
+    SELECT type, id, wishlist_id, wishlist_title, title, description, url, price_amount, price_currency, item_count
+    FROM (
+      SELECT 'wishlist' AS type, w.id, w.id AS wishlist_id, w.title AS wishlist_title, w.title, w.description,
+        NULL::TEXT AS url, NULL::BIGINT AS price_amount, NULL::TEXT AS price_currency,
+        (SELECT COUNT(*)::INTEGER FROM wish_items c WHERE c.wishlist_id = w.id) AS item_count,
+        0 AS kind_order, w.created_at AS wishlist_created_at, 0 AS position
+      FROM wishlists w
+      WHERE w.owner_id = $1 AND ($2::TEXT IS NULL OR w.title ILIKE $2 OR w.description ILIKE $2)
+      UNION ALL
+      SELECT 'item', i.id, w.id, w.title, i.title, i.notes,
+        i.url, i.price_amount, i.price_currency::TEXT,
+        NULL,
+        1, w.created_at, i.position
+      FROM wish_items i
+      JOIN wishlists w ON w.id = i.wishlist_id
+      WHERE w.owner_id = $1 AND ($2::TEXT IS NULL OR i.title ILIKE $2 OR i.notes ILIKE $2)
+    ) results
+    ORDER BY kind_order, wishlist_created_at DESC, wishlist_id DESC, position, id
+    LIMIT $3 OFFSET $4
+  `, [ownerId, pattern, limit, offset]);
+  return result.rows;
+};
+
+module.exports = {
+  listWishlists,
+  findWishlist,
+  createWishlist,
+  updateWishlist,
+  deleteWishlist,
+  listItems,
+  findItem,
+  createItem,
+  updateItem,
+  deleteItem,
+  searchWishes
+};
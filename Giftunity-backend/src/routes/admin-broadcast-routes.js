@@ -0,0 +1,285 @@
+/**
+ * Broadcast Admin Routes
+ * Giftunity Backend Service
+ *
+ * POST /api/admin/broadcasts/segment          Count the users in an audience segment
+ * POST /api/admin/broadcasts                  Create a broadcast and select its recipients
+ * GET  /api/admin/broadcasts                  List broadcasts (?status, ?limit, ?offset)
+ * GET  /api/admin/broadcasts/:id              Broadcast with recipient counts per status
+ * POST /api/admin/broadcasts/:id/claim        Claim recipients to send to next (the bot)
+ * POST /api/admin/broadcasts/:id/results      Report delivery outcomes of claimed recipients
+ * POST /api/admin/broadcasts/:id/cancel       Stop a broadcast; unclaimed recipients are skipped
+ *
+ * Admin only: X-Admin-Token or a signed service request (see middleware/service-auth.js).
+ * The bot composes broadcasts for the admins listed in ADMIN_TELEGRAM_IDS and
+ * sends them (see models/broadcast-model.js for the delivery states).
+ *
+ * A segment is { languages, is_premium, created_after } (all optional):
+ * preferred language codes, Telegram Premium or not, and registered on or after
+ * a date (YYYY-MM-DD, UTC). Users who blocked the bot or are banned are never included.
+ * Messages are { "<language>": { text, entities } } and must include default_language.
+ */
+
+const express = require('express');
+const broadcastModel = require('../models/broadcast-model');
+const { requireAdmin } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+const { sendValidationError } = require('../utils/validation');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } = require('../config/languages');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const STATUSES = ['sending', 'completed', 'cancelled'];
+const RESULT_STATUSES = ['sent', 'failed', 'skipped'];
+// Telegram's limits for one text message
+const MAX_TEXT_LENGTH = 4096;
+const MAX_ENTITIES = 100;
+const ENTITY_FIELDS = ['type', 'offset', 'length', 'url', 'user', 'language', 'custom_emoji_id'];
+const MAX_PAGE_SIZE = 100;
+const MAX_CLAIM_SIZE = 100;
+const DEFAULT_CLAIM_SIZE = 50;
+// A claimed batch not reported within this time is considered abandoned
+const ABANDONED_CLAIM_SECONDS = 300;
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Broadcast not found',
+  message: 'The requested broadcast does not exist'
+});
+
+// A real calendar day in YYYY-MM-DD form
+const isDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+  && new Date(value).toISOString().slice(0, 10) === value;
+
+/**
+ * Validate a segment
+ * @returns {Object|undefined} Normalized { languages, is_premium, created_after }
+ */
+const readSegment = (segment, errors) => {
+  if (segment === undefined || segment === null) {
+    return { languages: null, is_premium: null, created_after: null };
+  }
+  if (typeof segment !== 'object' || Array.isArray(segment)) {
+    errors.push('segment must be an object');
+    return undefined;
+  }
+
+  const { languages = null, is_premium: isPremium = null, created_after: createdAfter = null } = segment;
+  if (languages !== null && (!Array.isArray(languages) || languages.length === 0
+    || !languages.every((language) => SUPPORTED_LANGUAGES.includes(language)))) {
+    errors.push(`segment.languages must be a non-empty list of ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+  if (isPremium !== null && typeof isPremium !== 'boolean') {
+    errors.push('segment.is_premium must be a boolean');
+  }
+  if (createdAfter !== null && !isDate(createdAfter)) {
+    errors.push('segment.created_after must be a date (YYYY-MM-DD)');
+  }
+  return { languages: languages && [...new Set(languages)], is_premium: isPremium, created_after: createdAfter };
+};
+
+/**
+ * Validate the messages per language
+ * @returns {Object|undefined} { "<language>": { text, entities } }
+ */
+const readMessages = (messages, defaultLanguage, errors) => {
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+    errors.push('messages must be an object keyed by language code');
+    return undefined;
+  }
+
+  const normalized = {};
+  for (const [language, message] of Object.entries(messages)) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      errors.push(`messages.${language} is not a supported language`);
+      continue;
+    }
+    const { text, entities = [] } = message || {};
+    if (typeof text !== 'string' || text.trim().length === 0 || text.length > MAX_TEXT_LENGTH) {
+      errors.push(`messages.${language}.text must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`);
+      continue;
+    }
+    const validEntities = Array.isArray(entities) && entities.length <= MAX_ENTITIES && entities.every((entity) => (
+      entity && typeof entity.type === 'string'
+      && Number.isInteger(entity.offset) && entity.offset >= 0
+      && Number.isInteger(entity.length) && entity.length > 0
+      && entity.offset + entity.length <= text.length
+    ));
+    if (!validEntities) {
+      errors.push(`messages.${language}.entities must be at most ${MAX_ENTITIES} Telegram message entities within the text`);
+      continue;
+    }
+    normalized[language] = {
+      text,
+      entities: entities.map((entity) => Object.fromEntries(
+        ENTITY_FIELDS.filter((field) => entity[field] !== undefined).map((field) => [field, entity[field]])
+      ))
+    };
+  }
+
+  if (errors.length === 0 && !normalized[defaultLanguage]) {
+    errors.push(`messages must include the default language (${defaultLanguage})`);
+  }
+  return normalized;
+};
+
+router.use(requireAdmin);
+
+router.post('/segment', async (req, res) => {
+  try {
+    const errors = [];
+    const segment = readSegment(req.body.segment, errors);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    res.json({ segment, ...await broadcastModel.countSegment(segment) });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/admin/broadcasts/segment');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const errors = [];
+    const defaultLanguage = req.body.default_language || DEFAULT_LANGUAGE;
+    if (!SUPPORTED_LANGUAGES.includes(defaultLanguage)) {
+      errors.push(`default_language must be one of ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+    const segment = readSegment(req.body.segment, errors);
+    const messages = readMessages(req.body.messages, defaultLanguage, errors);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    // The bot creates broadcasts on behalf of the admin in the chat
+    const userIdHeader = req.service && req.get('X-Telegram-User-Id');
+    const createdBy = userIdHeader && ID_PATTERN.test(userIdHeader) ? userIdHeader : null;
+
+    const broadcast = await broadcastModel.createBroadcast(createdBy, {
+      messages,
+      default_language: defaultLanguage,
+      segment
+    });
+    logger.info('Broadcast created', { broadcast_id: broadcast.id, created_by: createdBy || 'admin token', recipients: broadcast.total_recipients });
+    res.status(201).json(broadcast);
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/admin/broadcasts');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const errors = [];
+    if (status !== undefined && !STATUSES.includes(status)) {
+      errors.push(`status must be one of ${STATUSES.join(', ')}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push('offset must be a non-negative integer');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const broadcasts = await broadcastModel.listBroadcasts({ status, limit, offset });
+    res.json({ broadcasts });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/admin/broadcasts');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const broadcast = ID_PATTERN.test(req.params.id) ? await broadcastModel.findBroadcast(req.params.id) : null;
+    if (!broadcast) {
+      return sendNotFound(res);
+    }
+    res.json(broadcast);
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/admin/broadcasts/:id');
+  }
+});
+
+router.post('/:id/claim', async (req, res) => {
+  try {
+    const limit = req.body.limit === undefined ? DEFAULT_CLAIM_SIZE : req.body.limit;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CLAIM_SIZE) {
+      return sendValidationError(res, [`limit must be an integer between 1 and ${MAX_CLAIM_SIZE}`]);
+    }
+    if (!ID_PATTERN.test(req.params.id) || !await broadcastModel.findBroadcast(req.params.id)) {
+      return sendNotFound(res);
+    }
+
+    const recipients = await broadcastModel.claimRecipients(req.params.id, limit, ABANDONED_CLAIM_SECONDS);
+    res.json({ recipients, broadcast: await broadcastModel.findBroadcast(req.params.id) });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/admin/broadcasts/:id/claim');
+  }
+});
+
+router.post('/:id/results', async (req, res) => {
+  try {
+    const { results } = req.body;
+    const validResults = Array.isArray(results) && results.length <= MAX_CLAIM_SIZE && results.every((result) => (
+      result && ID_PATTERN.test(String(result.user_id)) && RESULT_STATUSES.includes(result.status)
+      && (result.message_id === undefined || result.message_id === null || Number.isSafeInteger(result.message_id))
+      && (result.error === undefined || result.error === null || typeof result.error === 'string')
+    ));
+    if (!validResults) {
+      return sendValidationError(res, [
+        `results must be at most ${MAX_CLAIM_SIZE} items of { user_id, status (${RESULT_STATUSES.join(', ')}), message_id?, error? }`
+      ]);
+    }
+    if (!ID_PATTERN.test(req.params.id) || !await broadcastModel.findBroadcast(req.params.id)) {
+      return sendNotFound(res);
+    }
+
+    const updated = await broadcastModel.recordResults(req.params.id, results.map((result) => ({
+      ...result,
+      user_id: String(result.user_id),
+      error: result.error ? result.error.slice(0, 500) : null
+    })));
+    const broadcast = await broadcastModel.findBroadcast(req.params.id);
+    if (broadcast.status === 'completed' && updated > 0) {
+      logger.info('Broadcast completed', {
+        broadcast_id: broadcast.id,
+        sent: broadcast.sent_count,
+        failed: broadcast.failed_count,
+        skipped: broadcast.skipped_count
+      });
+    }
+    res.json({ updated, broadcast });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/admin/broadcasts/:id/results');
+  }
+});
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const broadcast = ID_PATTERN.test(req.params.id) ? await broadcastModel.findBroadcast(req.params.id) : null;
+    if (!broadcast) {
+      return sendNotFound(res);
+    }
+    if (!await broadcastModel.cancelBroadcast(req.params.id)) {
+      return res.status(409).json({
+        error: 'Broadcast not sending',
+        message: `The broadcast is already ${broadcast.status}`
+      });
+    }
+
+    logger.info('Broadcast cancelled', { broadcast_id: req.params.id });
+    res.json(await broadcastModel.findBroadcast(req.params.id));
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/admin/broadcasts/:id/cancel');
+  }
+});
+
+module.exports = router;
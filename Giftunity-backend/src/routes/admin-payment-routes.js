@@ -0,0 +1,208 @@
+/**
+ * Payment Admin Routes
+ * Giftunity Backend Service
+ *
+ * GET  /api/admin/payments                      List payments (?pool_id, ?user_id, ?limit, ?offset)
+ * POST /api/admin/payments/:chargeId/refund     Refund a Telegram Stars payment
+ * GET  /api/admin/payments/reconciliation       Compare the ledger with Telegram's Stars transactions
+ *
+ * Admin only: X-Admin-Token or a signed service request (see middleware/service-auth.js).
+ *
+ * A refund is sent to Telegram first and recorded afterwards; a payment Telegram
+ * reports as CHARGE_ALREADY_REFUNDED is recorded as refunded too, so a refund
+ * whose recording failed can simply be retried.
+ *
+ * Reconciliation pages through getStarTransactions and reports Telegram charges
+ * missing from the ledger, recorded payments Telegram does not know, amount
+ * and refund state differences, and the ledger's own invariants (see
+ * models/payment-model.js checkLedger). Payments missing at Telegram are only
+ * reported when the whole transaction history was read.
+ */
+
+const express = require('express');
+const paymentModel = require('../models/payment-model');
+const telegramAPI = require('../services/telegram-api');
+const { requireAdmin } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+const { sendValidationError } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const STARS_CURRENCY = 'XTR';
+const MAX_PAGE_SIZE = 200;
+const TRANSACTIONS_PAGE_SIZE = 100;
+// Upper bound on one reconciliation run (TRANSACTIONS_PAGE_SIZE transactions per page)
+const MAX_TRANSACTION_PAGES = 50;
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Payment not found',
+  message: 'No payment with this telegram_payment_charge_id was recorded'
+});
+
+/**
+ * Read Telegram's Stars transactions
+ * @returns {Promise<Object>} { transactions, complete } where complete is false when
+ *   MAX_TRANSACTION_PAGES was reached before the end of the history
+ */
+const fetchStarTransactions = async () => {
+  const transactions = [];
+  for (let page = 0; page < MAX_TRANSACTION_PAGES; page += 1) {
+    const { transactions: batch } = await telegramAPI.getStarTransactions(transactions.length, TRANSACTIONS_PAGE_SIZE);
+    transactions.push(...batch);
+    if (batch.length < TRANSACTIONS_PAGE_SIZE) {
+      return { transactions, complete: true };
+    }
+  }
+  return { transactions, complete: false };
+};
+
+// Incoming invoice payments from users; their id is the telegram_payment_charge_id
+const isUserCharge = (transaction) => Boolean(transaction.source && transaction.source.type === 'user'
+  && (!transaction.source.transaction_type || transaction.source.transaction_type === 'invoice_payment'));
+
+// Refunds to users; their id is the id of the refunded charge
+const isUserRefund = (transaction) => Boolean(transaction.receiver && transaction.receiver.type === 'user');
+
+router.use(requireAdmin);
+
+router.get('/', async (req, res) => {
+  try {
+    const { pool_id: poolId, user_id: userId } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const errors = [];
+    if (poolId !== undefined && !ID_PATTERN.test(poolId)) {
+      errors.push('pool_id must be a pool id');
+    }
+    if (userId !== undefined && !ID_PATTERN.test(userId)) {
+      errors.push('user_id must be a Telegram user id');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push('offset must be a non-negative integer');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const payments = await paymentModel.listPayments({ poolId, userId, limit, offset });
+    res.json({ payments });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/admin/payments');
+  }
+});
+
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const { transactions, complete } = await fetchStarTransactions();
+    const payments = await paymentModel.listPaymentsByCurrency(STARS_CURRENCY);
+    const ledger = await paymentModel.checkLedger();
+
+    const charges = new Map(transactions.filter(isUserCharge).map((transaction) => [transaction.id, transaction]));
+    const refundedIds = new Set(transactions.filter(isUserRefund).map((transaction) => transaction.id));
+    const recordedIds = new Set(payments.map((payment) => payment.telegram_payment_charge_id));
+
+    const missingLocally = [...charges.values()]
+      .filter((transaction) => !recordedIds.has(transaction.id))
+      .map((transaction) => ({
+        telegram_payment_charge_id: transaction.id,
+        amount: transaction.amount,
+        user_id: String(transaction.source.user.id),
+        invoice_payload: transaction.source.invoice_payload || null,
+        date: new Date(transaction.date * 1000).toISOString()
+      }));
+
+    const missingAtTelegram = [];
+    const amountMismatches = [];
+    const refundMismatches = [];
+    payments.forEach((payment) => {
+      const chargeId = payment.telegram_payment_charge_id;
+      const charge = charges.get(chargeId);
+      if (!charge) {
+        if (complete) {
+          missingAtTelegram.push({ telegram_payment_charge_id: chargeId, amount: Number(payment.amount), status: payment.status });
+        }
+        return;
+      }
+      if (Number(payment.amount) !== charge.amount) {
+        amountMismatches.push({ telegram_payment_charge_id: chargeId, recorded_amount: Number(payment.amount), telegram_amount: charge.amount });
+      }
+      if ((payment.status === 'refunded') !== refundedIds.has(chargeId)) {
+        refundMismatches.push({ telegram_payment_charge_id: chargeId, recorded_status: payment.status, refunded_at_telegram: refundedIds.has(chargeId) });
+      }
+    });
+
+    const consistent = [missingLocally, missingAtTelegram, amountMismatches, refundMismatches,
+      ledger.imbalances, ledger.missing_entries].every((issues) => issues.length === 0);
+    if (!consistent) {
+      logger.warn('Payment reconciliation found differences between the ledger and Telegram');
+    }
+
+    res.json({
+      consistent,
+      complete,
+      checked_at: new Date().toISOString(),
+      telegram_transactions: transactions.length,
+      recorded_payments: payments.length,
+      missing_locally: missingLocally,
+      missing_at_telegram: missingAtTelegram,
+      amount_mismatches: amountMismatches,
+      refund_mismatches: refundMismatches,
+      ledger
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/admin/payments/reconciliation');
+  }
+});
+
+router.post('/:chargeId/refund', async (req, res) => {
+  try {
+    const payment = await paymentModel.findPayment(req.params.chargeId);
+    if (!payment) {
+      return sendNotFound(res);
+    }
+    if (payment.status === 'refunded') {
+      return res.status(409).json({
+        error: 'Already refunded',
+        message: 'This payment has already been refunded'
+      });
+    }
+    if (payment.currency !== STARS_CURRENCY) {
+      return res.status(409).json({
+        error: 'Unsupported currency',
+        message: `Only Telegram Stars (${STARS_CURRENCY}) payments can be refunded here`
+      });
+    }
+
+    try {
+      await telegramAPI.refundStarPayment(payment.user_id, payment.telegram_payment_charge_id);
+    } catch (error) {
+      if (!(error.name === 'TelegramAPIError' && /CHARGE_ALREADY_REFUNDED/.test(error.description))) {
+        throw error;
+      }
+    }
+
+    const refunded = await paymentModel.recordRefund(payment.telegram_payment_charge_id);
+    if (!refunded) {
+      return res.status(409).json({
+        error: 'Already refunded',
+        message: 'This payment has already been refunded'
+      });
+    }
+    logger.info('Refunded payment', {
+      user_id: refunded.user_id,
+      amount: refunded.amount,
+      currency: refunded.currency,
+      charge_id: refunded.telegram_payment_charge_id
+    });
+    res.json(refunded);
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/admin/payments/:chargeId/refund');
+  }
+});
+
+module.exports = router;
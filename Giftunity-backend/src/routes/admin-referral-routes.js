@@ -0,0 +1,54 @@
+/**
+ * Referral Admin Routes
+ * Giftunity Backend Service
+ *
+ * GET /api/admin/referrals    Referrals and conversions per inviter (?inviter_id, ?limit, ?offset)
+ *
+ * Admin only: X-Admin-Token or a signed service request (see middleware/service-auth.js).
+ *
+ * For each user whose links were opened: referrals (distinct invitee and
+ * link pairs), distinct invitees, conversions (referrals that brought in a
+ * new user) split by link type, and the time of the latest referral. Sorted by
+ * conversions, then referrals.
+ */
+
+const express = require('express');
+const referralModel = require('../models/referral-model');
+const { requireAdmin } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+const { sendValidationError } = require('../utils/validation');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const MAX_PAGE_SIZE = 200;
+
+router.use(requireAdmin);
+
+router.get('/', async (req, res) => {
+  try {
+    const { inviter_id: inviterId } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const errors = [];
+    if (inviterId !== undefined && !ID_PATTERN.test(inviterId)) {
+      errors.push('inviter_id must be a Telegram user id');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push('offset must be a non-negative integer');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const inviters = await referralModel.listConversions({ inviterId, limit, offset });
+    res.json({ inviters });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/admin/referrals');
+  }
+});
+
+module.exports = router;
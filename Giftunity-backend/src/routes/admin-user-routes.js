@@ -0,0 +1,136 @@
+/**
+ * User Admin Routes
+ * Giftunity Backend Service
+ *
+ * GET    /api/admin/users/banned       List banned users (?limit, ?offset)
+ * PUT    /api/admin/users/:id/ban      Ban a user ({ reason } optional)
+ * DELETE /api/admin/users/:id/ban      Lift a ban
+ * GET    /api/admin/users/:id/profile-history
+ *                                      Changes to the user's Telegram profile, newest first (?limit, ?offset)
+ *
+ * Admin only: X-Admin-Token or a signed service request (see middleware/service-auth.js).
+ *
+ * Banned users get 403 from every user-scoped route (middleware/require-user.js),
+ * from POST /api/user/findOrCreate and from Mini App sign-in; the bot tells
+ * them once and ignores them afterwards. Reminders and broadcasts skip them.
+ */
+
+const express = require('express');
+const userModel = require('../models/user-model');
+const { requireAdmin } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+const { sendValidationError } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const MAX_PAGE_SIZE = 200;
+const MAX_REASON_LENGTH = 500;
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'User not found',
+  message: 'The requested user does not exist'
+});
+
+/**
+ * Read ?limit and ?offset, adding problems to errors
+ * @returns {Object} { limit, offset }
+ */
+const parsePage = (query, errors) => {
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.push('offset must be a non-negative integer');
+  }
+  return { limit, offset };
+};
+
+router.use(requireAdmin);
+
+router.get('/banned', async (req, res) => {
+  try {
+    const errors = [];
+    const { limit, offset } = parsePage(req.query, errors);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const users = await userModel.listBannedUsers({ limit, offset });
+    res.json({ users });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/admin/users/banned');
+  }
+});
+
+router.put('/:id/ban', async (req, res) => {
+  try {
+    const { reason = null } = req.body;
+    const errors = [];
+    if (!ID_PATTERN.test(req.params.id)) {
+      errors.push('id must be a Telegram user id');
+    }
+    if (reason !== null && (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > MAX_REASON_LENGTH)) {
+      errors.push(`reason must be a non-empty string of at most ${MAX_REASON_LENGTH} characters`);
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const user = await userModel.setBanned(req.params.id, true, reason && reason.trim());
+    if (!user) {
+      return sendNotFound(res);
+    }
+
+    logger.info('Banned user', { user_id: user.id });
+    res.json(user);
+  } catch (error) {
+    handleRouteError(res, error, 'PUT /api/admin/users/:id/ban');
+  }
+});
+
+router.delete('/:id/ban', async (req, res) => {
+  try {
+    if (!ID_PATTERN.test(req.params.id)) {
+      return sendValidationError(res, ['id must be a Telegram user id']);
+    }
+
+    const user = await userModel.setBanned(req.params.id, false);
+    if (!user) {
+      return sendNotFound(res);
+    }
+
+    logger.info('Unbanned user', { user_id: user.id });
+    res.json(user);
+  } catch (error) {
+    handleRouteError(res, error, 'DELETE /api/admin/users/:id/ban');
+  }
+});
+
+router.get('/:id/profile-history', async (req, res) => {
+  try {
+    const errors = [];
+    if (!ID_PATTERN.test(req.params.id)) {
+      errors.push('id must be a Telegram user id');
+    }
+    const { limit, offset } = parsePage(req.query, errors);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const user = await userModel.findUser(req.params.id);
+    if (!user) {
+      return sendNotFound(res);
+    }
+
+    const changes = await userModel.listProfileHistory(req.params.id, { limit, offset });
+    res.json({ user_id: user.id, changes });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/admin/users/:id/profile-history');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Authentication API Routes
+ * Giftunity Backend Service
+ *
+ * POST /api/auth/telegram    Exchange Telegram Mini App initData for a session token
+ * GET  /api/auth/session     Describe the current session and user
+ *
+ * Clients send the token as "Authorization: Bearer <token>" on protected routes.
+ * Banned users get 403 instead of a token.
+ */
+
+const express = require('express');
+const authService = require('../services/auth-service');
+const userModel = require('../models/user-model');
+const { requireUser, sendUserBanned } = require('../middleware/require-user');
+const { handleRouteError } = require('../middleware/error-handler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.post('/telegram', async (req, res) => {
+  try {
+    const { user: telegramUser } = authService.verifyInitData(req.body.initData);
+
+    // Mini App users are always humans; initData carries no is_bot flag
+    const { user, created } = await userModel.findOrCreateUser({ is_bot: false, ...telegramUser });
+    if (user.banned_at) {
+      return sendUserBanned(res);
+    }
+    const { token, expiresAt } = authService.issueSessionToken(user.id);
+
+    logger.info('Issued session', { user_id: user.id, new_user: created });
+    res.status(created ? 201 : 200).json({
+      token,
+      token_type: 'Bearer',
+      expires_at: expiresAt,
+      user
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/auth/telegram');
+  }
+});
+
+router.get('/session', requireUser, async (req, res) => {
+  try {
+    const user = await userModel.findUser(req.userId);
+    res.json({
+      user,
+      auth: req.auth
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/auth/session');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+/**
+ * Gift Pool API Routes
+ * Giftunity Backend Service
+ *
+ * GET  /api/pools                        List the user's pools (organized or joined)
+ * POST /api/pools                        Create a pool
+ * GET  /api/pools/:id                    Get a pool, with its participants for members
+ * POST /api/pools/:id/join               Join a pool
+ * PUT  /api/pools/:id/pledge             Set the user's pledge
+ * POST /api/pools/:id/close              Close a pool (organizer only)
+ * PUT  /api/pools/:id/progress-message   Record the bot's progress message (service only)
+ *
+ * All routes require the acting user (see middleware/require-user.js). Any user
+ * may view, join and pledge to an open pool they know the id of; pools are meant
+ * to be shared in group chats. Who contributed how much is only listed to the
+ * organizer and the participants; anyone else gets the totals and an empty
+ * contributions list. Amounts are integer minor units of the pool's
+ * currency. A pledge replaces the user's previous pledge.
+ *
+ * Tying a pool to a Telegram chat (chat_id on create, ?chat_id= on list) is only
+ * available to signed service requests, since only the bot knows which chat a
+ * command came from.
+ */
+
+const express = require('express');
+const giftPoolModel = require('../models/gift-pool-model');
+const { requireUser } = require('../middleware/require-user');
+const { requireService } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+const { readText, readInteger, readCurrency, sendValidationError } = require('../utils/validation');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } = require('../config/languages');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const CHAT_ID_PATTERN = /^-?[1-9]\d{0,18}$/;
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Validate pool input
+ * @param {Object} body - Request body
+ * @param {boolean} isService - Whether the request is a signed service request
+ * @returns {Object} { data, errors }
+ */
+const validatePool = (body, isService) => {
+  const errors = [];
+  const data = {
+    title: readText(body, 'title', errors, { required: true, maxLength: MAX_TITLE_LENGTH }),
+    description: readText(body, 'description', errors),
+    target_amount: readInteger(body, 'target_amount', errors, { required: true, min: 1 }),
+    currency: readCurrency(body, 'currency', errors, { required: true })
+  };
+
+  if (body.deadline !== undefined && body.deadline !== null) {
+    const deadline = new Date(body.deadline);
+    if (typeof body.deadline !== 'string' || Number.isNaN(deadline.getTime())) {
+      errors.push('deadline must be an ISO 8601 date-time');
+    } else if (deadline <= new Date()) {
+      errors.push('deadline must be in the future');
+    } else {
+      data.deadline = deadline.toISOString();
+    }
+  }
+
+  const language = body.language ?? DEFAULT_LANGUAGE;
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  } else {
+    data.language = language;
+  }
+
+  if (body.chat_id !== undefined && body.chat_id !== null) {
+    if (!isService) {
+      errors.push('chat_id can only be set by internal services');
+    } else if (!CHAT_ID_PATTERN.test(String(body.chat_id))) {
+      errors.push('chat_id must be a Telegram chat id');
+    } else {
+      data.chat_id = String(body.chat_id);
+    }
+  }
+
+  return { data, errors };
+};
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Pool not found',
+  message: 'The requested pool does not exist'
+});
+
+/**
+ * Explain why a pool did not accept a participant or pledge
+ * @param {Object} res - Express response
+ * @param {string} poolId - Pool id
+ */
+const sendNotAccepting = async (res, poolId) => {
+  const pool = await giftPoolModel.findPool(poolId);
+  if (!pool) {
+    return sendNotFound(res);
+  }
+  if (pool.status !== 'open') {
+    return res.status(409).json({
+      error: 'Pool closed',
+      message: 'This pool is closed and no longer accepts pledges'
+    });
+  }
+  res.status(409).json({
+    error: 'Pool deadline passed',
+    message: 'The deadline of this pool has passed'
+  });
+};
+
+router.use(requireUser);
+
+router.param('id', (req, res, next, id) => (ID_PATTERN.test(id) ? next() : sendNotFound(res)));
+
+router.get('/', async (req, res) => {
+  try {
+    const chatId = req.query.chat_id;
+    if (chatId !== undefined) {
+      if (!req.service) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Listing pools by chat is only available to internal services'
+        });
+      }
+      if (!CHAT_ID_PATTERN.test(chatId)) {
+        return sendValidationError(res, ['chat_id must be a Telegram chat id']);
+      }
+    }
+
+    const pools = await giftPoolModel.listPools(req.userId, { chatId });
+    res.json({ pools });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/pools');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { data, errors } = validatePool(req.body, Boolean(req.service));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const pool = await giftPoolModel.createPool(req.userId, data);
+    logger.info('Gift pool created', { user_id: req.userId, pool_id: pool.id });
+    res.status(201).json(pool);
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/pools');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const pool = await giftPoolModel.findPool(req.params.id);
+    if (!pool) {
+      return sendNotFound(res);
+    }
+
+    const contributions = await giftPoolModel.listContributions(req.params.id);
+    const userId = String(req.userId);
+    const isMember = pool.organizer_id === userId || contributions.some((contribution) => contribution.user_id === userId);
+    res.json({ ...pool, contributions: isMember ? contributions : [] });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/pools/:id');
+  }
+});
+
+router.post('/:id/join', async (req, res) => {
+  try {
+    const joined = await giftPoolModel.joinPool(req.params.id, req.userId);
+    if (!joined) {
+      return sendNotAccepting(res, req.params.id);
+    }
+
+    const pool = await giftPoolModel.findPool(req.params.id);
+    res.status(joined.created ? 201 : 200).json({ pool, contribution: joined.contribution });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/pools/:id/join');
+  }
+});
+
+router.put('/:id/pledge', async (req, res) => {
+  try {
+    const errors = [];
+    const amount = readInteger(req.body, 'amount', errors, { required: true, min: 0 });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const contribution = await giftPoolModel.pledge(req.params.id, req.userId, amount);
+    if (!contribution) {
+      return sendNotAccepting(res, req.params.id);
+    }
+
+    const pool = await giftPoolModel.findPool(req.params.id);
+    logger.info('Pledged to gift pool', { user_id: req.userId, pool_id: pool.id, amount, currency: pool.currency });
+    res.json({ pool, contribution });
+  } catch (error) {
+    handleRouteError(res, error, 'PUT /api/pools/:id/pledge');
+  }
+});
+
+router.post('/:id/close', async (req, res) => {
+  try {
+    const pool = await giftPoolModel.closePool(req.userId, req.params.id);
+    if (pool) {
+      logger.info('Gift pool closed', { user_id: req.userId, pool_id: pool.id });
+      return res.json(pool);
+    }
+
+    const existing = await giftPoolModel.findPool(req.params.id);
+    if (!existing) {
+      return sendNotFound(res);
+    }
+    if (existing.organizer_id !== req.userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the organizer can close this pool'
+      });
+    }
+    res.status(409).json({
+      error: 'Pool closed',
+      message: 'This pool is already closed'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/pools/:id/close');
+  }
+});
+
+router.put('/:id/progress-message', requireService, async (req, res) => {
+  try {
+    const { chat_id: chatId, message_id: messageId } = req.body;
+    const errors = [];
+    if (!CHAT_ID_PATTERN.test(String(chatId))) {
+      errors.push('chat_id must be a Telegram chat id');
+    }
+    if (!ID_PATTERN.test(String(messageId))) {
+      errors.push('message_id must be a Telegram message id');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const pool = await giftPoolModel.setProgressMessage(req.params.id, String(chatId), String(messageId));
+    if (!pool) {
+      return sendNotFound(res);
+    }
+    res.json(pool);
+  } catch (error) {
+    handleRouteError(res, error, 'PUT /api/pools/:id/progress-message');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * Occasion API Routes
+ * Giftunity Backend Service
+ *
+ * GET    /api/occasions        List the user's occasions
+ * POST   /api/occasions        Create an occasion
+ * GET    /api/occasions/:id    Get an occasion
+ * PATCH  /api/occasions/:id    Update an occasion
+ * DELETE /api/occasions/:id    Delete an occasion
+ *
+ * An occasion is a calendar date (month, day and optionally the year it first
+ * happened) that recurs yearly or happens once. Its owner is reminded
+ * remind_days_before days ahead, in the occasion's timezone, which defaults to
+ * the user's (users.timezone). next_occurrence_on and next_remind_at are computed
+ * by the backend (see services/reminder-service.js) and are read-only.
+ *
+ * All routes require the acting user (see middleware/require-user.js) and only
+ * touch occasions owned by that user.
+ */
+
+const express = require('express');
+const occasionModel = require('../models/occasion-model');
+const userModel = require('../models/user-model');
+const reminderService = require('../services/reminder-service');
+const { requireUser } = require('../middleware/require-user');
+const { handleRouteError } = require('../middleware/error-handler');
+const { readText, readInteger, sendValidationError } = require('../utils/validation');
+const { isValidTimeZone, daysInMonth } = require('../utils/zoned-time');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const MAX_TITLE_LENGTH = 200;
+const RECURRENCES = ['yearly', 'once'];
+// February 29 is a valid yearly date, so days are checked against a leap year when no year is given
+const LEAP_YEAR = 2000;
+
+/**
+ * Validate occasion input
+ * @param {Object} body - Request body
+ * @param {Object} defaults - Values for fields missing from body (the stored occasion on PATCH)
+ * @returns {Object} { data, errors } with data holding every field
+ */
+const validateOccasion = (body, defaults) => {
+  const errors = [];
+  // Fields missing from the body keep their default; without one the reader reports them as required
+  const read = (field, reader) => (body[field] === undefined && defaults[field] !== undefined ? defaults[field] : reader());
+
+  const data = {
+    title: read('title', () => readText(body, 'title', errors, { required: true, maxLength: MAX_TITLE_LENGTH })),
+    month: read('month', () => readInteger(body, 'month', errors, { required: true, min: 1, max: 12 })),
+    day: read('day', () => readInteger(body, 'day', errors, { required: true, min: 1, max: 31 })),
+    year: read('year', () => readInteger(body, 'year', errors, { min: 1900, max: 2200 })) ?? null,
+    recurrence: read('recurrence', () => body.recurrence),
+    timezone: read('timezone', () => body.timezone),
+    remind_days_before: read('remind_days_before', () => readInteger(body, 'remind_days_before', errors, { required: true, min: 0, max: 60 }))
+  };
+
+  if (!RECURRENCES.includes(data.recurrence)) {
+    errors.push(`recurrence must be one of: ${RECURRENCES.join(', ')}`);
+  } else if (data.recurrence === 'once' && data.year === null) {
+    errors.push('year is required for occasions that happen once');
+  }
+  if (!isValidTimeZone(data.timezone)) {
+    errors.push('timezone must be an IANA timezone such as Europe/Berlin or Asia/Tehran');
+  }
+  if (Number.isInteger(data.month) && Number.isInteger(data.day)
+    && data.day > daysInMonth(data.year || LEAP_YEAR, data.month)) {
+    errors.push('day does not exist in that month');
+  }
+
+  return { data, errors };
+};
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Occasion not found',
+  message: 'The requested occasion does not exist'
+});
+
+router.use(requireUser);
+
+router.param('id', (req, res, next, id) => (ID_PATTERN.test(id) ? next() : sendNotFound(res)));
+
+router.get('/', async (req, res) => {
+  try {
+    const occasions = await occasionModel.listOccasions(req.userId);
+    res.json({ occasions });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/occasions');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const user = await userModel.findUser(req.userId);
+    const { data, errors } = validateOccasion(req.body, {
+      recurrence: 'yearly',
+      timezone: user.timezone,
+      remind_days_before: 3
+    });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const occasion = await occasionModel.createOccasion(req.userId, {
+      ...data,
+      ...reminderService.scheduleOccasion(data)
+    });
+    logger.info('Occasion created', { user_id: req.userId, occasion_id: occasion.id, next_remind_at: occasion.next_remind_at });
+    res.status(201).json(occasion);
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/occasions');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const occasion = await occasionModel.findOccasion(req.userId, req.params.id);
+    if (!occasion) {
+      return sendNotFound(res);
+    }
+    res.json(occasion);
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/occasions/:id');
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const existing = await occasionModel.findOccasion(req.userId, req.params.id);
+    if (!existing) {
+      return sendNotFound(res);
+    }
+
+    const { data, errors } = validateOccasion(req.body, existing);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    // Occurrences already reminded of are not reminded again (one reminder per occurrence)
+    const occasion = await occasionModel.updateOccasion(req.userId, req.params.id, {
+      ...data,
+      ...reminderService.scheduleOccasion(data)
+    });
+    if (!occasion) {
+      return sendNotFound(res);
+    }
+    res.json(occasion);
+  } catch (error) {
+    handleRouteError(res, error, 'PATCH /api/occasions/:id');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await occasionModel.deleteOccasion(req.userId, req.params.id);
+    if (!deleted) {
+      return sendNotFound(res);
+    }
+    res.status(204).end();
+  } catch (error) {
+    handleRouteError(res, error, 'DELETE /api/occasions/:id');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+/**
+ * Payment API Routes
+ * Giftunity Backend Service
+ *
+ * POST /api/payments/invoices       Create an invoice for paying into a gift pool
+ * POST /api/payments/pre-checkout   Check a pre_checkout_query before the bot answers it
+ * POST /api/payments/charges        Record a successful_payment
+ *
+ * Called by the bot during Telegram's payment flow, so every route requires a
+ * signed service request acting for a user. Payments are in Telegram Stars
+ * (currency XTR, whole Stars) and fund gift pools whose currency is XTR.
+ *
+ * Pre-checkout always answers 200 with { ok } or { ok: false, reason }, reason
+ * being one of invoice_not_found, amount_mismatch or pool_not_accepting; the
+ * bot turns the reason into the error it shows in Telegram's payment form.
+ *
+ * Recording a charge is idempotent per telegram_payment_charge_id: 201 for a
+ * new payment, 200 when it was already recorded. Money Telegram has taken is
+ * always recorded, even if the pool closed in the meantime.
+ */
+
+const express = require('express');
+const paymentModel = require('../models/payment-model');
+const giftPoolModel = require('../models/gift-pool-model');
+const { requireUser } = require('../middleware/require-user');
+const { requireService } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+const { readText, readInteger, sendValidationError } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const STARS_CURRENCY = 'XTR';
+// Telegram's limit for the price of a single Stars invoice
+const MAX_INVOICE_STARS = 2500;
+const MAX_CHARGE_ID_LENGTH = 255;
+
+const isAccepting = (pool) => pool.status === 'open' && (!pool.deadline || new Date(pool.deadline) > new Date());
+
+/**
+ * Validate the payment fields Telegram sends with pre_checkout_query and successful_payment
+ * @param {Object} body - Request body
+ * @param {Array<string>} errors - Collected validation messages
+ * @returns {Object} { invoice_payload, currency, total_amount }
+ */
+const readPaymentFields = (body, errors) => {
+  const data = {
+    invoice_payload: readText(body, 'invoice_payload', errors, { required: true, maxLength: 128 }),
+    total_amount: readInteger(body, 'total_amount', errors, { required: true, min: 1 })
+  };
+  if (typeof body.currency !== 'string' || !/^[A-Z]{3}$/.test(body.currency)) {
+    errors.push('currency must be a 3-letter currency code');
+  } else {
+    data.currency = body.currency;
+  }
+  return data;
+};
+
+router.use(requireUser, requireService);
+
+router.post('/invoices', async (req, res) => {
+  try {
+    const errors = [];
+    const amount = readInteger(req.body, 'amount', errors, { required: true, min: 1, max: MAX_INVOICE_STARS });
+    if (!ID_PATTERN.test(String(req.body.pool_id))) {
+      errors.push('pool_id must be a pool id');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const pool = await giftPoolModel.findPool(String(req.body.pool_id));
+    if (!pool) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: 'The requested pool does not exist'
+      });
+    }
+    if (pool.currency !== STARS_CURRENCY) {
+      return res.status(409).json({
+        error: 'Unsupported currency',
+        message: `Only pools in Telegram Stars (${STARS_CURRENCY}) can be paid into`
+      });
+    }
+    if (!isAccepting(pool)) {
+      return res.status(409).json({
+        error: 'Pool not accepting',
+        message: 'This pool is closed or its deadline has passed'
+      });
+    }
+
+    const invoice = await paymentModel.createInvoice(req.userId, { pool_id: pool.id, amount, currency: STARS_CURRENCY });
+    res.status(201).json({ invoice, pool });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/payments/invoices');
+  }
+});
+
+router.post('/pre-checkout', async (req, res) => {
+  try {
+    const errors = [];
+    const payment = readPaymentFields(req.body, errors);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const invoice = await paymentModel.findInvoiceByPayload(payment.invoice_payload);
+    if (!invoice) {
+      return res.json({ ok: false, reason: 'invoice_not_found' });
+    }
+    if (invoice.currency !== payment.currency || Number(invoice.amount) !== payment.total_amount) {
+      return res.json({ ok: false, reason: 'amount_mismatch' });
+    }
+
+    const pool = invoice.pool_id ? await giftPoolModel.findPool(invoice.pool_id) : null;
+    if (!pool || !isAccepting(pool)) {
+      return res.json({ ok: false, reason: 'pool_not_accepting' });
+    }
+
+    res.json({ ok: true, invoice, pool });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/payments/pre-checkout');
+  }
+});
+
+router.post('/charges', async (req, res) => {
+  try {
+    const errors = [];
+    const payment = readPaymentFields(req.body, errors);
+    const chargeId = readText(req.body, 'telegram_payment_charge_id', errors, {
+      required: true,
+      maxLength: MAX_CHARGE_ID_LENGTH
+    });
+    const providerChargeId = readText(req.body, 'provider_payment_charge_id', errors, {
+      maxLength: MAX_CHARGE_ID_LENGTH
+    });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const { payment: recorded, created } = await paymentModel.recordCharge(req.userId, {
+      invoice_payload: payment.invoice_payload,
+      amount: payment.total_amount,
+      currency: payment.currency,
+      telegram_payment_charge_id: chargeId,
+      provider_payment_charge_id: providerChargeId || null
+    });
+    if (created) {
+      logger.info('Payment recorded', {
+        user_id: req.userId,
+        amount: recorded.amount,
+        currency: recorded.currency,
+        charge_id: chargeId,
+        pool_id: recorded.pool_id
+      });
+    }
+
+    const pool = recorded.pool_id ? await giftPoolModel.findPool(recorded.pool_id) : null;
+    res.status(created ? 201 : 200).json({ payment: recorded, pool });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/payments/charges');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * Referral API Routes
+ * Giftunity Backend Service
+ *
+ * POST /api/referrals    Record that the acting user opened another user's link (service only)
+ *
+ * The bot verifies the signed /start payload of a deep link and reports who
+ * shared it ({ inviter_id, link_type, target_id, new_user }); the acting user
+ * (X-Telegram-User-Id) is the invitee. Opening the same link again answers
+ * 200 with the first record, a new referral 201. Links a user opens from
+ * themselves, and links from users who no longer exist, are not recorded (200
+ * with recorded: false). Conversions are reported by routes/admin-referral-routes.js.
+ */
+
+const express = require('express');
+const referralModel = require('../models/referral-model');
+const { requireUser } = require('../middleware/require-user');
+const { requireService } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+const { sendValidationError } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const LINK_TYPES = ['invite', 'wishlist', 'item', 'pool'];
+
+router.use(requireUser, requireService);
+
+router.post('/', async (req, res) => {
+  try {
+    const { inviter_id: inviterId, link_type: linkType, target_id: targetId = null, new_user: newUser } = req.body;
+    const errors = [];
+    if (!ID_PATTERN.test(String(inviterId))) {
+      errors.push('inviter_id must be a Telegram user id');
+    }
+    if (!LINK_TYPES.includes(linkType)) {
+      errors.push(`link_type must be one of: ${LINK_TYPES.join(', ')}`);
+    } else if (linkType === 'invite' ? targetId !== null : !ID_PATTERN.test(String(targetId))) {
+      errors.push('target_id must be an id, or null for invites');
+    }
+    if (typeof newUser !== 'boolean') {
+      errors.push('new_user must be a boolean');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (String(inviterId) === req.userId) {
+      return res.json({ recorded: false });
+    }
+    const result = await referralModel.recordReferral({
+      inviterId: String(inviterId),
+      inviteeId: req.userId,
+      linkType,
+      targetId: targetId === null ? null : String(targetId),
+      newUser
+    });
+    if (!result) {
+      return res.json({ recorded: false });
+    }
+
+    if (result.created) {
+      logger.info('Recorded referral', {
+        inviter_id: result.referral.inviter_id,
+        user_id: req.userId,
+        link_type: linkType,
+        new_user: newUser
+      });
+    }
+    res.status(result.created ? 201 : 200).json({ recorded: true, referral: result.referral });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/referrals');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * Bot Session API Routes
+ * Giftunity Backend Service
+ *
+ * GET    /api/sessions/:key    Get a session's data
+ * PUT    /api/sessions/:key    Create or replace a session
+ * DELETE /api/sessions/:key    Delete a session
+ *
+ * Storage for the bot's Telegraf sessions (wizard progress), so conversations
+ * survive bot restarts and are shared between bot instances. Internal only:
+ * every route requires a signed service request (see middleware/service-auth.js).
+ * The data is opaque to the backend and limited to MAX_SESSION_BYTES.
+ */
+
+const express = require('express');
+const sessionModel = require('../models/session-model');
+const { requireService } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+
+const router = express.Router();
+
+const KEY_PATTERN = /^[A-Za-z0-9:_-]{1,128}$/;
+// Room for a broadcast draft: a 4096-character message in each language
+const MAX_SESSION_BYTES = 128 * 1024;
+const DEFAULT_TTL_SECONDS = 86400;
+const MAX_TTL_SECONDS = 30 * 86400;
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Session not found',
+  message: 'The requested session does not exist or has expired'
+});
+
+router.use(requireService);
+
+router.param('key', (req, res, next, key) => {
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid session key',
+      message: 'Session keys are 1-128 characters of letters, digits, ":", "_" or "-"'
+    });
+  }
+  next();
+});
+
+router.get('/:key', async (req, res) => {
+  try {
+    const session = await sessionModel.findSession(req.params.key);
+    if (!session) {
+      return sendNotFound(res);
+    }
+    res.json({ key: session.session_key, data: session.data, expires_at: session.expires_at });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/sessions/:key');
+  }
+});
+
+router.put('/:key', async (req, res) => {
+  try {
+    const { data, ttl_seconds: ttlSeconds = DEFAULT_TTL_SECONDS } = req.body;
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push('data must be an object');
+    } else if (Buffer.byteLength(JSON.stringify(data)) > MAX_SESSION_BYTES) {
+      errors.push(`data must be at most ${MAX_SESSION_BYTES} bytes`);
+    }
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_TTL_SECONDS) {
+      errors.push(`ttl_seconds must be an integer between 1 and ${MAX_TTL_SECONDS}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    const session = await sessionModel.saveSession(req.params.key, data, ttlSeconds);
+    res.json({ key: session.session_key, data: session.data, expires_at: session.expires_at });
+  } catch (error) {
+    handleRouteError(res, error, 'PUT /api/sessions/:key');
+  }
+});
+
+router.delete('/:key', async (req, res) => {
+  try {
+    const deleted = await sessionModel.deleteSession(req.params.key);
+    if (!deleted) {
+      return sendNotFound(res);
+    }
+    res.status(204).end();
+  } catch (error) {
+    handleRouteError(res, error, 'DELETE /api/sessions/:key');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * Shared Wishlist API Routes
+ * Giftunity Backend Service
+ *
+ * POST   /api/shared/links                         Open a signed link to a wishlist or wish
+ * GET    /api/shared/wishlists/:id                 View someone's wishlist with its items
+ * GET    /api/shared/items/:itemId                 View a single wish with its wishlist
+ * POST   /api/shared/items/:itemId/reservation     Reserve a wish
+ * DELETE /api/shared/items/:itemId/reservation     Release your reservation
+ *
+ * Views for friends who open a wishlist or wish shared into a chat (inline
+ * query cards and their deep links). A friend first posts the link's signed
+ * payload (see utils/deep-link.js, shared by the owner) to /links, which makes
+ * them a viewer of its wishlist; only the owner and viewers get the wishlist,
+ * its wishes and reservations, everyone else 404. Owners manage their own
+ * wishlists through /api/wishlists. Item notes are private to the owner and
+ * not included.
+ *
+ * Friends can reserve a wish so nobody else buys it. Items show whether they
+ * are reserved and whether by the viewer, but never by whom; for the owner
+ * both fields are null (see models/reservation-model.js). Reserving answers
+ * 201 when the reservation is new, 200 when the viewer already holds it, 409
+ * when someone else does and 403 for the owner's own wishes.
+ */
+
+const express = require('express');
+const sharedWishlistModel = require('../models/shared-wishlist-model');
+const reservationModel = require('../models/reservation-model');
+const { requireUser } = require('../middleware/require-user');
+const { handleRouteError } = require('../middleware/error-handler');
+const { decodeDeepLink } = require('../utils/deep-link');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const SHARED_LINK_TYPES = ['wishlist', 'item'];
+
+const sendNotFound = (res, resource) => res.status(404).json({
+  error: `${resource} not found`,
+  message: `The requested ${resource.toLowerCase()} does not exist`
+});
+
+router.use(requireUser);
+
+router.param('id', (req, res, next, id) => (ID_PATTERN.test(id) ? next() : sendNotFound(res, 'Wishlist')));
+router.param('itemId', (req, res, next, id) => (ID_PATTERN.test(id) ? next() : sendNotFound(res, 'Wish item')));
+
+router.post('/links', async (req, res) => {
+  try {
+    const link = typeof req.body.link === 'string' ? decodeDeepLink(req.body.link) : null;
+    if (!link || !SHARED_LINK_TYPES.includes(link.type)) {
+      return sendNotFound(res, 'Link');
+    }
+    if (link.expired) {
+      return res.status(410).json({
+        error: 'Link expired',
+        message: 'This link has expired; ask for a new one'
+      });
+    }
+
+    const target = await sharedWishlistModel.grantLinkAccess(req.userId, link);
+    if (!target) {
+      return sendNotFound(res, 'Link');
+    }
+    res.json({ type: link.type, ...target });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/shared/links');
+  }
+});
+
+router.get('/wishlists/:id', async (req, res) => {
+  try {
+    const wishlist = await sharedWishlistModel.findSharedWishlist(req.params.id, req.userId);
+    if (!wishlist) {
+      return sendNotFound(res, 'Wishlist');
+    }
+
+    const items = await sharedWishlistModel.listSharedItems(req.params.id, req.userId);
+    res.json({ ...wishlist, items });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/shared/wishlists/:id');
+  }
+});
+
+router.get('/items/:itemId', async (req, res) => {
+  try {
+    const item = await sharedWishlistModel.findSharedItem(req.params.itemId, req.userId);
+    if (!item) {
+      return sendNotFound(res, 'Wish item');
+    }
+    res.json(item);
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/shared/items/:itemId');
+  }
+});
+
+router.post('/items/:itemId/reservation', async (req, res) => {
+  try {
+    const { status, reservation } = await reservationModel.reserveItem(req.params.itemId, req.userId);
+    if (status === 'not_found') {
+      return sendNotFound(res, 'Wish item');
+    }
+    if (status === 'own_item') {
+      return res.status(403).json({
+        error: 'Own wish',
+        message: 'You cannot reserve a wish from your own wishlist'
+      });
+    }
+    if (status === 'taken') {
+      return res.status(409).json({
+        error: 'Already reserved',
+        message: 'Someone else has already reserved this wish'
+      });
+    }
+
+    if (status === 'reserved') {
+      logger.info('Item reserved', { user_id: req.userId, item_id: req.params.itemId });
+    }
+    res.status(status === 'reserved' ? 201 : 200).json({ ...reservation, reserved: true, reserved_by_me: true });
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/shared/items/:itemId/reservation');
+  }
+});
+
+router.delete('/items/:itemId/reservation', async (req, res) => {
+  try {
+    const released = await reservationModel.releaseReservation(req.params.itemId, req.userId);
+    if (!released) {
+      return sendNotFound(res, 'Reservation');
+    }
+    logger.info('Reservation released', { user_id: req.userId, item_id: req.params.itemId });
+    res.status(204).end();
+  } catch (error) {
+    handleRouteError(res, error, 'DELETE /api/shared/items/:itemId/reservation');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Translation API Routes
+ * Giftunity Backend Service
+ *
+ * GET /api/translations            Supported languages
+ * GET /api/translations/report     Key-parity report for every bundle
+ * GET /api/translations/:lang      Message bundle for a BCP-47 language tag
+ *
+ * Bundles are served from memory by services/i18n-service.js. Missing keys are
+ * filled from the fallback chain, so clients always receive every key.
+ * Bundle responses carry an ETag; If-None-Match revalidation returns 304.
+ */
+
+const express = require('express');
+const i18nService = require('../services/i18n-service');
+const { DEFAULT_LANGUAGE, LANGUAGES, SUPPORTED_LANGUAGES } = require('../config/languages');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Clients may reuse a bundle for this long before revalidating with If-None-Match
+const BUNDLE_MAX_AGE_SECONDS = 300;
+
+/**
+ * Get supported languages endpoint
+ */
+router.get('/', (req, res) => {
+  res.json({
+    supportedLanguages: SUPPORTED_LANGUAGES,
+    languages: LANGUAGES,
+    defaultLanguage: DEFAULT_LANGUAGE
+  });
+});
+
+/**
+ * Key-parity report
+ * Lists, per language, keys missing compared to the default language, extra keys,
+ * placeholder mismatches and missing CLDR plural forms.
+ */
+router.get('/report', (req, res) => {
+  res.json({
+    referenceLanguage: DEFAULT_LANGUAGE,
+    languages: i18nService.getParityReport()
+  });
+});
+
+/**
+ * Message bundle for a language
+ * Regional tags (e.g. zh-Hans, pt-BR) resolve through the fallback chain;
+ * Content-Language reports the bundle that was actually served.
+ */
+router.get('/:lang', (req, res) => {
+  try {
+    const { lang } = req.params;
+
+    if (!i18nService.isValidLanguageTag(lang)) {
+      return res.status(400).json({
+        error: 'Invalid language code',
+        message: 'Language code must be a BCP-47 language tag (e.g. en, fa, zh-Hans, pt-BR)'
+      });
+    }
+
+    const { language, messages, etag } = i18nService.getBundle(lang);
+    res.set({
+      'Content-Language': language,
+      'Cache-Control': `public, max-age=${BUNDLE_MAX_AGE_SECONDS}`,
+      ETag: etag
+    });
+
+    // req.fresh compares If-None-Match with the ETag set above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.status(200).json(messages);
+  } catch (error) {
+    logger.error('Error in /api/translations/:lang', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to process translation request'
+    });
+  }
+});
+
+module.exports = router;
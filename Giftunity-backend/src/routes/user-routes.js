@@ -0,0 +1,166 @@
+/**
+ * User API Routes
+ * Giftunity Backend Service
+ *
+ * PATCH /api/users/:id/preferences    Update the user's preferences
+ * PUT   /api/users/:id/bot-blocked    Record whether the user blocked the bot (service only)
+ * GET   /api/users/:id/export         Download everything stored about the user (JSON)
+ * DELETE /api/users/:id                Erase the user's account and data
+ *
+ * Accepts preferred_language and/or timezone (IANA, used for new occasions).
+ * Users may only change their own preferences: :id must match the acting user
+ * (see middleware/require-user.js).
+ *
+ * The bot reports blocks when Telegram refuses a message with 403 or sends a
+ * my_chat_member update; backend-initiated messages skip blocked users.
+ *
+ * The export and the erasure implement the rights of access, portability and
+ * erasure (GDPR Art. 15, 17 and 20); see models/privacy-model.js for what they
+ * cover. Banned users may export their data, but erasing the account would lift
+ * the ban, so it is refused (403) like their other requests. An erasure is also
+ * refused with 409 while the user organizes an open pool holding paid Stars.
+ */
+
+const express = require('express');
+const userModel = require('../models/user-model');
+const privacyModel = require('../models/privacy-model');
+const { requireUser, requireUserAllowBanned } = require('../middleware/require-user');
+const { requireService } = require('../middleware/service-auth');
+const { handleRouteError } = require('../middleware/error-handler');
+const { sendValidationError } = require('../utils/validation');
+const { isValidTimeZone } = require('../utils/zoned-time');
+const { SUPPORTED_LANGUAGES } = require('../config/languages');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.patch('/:id/preferences', requireUser, async (req, res) => {
+  try {
+    if (req.params.id !== req.userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Users can only update their own preferences'
+      });
+    }
+
+    const { preferred_language, timezone } = req.body;
+    if (preferred_language === undefined && timezone === undefined) {
+      return sendValidationError(res, ['preferred_language or timezone is required']);
+    }
+    if (preferred_language !== undefined && !SUPPORTED_LANGUAGES.includes(preferred_language)) {
+      return res.status(400).json({
+        error: 'Invalid language code',
+        message: `preferred_language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`,
+        supportedLanguages: SUPPORTED_LANGUAGES
+      });
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return sendValidationError(res, ['timezone must be an IANA timezone such as Europe/Berlin or Asia/Tehran']);
+    }
+
+    const user = await userModel.updatePreferences(req.userId, { preferred_language, timezone });
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    logger.info('Updated preferences', { user_id: req.userId, preferred_language: user.preferred_language, timezone: user.timezone });
+    res.json(user);
+  } catch (error) {
+    handleRouteError(res, error, 'PATCH /api/users/:id/preferences');
+  }
+});
+
+router.put('/:id/bot-blocked', requireUser, requireService, async (req, res) => {
+  try {
+    if (req.params.id !== req.userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'The acting user must match :id'
+      });
+    }
+    if (typeof req.body.blocked !== 'boolean') {
+      return sendValidationError(res, ['blocked must be a boolean']);
+    }
+
+    const user = await userModel.setBotBlocked(req.userId, req.body.blocked);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    logger.info(req.body.blocked ? 'User blocked the bot' : 'User unblocked the bot', { user_id: req.userId });
+    res.json(user);
+  } catch (error) {
+    handleRouteError(res, error, 'PUT /api/users/:id/bot-blocked');
+  }
+});
+
+router.get('/:id/export', requireUserAllowBanned, async (req, res) => {
+  try {
+    if (req.params.id !== req.userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Users can only export their own data'
+      });
+    }
+
+    const data = await privacyModel.exportUserData(req.userId);
+    if (!data) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    logger.info('Exported user data', { user_id: req.userId });
+    res.set('Content-Disposition', `attachment; filename="giftunity-data-${req.userId}.json"`);
+    res.json({ exported_at: new Date().toISOString(), ...data });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/users/:id/export');
+  }
+});
+
+router.delete('/:id', requireUser, async (req, res) => {
+  try {
+    if (req.params.id !== req.userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Users can only erase their own account'
+      });
+    }
+
+    const requestedVia = req.auth.method === 'session' ? 'mini_app' : 'bot';
+    const result = await privacyModel.eraseUser(req.userId, requestedVia);
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+    if (result.status === 'open_paid_pools') {
+      return res.status(409).json({
+        error: 'Open paid pools',
+        message: 'Close the open pools you organize that hold paid Stars before erasing the account',
+        pool_ids: result.pool_ids
+      });
+    }
+
+    // Like the audit record, the log line leaves out who was erased
+    const { erasure } = result;
+    logger.info('Erased account', { erasure_id: erasure.id, requested_via: requestedVia });
+    res.json({
+      erased: true,
+      deleted_rows: erasure.deleted_rows,
+      retained_rows: erasure.retained_rows
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'DELETE /api/users/:id');
+  }
+});
+
+module.exports = router;
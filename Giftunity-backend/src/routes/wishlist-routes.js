@@ -0,0 +1,332 @@
+/**
+ * Wishlist API Routes
+ * Giftunity Backend Service
+ *
+ * GET    /api/wishlists                        List the user's wishlists
+ * GET    /api/wishlists/search                 Search the user's wishlists and items (?q=&offset=&limit=)
+ * POST   /api/wishlists                        Create a wishlist
+ * GET    /api/wishlists/:id                    Get a wishlist with its items
+ * PATCH  /api/wishlists/:id                    Update a wishlist
+ * DELETE /api/wishlists/:id                    Delete a wishlist and its items
+ * GET    /api/wishlists/:id/reservations       Who reserved what, once reveal_on has passed
+ * GET    /api/wishlists/:id/items              List items
+ * POST   /api/wishlists/:id/items              Create an item
+ * GET    /api/wishlists/:id/items/:itemId      Get an item
+ * PATCH  /api/wishlists/:id/items/:itemId      Update an item
+ * DELETE /api/wishlists/:id/items/:itemId      Delete an item
+ *
+ * All routes require the acting user (see middleware/require-user.js) and only
+ * ever touch wishlists owned by that user. Prices are integer minor units.
+ *
+ * Reservations made by friends (see shared-wishlist-routes.js) are not part of
+ * these responses. An owner who sets reveal_on (YYYY-MM-DD, usually the
+ * occasion's date) can list them from the following day in their timezone.
+ * reveal_on must be after today in the owner's timezone and, once set, can
+ * only move later (422 otherwise, whatever is reserved).
+ */
+
+const express = require('express');
+const wishlistModel = require('../models/wishlist-model');
+const reservationModel = require('../models/reservation-model');
+const userModel = require('../models/user-model');
+const { requireUser } = require('../middleware/require-user');
+const { handleRouteError } = require('../middleware/error-handler');
+const { readText, readInteger, readCurrency, sendValidationError } = require('../utils/validation');
+const { getLocalDate } = require('../utils/zoned-time');
+
+const router = express.Router();
+
+const ID_PATTERN = /^[1-9]\d{0,18}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TITLE_LENGTH = 200;
+const MAX_URL_LENGTH = 2048;
+const MAX_QUERY_LENGTH = 256;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * Validate wishlist input
+ * @param {Object} body - Request body
+ * @param {boolean} partial - True for PATCH
+ * @returns {Object} { data, errors }
+ */
+const validateWishlist = (body, partial) => {
+  const errors = [];
+  const data = {
+    title: readText(body, 'title', errors, { required: !partial, maxLength: MAX_TITLE_LENGTH }),
+    description: readText(body, 'description', errors)
+  };
+  if (partial && data.title === null) {
+    errors.push('title cannot be cleared');
+  }
+
+  const revealOn = body.reveal_on;
+  if (revealOn !== undefined && revealOn !== null) {
+    const isDate = typeof revealOn === 'string' && DATE_PATTERN.test(revealOn)
+      && !Number.isNaN(Date.parse(revealOn)) && new Date(revealOn).toISOString().startsWith(revealOn);
+    if (!isDate) {
+      errors.push('reveal_on must be a date (YYYY-MM-DD)');
+    }
+  }
+  data.reveal_on = revealOn;
+  return { data, errors };
+};
+
+/**
+ * Validate wish item input
+ * @param {Object} body - Request body
+ * @param {boolean} partial - True for PATCH
+ * @returns {Object} { data, errors }
+ */
+const validateWishItem = (body, partial) => {
+  const errors = [];
+  const data = {
+    title: readText(body, 'title', errors, { required: !partial, maxLength: MAX_TITLE_LENGTH }),
+    notes: readText(body, 'notes', errors),
+    url: readText(body, 'url', errors, { maxLength: MAX_URL_LENGTH }),
+    price_amount: readInteger(body, 'price_amount', errors, { min: 0 }),
+    price_currency: readCurrency(body, 'price_currency', errors),
+    priority: readInteger(body, 'priority', errors, { min: 1, max: 5 }),
+    position: readInteger(body, 'position', errors, { min: 0, max: 2147483647 })
+  };
+
+  if (partial && data.title === null) {
+    errors.push('title cannot be cleared');
+  }
+
+  if (data.url) {
+    try {
+      const { protocol } = new URL(data.url);
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        errors.push('url must use http or https');
+      }
+    } catch {
+      errors.push('url must be a valid URL');
+    }
+  }
+
+  // A price is only meaningful with its currency
+  const hasAmount = data.price_amount !== undefined && data.price_amount !== null;
+  const hasCurrency = data.price_currency !== undefined && data.price_currency !== null;
+  if ((!partial || data.price_amount !== undefined || data.price_currency !== undefined) && hasAmount !== hasCurrency) {
+    errors.push('price_amount and price_currency must be provided together');
+  }
+
+  return { data, errors };
+};
+
+const sendNotFound = (res, resource) => res.status(404).json({
+  error: `${resource} not found`,
+  message: `The requested ${resource.toLowerCase()} does not exist`
+});
+
+const sendRevealRefused = (res) => res.status(422).json({
+  error: 'Reveal date refused',
+  message: 'reveal_on must be after today in your timezone and cannot move earlier or be cleared once set'
+});
+
+router.use(requireUser);
+
+// Unknown or malformed ids are indistinguishable from wishlists owned by others
+router.param('id', (req, res, next, id) => (ID_PATTERN.test(id) ? next() : sendNotFound(res, 'Wishlist')));
+router.param('itemId', (req, res, next, id) => (ID_PATTERN.test(id) ? next() : sendNotFound(res, 'Wish item')));
+
+router.get('/', async (req, res) => {
+  try {
+    const wishlists = await wishlistModel.listWishlists(req.userId);
+    res.json({ wishlists });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/wishlists');
+  }
+});
+
+router.get('/search', async (req, res) => {
+  try {
+    const { q = '', offset = '0', limit = String(DEFAULT_SEARCH_LIMIT) } = req.query;
+    const errors = [];
+    if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) {
+      errors.push(`q must be a string of at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    if (!/^\d{1,9}$/.test(offset)) {
+      errors.push('offset must be a non-negative integer');
+    }
+    if (!/^\d{1,2}$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_SEARCH_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`);
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    // One extra row tells whether another page exists
+    const pageSize = Number(limit);
+    const rows = await wishlistModel.searchWishes(req.userId, q.trim(), { limit: pageSize + 1, offset: Number(offset) });
+    res.json({
+      results: rows.slice(0, pageSize),
+      next_offset: rows.length > pageSize ? Number(offset) + pageSize : null
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/wishlists/search');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { data, errors } = validateWishlist(req.body, false);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const result = await wishlistModel.createWishlist(req.userId, data);
+    if (result.status !== 'created') {
+      return sendRevealRefused(res);
+    }
+    res.status(201).json(result.wishlist);
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/wishlists');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const wishlist = await wishlistModel.findWishlist(req.userId, req.params.id);
+    if (!wishlist) {
+      return sendNotFound(res, 'Wishlist');
+    }
+
+    const items = await wishlistModel.listItems(req.userId, req.params.id);
+    res.json({ ...wishlist, items });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/wishlists/:id');
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const { data, errors } = validateWishlist(req.body, true);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const result = await wishlistModel.updateWishlist(req.userId, req.params.id, data);
+    if (result.status === 'not_found') {
+      return sendNotFound(res, 'Wishlist');
+    }
+    if (result.status !== 'updated') {
+      return sendRevealRefused(res);
+    }
+    res.json(result.wishlist);
+  } catch (error) {
+    handleRouteError(res, error, 'PATCH /api/wishlists/:id');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await wishlistModel.deleteWishlist(req.userId, req.params.id);
+    if (!deleted) {
+      return sendNotFound(res, 'Wishlist');
+    }
+    res.status(204).end();
+  } catch (error) {
+    handleRouteError(res, error, 'DELETE /api/wishlists/:id');
+  }
+});
+
+router.get('/:id/reservations', async (req, res) => {
+  try {
+    const wishlist = await wishlistModel.findWishlist(req.userId, req.params.id);
+    if (!wishlist) {
+      return sendNotFound(res, 'Wishlist');
+    }
+
+    const today = getLocalDate(new Date(), (await userModel.findUser(req.userId)).timezone);
+    if (!wishlist.reveal_on || wishlist.reveal_on >= today) {
+      return res.status(403).json({
+        error: 'Reservations hidden',
+        message: wishlist.reveal_on
+          ? 'Reservations are revealed the day after reveal_on'
+          : 'Set reveal_on to see reservations after the occasion',
+        reveal_on: wishlist.reveal_on
+      });
+    }
+
+    const reservations = await reservationModel.listRevealedReservations(req.userId, req.params.id);
+    res.json({ reveal_on: wishlist.reveal_on, reservations });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/wishlists/:id/reservations');
+  }
+});
+
+router.get('/:id/items', async (req, res) => {
+  try {
+    const wishlist = await wishlistModel.findWishlist(req.userId, req.params.id);
+    if (!wishlist) {
+      return sendNotFound(res, 'Wishlist');
+    }
+
+    const items = await wishlistModel.listItems(req.userId, req.params.id);
+    res.json({ items });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/wishlists/:id/items');
+  }
+});
+
+router.post('/:id/items', async (req, res) => {
+  try {
+    const { data, errors } = validateWishItem(req.body, false);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const item = await wishlistModel.createItem(req.userId, req.params.id, data);
+    if (!item) {
+      return sendNotFound(res, 'Wishlist');
+    }
+    res.status(201).json(item);
+  } catch (error) {
+    handleRouteError(res, error, 'POST /api/wishlists/:id/items');
+  }
+});
+
+router.get('/:id/items/:itemId', async (req, res) => {
+  try {
+    const item = await wishlistModel.findItem(req.userId, req.params.id, req.params.itemId);
+    if (!item) {
+      return sendNotFound(res, 'Wish item');
+    }
+    res.json(item);
+  } catch (error) {
+    handleRouteError(res, error, 'GET /api/wishlists/:id/items/:itemId');
+  }
+});
+
+router.patch('/:id/items/:itemId', async (req, res) => {
+  try {
+    const { data, errors } = validateWishItem(req.body, true);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const item = await wishlistModel.updateItem(req.userId, req.params.id, req.params.itemId, data);
+    if (!item) {
+      return sendNotFound(res, 'Wish item');
+    }
+    res.json(item);
+  } catch (error) {
+    handleRouteError(res, error, 'PATCH /api/wishlists/:id/items/:itemId');
+  }
+});
+
+router.delete('/:id/items/:itemId', async (req, res) => {
+  try {
+    const deleted = await wishlistModel.deleteItem(req.userId, req.params.id, req.params.itemId);
+    if (!deleted) {
+      return sendNotFound(res, 'Wish item');
+    }
+    res.status(204).end();
+  } catch (error) {
+    handleRouteError(res, error, 'DELETE /api/wishlists/:id/items/:itemId');
+  }
+});
+
+module.exports = router;
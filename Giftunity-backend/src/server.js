@@ -15,90 +15,76 @@
  * - PORT: Server port (default: 10000)
  * - DATABASE_URL: PostgreSQL connection string
  * - NODE_ENV: Environment (production/development)
+ * - TELEGRAM_BOT_TOKEN: Bot token used to verify Mini App initData
+ * - DEEP_LINK_SECRET: Key of the bot's signed share links (default: derived from
+ *   TELEGRAM_BOT_TOKEN; see utils/deep-link.js)
+ * - SESSION_SECRET: Secret for signing session tokens
+ * - SERVICE_SHARED_SECRET: Secret for verifying bot requests and signing requests to the bot
+ * - ADMIN_API_TOKEN: Token for admin routes (X-Admin-Token header)
+ * - BOT_URL: Bot service URL for backend-initiated messages (reminders)
+ * - REMINDER_POLL_INTERVAL_SECONDS: Reminder scheduler interval (default: 60)
+ * - TELEGRAM_API_URL: Bot API server for payment refunds and reconciliation (default: https://api.telegram.org)
+ * - LOG_LEVEL: debug, info, warn or error (default: info; see utils/logger.js)
+ * - METRICS_TOKEN: Bearer token required by GET /metrics when set (see utils/metrics.js)
+ * - RATE_LIMIT_STORE: memory or postgres (default: memory; see services/rate-limit-store.js)
+ * - TRUST_PROXY_HOPS: Proxies in front of the service, for client IPs (default: 1)
+ * - IDEMPOTENCY_KEY_TTL_HOURS: How long responses to Idempotency-Key requests are replayed
+ *   (default: 24; see middleware/idempotency.js)
+ * - IDEMPOTENCY_PURGE_INTERVAL_SECONDS: How often expired idempotency keys are deleted
+ *   (default: 3600; see services/idempotency-purge-service.js)
+ * - FRONTEND_URL: Origin of the Mini App, allowed to call the API from the browser in
+ *   production; comma-separated for several. Without a scheme https is assumed, and
+ *   a bare Render service name becomes <name>.onrender.com
  */
 
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const fs = require('fs');
-const path = require('path');
 const db = require('./config/db');
+const migrationService = require('./services/migration-service');
+const wishlistRoutes = require('./routes/wishlist-routes');
+const userRoutes = require('./routes/user-routes');
+const userModel = require('./models/user-model');
+const authRoutes = require('./routes/auth-routes');
+const { authenticateSession, sendUserBanned } = require('./middleware/require-user');
+const { handleRouteError } = require('./middleware/error-handler');
+const { captureRawBody, verifyServiceSignature, requireAdmin } = require('./middleware/service-auth');
+const { idempotency } = require('./middleware/idempotency');
+const { rateLimit } = require('./middleware/rate-limit');
+const translationRoutes = require('./routes/translation-routes');
+const sessionRoutes = require('./routes/session-routes');
+const giftPoolRoutes = require('./routes/gift-pool-routes');
+const sharedWishlistRoutes = require('./routes/shared-wishlist-routes');
+const occasionRoutes = require('./routes/occasion-routes');
+const paymentRoutes = require('./routes/payment-routes');
+const adminPaymentRoutes = require('./routes/admin-payment-routes');
+const adminBroadcastRoutes = require('./routes/admin-broadcast-routes');
+const adminUserRoutes = require('./routes/admin-user-routes');
+const referralRoutes = require('./routes/referral-routes');
+const adminReferralRoutes = require('./routes/admin-referral-routes');
+const reminderService = require('./services/reminder-service');
+const idempotencyPurgeService = require('./services/idempotency-purge-service');
+const i18nService = require('./services/i18n-service');
+const healthService = require('./services/health-service');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
 
 // Database initialization function
 const initializeDatabase = async () => {
   try {
-    console.log('🔧 Initializing database...');
-    console.log(`🔗 Database URL configured: ${process.env.DATABASE_URL ? 'Yes' : 'No'}`);
+    logger.info('Initializing database', { database_url_configured: !!process.env.DATABASE_URL });
     
     // Test database connection first
-    console.log('🔍 Testing database connection...');
     await db.query('SELECT NOW()');
-    console.log('✅ Database connection successful');
+    logger.info('Database connection successful');
     
-    // Check if users table exists
-    console.log('🔍 Checking if users table exists...');
-    const tableCheck = await db.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = 'users'
-      );
-    `);
-    
-    console.log(`📊 Table check result: ${tableCheck.rows[0].exists}`);
-    
-    if (!tableCheck.rows[0].exists) {
-      console.log('📋 Creating users table...');
-      
-      // Create table directly with SQL (more reliable than reading from file)
-      const createTableSQL = `
-        CREATE TABLE users (
-          id BIGINT PRIMARY KEY,
-          username VARCHAR(255),
-          first_name VARCHAR(255) NOT NULL,
-          last_name VARCHAR(255),
-          language_code VARCHAR(10) DEFAULT 'en',
-          is_premium BOOLEAN DEFAULT FALSE,
-          is_bot BOOLEAN DEFAULT FALSE,
-          added_to_attachment_menu BOOLEAN DEFAULT FALSE,
-          can_join_groups BOOLEAN DEFAULT TRUE,
-          can_read_all_group_messages BOOLEAN DEFAULT FALSE,
-          supports_inline_queries BOOLEAN DEFAULT FALSE,
-          preferred_language VARCHAR(10) DEFAULT 'en',
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `;
-      
-      console.log('📄 Executing CREATE TABLE statement...');
-      await db.query(createTableSQL);
-      console.log('✅ Users table created successfully');
-      
-      // Verify table was created
-      const verifyTable = await db.query(`
-        SELECT EXISTS (
-          SELECT FROM information_schema.tables 
-          WHERE table_schema = 'public' 
-          AND table_name = 'users'
-        );
-      `);
-      console.log('✅ Table creation verified:', verifyTable.rows[0].exists);
-      
-      if (!verifyTable.rows[0].exists) {
-        throw new Error('Failed to create users table - verification failed');
-      }
-    } else {
-      console.log('✅ Users table already exists');
-    }
-    
-    console.log('🎉 Database initialization completed');
-  } catch (error) {
-    console.error('❌ Database initialization failed:', error);
-    console.error('❌ Error details:', {
-      message: error.message,
-      code: error.code,
-      stack: error.stack
+    // Apply pending migrations from Giftunity-db/migrations
+    const applied = await migrationService.migrateUp();
+    logger.info(applied.length > 0 ? 'Applied pending migrations' : 'Database schema is up to date', {
+      applied: applied.length
     });
+  } catch (error) {
+    logger.error('Database initialization failed', { error });
     // Don't exit the process, let the server start and handle errors gracefully
   }
 };
@@ -107,32 +93,94 @@ const initializeDatabase = async () => {
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+// Client IPs for rate limits come from X-Forwarded-For, set by Render's proxy
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || 1);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: false, // Disable for API service
   crossOriginEmbedderPolicy: false
 }));
 
-// CORS configuration for microservices communication
+// CORS configuration for microservices communication; in production only the
+// Mini App may call the API from a browser
+const toOrigin = (value) => {
+  if (/^https?:\/\//.test(value)) {
+    return value;
+  }
+  return value.includes('.') ? `https://${value}` : `https://${value}.onrender.com`;
+};
+const allowedOrigins = (process.env.FRONTEND_URL || '')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean)
+  .map(toOrigin);
+
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production' ? false : true,
-  credentials: true
+  origin: process.env.NODE_ENV === 'production' ? (allowedOrigins.length > 0 ? allowedOrigins : false) : true,
+  credentials: true,
+  exposedHeaders: ['Content-Language', 'Retry-After']
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware (raw body is kept for service signature verification);
+// the largest bodies are bot sessions (128 KB of data) and broadcasts
+app.use(express.json({ limit: '256kb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '256kb', verify: captureRawBody }));
 
-// Request logging middleware
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests handled', ['method', 'route', 'status']);
+const httpRequestDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'Duration of HTTP requests in seconds',
+  ['method', 'route', 'status']
+);
+
+// Route template for metrics. Requests a router's middleware rejected (e.g. 401)
+// count under the router's mount path; unknown paths share one label.
+const routeLabel = (req, res) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return req.baseUrl && res.statusCode !== 404 ? `${req.baseUrl}/*` : 'unmatched';
+};
+
+// Request ID, request logging and metrics: the bot sends the ID of the update it handles
+// in X-Request-Id; everything logged for the request carries it (see utils/logger.js).
+// Registered after the body parsers, which would lose the request's context.
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`${timestamp} - ${req.method} ${req.path} - ${req.ip}`);
-  next();
+  const requestId = logger.createRequestId(req.get('X-Request-Id'));
+  const start = Date.now();
+  // Only the path is logged: query strings may carry user input
+  const path = req.originalUrl.split('?')[0];
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req, res), status: res.statusCode };
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, (Date.now() - start) / 1000);
+
+    const fields = { method: req.method, path, status: res.statusCode, duration_ms: Date.now() - start, ip: req.ip };
+    if (['/health', '/live', '/ready', '/metrics'].includes(path)) {
+      logger.debug('Request completed', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  });
+  logger.runWithRequestId(requestId, next);
 });
 
+// Mark requests signed by internal services (see middleware/service-auth.js)
+app.use(verifyServiceSignature);
+
+// Per-IP and per-user request limits for the API (see middleware/rate-limit.js)
+app.use('/api', rateLimit);
+
+// Replay the stored response for repeated writes with an Idempotency-Key
+// (see middleware/idempotency.js)
+app.use(idempotency);
+
 /**
  * Health Check Endpoint
- * Required by Render for service monitoring
+ * Database connectivity, kept for existing monitors; Render probes /live so a
+ * database blip does not restart the service
  */
 app.get('/health', async (req, res) => {
   try {
@@ -150,28 +198,80 @@ app.get('/health', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Health check database error:', error);
+    logger.error('Health check database error', { error });
     res.status(503).json({
       status: 'unhealthy',
       timestamp: new Date().toISOString(),
       service: 'giftunity-backend',
       version: '1.0.0',
       database: {
-        connected: false,
-        error: error.message
+        connected: false
       }
     });
   }
 });
 
+/**
+ * Liveness, Readiness and Status Endpoints
+ * 
+ * GET /live    200 while the process runs (Render's health check)
+ * GET /ready   200 when the database answers and all migrations are applied, 503 otherwise
+ * GET /status  Every dependency with latency and last failure (see services/health-service.js)
+ */
+app.get('/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime_seconds: Math.round(process.uptime())
+  });
+});
+
+app.get('/ready', async (req, res) => {
+  try {
+    const { ready, checks } = await healthService.getReadiness();
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /ready');
+  }
+});
+
+app.get('/status', async (req, res) => {
+  try {
+    const { status, dependencies } = await healthService.getStatus();
+    res.json({
+      status,
+      timestamp: new Date().toISOString(),
+      service: 'giftunity-backend',
+      version: '1.0.0',
+      environment: process.env.NODE_ENV || 'development',
+      uptime_seconds: Math.round(process.uptime()),
+      dependencies
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'GET /status');
+  }
+});
+
+/**
+ * Metrics Endpoint
+ * Prometheus text format: HTTP requests, database queries and pool clients
+ * (see utils/metrics.js; METRICS_TOKEN protects it when set)
+ */
+app.get('/metrics', metrics.metricsHandler);
+
 /**
  * Database Status Endpoint
  * 
  * GET /api/db/status
  * 
  * This endpoint provides detailed database status information.
+ * Admin only: requires X-Admin-Token or a signed service request.
  */
-app.get('/api/db/status', async (req, res) => {
+app.get('/api/db/status', requireAdmin, async (req, res) => {
   try {
     // Test basic connection
     const connectionTest = await db.query('SELECT NOW() as current_time');
@@ -197,100 +297,62 @@ app.get('/api/db/status', async (req, res) => {
       tableStructure = structureQuery.rows;
     }
     
+    // Compare applied migrations with Giftunity-db/migrations
+    const migrationStatus = await migrationService.getStatus();
+    
     res.json({
       status: 'connected',
       current_time: connectionTest.rows[0].current_time,
       users_table_exists: tableCheck.rows[0].exists,
       table_structure: tableStructure,
+      schema: {
+        current_version: migrationStatus.currentVersion,
+        latest_version: migrationStatus.latestVersion,
+        pending: migrationStatus.pending,
+        checksum_mismatches: migrationStatus.checksumMismatches
+      },
       database_url_configured: !!process.env.DATABASE_URL
     });
   } catch (error) {
-    console.error('Database status check error:', error);
+    logger.error('Database status check error', { error });
     res.status(500).json({
       status: 'error',
-      error: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Database status check failed',
       database_url_configured: !!process.env.DATABASE_URL
     });
   }
 });
 
 /**
- * Database Table Creation Endpoint
+ * Database Migration Endpoint
  * 
- * POST /api/db/create-table
+ * POST /api/db/migrate
  * 
- * This endpoint manually creates the users table if it doesn't exist.
- * Useful for troubleshooting table creation issues.
+ * This endpoint applies any pending migrations from Giftunity-db/migrations.
+ * POST /api/db/create-table is kept as an alias for existing troubleshooting scripts.
+ * Admin only: requires X-Admin-Token or a signed service request.
  */
-app.post('/api/db/create-table', async (req, res) => {
+app.post(['/api/db/migrate', '/api/db/create-table'], requireAdmin, async (req, res) => {
   try {
-    console.log('🔧 Manual table creation requested...');
+    logger.info('Manual migration run requested');
     
-    // Check if table already exists
-    const tableCheck = await db.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = 'users'
-      );
-    `);
+    const applied = await migrationService.migrateUp();
+    const migrationStatus = await migrationService.getStatus();
     
-    if (tableCheck.rows[0].exists) {
-      return res.json({
-        status: 'success',
-        message: 'Users table already exists',
-        table_exists: true
-      });
-    }
-    
-    // Create table
-    const createTableSQL = `
-      CREATE TABLE users (
-        id BIGINT PRIMARY KEY,
-        username VARCHAR(255),
-        first_name VARCHAR(255) NOT NULL,
-        last_name VARCHAR(255),
-        language_code VARCHAR(10) DEFAULT 'en',
-        is_premium BOOLEAN DEFAULT FALSE,
-        is_bot BOOLEAN DEFAULT FALSE,
-        added_to_attachment_menu BOOLEAN DEFAULT FALSE,
-        can_join_groups BOOLEAN DEFAULT TRUE,
-        can_read_all_group_messages BOOLEAN DEFAULT FALSE,
-        supports_inline_queries BOOLEAN DEFAULT FALSE,
-        preferred_language VARCHAR(10) DEFAULT 'en',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `;
-    
-    console.log('📄 Creating users table...');
-    await db.query(createTableSQL);
-    console.log('✅ Users table created successfully');
-    
-    // Verify table was created
-    const verifyTable = await db.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = 'users'
-      );
-    `);
-    
-    if (verifyTable.rows[0].exists) {
-      res.json({
-        status: 'success',
-        message: 'Users table created successfully',
-        table_exists: true
-      });
-    } else {
-      throw new Error('Table creation verification failed');
-    }
+    res.json({
+      status: 'success',
+      message: applied.length > 0
+        ? `Applied ${applied.length} migration(s)`
+        : 'Database schema is up to date',
+      applied,
+      current_version: migrationStatus.currentVersion
+    });
   } catch (error) {
-    console.error('Manual table creation error:', error);
+    logger.error('Manual migration error', { error });
     res.status(500).json({
       status: 'error',
-      message: 'Failed to create users table',
-      error: error.message
+      message: 'Failed to apply migrations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
@@ -305,7 +367,14 @@ app.get('/', (req, res) => {
     status: 'operational',
     endpoints: {
       health: '/health',
+      auth: '/api/auth/telegram',
       user: '/api/user/findOrCreate',
+      preferences: '/api/users/:id/preferences',
+      wishlists: '/api/wishlists',
+      shared: '/api/shared',
+      pools: '/api/pools',
+      occasions: '/api/occasions',
+      payments: '/api/payments',
       translations: '/api/translations/:lang'
     }
   });
@@ -317,8 +386,13 @@ app.get('/', (req, res) => {
  * POST /api/user/findOrCreate
  * 
  * This endpoint handles user creation and updates from the Telegram bot.
- * It receives the full Telegram User object and either creates a new user
- * or updates an existing user's information.
+ * It receives the Telegram User object and either creates a new user or
+ * updates the fields it contains (omitted fields are kept, null clears one).
+ * The bot calls it on every update, so an unchanged profile is not written;
+ * changes to username, name, premium status and language are recorded in
+ * user_profile_history.
+ * Requires a signed service request or a Mini App session for the same user.
+ * Banned users get 403 (their profile is still refreshed).
  */
 app.post('/api/user/findOrCreate', async (req, res) => {
   try {
@@ -343,69 +417,47 @@ app.post('/api/user/findOrCreate', async (req, res) => {
       });
     }
 
-    // Check if user exists
-    const existingUser = await db.query(
-      'SELECT * FROM users WHERE id = $1',
-      [id]
-    );
-
-    if (existingUser.rows.length > 0) {
-      // Update existing user
-      const updateQuery = `
-        UPDATE users SET 
-          is_bot = $2,
-          first_name = $3,
-          last_name = $4,
-          username = $5,
-          language_code = $6,
-          is_premium = $7,
-          added_to_attachment_menu = $8,
-          can_join_groups = $9,
-          can_read_all_group_messages = $10,
-          supports_inline_queries = $11,
-          updated_at = NOW()
-        WHERE id = $1
-        RETURNING *
-      `;
-      
-      const updatedUser = await db.query(updateQuery, [
-        id, is_bot, first_name, last_name, username,
-        language_code, is_premium, added_to_attachment_menu,
-        can_join_groups, can_read_all_group_messages, supports_inline_queries
-      ]);
-
-      console.log(`Updated user ${id} (${first_name})`);
-      return res.status(200).json(updatedUser.rows[0]);
-    } else {
-      // Create new user
-      const insertQuery = `
-        INSERT INTO users (
-          id, is_bot, first_name, last_name, username,
-          language_code, is_premium, added_to_attachment_menu,
-          can_join_groups, can_read_all_group_messages, supports_inline_queries
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        RETURNING *
-      `;
-      
-      const newUser = await db.query(insertQuery, [
-        id, is_bot, first_name, last_name, username,
-        language_code, is_premium, added_to_attachment_menu,
-        can_join_groups, can_read_all_group_messages, supports_inline_queries
-      ]);
-
-      console.log(`Created new user ${id} (${first_name})`);
-      return res.status(201).json(newUser.rows[0]);
+    // Internal services may sync any user; a Mini App session only its own
+    if (!req.service) {
+      let session;
+      try {
+        session = authenticateSession(req);
+      } catch (authError) {
+        return handleRouteError(res, authError, 'POST /api/user/findOrCreate');
+      }
+      if (!session) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'A session token or a signed service request is required'
+        });
+      }
+      if (session.userId !== String(id)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Session user does not match the submitted user id'
+        });
+      }
     }
+
+    const { user, created, updated } = await userModel.findOrCreateUser({
+      id, is_bot, first_name, last_name, username,
+      language_code, is_premium, added_to_attachment_menu,
+      can_join_groups, can_read_all_group_messages, supports_inline_queries
+    });
+
+    if (created || updated) {
+      logger.info(created ? 'Created new user' : 'Updated user', { user_id: id });
+    }
+    if (user.banned_at) {
+      return sendUserBanned(res);
+    }
+    return res.status(created ? 201 : 200).json(user);
   } catch (error) {
-    console.error('Error in /api/user/findOrCreate:', error);
-    console.error('Error details:', {
-      message: error.message,
-      code: error.code,
+    logger.error('Error in /api/user/findOrCreate', {
+      error,
       constraint: error.constraint,
       table: error.table,
-      column: error.column,
-      detail: error.detail,
-      hint: error.hint
+      column: error.column
     });
     
     // Check if it's a database connection error
@@ -435,83 +487,134 @@ app.post('/api/user/findOrCreate', async (req, res) => {
 });
 
 /**
- * Translation Service API
+ * Authentication API
  * 
- * GET /api/translations/:lang
+ * POST /api/auth/telegram, GET /api/auth/session
  * 
- * This endpoint serves translation files for the specified language.
- * It acts as the single source of truth for all multilingual content
- * across the platform.
+ * Verifies Telegram Mini App initData and issues session tokens (see routes/auth-routes.js).
  */
-app.get('/api/translations/:lang', (req, res) => {
-  try {
-    const lang = req.params.lang;
-    
-    // Validate language code format
-    if (!lang || !/^[a-z]{2}$/.test(lang)) {
-      return res.status(400).json({
-        error: 'Invalid language code',
-        message: 'Language code must be a 2-letter ISO code'
-      });
-    }
+app.use('/api/auth', authRoutes);
 
-    // Define supported languages
-    const supportedLanguages = ['en', 'ar', 'fa', 'ru', 'de', 'zh'];
-    
-    if (!supportedLanguages.includes(lang)) {
-      return res.status(404).json({
-        error: 'Language not supported',
-        supportedLanguages: supportedLanguages
-      });
-    }
+/**
+ * User Preferences API
+ * 
+ * PATCH /api/users/:id/preferences, PUT /api/users/:id/bot-blocked,
+ * GET /api/users/:id/export, DELETE /api/users/:id
+ * 
+ * Updates user-selected settings such as preferred_language, records users
+ * who blocked the bot, and exports or erases a user's data (see routes/user-routes.js).
+ */
+app.use('/api/users', userRoutes);
 
-    // Resolve translation file path (prefer backend-locales, fallback to repo root)
-    const backendLocalesPath = path.join(__dirname, '..', '..', 'locales', `${lang}.json`);
-    const rootLocalesPath = path.join(__dirname, '..', '..', '..', 'locales', `${lang}.json`);
-    const candidatePaths = [backendLocalesPath, rootLocalesPath];
-    const filePath = candidatePaths.find((p) => {
-      try { return fs.existsSync(p); } catch { return false; }
-    }) || backendLocalesPath;
-    console.log(`🔍 Looking for translation file. Candidates: ${candidatePaths.join(', ')} | Chosen: ${filePath}`);
-
-    fs.readFile(filePath, 'utf8', (err, data) => {
-      if (err) {
-        console.error(`Error reading translation file for ${lang}:`, err);
-        return res.status(500).json({
-          error: 'Translation service error',
-          message: 'Failed to load translation file'
-        });
-      }
-      
-      try {
-        const translations = JSON.parse(data);
-        res.status(200).json(translations);
-      } catch (parseError) {
-        console.error(`Error parsing translation file for ${lang}:`, parseError);
-        res.status(500).json({
-          error: 'Translation service error',
-          message: 'Invalid translation file format'
-        });
-      }
-    });
-  } catch (error) {
-    console.error('Error in /api/translations/:lang:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to process translation request'
-    });
-  }
-});
+/**
+ * Wishlist API
+ * 
+ * /api/wishlists and /api/wishlists/:id/items
+ * 
+ * CRUD for the user's wishlists and wish items (see routes/wishlist-routes.js).
+ */
+app.use('/api/wishlists', wishlistRoutes);
 
 /**
- * Get supported languages endpoint
+ * Shared Wishlist API
+ * 
+ * POST /api/shared/links, GET /api/shared/wishlists/:id, GET /api/shared/items/:itemId,
+ * POST|DELETE /api/shared/items/:itemId/reservation
+ * 
+ * Views of other users' wishlists, opened from shared cards, and secret gift
+ * reservations (see routes/shared-wishlist-routes.js).
  */
-app.get('/api/translations', (req, res) => {
-  res.json({
-    supportedLanguages: ['en', 'ar', 'fa', 'ru', 'de', 'zh'],
-    defaultLanguage: 'en'
-  });
-});
+app.use('/api/shared', sharedWishlistRoutes);
+
+/**
+ * Gift Pool API
+ * 
+ * /api/pools and /api/pools/:id/{join,pledge,close}
+ * 
+ * Group gifting: pools with a target amount that several users pledge towards (see routes/gift-pool-routes.js).
+ */
+app.use('/api/pools', giftPoolRoutes);
+
+/**
+ * Occasion API
+ * 
+ * /api/occasions and /api/occasions/:id
+ * 
+ * Birthdays, anniversaries and holidays the user wants reminders for (see routes/occasion-routes.js).
+ */
+app.use('/api/occasions', occasionRoutes);
+
+/**
+ * Payment API
+ * 
+ * POST /api/payments/{invoices,pre-checkout,charges}
+ * 
+ * Telegram Stars payments into gift pools, recorded in a double-entry ledger;
+ * signed bot requests only (see routes/payment-routes.js).
+ */
+app.use('/api/payments', paymentRoutes);
+
+/**
+ * Payment Admin API
+ * 
+ * GET /api/admin/payments, POST /api/admin/payments/:chargeId/refund, GET /api/admin/payments/reconciliation
+ * 
+ * Refunds and reconciliation against Telegram's Stars transactions (see routes/admin-payment-routes.js).
+ */
+app.use('/api/admin/payments', adminPaymentRoutes);
+
+/**
+ * Broadcast Admin API
+ * 
+ * POST /api/admin/broadcasts/segment, GET|POST /api/admin/broadcasts, GET /api/admin/broadcasts/:id,
+ * POST /api/admin/broadcasts/:id/claim|results|cancel
+ * 
+ * Announcements to a segment of users with per-recipient delivery status; the bot
+ * composes and sends them (see routes/admin-broadcast-routes.js).
+ */
+app.use('/api/admin/broadcasts', adminBroadcastRoutes);
+
+/**
+ * User Admin API
+ * 
+ * GET /api/admin/users/banned, PUT|DELETE /api/admin/users/:id/ban,
+ * GET /api/admin/users/:id/profile-history
+ * 
+ * Bans and unbans users, whom both services refuse, and shows profile changes
+ * (see routes/admin-user-routes.js).
+ */
+app.use('/api/admin/users', adminUserRoutes);
+
+/**
+ * Referral API
+ * 
+ * POST /api/referrals, GET /api/admin/referrals
+ * 
+ * Records who invited whom through the bot's signed deep links and reports
+ * conversions per inviter (see routes/referral-routes.js and routes/admin-referral-routes.js).
+ */
+app.use('/api/referrals', referralRoutes);
+app.use('/api/admin/referrals', adminReferralRoutes);
+
+/**
+ * Bot Session API
+ * 
+ * GET|PUT|DELETE /api/sessions/:key
+ * 
+ * Persists the bot's conversation state for signed service requests (see routes/session-routes.js).
+ */
+app.use('/api/sessions', sessionRoutes);
+
+/**
+ * Translation Service API
+ * 
+ * GET /api/translations, GET /api/translations/:lang
+ * 
+ * Serves validated locale bundles with fallback resolution (see routes/translation-routes.js).
+ * It acts as the single source of truth for all multilingual content
+ * across the platform.
+ */
+app.use('/api/translations', translationRoutes);
 
 /**
  * 404 Handler
@@ -522,8 +625,31 @@ app.use('*', (req, res) => {
     message: `The requested endpoint ${req.method} ${req.originalUrl} does not exist`,
     availableEndpoints: {
       health: 'GET /health',
+      probes: 'GET /live, GET /ready, GET /status',
+      metrics: 'GET /metrics',
+      auth: 'POST /api/auth/telegram',
+      session: 'GET /api/auth/session',
       user: 'POST /api/user/findOrCreate',
+      preferences: 'PATCH /api/users/:id/preferences',
+      botBlocked: 'PUT /api/users/:id/bot-blocked',
+      personalData: 'GET /api/users/:id/export, DELETE /api/users/:id',
+      wishlists: 'GET|POST /api/wishlists',
+      wishlistItems: 'GET|POST /api/wishlists/:id/items',
+      wishlistSearch: 'GET /api/wishlists/search',
+      sharedWishlists: 'POST /api/shared/links, GET /api/shared/wishlists/:id, GET /api/shared/items/:itemId',
+      reservations: 'POST|DELETE /api/shared/items/:itemId/reservation, GET /api/wishlists/:id/reservations',
+      pools: 'GET|POST /api/pools',
+      poolActions: 'POST /api/pools/:id/join, PUT /api/pools/:id/pledge, POST /api/pools/:id/close',
+      occasions: 'GET|POST /api/occasions, GET|PATCH|DELETE /api/occasions/:id',
+      payments: 'POST /api/payments/invoices, POST /api/payments/pre-checkout, POST /api/payments/charges',
+      paymentAdmin: 'GET /api/admin/payments, POST /api/admin/payments/:chargeId/refund, GET /api/admin/payments/reconciliation',
+      broadcastAdmin: 'POST /api/admin/broadcasts/segment, GET|POST /api/admin/broadcasts, GET /api/admin/broadcasts/:id, POST /api/admin/broadcasts/:id/claim|results|cancel',
+      userAdmin: 'GET /api/admin/users/banned, PUT|DELETE /api/admin/users/:id/ban, GET /api/admin/users/:id/profile-history',
+      referrals: 'POST /api/referrals',
+      referralAdmin: 'GET /api/admin/referrals',
+      botSessions: 'GET|PUT|DELETE /api/sessions/:key',
       translations: 'GET /api/translations/:lang',
+      translationReport: 'GET /api/translations/report',
       supportedLanguages: 'GET /api/translations'
     }
   });
@@ -533,7 +659,7 @@ app.use('*', (req, res) => {
  * Global Error Handler
  */
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
+  logger.error('Unhandled error', { error });
   res.status(500).json({
     error: 'Internal server error',
     message: 'An unexpected error occurred',
@@ -545,12 +671,12 @@ app.use((error, req, res, next) => {
  * Graceful Shutdown Handlers
  */
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
 
@@ -559,18 +685,37 @@ process.on('SIGINT', () => {
  */
 const startServer = async () => {
   try {
+    // Load locale bundles; invalid bundles abort startup
+    const languages = i18nService.loadBundles();
+    logger.info('Loaded locale bundles', { languages });
+    for (const [language, parity] of Object.entries(i18nService.getParityReport())) {
+      if (parity.missing_keys.length > 0 || parity.placeholder_mismatches.length > 0) {
+        logger.warn('Locale bundle is incomplete', {
+          language,
+          missing_keys: parity.missing_keys.length,
+          placeholder_mismatches: parity.placeholder_mismatches.length
+        });
+      }
+    }
+    
     // Initialize database first
     await initializeDatabase();
     
     // Start the server
     app.listen(PORT, () => {
-      console.log(`🚀 Giftunity Backend API Server is running on port ${PORT}`);
-      console.log(`📊 Health check available at: http://localhost:${PORT}/health`);
-      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`🗄️ Database: ${process.env.DATABASE_URL ? 'Connected' : 'Not configured'}`);
+      logger.info('Giftunity Backend API Server is running', {
+        port: Number(PORT),
+        environment: process.env.NODE_ENV || 'development',
+        database_url_configured: !!process.env.DATABASE_URL
+      });
+      
+      // Deliver occasion reminders, catching up on any missed while the server was down
+      reminderService.start();
+      // Delete expired idempotency keys outside the request path
+      idempotencyPurgeService.start();
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 };
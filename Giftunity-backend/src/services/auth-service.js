@@ -0,0 +1,227 @@
+/**
+ * Authentication Service
+ * Giftunity Backend Service
+ *
+ * Verifies Telegram Mini App initData and issues short-lived session tokens.
+ *
+ * initData verification follows the Telegram WebApp specification:
+ *   secret_key = HMAC_SHA256(key = "WebAppData", message = bot_token)
+ *   hash       = hex(HMAC_SHA256(key = secret_key, message = data_check_string))
+ * where data_check_string is every received field except hash, sorted by key and
+ * joined as "key=value" lines.
+ *
+ * Session tokens are compact JWTs (HS256) carrying the Telegram user id as "sub".
+ *
+ * Both the bot token and the session secret are parameters so fixtures can be
+ * signed offline with a test bot token (see signInitData).
+ *
+ * Environment Variables:
+ * - TELEGRAM_BOT_TOKEN: Bot token used to verify initData
+ * - SESSION_SECRET: Secret for signing session tokens
+ * - SESSION_TTL_SECONDS: Session token lifetime (default: 3600)
+ * - INIT_DATA_MAX_AGE_SECONDS: Maximum accepted initData age (default: 86400)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SESSION_TTL_SECONDS = 3600;
+const DEFAULT_INIT_DATA_MAX_AGE_SECONDS = 86400;
+// Tolerated clock difference for auth_date values slightly in the future
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Authentication failure with a client-safe reason
+ */
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+const readPositiveIntegerEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const base64UrlEncode = (value) => Buffer.from(value).toString('base64url');
+
+const hmacSha256 = (key, message) => crypto.createHmac('sha256', key).update(message).digest();
+
+/**
+ * Constant-time comparison of two strings
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Build the data-check-string and hash for a set of initData fields
+ * @param {URLSearchParams} params - initData fields without hash
+ * @param {string} botToken - Telegram bot token
+ * @returns {string} Hex-encoded hash
+ */
+const computeInitDataHash = (params, botToken) => {
+  const dataCheckString = [...params.entries()]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('\n');
+  const secretKey = hmacSha256('WebAppData', botToken);
+  return hmacSha256(secretKey, dataCheckString).toString('hex');
+};
+
+/**
+ * Sign initData fields the way Telegram does (for fixtures and local testing)
+ * @param {Object} fields - Field values; objects (e.g. user) are JSON-encoded
+ * @param {string} botToken - Test bot token
+ * @returns {string} initData query string including hash
+ */
+const signInitData = (fields, botToken) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(fields)) {
+    params.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  params.set('hash', computeInitDataHash(params, botToken));
+  return params.toString();
+};
+
+/**
+ * Verify Telegram WebApp initData
+ * @param {string} initData - Raw initData query string from Telegram.WebApp.initData
+ * @param {Object} [options]
+ * @param {string} [options.botToken] - Bot token (default: TELEGRAM_BOT_TOKEN)
+ * @param {number} [options.maxAgeSeconds] - Maximum initData age
+ * @param {number} [options.now] - Current time in milliseconds (for tests)
+ * @returns {Object} { user, authDate, queryId, startParam }
+ * @throws {AuthenticationError} If the data is malformed, forged or stale
+ */
+const verifyInitData = (initData, {
+  botToken = process.env.TELEGRAM_BOT_TOKEN,
+  maxAgeSeconds = readPositiveIntegerEnv('INIT_DATA_MAX_AGE_SECONDS', DEFAULT_INIT_DATA_MAX_AGE_SECONDS),
+  now = Date.now()
+} = {}) => {
+  if (!botToken) {
+    throw new Error('TELEGRAM_BOT_TOKEN is not configured');
+  }
+  if (typeof initData !== 'string' || initData.length === 0) {
+    throw new AuthenticationError('initData is required');
+  }
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) {
+    throw new AuthenticationError('initData hash is missing');
+  }
+  params.delete('hash');
+
+  if (!safeEqual(computeInitDataHash(params, botToken), hash)) {
+    throw new AuthenticationError('initData signature is invalid');
+  }
+
+  const authDate = parseInt(params.get('auth_date'), 10);
+  const ageSeconds = Math.floor(now / 1000) - authDate;
+  if (!Number.isInteger(authDate) || ageSeconds > maxAgeSeconds || ageSeconds < -CLOCK_SKEW_SECONDS) {
+    throw new AuthenticationError('initData is expired');
+  }
+
+  let user;
+  try {
+    user = JSON.parse(params.get('user'));
+  } catch {
+    throw new AuthenticationError('initData user is malformed');
+  }
+  if (!user || !Number.isSafeInteger(user.id) || user.id <= 0 || typeof user.first_name !== 'string') {
+    throw new AuthenticationError('initData user is malformed');
+  }
+
+  return {
+    user,
+    authDate,
+    queryId: params.get('query_id'),
+    startParam: params.get('start_param')
+  };
+};
+
+const getSessionSecret = (secret) => {
+  const sessionSecret = secret || process.env.SESSION_SECRET;
+  if (!sessionSecret) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+  return sessionSecret;
+};
+
+/**
+ * Issue a session token for a Telegram user
+ * @param {string|number} userId - Telegram user id
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - Token lifetime
+ * @param {string} [options.secret] - Signing secret (default: SESSION_SECRET)
+ * @param {number} [options.now] - Current time in milliseconds (for tests)
+ * @returns {Object} { token, expiresAt }
+ */
+const issueSessionToken = (userId, {
+  ttlSeconds = readPositiveIntegerEnv('SESSION_TTL_SECONDS', DEFAULT_SESSION_TTL_SECONDS),
+  secret,
+  now = Date.now()
+} = {}) => {
+  const issuedAt = Math.floor(now / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify({ sub: String(userId), iat: issuedAt, exp: issuedAt + ttlSeconds }));
+  const signature = hmacSha256(getSessionSecret(secret), `${header}.${payload}`).toString('base64url');
+
+  return {
+    token: `${header}.${payload}.${signature}`,
+    expiresAt: new Date((issuedAt + ttlSeconds) * 1000).toISOString()
+  };
+};
+
+/**
+ * Verify a session token
+ * @param {string} token - Session token
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Signing secret (default: SESSION_SECRET)
+ * @param {number} [options.now] - Current time in milliseconds (for tests)
+ * @returns {Object} { userId, expiresAt }
+ * @throws {AuthenticationError} If the token is malformed, forged or expired
+ */
+const verifySessionToken = (token, { secret, now = Date.now() } = {}) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Session token is malformed');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = hmacSha256(getSessionSecret(secret), `${header}.${payload}`).toString('base64url');
+  if (!safeEqual(expected, signature)) {
+    throw new AuthenticationError('Session token signature is invalid');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new AuthenticationError('Session token is malformed');
+  }
+  if (typeof claims.sub !== 'string' || !Number.isInteger(claims.exp)) {
+    throw new AuthenticationError('Session token is malformed');
+  }
+  if (claims.exp <= Math.floor(now / 1000)) {
+    throw new AuthenticationError('Session token is expired');
+  }
+
+  return {
+    userId: claims.sub,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+};
+
+module.exports = {
+  AuthenticationError,
+  signInitData,
+  verifyInitData,
+  issueSessionToken,
+  verifySessionToken
+};
@@ -0,0 +1,122 @@
+/**
+ * Bot Notifier
+ * Giftunity Backend Service
+ *
+ * Signed calls from the backend to the bot's internal API (/internal/* on the
+ * bot service), for messages the backend initiates such as occasion reminders,
+ * and the bot's liveness probe for the backend's /status report.
+ *
+ * Calls made while handling a request pass its request ID on in X-Request-Id.
+ *
+ * Every call reports how far the request got, so callers can avoid sending a
+ * message twice:
+ * - delivered:   the bot confirmed the message was sent
+ * - unavailable: the bot was not reached or answered that nothing was sent; safe to retry
+ * - rejected:    the bot refused the message (e.g. the user blocked the bot); do not retry
+ * - unknown:     the request may have been handled (timeout, unexpected error); do not retry
+ *
+ * Environment Variables:
+ * - BOT_URL: Bot service URL (Render host name or full URL)
+ * - SERVICE_SHARED_SECRET: Secret for signing requests to the bot
+ */
+
+const { buildSignatureHeaders } = require('../middleware/service-auth');
+const logger = require('../utils/logger');
+
+const SERVICE_NAME = 'backend';
+// Free Render instances take a while to wake up
+const REQUEST_TIMEOUT_MS = 60000;
+// Errors raised before a connection exists; the bot cannot have seen the request
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+const RETRYABLE_STATUSES = [429, 502, 503];
+
+/**
+ * Resolve the bot's base URL from BOT_URL
+ * Accepts a bare Render host name ("giftunity-bot") like the bot does for BACKEND_URL.
+ * @returns {string|null} null when BOT_URL is missing or not a URL
+ */
+const getBotURL = () => {
+  const botURL = process.env.BOT_URL;
+  if (!botURL) {
+    return null;
+  }
+  try {
+    const url = new URL(botURL.startsWith('http') ? botURL : `https://${botURL}`);
+    if (!url.hostname.includes('.') && url.hostname !== 'localhost') {
+      url.hostname = `${url.hostname}.onrender.com`;
+    }
+    return url.toString().replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * POST a signed JSON request to the bot's internal API
+ * @param {string} path - Path below the bot's base URL, e.g. "/internal/reminders"
+ * @param {Object} payload - JSON body
+ * @returns {Promise<Object>} { outcome, status?, data?, error? }
+ */
+const notifyBot = async (path, payload) => {
+  const botURL = getBotURL();
+  const secret = process.env.SERVICE_SHARED_SECRET;
+  if (!botURL || !secret) {
+    return { outcome: 'unavailable', error: 'BOT_URL or SERVICE_SHARED_SECRET is missing or invalid' };
+  }
+
+  const body = JSON.stringify(payload);
+  const requestId = logger.getRequestId();
+  let response;
+  try {
+    response = await fetch(`${botURL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...buildSignatureHeaders(secret, { service: SERVICE_NAME, method: 'POST', path, body }),
+        ...(requestId ? { 'X-Request-Id': requestId } : {})
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    const code = error.cause && error.cause.code;
+    return CONNECTION_ERROR_CODES.includes(code)
+      ? { outcome: 'unavailable', error: code }
+      : { outcome: 'unknown', error: error.message };
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (response.ok) {
+    return { outcome: 'delivered', status: response.status, data };
+  }
+
+  const error = `HTTP ${response.status}${data.message ? `: ${data.message}` : ''}`;
+  if (RETRYABLE_STATUSES.includes(response.status)) {
+    return { outcome: 'unavailable', status: response.status, error };
+  }
+  return { outcome: response.status < 500 ? 'rejected' : 'unknown', status: response.status, error };
+};
+
+/**
+ * Check that the bot answers its liveness probe (GET /live)
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<Object>} { reachable, error? }
+ */
+const checkBot = async (timeoutMs = 3000) => {
+  const botURL = getBotURL();
+  if (!botURL) {
+    return { reachable: false, error: 'BOT_URL is missing or invalid' };
+  }
+  try {
+    const response = await fetch(`${botURL}/live`, { signal: AbortSignal.timeout(timeoutMs) });
+    return response.ok ? { reachable: true } : { reachable: false, error: `HTTP ${response.status}` };
+  } catch (error) {
+    return { reachable: false, error: (error.cause && error.cause.code) || error.message };
+  }
+};
+
+module.exports = {
+  getBotURL,
+  notifyBot,
+  checkBot
+};
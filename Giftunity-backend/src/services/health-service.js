@@ -0,0 +1,120 @@
+/**
+ * Health Service
+ * Giftunity Backend Service
+ *
+ * Dependency checks behind the probes in server.js:
+ *
+ *   GET /live    the process is up (Render's health check; never touches the database)
+ *   GET /ready   the database answers and every migration is applied (503 otherwise)
+ *   GET /status  every dependency with its latency and last failure
+ *
+ * Each check runs with a timeout and remembers when it last succeeded and
+ * failed, so /status shows recent blips even after they have passed. A check
+ * reports 'ok', 'degraded' (works, but needs attention) or 'failed'.
+ */
+
+const db = require('../config/db');
+const migrationService = require('./migration-service');
+const botNotifier = require('./bot-notifier');
+
+const CHECK_TIMEOUT_MS = 3000;
+
+// Last outcome per check: { last_success_at, last_failure_at, last_error }
+const history = new Map();
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run one check and record its outcome
+ * @param {string} name - Dependency name
+ * @param {Function} check - async () => details; may set details.status to 'degraded'; throws when failed
+ * @returns {Promise<Object>} { status, latency_ms, ...details, last_success_at, last_failure_at, last_error }
+ */
+const runCheck = async (name, check) => {
+  const previous = history.get(name) || { last_success_at: null, last_failure_at: null, last_error: null };
+  const start = Date.now();
+  let result;
+  let recorded;
+  try {
+    const details = await withTimeout(check(), CHECK_TIMEOUT_MS);
+    result = { status: 'ok', ...details };
+    recorded = { ...previous, last_success_at: new Date().toISOString() };
+  } catch (error) {
+    result = { status: 'failed' };
+    recorded = { ...previous, last_failure_at: new Date().toISOString(), last_error: error.message };
+  }
+  history.set(name, recorded);
+
+  return { ...result, latency_ms: Date.now() - start, ...recorded };
+};
+
+const checkDatabase = async () => {
+  await db.query('SELECT 1');
+  return {};
+};
+
+const checkMigrations = async () => {
+  const status = await migrationService.getStatus();
+  if (status.pending.length > 0) {
+    throw new Error(`${status.pending.length} pending migration(s)`);
+  }
+  return {
+    status: status.checksumMismatches.length > 0 ? 'degraded' : 'ok',
+    current_version: status.currentVersion,
+    latest_version: status.latestVersion,
+    checksum_mismatches: status.checksumMismatches
+  };
+};
+
+const checkBot = async () => {
+  const result = await botNotifier.checkBot();
+  if (!result.reachable) {
+    throw new Error(result.error);
+  }
+  return {};
+};
+
+/**
+ * Readiness: the database answers and the schema is current
+ * @returns {Promise<Object>} { ready, checks }
+ */
+const getReadiness = async () => {
+  const [database, migrations] = await Promise.all([
+    runCheck('database', checkDatabase),
+    runCheck('migrations', checkMigrations)
+  ]);
+  return {
+    ready: database.status !== 'failed' && migrations.status !== 'failed',
+    checks: { database, migrations }
+  };
+};
+
+/**
+ * Status of every dependency
+ * The bot is only reported (the backend works without it), and only when BOT_URL is set.
+ * @returns {Promise<Object>} { status: 'ok'|'degraded'|'down', dependencies }
+ */
+const getStatus = async () => {
+  const { ready, checks } = await getReadiness();
+  const dependencies = { ...checks };
+  if (botNotifier.getBotURL()) {
+    dependencies.bot = await runCheck('bot', checkBot);
+  }
+
+  const degraded = Object.values(dependencies).some((check) => check.status !== 'ok');
+  return {
+    status: !ready ? 'down' : (degraded ? 'degraded' : 'ok'),
+    dependencies
+  };
+};
+
+module.exports = {
+  getReadiness,
+  getStatus
+};
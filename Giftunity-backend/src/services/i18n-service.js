@@ -0,0 +1,282 @@
+/**
+ * Translation Service
+ * Giftunity Backend Service
+ *
+ * Loads and validates every locale bundle in locales/ once at startup and
+ * resolves translations from memory.
+ *
+ * Bundle format (flat keys):
+ *   "welcome_message": "Hello {name}!"                       Plain string with {placeholders}
+ *   "wishlist_item_count": { "one": "{count} item",           CLDR plural forms; "other" is required
+ *                            "other": "{count} items" }
+ *
+ * Language resolution accepts BCP-47 tags. A tag is resolved through a fallback
+ * chain built by dropping subtags and ending at the default language, e.g.
+ * "zh-Hans-CN" → zh-Hans → zh → en, "fa" → fa → en, "pt-BR" → pt → en.
+ * Only chain entries that have a bundle are used.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } = require('../config/languages');
+const logger = require('../utils/logger');
+
+const LOCALES_DIR = path.join(__dirname, '..', '..', 'locales');
+
+// BCP-47 language tag: primary language subtag followed by optional script/region/variant subtags
+const LANGUAGE_TAG_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Loaded bundles keyed by lowercase language tag: { language, messages }
+let bundles = new Map();
+// Merged bundles keyed by resolved language: { language, messages, etag }
+let mergedBundles = new Map();
+
+/**
+ * Check whether a string is a syntactically valid BCP-47 language tag
+ * @param {string} tag - Language tag
+ * @returns {boolean} True if valid
+ */
+const isValidLanguageTag = (tag) => {
+  if (typeof tag !== 'string' || !LANGUAGE_TAG_PATTERN.test(tag)) {
+    return false;
+  }
+  try {
+    Intl.getCanonicalLocales(tag);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate a parsed bundle and return its structural errors
+ * @param {string} language - Bundle language
+ * @param {*} messages - Parsed JSON
+ * @returns {Array<string>} Error messages
+ */
+const validateBundle = (language, messages) => {
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+    return [`${language}: bundle must be a JSON object`];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(messages)) {
+    if (typeof value === 'string') {
+      continue;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${language}.${key}: value must be a string or a plural object`);
+      continue;
+    }
+    for (const [category, form] of Object.entries(value)) {
+      if (!PLURAL_CATEGORIES.includes(category)) {
+        errors.push(`${language}.${key}: unknown plural category "${category}"`);
+      } else if (typeof form !== 'string') {
+        errors.push(`${language}.${key}.${category}: plural form must be a string`);
+      }
+    }
+    if (typeof value.other !== 'string') {
+      errors.push(`${language}.${key}: plural object requires an "other" form`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Load and validate every supported locale bundle
+ * Throws if any bundle is missing or malformed so broken translations never deploy.
+ * @returns {Array<string>} Loaded language codes
+ */
+const loadBundles = () => {
+  const loaded = new Map();
+  const errors = [];
+
+  for (const language of SUPPORTED_LANGUAGES) {
+    const filePath = path.join(LOCALES_DIR, `${language}.json`);
+    try {
+      const messages = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const bundleErrors = validateBundle(language, messages);
+      if (bundleErrors.length > 0) {
+        errors.push(...bundleErrors);
+        continue;
+      }
+      loaded.set(language.toLowerCase(), { language, messages });
+    } catch (error) {
+      errors.push(`${language}: failed to load ${filePath}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid locale bundles:\n${errors.join('\n')}`);
+  }
+
+  bundles = loaded;
+  mergedBundles = new Map();
+  return [...loaded.values()].map((bundle) => bundle.language);
+};
+
+/**
+ * Build the fallback chain of loaded bundles for a language tag
+ * @param {string} tag - BCP-47 language tag
+ * @returns {Array<Object>} Bundles from most to least specific
+ */
+const getFallbackChain = (tag) => {
+  const candidates = [];
+  if (isValidLanguageTag(tag)) {
+    const subtags = Intl.getCanonicalLocales(tag)[0].split('-');
+    for (let length = subtags.length; length > 0; length -= 1) {
+      candidates.push(subtags.slice(0, length).join('-'));
+    }
+  }
+  candidates.push(DEFAULT_LANGUAGE);
+
+  const chain = [];
+  for (const candidate of candidates) {
+    const bundle = bundles.get(candidate.toLowerCase());
+    if (bundle && !chain.includes(bundle)) {
+      chain.push(bundle);
+    }
+  }
+  return chain;
+};
+
+/**
+ * Resolve a language tag to the most specific loaded bundle language
+ * @param {string} tag - BCP-47 language tag
+ * @returns {string} Loaded language code (default language if nothing matches)
+ */
+const resolveLanguage = (tag) => {
+  const chain = getFallbackChain(tag);
+  return chain.length > 0 ? chain[0].language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Get the complete message set for a language with fallbacks filled in
+ * The result is memoized per resolved language and carries a strong ETag.
+ * @param {string} tag - BCP-47 language tag
+ * @returns {Object} { language, messages, etag }
+ */
+const getBundle = (tag) => {
+  const chain = getFallbackChain(tag);
+  const language = chain.length > 0 ? chain[0].language : DEFAULT_LANGUAGE;
+
+  if (!mergedBundles.has(language)) {
+    const messages = Object.assign({}, ...chain.slice().reverse().map((bundle) => bundle.messages));
+    const hash = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('base64url');
+    mergedBundles.set(language, { language, messages, etag: `"${language}-${hash.slice(0, 27)}"` });
+  }
+  return mergedBundles.get(language);
+};
+
+/**
+ * Replace {placeholders} with parameter values; numbers are formatted for the locale
+ * @param {string} template - Message template
+ * @param {string} language - Language used for number formatting
+ * @param {Object} params - Placeholder values
+ * @returns {string} Interpolated message
+ */
+const interpolate = (template, language, params) => template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+  if (!Object.prototype.hasOwnProperty.call(params, name)) {
+    return placeholder;
+  }
+  const value = params[name];
+  return typeof value === 'number' ? new Intl.NumberFormat(language).format(value) : String(value);
+});
+
+/**
+ * Translate a key with interpolation and plural selection
+ * Plural forms are selected with params.count using the CLDR rules of the bundle language.
+ * @param {string} tag - BCP-47 language tag
+ * @param {string} key - Translation key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Translated message, or the key itself if no bundle defines it
+ */
+const translate = (tag, key, params = {}) => {
+  const bundle = getFallbackChain(tag).find((candidate) => candidate.messages[key] !== undefined);
+  if (!bundle) {
+    logger.warn('Missing translation key', { key, language: tag });
+    return key;
+  }
+
+  let template = bundle.messages[key];
+  if (typeof template === 'object') {
+    const category = typeof params.count === 'number'
+      ? new Intl.PluralRules(bundle.language).select(params.count)
+      : 'other';
+    template = template[category] ?? template.other;
+  }
+  return interpolate(template, bundle.language, params);
+};
+
+/**
+ * Collect the placeholder names used by a message value
+ * @param {string|Object} value - String or plural object
+ * @returns {Set<string>} Placeholder names
+ */
+const getPlaceholders = (value) => {
+  const forms = typeof value === 'string' ? [value] : Object.values(value);
+  const names = new Set();
+  for (const form of forms) {
+    for (const match of form.matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  }
+  return names;
+};
+
+/**
+ * Compare every bundle with the default language bundle
+ * @returns {Object} Report keyed by language:
+ *   { total_keys, missing_keys, extra_keys, placeholder_mismatches, missing_plural_forms }
+ */
+const getParityReport = () => {
+  const reference = bundles.get(DEFAULT_LANGUAGE.toLowerCase());
+  const referenceKeys = reference ? Object.keys(reference.messages) : [];
+  const report = {};
+
+  for (const { language, messages } of bundles.values()) {
+    const keys = Object.keys(messages);
+    const requiredCategories = new Intl.PluralRules(language).resolvedOptions().pluralCategories;
+
+    const placeholderMismatches = [];
+    const missingPluralForms = [];
+    for (const key of keys) {
+      const value = messages[key];
+      if (reference && reference.messages[key] !== undefined) {
+        const expected = [...getPlaceholders(reference.messages[key])].sort().join(',');
+        const actual = [...getPlaceholders(value)].sort().join(',');
+        if (expected !== actual) {
+          placeholderMismatches.push(key);
+        }
+      }
+      if (typeof value === 'object') {
+        const missing = requiredCategories.filter((category) => value[category] === undefined);
+        if (missing.length > 0) {
+          missingPluralForms.push({ key, categories: missing });
+        }
+      }
+    }
+
+    report[language] = {
+      total_keys: keys.length,
+      missing_keys: referenceKeys.filter((key) => messages[key] === undefined),
+      extra_keys: keys.filter((key) => !referenceKeys.includes(key)),
+      placeholder_mismatches: placeholderMismatches,
+      missing_plural_forms: missingPluralForms
+    };
+  }
+
+  return report;
+};
+
+module.exports = {
+  isValidLanguageTag,
+  loadBundles,
+  resolveLanguage,
+  getBundle,
+  translate,
+  getParityReport
+};
@@ -0,0 +1,61 @@
+/**
+ * Idempotency Key Purge Service
+ * Giftunity Backend Service
+ *
+ * Deletes expired idempotency keys and abandoned claims every
+ * IDEMPOTENCY_PURGE_INTERVAL_SECONDS, so requests with an Idempotency-Key do
+ * not pay for the cleanup (see models/idempotency-model.js). Claims take over
+ * stale keys themselves, so a late purge never blocks a request.
+ *
+ * Environment Variables:
+ * - IDEMPOTENCY_PURGE_INTERVAL_SECONDS: Purge interval (default: 3600)
+ */
+
+const idempotencyModel = require('../models/idempotency-model');
+const logger = require('../utils/logger');
+
+const DEFAULT_PURGE_INTERVAL_SECONDS = 3600;
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const purged = await idempotencyModel.purgeStaleKeys();
+    if (purged > 0) {
+      logger.debug('Purged stale idempotency keys', { count: purged });
+    }
+  } catch (error) {
+    logger.error('Idempotency key purge failed', { error });
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start purging; the first pass runs immediately
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+  const intervalSeconds = Number(process.env.IDEMPOTENCY_PURGE_INTERVAL_SECONDS) || DEFAULT_PURGE_INTERVAL_SECONDS;
+  timer = setInterval(tick, intervalSeconds * 1000);
+  timer.unref();
+  tick();
+  logger.info('Idempotency key purge started', { interval_seconds: intervalSeconds });
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop
+};
@@ -0,0 +1,284 @@
+/**
+ * Database Migration Service
+ * Giftunity Backend Service
+ *
+ * Applies the numbered SQL files in Giftunity-db/migrations in order and records
+ * each one in the schema_migrations table together with a SHA-256 checksum.
+ *
+ * File naming:
+ * - NNNN_description.sql       Up migration (required)
+ * - NNNN_description.down.sql  Down migration (required only for rollback)
+ *
+ * Every migration runs inside its own transaction, and the whole run holds a
+ * session-level advisory lock so concurrent backend instances never migrate at
+ * the same time.
+ *
+ * Environment Variables:
+ * - MIGRATIONS_DIR: Override for the migrations directory (optional)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/db');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR
+  || path.join(__dirname, '..', '..', '..', 'Giftunity-db', 'migrations');
+
+// Arbitrary application-wide key for pg_advisory_lock (fits in a signed BIGINT)
+const MIGRATION_LOCK_KEY = 4471029331;
+
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+?)(\.down)?\.sql$/;
+
+/**
+ * Read and parse all migration files from disk
+ * @returns {Array<Object>} Migrations sorted by version: { version, name, checksum, upSQL, downSQL }
+ */
+const loadMigrations = () => {
+  const byVersion = new Map();
+
+  for (const fileName of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = MIGRATION_FILE_PATTERN.exec(fileName);
+    if (!match) {
+      continue;
+    }
+
+    const version = parseInt(match[1], 10);
+    const name = match[2];
+    const isDown = Boolean(match[3]);
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, fileName), 'utf8');
+
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${match[1]} has conflicting file names: ${migration.name} and ${name}`);
+    }
+
+    if (isDown) {
+      migration.downSQL = sql;
+    } else {
+      migration.upSQL = sql;
+      migration.checksum = crypto.createHash('sha256').update(sql).digest('hex');
+    }
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  const orphan = migrations.find((migration) => !migration.upSQL);
+  if (orphan) {
+    throw new Error(`Migration ${orphan.version} (${orphan.name}) has a down file but no up file`);
+  }
+
+  return migrations;
+};
+
+/**
+ * Create the bookkeeping table if it does not exist yet
+ * @param {Object} client - Database client
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INTEGER NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+};
+
+/**
+ * Fetch applied migrations ordered by version
+ * @param {Object} client - Database client
+ * @returns {Promise<Array<Object>>} Rows from schema_migrations
+ */
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+};
+
+/**
+ * Refuse to continue when an applied migration file was edited after the fact
+ * @param {Array<Object>} applied - Applied migration rows
+ * @param {Array<Object>} migrations - Migrations on disk
+ */
+const verifyChecksums = (applied, migrations) => {
+  const onDisk = new Map(migrations.map((migration) => [migration.version, migration]));
+
+  for (const row of applied) {
+    const migration = onDisk.get(row.version);
+    if (!migration) {
+      throw new Error(`Applied migration ${row.version} (${row.name}) is missing from ${MIGRATIONS_DIR}`);
+    }
+    if (migration.checksum !== row.checksum.trim()) {
+      throw new Error(`Checksum mismatch for migration ${row.version} (${row.name}); applied migrations must not be edited`);
+    }
+  }
+};
+
+/**
+ * Run a callback on a dedicated client while holding the migration advisory lock
+ * @param {Function} callback - Async function receiving the client
+ * @returns {Promise<*>} Callback result
+ */
+const withMigrationLock = async (callback) => {
+  const client = await db.getClient();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Execute SQL inside a transaction together with its bookkeeping statement
+ * @param {Object} client - Database client
+ * @param {string} sql - Migration SQL
+ * @param {Function} record - Async function writing to schema_migrations
+ */
+const runInTransaction = async (client, sql, record) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Apply all pending migrations (optionally up to a target version)
+ * @param {Object} [options]
+ * @param {number} [options.target] - Highest version to apply
+ * @returns {Promise<Array<Object>>} Migrations applied during this run
+ */
+const migrateUp = async ({ target } = {}) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyChecksums(applied, migrations);
+
+    const appliedVersions = new Set(applied.map((row) => row.version));
+    const pending = migrations.filter((migration) => !appliedVersions.has(migration.version)
+      && (target === undefined || migration.version <= target));
+
+    const results = [];
+    for (const migration of pending) {
+      const start = Date.now();
+      logger.info('Applying migration', { version: migration.version, name: migration.name });
+
+      try {
+        await runInTransaction(client, migration.upSQL, () => client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - start]
+        ));
+      } catch (error) {
+        error.message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+        throw error;
+      }
+
+      const duration = Date.now() - start;
+      logger.info('Migration applied', { version: migration.version, duration_ms: duration });
+      results.push({ version: migration.version, name: migration.name, duration });
+    }
+
+    return results;
+  });
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - Number of migrations to roll back
+ * @returns {Promise<Array<Object>>} Migrations rolled back during this run
+ */
+const migrateDown = async ({ steps = 1 } = {}) => {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyChecksums(applied, migrations);
+
+    const results = [];
+    for (const row of applied.reverse().slice(0, steps)) {
+      const migration = byVersion.get(row.version);
+      if (!migration.downSQL) {
+        throw new Error(`Migration ${row.version} (${row.name}) has no down file and cannot be rolled back`);
+      }
+
+      const start = Date.now();
+      logger.info('Rolling back migration', { version: row.version, name: row.name });
+
+      try {
+        await runInTransaction(client, migration.downSQL, () => client.query(
+          'DELETE FROM schema_migrations WHERE version = $1',
+          [row.version]
+        ));
+      } catch (error) {
+        error.message = `Rollback of migration ${row.version} (${row.name}) failed: ${error.message}`;
+        throw error;
+      }
+
+      const duration = Date.now() - start;
+      logger.info('Migration rolled back', { version: row.version, duration_ms: duration });
+      results.push({ version: row.version, name: row.name, duration });
+    }
+
+    return results;
+  });
+};
+
+/**
+ * Compare applied migrations with the files on disk
+ * Read-only: does not take the advisory lock or create the bookkeeping table.
+ * @returns {Promise<Object>} { currentVersion, latestVersion, applied, pending, checksumMismatches }
+ */
+const getStatus = async () => {
+  const migrations = loadMigrations();
+
+  const tableCheck = await db.query("SELECT to_regclass('public.schema_migrations') IS NOT NULL AS exists");
+  const applied = tableCheck.rows[0].exists
+    ? (await db.query('SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version')).rows
+    : [];
+
+  const onDisk = new Map(migrations.map((migration) => [migration.version, migration]));
+  const appliedVersions = new Set(applied.map((row) => row.version));
+
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied: applied.map((row) => ({
+      version: row.version,
+      name: row.name,
+      applied_at: row.applied_at,
+      execution_ms: row.execution_ms
+    })),
+    pending: migrations
+      .filter((migration) => !appliedVersions.has(migration.version))
+      .map((migration) => ({ version: migration.version, name: migration.name })),
+    checksumMismatches: applied
+      .filter((row) => !onDisk.has(row.version) || onDisk.get(row.version).checksum !== row.checksum.trim())
+      .map((row) => row.version)
+  };
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getStatus
+};
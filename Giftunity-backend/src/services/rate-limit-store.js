@@ -0,0 +1,107 @@
+/**
+ * Rate Limit Store
+ * Giftunity Backend Service
+ *
+ * Token buckets behind the API rate limits (see middleware/rate-limit.js).
+ * Both stores have the same interface:
+ *
+ *   const { allowed, tokens } = await store.take('write:user:42', { capacity: 30, refillPerSecond: 0.5 });
+ *
+ * A bucket starts full, refills continuously up to its capacity, and each
+ * allowed request takes one token; a refused request takes none.
+ *
+ * - memory: buckets live in this process; fast, but every instance counts alone
+ * - postgres: buckets live in rate_limit_buckets and are shared by all instances,
+ *   at the cost of one query per request
+ *
+ * Environment Variables:
+ * - RATE_LIMIT_STORE: memory or postgres (default: memory)
+ */
+
+const rateLimitModel = require('../models/rate-limit-model');
+const logger = require('../utils/logger');
+
+// Buckets idle this long are full again and are dropped
+const IDLE_BUCKET_SECONDS = 3600;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * In-process store
+ * @returns {Object} { take }
+ */
+const createMemoryStore = () => {
+  // key -> { tokens, updatedAt (ms) }
+  const buckets = new Map();
+  let lastPurge = Date.now();
+
+  const purge = (now) => {
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.updatedAt >= IDLE_BUCKET_SECONDS * 1000) {
+        buckets.delete(key);
+      }
+    }
+    lastPurge = now;
+  };
+
+  return {
+    take: async (key, { capacity, refillPerSecond }) => {
+      const now = Date.now();
+      if (now - lastPurge >= PURGE_INTERVAL_MS) {
+        purge(now);
+      }
+
+      const bucket = buckets.get(key);
+      const refilled = bucket
+        ? Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond)
+        : capacity;
+      const allowed = refilled >= 1;
+      const tokens = allowed ? refilled - 1 : refilled;
+      buckets.set(key, { tokens, updatedAt: now });
+      return { allowed, tokens };
+    }
+  };
+};
+
+/**
+ * Store in rate_limit_buckets, shared by every instance
+ * @returns {Object} { take }
+ */
+const createPostgresStore = () => {
+  let lastPurge = Date.now();
+
+  return {
+    take: async (key, { capacity, refillPerSecond }) => {
+      const now = Date.now();
+      if (now - lastPurge >= PURGE_INTERVAL_MS) {
+        lastPurge = now;
+        rateLimitModel.purgeIdleBuckets(IDLE_BUCKET_SECONDS).catch((error) => {
+          logger.warn('Failed to purge idle rate limit buckets', { error });
+        });
+      }
+      return rateLimitModel.takeToken(key, capacity, refillPerSecond);
+    }
+  };
+};
+
+let store = null;
+
+/**
+ * The store selected by RATE_LIMIT_STORE
+ * @returns {Object} { take }
+ */
+const getStore = () => {
+  if (!store) {
+    const kind = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    if (kind !== 'memory' && kind !== 'postgres') {
+      logger.warn('Unknown RATE_LIMIT_STORE; using memory', { rate_limit_store: kind });
+    }
+    store = kind === 'postgres' ? createPostgresStore() : createMemoryStore();
+  }
+  return store;
+};
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  getStore
+};
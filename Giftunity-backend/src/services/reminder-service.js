@@ -0,0 +1,211 @@
+/**
+ * Reminder Service
+ * Giftunity Backend Service
+ *
+ * Computes when occasions are due and delivers their reminders through the bot.
+ *
+ * Schedule: a reminder is due at REMINDER_LOCAL_HOUR on the day remind_days_before
+ * days ahead of the occurrence, in the occasion's timezone. Yearly occasions on
+ * February 29 fall on February 28 in other years.
+ *
+ * The scheduler polls every REMINDER_POLL_INTERVAL_SECONDS:
+ * 1. Occasions whose next_remind_at has passed get a reminder row for that
+ *    occurrence and move on to the following one. This includes everything
+ *    missed while the backend was down, so a restart catches up; occurrences
+ *    that already passed locally are recorded as skipped instead of sent late.
+ * 2. Pending reminders are claimed and sent to the bot (see bot-notifier.js).
+ *    Only failures where the bot certainly did not send the message are
+ *    retried; anything uncertain is marked failed, so a reminder is never sent
+ *    twice. Reminders of users who blocked the bot or are banned are skipped.
+ *
+ * Environment Variables:
+ * - REMINDER_POLL_INTERVAL_SECONDS: Scheduler interval (default: 60)
+ */
+
+const occasionModel = require('../models/occasion-model');
+const botNotifier = require('./bot-notifier');
+const { getLocalDate, addDays, daysBetween, daysInMonth, toDateString, zonedTimeToUtc } = require('../utils/zoned-time');
+const logger = require('../utils/logger');
+
+const REMINDER_LOCAL_HOUR = 9;
+const DEFAULT_POLL_INTERVAL_SECONDS = 60;
+const BATCH_SIZE = 50;
+// Bounds one pass; a larger backlog continues on the next pass
+const MAX_QUEUE_BATCHES = 20;
+const MAX_ATTEMPTS = 5;
+const ABANDONED_CLAIM_SECONDS = 600;
+
+let timer = null;
+let running = false;
+
+/**
+ * Local date of an occasion in a given year
+ * @param {Object} occasion - { month, day }
+ * @param {number} year - Full year
+ * @returns {string} "YYYY-MM-DD"
+ */
+const occurrenceIn = (occasion, year) => toDateString({
+  year,
+  month: occasion.month,
+  day: Math.min(occasion.day, daysInMonth(year, occasion.month))
+});
+
+/**
+ * Find the first occurrence on or after a date and when to remind of it
+ * @param {Object} occasion - { month, day, year, recurrence, timezone, remind_days_before }
+ * @param {string} fromDate - Earliest local date "YYYY-MM-DD" to consider
+ * @returns {Object} { next_occurrence_on, next_remind_at }, both null when none is left
+ */
+const computeNextReminder = (occasion, fromDate) => {
+  const fromYear = Number(fromDate.slice(0, 4));
+  const firstYear = Math.max(fromYear, occasion.year || fromYear);
+  const years = occasion.recurrence === 'once' ? [occasion.year] : [firstYear, firstYear + 1];
+
+  for (const year of years) {
+    const occursOn = occurrenceIn(occasion, year);
+    if (occursOn >= fromDate) {
+      const remindOn = addDays(occursOn, -occasion.remind_days_before);
+      return {
+        next_occurrence_on: occursOn,
+        next_remind_at: zonedTimeToUtc(remindOn, REMINDER_LOCAL_HOUR, occasion.timezone)
+      };
+    }
+  }
+  return { next_occurrence_on: null, next_remind_at: null };
+};
+
+/**
+ * Schedule of a new or edited occasion, starting from today in its timezone
+ * A reminder time already passed for an upcoming occurrence is due immediately.
+ * @param {Object} occasion - Occasion fields
+ * @returns {Object} { next_occurrence_on, next_remind_at }
+ */
+const scheduleOccasion = (occasion) => computeNextReminder(occasion, getLocalDate(new Date(), occasion.timezone));
+
+/**
+ * Queue reminders for every due occasion
+ * @returns {Promise<number>} Number of occasions processed
+ */
+const queueDueReminders = async () => {
+  let processed = 0;
+  for (let round = 0; round < MAX_QUEUE_BATCHES; round += 1) {
+    const batch = await occasionModel.listDueOccasions(BATCH_SIZE);
+    for (const occasion of batch) {
+      const next = computeNextReminder(occasion, addDays(occasion.next_occurrence_on, 1));
+      const passed = occasion.next_occurrence_on < getLocalDate(new Date(), occasion.timezone);
+      await occasionModel.queueReminder(occasion, next, passed ? 'skipped' : 'pending');
+    }
+    processed += batch.length;
+    if (batch.length < BATCH_SIZE) {
+      break;
+    }
+  }
+  return processed;
+};
+
+/**
+ * Deliver one claimed reminder and record the outcome
+ * @param {Object} reminder - Claimed reminder with occasion and owner fields
+ */
+const deliverReminder = async (reminder) => {
+  const today = getLocalDate(new Date(), reminder.timezone);
+  const daysUntil = daysBetween(today, reminder.occurs_on);
+  if (daysUntil < 0) {
+    return occasionModel.finishReminder(reminder.id, { status: 'skipped', error: 'Occasion passed before delivery' });
+  }
+  if (reminder.bot_blocked_at) {
+    return occasionModel.finishReminder(reminder.id, { status: 'skipped', error: 'User has blocked the bot' });
+  }
+  if (reminder.banned_at) {
+    return occasionModel.finishReminder(reminder.id, { status: 'skipped', error: 'User is banned' });
+  }
+
+  const result = await botNotifier.notifyBot('/internal/reminders', {
+    reminder_id: reminder.id,
+    user_id: reminder.owner_id,
+    language: reminder.preferred_language,
+    title: reminder.title,
+    occurs_on: reminder.occurs_on,
+    days_until: daysUntil
+  });
+
+  if (result.outcome === 'delivered') {
+    logger.info('Sent reminder', { reminder_id: reminder.id, occasion_id: reminder.occasion_id, user_id: reminder.owner_id });
+    return occasionModel.finishReminder(reminder.id, { status: 'sent' });
+  }
+  if (result.outcome === 'unavailable' && reminder.attempts < MAX_ATTEMPTS) {
+    const retryInSeconds = Math.min(3600, 60 * 2 ** (reminder.attempts - 1));
+    logger.warn('Reminder not delivered, will retry', { reminder_id: reminder.id, reason: result.error, retry_in_seconds: retryInSeconds });
+    return occasionModel.finishReminder(reminder.id, { status: 'pending', error: result.error, retryInSeconds });
+  }
+
+  logger.error('Reminder failed', { reminder_id: reminder.id, outcome: result.outcome, reason: result.error });
+  return occasionModel.finishReminder(reminder.id, { status: 'failed', error: `${result.outcome}: ${result.error}` });
+};
+
+/**
+ * Run one scheduler pass: queue due reminders, then deliver pending ones
+ * @returns {Promise<Object>} { queued, delivered } counts of processed rows
+ */
+const runOnce = async () => {
+  const abandoned = await occasionModel.failAbandonedReminders(ABANDONED_CLAIM_SECONDS);
+  if (abandoned > 0) {
+    logger.warn('Marked interrupted reminder deliveries as failed', { count: abandoned });
+  }
+
+  const queued = await queueDueReminders();
+  let delivered = 0;
+  let batch;
+  do {
+    batch = await occasionModel.claimPendingReminders(BATCH_SIZE);
+    for (const reminder of batch) {
+      // Each delivery gets its own request ID, passed on to the bot
+      await logger.runWithRequestId(logger.createRequestId(), () => deliverReminder(reminder));
+    }
+    delivered += batch.length;
+  } while (batch.length === BATCH_SIZE);
+
+  return { queued, delivered };
+};
+
+const tick = async () => {
+  // A slow pass (e.g. the bot waking up) must not overlap the next one
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    await runOnce();
+  } catch (error) {
+    logger.error('Reminder scheduler pass failed', { error });
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start polling; the first pass runs immediately to catch up after a restart
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+  const intervalSeconds = Number(process.env.REMINDER_POLL_INTERVAL_SECONDS) || DEFAULT_POLL_INTERVAL_SECONDS;
+  timer = setInterval(tick, intervalSeconds * 1000);
+  timer.unref();
+  tick();
+  logger.info('Reminder scheduler started', { interval_seconds: intervalSeconds });
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  computeNextReminder,
+  scheduleOccasion,
+  runOnce,
+  start,
+  stop
+};
@@ -0,0 +1,89 @@
+/**
+ * Telegram Bot API Client
+ * Giftunity Backend Service
+ *
+ * Minimal client for the Bot API methods the backend calls itself, such as
+ * refundStarPayment and getStarTransactions for payment refunds and
+ * reconciliation. Messages to users still go through the bot service (see
+ * bot-notifier.js).
+ *
+ * Failed calls throw TelegramAPIError with Telegram's error_code and
+ * description, e.g. 400 "CHARGE_ALREADY_REFUNDED".
+ *
+ * Environment Variables:
+ * - TELEGRAM_BOT_TOKEN: Bot token
+ * - TELEGRAM_API_URL: Bot API server (default: https://api.telegram.org), e.g. a
+ *   local fake for testing (see Giftunity-bot/src/cli/fake-telegram.js)
+ */
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+const REQUEST_TIMEOUT_MS = 15000;
+
+class TelegramAPIError extends Error {
+  constructor(method, errorCode, description) {
+    super(`${method} failed: ${errorCode ? `${errorCode} ` : ''}${description}`);
+    this.name = 'TelegramAPIError';
+    this.method = method;
+    this.errorCode = errorCode;
+    this.description = description;
+  }
+}
+
+/**
+ * Call a Bot API method
+ * @param {string} method - Method name, e.g. "refundStarPayment"
+ * @param {Object} [params] - Method parameters
+ * @returns {Promise<*>} The method's result
+ * @throws {TelegramAPIError} If the bot token is missing, Telegram is unreachable or the call fails
+ */
+const callTelegram = async (method, params = {}) => {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    throw new TelegramAPIError(method, null, 'TELEGRAM_BOT_TOKEN is not configured');
+  }
+
+  const apiURL = (process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+  let response;
+  try {
+    response = await fetch(`${apiURL}/bot${token}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new TelegramAPIError(method, null, (error.cause && error.cause.code) || error.message);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!data.ok) {
+    throw new TelegramAPIError(method, data.error_code || response.status, data.description || response.statusText);
+  }
+  return data.result;
+};
+
+/**
+ * Refund a successful Telegram Stars payment
+ * @param {string} userId - Telegram user id of the payer
+ * @param {string} chargeId - telegram_payment_charge_id
+ * @returns {Promise<boolean>}
+ */
+const refundStarPayment = (userId, chargeId) => callTelegram('refundStarPayment', {
+  user_id: Number(userId),
+  telegram_payment_charge_id: chargeId
+});
+
+/**
+ * Fetch one page of the bot's Telegram Stars transactions
+ * @param {number} offset - Transactions to skip
+ * @param {number} limit - Page size (1-100)
+ * @returns {Promise<Object>} StarTransactions: { transactions }
+ */
+const getStarTransactions = (offset, limit) => callTelegram('getStarTransactions', { offset, limit });
+
+module.exports = {
+  TelegramAPIError,
+  callTelegram,
+  refundStarPayment,
+  getStarTransactions
+};
@@ -0,0 +1,210 @@
+/**
+ * Prometheus Metrics
+ * Giftunity Backend Service
+ *
+ * A minimal metrics registry rendered in the Prometheus text format (0.0.4)
+ * at GET /metrics:
+ *
+ *   const requests = metrics.counter('http_requests_total', 'HTTP requests', ['method', 'status']);
+ *   requests.inc({ method: 'GET', status: 200 });
+ *
+ * Counters and histograms are updated where things happen; gauges read their
+ * current value when scraped. Label values must come from a small, fixed set
+ * (route templates rather than paths, operation names rather than ids) so
+ * every combination stays a single time series.
+ *
+ * Kept in step with its twin, Giftunity-bot/src/utils/metrics.js: the services
+ * are built and deployed separately, so they do not share code. The copies
+ * differ only in the service named in this header and the comment on
+ * DEFAULT_BUCKETS; make any other change in both.
+ *
+ * Environment Variables:
+ * - METRICS_TOKEN: When set, /metrics requires "Authorization: Bearer <token>"
+ */
+
+const crypto = require('crypto');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; suits HTTP requests and database queries
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+    : '';
+};
+
+class Metric {
+  constructor(name, help, type, labelNames) {
+    if (registry.has(name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    // Series keyed by their label values
+    this.series = new Map();
+    registry.set(name, this);
+  }
+
+  /**
+   * Series for a set of labels; missing labels are empty
+   */
+  get(labels = {}) {
+    const values = this.labelNames.map((name) => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels: Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]])),
+        ...this.initialValue()
+      });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, 'counter', labelNames);
+  }
+
+  initialValue() {
+    return { value: 0 };
+  }
+
+  inc(labels, amount = 1) {
+    this.get(labels).value += amount;
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super(name, help, 'gauge', labelNames);
+    this.collect = collect;
+  }
+
+  initialValue() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    this.get(labels).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return super.render();
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super(name, help, 'histogram', labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initialValue() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.get(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Start timing; call the returned function to observe the elapsed seconds
+   * @param {Object} [labels] - Labels known at the start
+   * @returns {Function} (moreLabels) => elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+/**
+ * Render every registered metric
+ * @returns {string} Prometheus text exposition
+ */
+const render = () => `${[...registry.values()].map((metric) => metric.render()).join('\n\n')}\n`;
+
+/**
+ * Express handler for GET /metrics (see METRICS_TOKEN)
+ */
+const metricsHandler = (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const provided = Buffer.from(req.get('Authorization') || '');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid metrics token is required'
+      });
+    }
+  }
+  res.set('Content-Type', CONTENT_TYPE).send(render());
+};
+
+// Process metrics every service exposes
+new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], (gauge) => {
+  gauge.set({}, process.memoryUsage().rss);
+});
+new Gauge('process_uptime_seconds', 'Time since the process started in seconds', [], (gauge) => {
+  gauge.set({}, Math.round(process.uptime()));
+});
+
+module.exports = {
+  counter: (name, help, labelNames = []) => new Counter(name, help, labelNames),
+  gauge: (name, help, labelNames = [], collect = undefined) => new Gauge(name, help, labelNames, collect),
+  histogram: (name, help, labelNames = [], buckets = undefined) => new Histogram(name, help, labelNames, buckets),
+  render,
+  metricsHandler
+};
@@ -0,0 +1,87 @@
+/**
+ * Request Validation Helpers
+ * Giftunity Backend Service
+ *
+ * Field readers shared by the routers. Each reader normalizes one body field
+ * and appends a message to errors instead of throwing, so a route can report
+ * every problem of a request at once.
+ */
+
+const DEFAULT_MAX_TEXT_LENGTH = 2000;
+// ISO 4217 codes Intl can format, plus XTR for Telegram Stars
+const CURRENCY_CODES = new Set([...Intl.supportedValuesOf('currency'), 'XTR']);
+
+/**
+ * Validate an optional free-text field
+ * @returns {string|null|undefined} Normalized value
+ */
+const readText = (body, field, errors, { required = false, maxLength = DEFAULT_MAX_TEXT_LENGTH } = {}) => {
+  const value = body[field];
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      errors.push(`${field} is required`);
+    }
+    return value === undefined ? undefined : null;
+  }
+  if (typeof value !== 'string' || value.trim().length === 0 || value.trim().length > maxLength) {
+    errors.push(`${field} must be a non-empty string of at most ${maxLength} characters`);
+    return undefined;
+  }
+  return value.trim();
+};
+
+/**
+ * Validate an optional integer field within bounds
+ * @returns {number|null|undefined} Normalized value
+ */
+const readInteger = (body, field, errors, { required = false, min, max = Number.MAX_SAFE_INTEGER }) => {
+  const value = body[field];
+  if (value === undefined || value === null) {
+    if (required) {
+      errors.push(`${field} is required`);
+    }
+    return value;
+  }
+  if (!Number.isSafeInteger(value) || value < min || value > max) {
+    errors.push(`${field} must be an integer between ${min} and ${max}`);
+    return undefined;
+  }
+  return value;
+};
+
+/**
+ * Validate an optional currency field, accepted in any case
+ * @returns {string|null|undefined} Upper-case currency code
+ */
+const readCurrency = (body, field, errors, { required = false } = {}) => {
+  const value = body[field];
+  if (value === undefined || value === null) {
+    if (required) {
+      errors.push(`${field} is required`);
+    }
+    return value;
+  }
+  if (typeof value !== 'string' || !CURRENCY_CODES.has(value.toUpperCase())) {
+    errors.push(`${field} must be an ISO 4217 currency code or XTR`);
+    return undefined;
+  }
+  return value.toUpperCase();
+};
+
+/**
+ * Send a 400 response listing validation errors
+ * @param {Object} res - Express response
+ * @param {Array<string>} errors - Validation messages
+ */
+const sendValidationError = (res, errors) => res.status(400).json({
+  error: 'Validation failed',
+  message: errors.join('; '),
+  details: errors
+});
+
+module.exports = {
+  readText,
+  readInteger,
+  readCurrency,
+  sendValidationError
+};
@@ -0,0 +1,135 @@
+/**
+ * Timezone Helpers
+ * Giftunity Backend Service
+ *
+ * Calendar arithmetic in IANA timezones using only Intl. Local calendar dates
+ * are plain "YYYY-MM-DD" strings, which compare correctly as strings; instants
+ * are Date objects in UTC, as stored in the database.
+ */
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is an IANA timezone known to this runtime
+ * @param {string} timeZone - e.g. "Asia/Tehran"
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (instant, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format calendar fields as "YYYY-MM-DD"
+ */
+const toDateString = ({ year, month, day }) => `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Local calendar date of an instant in a timezone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} "YYYY-MM-DD"
+ */
+const getLocalDate = (instant, timeZone) => toDateString(getZonedParts(instant, timeZone));
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} "YYYY-MM-DD"
+ */
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return toDateString({ year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() });
+};
+
+/**
+ * Whole days from one calendar date to another
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {number} Negative when to is before from
+ */
+const daysBetween = (from, to) => (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000;
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * UTC instant of a local wall-clock time in a timezone
+ * A time inside a DST gap resolves to an adjacent valid instant; callers use
+ * daytime hours, which DST changes do not touch.
+ * @param {string} date - Local date "YYYY-MM-DD"
+ * @param {number} hour - Local hour (0-23)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (date, hour, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+
+  // The offset at the wall-clock time read as UTC is at most one DST shift off; a second pass settles it
+  let instant = wallClock;
+  for (let pass = 0; pass < 2; pass += 1) {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+};
+
+module.exports = {
+  isValidTimeZone,
+  toDateString,
+  getLocalDate,
+  addDays,
+  daysBetween,
+  daysInMonth,
+  zonedTimeToUtc
+};
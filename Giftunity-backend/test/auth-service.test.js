@@ -0,0 +1,140 @@
+/**
+ * Authentication Service Tests
+ * Giftunity Backend Service
+ *
+ * initData is signed offline with a test bot token (signInitData), exactly as
+ * Telegram signs it, so no Telegram client is needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AuthenticationError,
+  signInitData,
+  verifyInitData,
+  issueSessionToken,
+  verifySessionToken
+} = require('../src/services/auth-service');
+
+const BOT_TOKEN = '123456:TEST-TOKEN';
+const SESSION_SECRET = 'test-session-secret';
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+const NOW_SECONDS = NOW / 1000;
+const USER = { id: 777001, first_name: 'Anna', language_code: 'de' };
+
+const sign = (fields = {}) => signInitData({ auth_date: NOW_SECONDS, query_id: 'AAH', user: USER, ...fields }, BOT_TOKEN);
+const verify = (initData, options = {}) => verifyInitData(initData, { botToken: BOT_TOKEN, maxAgeSeconds: 86400, now: NOW, ...options });
+
+const assertRejected = (fn, message) => assert.throws(fn, (error) => {
+  assert.ok(error instanceof AuthenticationError, `expected AuthenticationError, got ${error.name}`);
+  assert.equal(error.message, message);
+  return true;
+});
+
+test('verifyInitData accepts data signed with the bot token', () => {
+  const result = verify(sign({ start_param: 'wishlist_5' }));
+
+  assert.deepEqual(result.user, USER);
+  assert.equal(result.authDate, NOW_SECONDS);
+  assert.equal(result.queryId, 'AAH');
+  assert.equal(result.startParam, 'wishlist_5');
+});
+
+test('verifyInitData rejects data signed with another bot token', () => {
+  const initData = signInitData({ auth_date: NOW_SECONDS, user: USER }, '999:OTHER');
+  assertRejected(() => verify(initData), 'initData signature is invalid');
+});
+
+test('verifyInitData rejects a tampered field', () => {
+  const params = new URLSearchParams(sign());
+  params.set('user', JSON.stringify({ ...USER, id: 777002 }));
+  assertRejected(() => verify(params.toString()), 'initData signature is invalid');
+});
+
+test('verifyInitData rejects an added field', () => {
+  const initData = `${sign()}&start_param=wishlist_9`;
+  assertRejected(() => verify(initData), 'initData signature is invalid');
+});
+
+test('verifyInitData rejects a missing hash', () => {
+  const params = new URLSearchParams(sign());
+  params.delete('hash');
+  assertRejected(() => verify(params.toString()), 'initData hash is missing');
+});
+
+test('verifyInitData rejects empty initData', () => {
+  assertRejected(() => verify(''), 'initData is required');
+  assertRejected(() => verify(undefined), 'initData is required');
+});
+
+test('verifyInitData accepts auth_date up to the maximum age', () => {
+  assert.doesNotThrow(() => verify(sign({ auth_date: NOW_SECONDS - 86400 })));
+});
+
+test('verifyInitData rejects a stale auth_date', () => {
+  assertRejected(() => verify(sign({ auth_date: NOW_SECONDS - 86401 })), 'initData is expired');
+  assertRejected(() => verify(sign({ auth_date: NOW_SECONDS - 600 }), { maxAgeSeconds: 300 }), 'initData is expired');
+});
+
+test('verifyInitData tolerates a small clock skew but rejects a future auth_date beyond it', () => {
+  assert.doesNotThrow(() => verify(sign({ auth_date: NOW_SECONDS + 60 })));
+  assertRejected(() => verify(sign({ auth_date: NOW_SECONDS + 61 })), 'initData is expired');
+});
+
+test('verifyInitData rejects a missing or non-numeric auth_date', () => {
+  const withoutAuthDate = signInitData({ user: USER }, BOT_TOKEN);
+  assertRejected(() => verify(withoutAuthDate), 'initData is expired');
+  assertRejected(() => verify(sign({ auth_date: 'yesterday' })), 'initData is expired');
+});
+
+test('verifyInitData rejects a malformed user', () => {
+  const malformedUsers = [
+    '{not json',
+    JSON.stringify(null),
+    JSON.stringify({ first_name: 'Anna' }),
+    JSON.stringify({ id: '777001', first_name: 'Anna' }),
+    JSON.stringify({ id: -1, first_name: 'Anna' }),
+    JSON.stringify({ id: 777001 })
+  ];
+  for (const user of malformedUsers) {
+    const params = new URLSearchParams({ auth_date: String(NOW_SECONDS), user });
+    const initData = signInitData(Object.fromEntries(params), BOT_TOKEN);
+    assertRejected(() => verify(initData), 'initData user is malformed');
+  }
+  assertRejected(() => verify(signInitData({ auth_date: NOW_SECONDS }, BOT_TOKEN)), 'initData user is malformed');
+});
+
+test('verifyInitData requires a configured bot token', () => {
+  assert.throws(() => verifyInitData(sign(), { botToken: '', now: NOW }), /TELEGRAM_BOT_TOKEN is not configured/);
+});
+
+test('issueSessionToken and verifySessionToken round-trip the user id', () => {
+  const { token, expiresAt } = issueSessionToken(777001, { ttlSeconds: 3600, secret: SESSION_SECRET, now: NOW });
+
+  assert.equal(expiresAt, new Date(NOW + 3600 * 1000).toISOString());
+  assert.deepEqual(verifySessionToken(token, { secret: SESSION_SECRET, now: NOW + 1000 }), { userId: '777001', expiresAt });
+});
+
+test('verifySessionToken rejects an expired token', () => {
+  const { token } = issueSessionToken(777001, { ttlSeconds: 3600, secret: SESSION_SECRET, now: NOW });
+  assertRejected(() => verifySessionToken(token, { secret: SESSION_SECRET, now: NOW + 3600 * 1000 }), 'Session token is expired');
+});
+
+test('verifySessionToken rejects a token signed with another secret', () => {
+  const { token } = issueSessionToken(777001, { secret: 'another-secret', now: NOW });
+  assertRejected(() => verifySessionToken(token, { secret: SESSION_SECRET, now: NOW }), 'Session token signature is invalid');
+});
+
+test('verifySessionToken rejects a forged payload', () => {
+  const { token } = issueSessionToken(777001, { ttlSeconds: 3600, secret: SESSION_SECRET, now: NOW });
+  const [header, , signature] = token.split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ sub: '777002', iat: NOW_SECONDS, exp: NOW_SECONDS + 3600 })).toString('base64url');
+
+  assertRejected(() => verifySessionToken(`${header}.${forgedPayload}.${signature}`, { secret: SESSION_SECRET, now: NOW }), 'Session token signature is invalid');
+});
+
+test('verifySessionToken rejects malformed tokens', () => {
+  for (const token of [undefined, '', 'abc', 'a.b', 'a.b.c.d']) {
+    assertRejected(() => verifySessionToken(token, { secret: SESSION_SECRET, now: NOW }), 'Session token is malformed');
+  }
+});
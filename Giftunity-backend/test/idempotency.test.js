@@ -0,0 +1,196 @@
+/**
+ * Idempotency Middleware Tests
+ * Giftunity Backend Service
+ *
+ * Replays, mismatches and in-flight repeats of requests with an
+ * Idempotency-Key (src/middleware/idempotency.js) against PostgreSQL, where
+ * keys are claimed. The suite migrates the database in TEST_DATABASE_URL and
+ * leaves its keys to expire; without TEST_DATABASE_URL it is skipped.
+ *
+ * Requests run behind a stand-in for verifyServiceSignature that marks them
+ * as signed by the bot, so keys are scoped to "service:bot".
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+process.env.DATABASE_URL = TEST_DATABASE_URL;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const db = require('../src/config/db');
+const migrationService = require('../src/services/migration-service');
+const { captureRawBody } = require('../src/middleware/service-auth');
+const { idempotency } = require('../src/middleware/idempotency');
+
+const SKIP = !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set';
+
+const newKey = () => `test-${crypto.randomUUID()}`;
+
+describe('idempotency middleware', { skip: SKIP }, () => {
+  let server;
+  let baseUrl;
+  // Times each route ran, by path
+  const runs = {};
+  // Resolvers of requests held in /slow
+  const held = [];
+
+  const send = async (path, { key, body = { title: 'Book' }, method = 'POST', userId = '777001', anonymous = false } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Telegram-User-Id': userId,
+        ...(key !== undefined ? { 'Idempotency-Key': key } : {}),
+        ...(anonymous ? { 'X-Test-Anonymous': '1' } : {})
+      },
+      body: method === 'GET' ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null
+    };
+  };
+
+  before(async () => {
+    await migrationService.migrateUp();
+
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.use((req, res, next) => {
+      if (!req.get('X-Test-Anonymous')) {
+        req.service = 'bot';
+      }
+      next();
+    });
+    app.use(idempotency);
+    app.use((req, res, next) => {
+      runs[req.path] = (runs[req.path] || 0) + 1;
+      next();
+    });
+    app.post('/items', (req, res) => res.status(201).json({ run: runs['/items'], title: req.body.title }));
+    app.get('/items', (req, res) => res.json({ run: runs['/items'] }));
+    app.post('/invalid', (req, res) => res.status(400).json({ error: 'Validation failed', run: runs['/invalid'] }));
+    app.post('/broken', (req, res) => res.status(500).json({ error: 'Internal Server Error', run: runs['/broken'] }));
+    app.delete('/items/1', (req, res) => res.status(204).end());
+    app.post('/slow', (req, res) => {
+      held.push(() => res.status(201).json({ run: runs['/slow'] }));
+    });
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    await db.pool.end();
+  });
+
+  test('a repeated request gets the stored response without running again', async () => {
+    const key = newKey();
+    const first = await send('/items', { key });
+    const repeat = await send('/items', { key });
+
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get('Idempotent-Replayed'), null);
+    assert.equal(repeat.status, 201);
+    assert.equal(repeat.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepEqual(repeat.body, first.body);
+    assert.equal(runs['/items'], first.body.run);
+  });
+
+  test('client errors are stored and replayed too', async () => {
+    const key = newKey();
+    const first = await send('/invalid', { key });
+    const repeat = await send('/invalid', { key });
+
+    assert.equal(repeat.status, 400);
+    assert.equal(repeat.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepEqual(repeat.body, first.body);
+  });
+
+  test('a response without a body is replayed without one', async () => {
+    const key = newKey();
+    await send('/items/1', { key, method: 'DELETE', body: {} });
+    const repeat = await send('/items/1', { key, method: 'DELETE', body: {} });
+
+    assert.equal(repeat.status, 204);
+    assert.equal(repeat.headers.get('Idempotent-Replayed'), 'true');
+    assert.equal(repeat.body, null);
+  });
+
+  test('server errors are not stored, so the request can be repeated', async () => {
+    const key = newKey();
+    const first = await send('/broken', { key });
+    const repeat = await send('/broken', { key });
+
+    assert.equal(repeat.status, 500);
+    assert.equal(repeat.headers.get('Idempotent-Replayed'), null);
+    assert.equal(repeat.body.run, first.body.run + 1);
+  });
+
+  test('a key reused for a different request is refused', async () => {
+    const key = newKey();
+    await send('/items', { key });
+    const runsBefore = runs['/items'];
+
+    const changes = [
+      { body: { title: 'Bike' } },
+      { userId: '777002' }
+    ];
+    for (const change of changes) {
+      const response = await send('/items', { key, ...change });
+      assert.equal(response.status, 422, JSON.stringify(change));
+      assert.equal(response.body.message, 'This Idempotency-Key was already used for a different request');
+    }
+    const otherPath = await send('/invalid', { key });
+    assert.equal(otherPath.status, 422);
+    assert.equal(runs['/items'], runsBefore);
+  });
+
+  test('a repeat while the first request runs gets 409 with Retry-After', async () => {
+    const key = newKey();
+    const first = send('/slow', { key });
+    while (held.length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    const concurrent = await send('/slow', { key });
+    assert.equal(concurrent.status, 409);
+    assert.equal(concurrent.headers.get('Retry-After'), '1');
+    assert.equal(concurrent.body.message, 'A request with this Idempotency-Key is still being processed');
+
+    held.shift()();
+    const completed = await first;
+    const repeat = await send('/slow', { key });
+    assert.equal(completed.status, 201);
+    assert.equal(repeat.headers.get('Idempotent-Replayed'), 'true');
+    assert.equal(runs['/slow'], 1);
+  });
+
+  test('malformed keys are refused', async () => {
+    for (const key of ['', 'with space', 'ü', 'x'.repeat(256)]) {
+      const response = await send('/items', { key });
+      assert.equal(response.status, 400, JSON.stringify(key));
+      assert.equal(response.body.message, 'Idempotency-Key must be 1-255 visible ASCII characters');
+    }
+  });
+
+  test('reads and anonymous requests pass through untouched', async () => {
+    const key = newKey();
+    const reads = [await send('/items', { key, method: 'GET' }), await send('/items', { key, method: 'GET' })];
+    assert.equal(reads[1].body.run, reads[0].body.run + 1);
+
+    const anonymousKey = newKey();
+    const first = await send('/items', { key: anonymousKey, anonymous: true });
+    const repeat = await send('/items', { key: anonymousKey, anonymous: true });
+    assert.equal(repeat.headers.get('Idempotent-Replayed'), null);
+    assert.equal(repeat.body.run, first.body.run + 1);
+  });
+});
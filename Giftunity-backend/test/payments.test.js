@@ -0,0 +1,233 @@
+/**
+ * Payment Tests
+ * Giftunity Backend Service
+ *
+ * Pre-checkout, charges and refunds against PostgreSQL, since the guarantees
+ * under test (one payment per charge id, a ledger that sums to zero) are
+ * enforced in SQL. The suite migrates the database in TEST_DATABASE_URL and
+ * adds rows under random ids without removing them, so point it at a
+ * throwaway database. Without TEST_DATABASE_URL the suite is skipped.
+ *
+ * Routes run behind a stand-in for verifyServiceSignature that marks every
+ * request as signed by the bot (signatures are covered by the bot's tests).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+process.env.DATABASE_URL = TEST_DATABASE_URL;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const db = require('../src/config/db');
+const migrationService = require('../src/services/migration-service');
+const userModel = require('../src/models/user-model');
+const giftPoolModel = require('../src/models/gift-pool-model');
+const paymentModel = require('../src/models/payment-model');
+const paymentRoutes = require('../src/routes/payment-routes');
+
+const SKIP = !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set';
+
+// Random ids well above real Telegram user ids, so reruns do not collide
+const newUserId = () => String(9000000000000 + crypto.randomInt(1e12));
+const newChargeId = () => `test-charge-${crypto.randomUUID()}`;
+
+describe('payments', { skip: SKIP }, () => {
+  let server;
+  let baseUrl;
+  let organizerId;
+  let payerId;
+
+  const post = async (path, body, userId = payerId) => {
+    const response = await fetch(`${baseUrl}/api/payments${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Telegram-User-Id': userId },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const createPool = () => giftPoolModel.createPool(organizerId, { title: 'Bike', target_amount: 1000, currency: 'XTR' });
+
+  const createInvoice = async (pool, amount = 250) => {
+    const { status, body } = await post('/invoices', { pool_id: pool.id, amount });
+    assert.equal(status, 201);
+    return body.invoice;
+  };
+
+  const successfulPayment = (invoice, fields = {}) => ({
+    invoice_payload: invoice.payload,
+    currency: 'XTR',
+    total_amount: Number(invoice.amount),
+    telegram_payment_charge_id: newChargeId(),
+    ...fields
+  });
+
+  const contributionOf = async (poolId, userId) => {
+    const result = await db.query(
+      'SELECT amount, paid_amount FROM gift_pool_contributions WHERE pool_id = $1 AND user_id = $2',
+      [poolId, userId]
+    );
+    return result.rows[0];
+  };
+
+  const ledgerOf = async (chargeId) => {
+    const result = await db.query(`
+      SELECT entry_type, account, amount::INTEGER AS amount
+      FROM payment_ledger_entries
+      WHERE telegram_payment_charge_id = $1
+      ORDER BY id
+    `, [chargeId]);
+    return result.rows;
+  };
+
+  before(async () => {
+    await migrationService.migrateUp();
+    organizerId = newUserId();
+    payerId = newUserId();
+    await userModel.findOrCreateUser({ id: organizerId, first_name: 'Olga' });
+    await userModel.findOrCreateUser({ id: payerId, first_name: 'Paul' });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.service = 'bot';
+      next();
+    });
+    app.use('/api/payments', paymentRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    await db.pool.end();
+  });
+
+  test('pre-checkout accepts the invoiced amount for an open pool', async () => {
+    const pool = await createPool();
+    const invoice = await createInvoice(pool);
+
+    const { status, body } = await post('/pre-checkout', successfulPayment(invoice));
+
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+    assert.equal(body.invoice.id, invoice.id);
+  });
+
+  test('pre-checkout refuses an amount other than the invoiced one', async () => {
+    const pool = await createPool();
+    const invoice = await createInvoice(pool, 250);
+
+    for (const total_amount of [249, 251]) {
+      const { status, body } = await post('/pre-checkout', successfulPayment(invoice, { total_amount }));
+      assert.equal(status, 200);
+      assert.deepEqual(body, { ok: false, reason: 'amount_mismatch' });
+    }
+    const { body } = await post('/pre-checkout', successfulPayment(invoice, { currency: 'EUR' }));
+    assert.deepEqual(body, { ok: false, reason: 'amount_mismatch' });
+  });
+
+  test('pre-checkout refuses a pool closed after the invoice was sent', async () => {
+    const pool = await createPool();
+    const invoice = await createInvoice(pool);
+    await giftPoolModel.closePool(organizerId, pool.id);
+
+    const { status, body } = await post('/pre-checkout', successfulPayment(invoice));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { ok: false, reason: 'pool_not_accepting' });
+  });
+
+  test('pre-checkout refuses an unknown invoice payload', async () => {
+    const { body } = await post('/pre-checkout', {
+      invoice_payload: crypto.randomUUID(),
+      currency: 'XTR',
+      total_amount: 250
+    });
+
+    assert.deepEqual(body, { ok: false, reason: 'invoice_not_found' });
+  });
+
+  test('a redelivered charge id is recorded once', async () => {
+    const pool = await createPool();
+    const invoice = await createInvoice(pool, 300);
+    const payment = successfulPayment(invoice);
+
+    const first = await post('/charges', payment);
+    const second = await post('/charges', payment);
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.payment.id, first.body.payment.id);
+    const count = await db.query('SELECT COUNT(*)::INTEGER AS count FROM payments WHERE telegram_payment_charge_id = $1', [payment.telegram_payment_charge_id]);
+    assert.equal(count.rows[0].count, 1);
+    assert.equal((await ledgerOf(payment.telegram_payment_charge_id)).length, 2);
+    assert.deepEqual(await contributionOf(pool.id, payerId), { amount: '300', paid_amount: '300' });
+  });
+
+  test('concurrent deliveries of one charge id create a single payment', async () => {
+    const pool = await createPool();
+    const invoice = await createInvoice(pool, 120);
+    const data = {
+      invoice_payload: invoice.payload,
+      amount: 120,
+      currency: 'XTR',
+      telegram_payment_charge_id: newChargeId()
+    };
+
+    const results = await Promise.all([
+      paymentModel.recordCharge(payerId, data),
+      paymentModel.recordCharge(payerId, data)
+    ]);
+
+    assert.deepEqual(results.map((result) => result.created).sort(), [false, true]);
+    assert.equal(results[0].payment.id, results[1].payment.id);
+    assert.deepEqual(await contributionOf(pool.id, payerId), { amount: '120', paid_amount: '120' });
+  });
+
+  test('a refund reverses the charge with balanced ledger entries', async () => {
+    const pool = await createPool();
+    const invoice = await createInvoice(pool, 400);
+    const payment = successfulPayment(invoice);
+    const chargeId = payment.telegram_payment_charge_id;
+    assert.equal((await post('/charges', payment)).status, 201);
+
+    const refunded = await paymentModel.recordRefund(chargeId);
+
+    assert.equal(refunded.status, 'refunded');
+    assert.ok(refunded.refunded_at);
+    const entries = await ledgerOf(chargeId);
+    assert.deepEqual(entries, [
+      { entry_type: 'charge', account: 'telegram:stars', amount: 400 },
+      { entry_type: 'charge', account: `pool:${pool.id}`, amount: -400 },
+      { entry_type: 'refund', account: 'telegram:stars', amount: -400 },
+      { entry_type: 'refund', account: `pool:${pool.id}`, amount: 400 }
+    ]);
+    for (const entryType of ['charge', 'refund']) {
+      const sum = entries.filter((entry) => entry.entry_type === entryType).reduce((total, entry) => total + entry.amount, 0);
+      assert.equal(sum, 0, `${entryType} entries must sum to zero`);
+    }
+    assert.deepEqual(await contributionOf(pool.id, payerId), { amount: '0', paid_amount: '0' });
+
+    const { imbalances, missing_entries: missingEntries } = await paymentModel.checkLedger();
+    assert.equal(imbalances.filter((row) => row.telegram_payment_charge_id === chargeId).length, 0);
+    assert.equal(missingEntries.filter((row) => row.telegram_payment_charge_id === chargeId).length, 0);
+  });
+
+  test('a payment is refunded only once', async () => {
+    const pool = await createPool();
+    const invoice = await createInvoice(pool, 50);
+    const payment = successfulPayment(invoice);
+    await post('/charges', payment);
+
+    assert.ok(await paymentModel.recordRefund(payment.telegram_payment_charge_id));
+    assert.equal(await paymentModel.recordRefund(payment.telegram_payment_charge_id), null);
+    assert.equal((await ledgerOf(payment.telegram_payment_charge_id)).length, 4);
+  });
+});
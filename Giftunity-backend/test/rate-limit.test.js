@@ -0,0 +1,188 @@
+/**
+ * Rate Limit Tests
+ * Giftunity Backend Service
+ *
+ * Token buckets of src/services/rate-limit-store.js and the limits the
+ * middleware (src/middleware/rate-limit.js) applies per route. The memory
+ * store runs on a stubbed Date.now, so refills are exact. The postgres store
+ * migrates the database in TEST_DATABASE_URL and is skipped without it.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+process.env.DATABASE_URL = TEST_DATABASE_URL;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+delete process.env.RATE_LIMIT_STORE;
+
+const db = require('../src/config/db');
+const migrationService = require('../src/services/migration-service');
+const { createMemoryStore, createPostgresStore } = require('../src/services/rate-limit-store');
+const { rateLimit } = require('../src/middleware/rate-limit');
+
+const SKIP = !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set';
+
+const BUCKET = { capacity: 3, refillPerSecond: 1 };
+
+/**
+ * Take tokens until the bucket refuses
+ * @returns {Promise<number>} Requests allowed
+ */
+const drain = async (store, key, options = BUCKET) => {
+  let allowed = 0;
+  while ((await store.take(key, options)).allowed) {
+    allowed += 1;
+  }
+  return allowed;
+};
+
+describe('memory store', () => {
+  let now;
+
+  const setup = (t) => {
+    now = Date.UTC(2026, 5, 15, 12, 0, 0);
+    t.mock.method(Date, 'now', () => now);
+    return createMemoryStore();
+  };
+
+  test('a bucket starts full and refuses once it is empty', async (t) => {
+    const store = setup(t);
+    assert.equal(await drain(store, 'write:user:1'), 3);
+    assert.deepEqual(await store.take('write:user:1', BUCKET), { allowed: false, tokens: 0 });
+  });
+
+  test('tokens refill continuously at the sustained rate', async (t) => {
+    const store = setup(t);
+    await drain(store, 'write:user:1');
+
+    now += 500;
+    assert.deepEqual(await store.take('write:user:1', BUCKET), { allowed: false, tokens: 0.5 });
+    now += 500;
+    assert.deepEqual(await store.take('write:user:1', BUCKET), { allowed: true, tokens: 0 });
+  });
+
+  test('a refused request takes no token', async (t) => {
+    const store = setup(t);
+    await drain(store, 'write:user:1');
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      now += 100;
+      await store.take('write:user:1', BUCKET);
+    }
+    now += 500;
+    assert.equal((await store.take('write:user:1', BUCKET)).allowed, true);
+  });
+
+  test('refills stop at the capacity', async (t) => {
+    const store = setup(t);
+    await store.take('write:user:1', BUCKET);
+
+    now += 3600 * 1000;
+    assert.equal(await drain(store, 'write:user:1'), 3);
+  });
+
+  test('buckets are independent', async (t) => {
+    const store = setup(t);
+    await drain(store, 'write:user:1');
+    assert.equal((await store.take('write:user:2', BUCKET)).allowed, true);
+    assert.equal((await store.take('read:user:1', BUCKET)).allowed, true);
+  });
+});
+
+describe('rate limit middleware', () => {
+  let server;
+  let baseUrl;
+
+  const send = (method, path, headers = {}) => fetch(`${baseUrl}/api${path}`, { method, headers });
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      if (req.get('X-Test-Service')) {
+        req.service = 'bot';
+      }
+      next();
+    });
+    app.use('/api', rateLimit);
+    app.all('/api/*', (req, res) => res.json({ ok: true }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('sign-ins are limited per IP to 10 in a burst, then refused with Retry-After', async () => {
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      assert.equal((await send('POST', '/auth/telegram')).status, 200);
+    }
+    const refused = await send('POST', '/auth/telegram');
+    assert.equal(refused.status, 429);
+    // One token at 10 per minute
+    const retryAfter = Number(refused.headers.get('Retry-After'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 6, `Retry-After: ${retryAfter}`);
+    assert.equal((await refused.json()).error, 'Too Many Requests');
+  });
+
+  test('writes are limited per user, separately from reads', async () => {
+    const user = { 'X-Test-Service': '1', 'X-Telegram-User-Id': String(800000 + crypto.randomInt(100000)) };
+    for (let attempt = 0; attempt < 30; attempt += 1) {
+      assert.equal((await send('POST', '/wishlists', user)).status, 200);
+    }
+    assert.equal((await send('POST', '/wishlists', user)).status, 429);
+    assert.equal((await send('GET', '/wishlists', user)).status, 200);
+
+    const otherUser = { ...user, 'X-Telegram-User-Id': String(Number(user['X-Telegram-User-Id']) + 1) };
+    assert.equal((await send('POST', '/wishlists', otherUser)).status, 200);
+  });
+
+  test('signed requests without a user are not limited', async () => {
+    for (let attempt = 0; attempt < 40; attempt += 1) {
+      assert.equal((await send('POST', '/translations', { 'X-Test-Service': '1' })).status, 200);
+    }
+  });
+});
+
+describe('postgres store', { skip: SKIP }, () => {
+  const store = createPostgresStore();
+  const newKey = () => `test:${crypto.randomUUID()}`;
+  // Slow enough that nothing refills during the test
+  const SLOW_BUCKET = { capacity: 3, refillPerSecond: 0.001 };
+
+  before(async () => {
+    await migrationService.migrateUp();
+  });
+
+  after(async () => {
+    await db.pool.end();
+  });
+
+  test('a bucket starts full and refuses once it is empty', async () => {
+    const key = newKey();
+    assert.equal(await drain(store, key, SLOW_BUCKET), 3);
+    const refused = await store.take(key, SLOW_BUCKET);
+    assert.equal(refused.allowed, false);
+    assert.ok(refused.tokens < 1);
+  });
+
+  test('concurrent requests never take more than the capacity', async () => {
+    const key = newKey();
+    const results = await Promise.all(Array.from({ length: 8 }, () => store.take(key, SLOW_BUCKET)));
+    assert.equal(results.filter((result) => result.allowed).length, 3);
+  });
+
+  test('tokens refill at the sustained rate', async () => {
+    const key = newKey();
+    const fast = { capacity: 1, refillPerSecond: 20 };
+    await drain(store, key, fast);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal((await store.take(key, fast)).allowed, true);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Reminder Schedule Tests
+ * Giftunity Backend Service
+ *
+ * computeNextReminder is pure and always runs: February 29 in other years,
+ * reminders that fall into the previous month or year, and one-off occasions.
+ *
+ * The scheduler pass (runOnce) runs against PostgreSQL, like payments.test.js:
+ * it migrates the database in TEST_DATABASE_URL and adds occasions under
+ * random user ids without removing them. Without TEST_DATABASE_URL that suite
+ * is skipped. Deliveries go to a stand-in for the bot (botNotifier.notifyBot).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+process.env.DATABASE_URL = TEST_DATABASE_URL;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const db = require('../src/config/db');
+const migrationService = require('../src/services/migration-service');
+const userModel = require('../src/models/user-model');
+const occasionModel = require('../src/models/occasion-model');
+const botNotifier = require('../src/services/bot-notifier');
+const reminderService = require('../src/services/reminder-service');
+const { getLocalDate, addDays } = require('../src/utils/zoned-time');
+
+const { computeNextReminder } = reminderService;
+
+const SKIP = !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set';
+
+// Random ids well above real Telegram user ids, so reruns do not collide
+const newUserId = () => String(9000000000000 + crypto.randomInt(1e12));
+
+const occasion = (fields) => ({
+  year: null,
+  recurrence: 'yearly',
+  timezone: 'Europe/Berlin',
+  remind_days_before: 3,
+  ...fields
+});
+
+const schedule = (fields, fromDate) => {
+  const next = computeNextReminder(occasion(fields), fromDate);
+  return {
+    next_occurrence_on: next.next_occurrence_on,
+    next_remind_at: next.next_remind_at && next.next_remind_at.toISOString()
+  };
+};
+
+describe('computeNextReminder', () => {
+  test('a February 29 occasion falls on February 28 in other years', () => {
+    const leapDay = { month: 2, day: 29, remind_days_before: 0 };
+    assert.equal(schedule(leapDay, '2027-01-01').next_occurrence_on, '2027-02-28');
+    assert.equal(schedule(leapDay, '2028-01-01').next_occurrence_on, '2028-02-29');
+    assert.equal(schedule(leapDay, '2027-03-01').next_occurrence_on, '2028-02-29');
+    assert.equal(schedule(leapDay, '2028-03-01').next_occurrence_on, '2029-02-28');
+  });
+
+  test('the reminder falls before the occurrence, across months and years', () => {
+    assert.deepEqual(schedule({ month: 3, day: 2, remind_days_before: 3 }, '2027-01-01'), {
+      next_occurrence_on: '2027-03-02',
+      next_remind_at: '2027-02-27T08:00:00.000Z'
+    });
+    assert.deepEqual(schedule({ month: 1, day: 3, remind_days_before: 7 }, '2026-12-01'), {
+      next_occurrence_on: '2027-01-03',
+      next_remind_at: '2026-12-27T08:00:00.000Z'
+    });
+  });
+
+  test('the reminder is at 9:00 in the occasion timezone, DST included', () => {
+    // Three days before falls on the last day of winter time in Berlin
+    assert.equal(schedule({ month: 3, day: 31 }, '2026-01-01').next_remind_at, '2026-03-28T08:00:00.000Z');
+    assert.equal(schedule({ month: 4, day: 1 }, '2026-01-01').next_remind_at, '2026-03-29T07:00:00.000Z');
+    assert.equal(schedule({ month: 4, day: 1, timezone: 'Asia/Tehran' }, '2026-01-01').next_remind_at, '2026-03-29T05:30:00.000Z');
+  });
+
+  test('an upcoming occurrence whose reminder time passed keeps that time, so it is due at once', () => {
+    // Occurs in two days, the reminder was due the day before yesterday
+    assert.deepEqual(schedule({ month: 6, day: 17, remind_days_before: 4 }, '2026-06-15'), {
+      next_occurrence_on: '2026-06-17',
+      next_remind_at: '2026-06-13T07:00:00.000Z'
+    });
+  });
+
+  test('an occurrence earlier in the year moves to the next year', () => {
+    assert.equal(schedule({ month: 1, day: 10 }, '2026-06-15').next_occurrence_on, '2027-01-10');
+    assert.equal(schedule({ month: 6, day: 15 }, '2026-06-15').next_occurrence_on, '2026-06-15');
+  });
+
+  test('a yearly occasion with a birth year starts in that year', () => {
+    assert.equal(schedule({ month: 5, day: 1, year: 2030 }, '2026-06-15').next_occurrence_on, '2030-05-01');
+    assert.equal(schedule({ month: 5, day: 1, year: 1990 }, '2026-06-15').next_occurrence_on, '2027-05-01');
+  });
+
+  test('a one-off occasion has nothing left once it passed', () => {
+    const once = { month: 9, day: 1, year: 2026, recurrence: 'once' };
+    assert.equal(schedule(once, '2026-06-15').next_occurrence_on, '2026-09-01');
+    assert.deepEqual(schedule(once, '2026-09-02'), { next_occurrence_on: null, next_remind_at: null });
+  });
+});
+
+describe('scheduler pass', { skip: SKIP }, () => {
+  let ownerId;
+
+  /**
+   * Store an occasion whose reminder is already due
+   * @param {string} occursOn - Due occurrence, "YYYY-MM-DD"
+   */
+  const createDueOccasion = (occursOn, timezone) => {
+    const [, month, day] = occursOn.split('-').map(Number);
+    return occasionModel.createOccasion(ownerId, occasion({
+      title: `Occasion on ${occursOn}`,
+      month,
+      day,
+      timezone,
+      next_occurrence_on: occursOn,
+      next_remind_at: new Date(Date.now() - 60 * 1000)
+    }));
+  };
+
+  const remindersOf = async (occasionId) => {
+    const result = await db.query(
+      'SELECT occurs_on, status FROM occasion_reminders WHERE occasion_id = $1 ORDER BY occurs_on',
+      [occasionId]
+    );
+    return result.rows;
+  };
+
+  const reload = async (occasionId) => (await db.query('SELECT * FROM occasions WHERE id = $1', [occasionId])).rows[0];
+
+  before(async () => {
+    await migrationService.migrateUp();
+    ownerId = newUserId();
+    await userModel.findOrCreateUser({ id: ownerId, first_name: 'Olga' });
+  });
+
+  after(async () => {
+    await db.pool.end();
+  });
+
+  test('an occurrence that already passed is recorded as skipped, not sent late', async (t) => {
+    const notifications = t.mock.method(botNotifier, 'notifyBot', async () => ({ outcome: 'delivered', status: 200 }));
+    const timezone = 'Asia/Tehran';
+    const passedOn = addDays(getLocalDate(new Date(), timezone), -10);
+    const due = await createDueOccasion(passedOn, timezone);
+
+    await reminderService.runOnce();
+
+    assert.deepEqual(await remindersOf(due.id), [{ occurs_on: passedOn, status: 'skipped' }]);
+    const sentForIt = notifications.mock.calls.filter((call) => call.arguments[1].title === due.title);
+    assert.equal(sentForIt.length, 0);
+    const next = await reload(due.id);
+    assert.ok(next.next_occurrence_on > passedOn);
+    assert.ok(next.next_remind_at > new Date());
+  });
+
+  test('an upcoming occurrence is sent with the days left', async (t) => {
+    const notifications = t.mock.method(botNotifier, 'notifyBot', async () => ({ outcome: 'delivered', status: 200 }));
+    const timezone = 'Europe/Berlin';
+    const upcomingOn = addDays(getLocalDate(new Date(), timezone), 2);
+    const due = await createDueOccasion(upcomingOn, timezone);
+
+    await reminderService.runOnce();
+
+    assert.deepEqual(await remindersOf(due.id), [{ occurs_on: upcomingOn, status: 'sent' }]);
+    const sent = notifications.mock.calls.filter((call) => call.arguments[1].title === due.title);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].arguments[0], '/internal/reminders');
+    assert.equal(sent[0].arguments[1].days_until, 2);
+    assert.equal(sent[0].arguments[1].occurs_on, upcomingOn);
+  });
+
+  test('a second pass queues nothing again', async (t) => {
+    t.mock.method(botNotifier, 'notifyBot', async () => ({ outcome: 'delivered', status: 200 }));
+    const timezone = 'Europe/Berlin';
+    const upcomingOn = addDays(getLocalDate(new Date(), timezone), 1);
+    const due = await createDueOccasion(upcomingOn, timezone);
+
+    await reminderService.runOnce();
+    await reminderService.runOnce();
+
+    assert.equal((await remindersOf(due.id)).length, 1);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Timezone Helper Tests
+ * Giftunity Backend Service
+ *
+ * Calendar arithmetic of src/utils/zoned-time.js in timezones with unusual
+ * offsets and across DST changes. Europe/Berlin switches to summer time on
+ * 2026-03-29 and back on 2026-10-25; Asia/Tehran stays at +03:30 all year.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  getLocalDate,
+  addDays,
+  daysBetween,
+  daysInMonth,
+  zonedTimeToUtc
+} = require('../src/utils/zoned-time');
+
+test('zonedTimeToUtc applies a half-hour offset', () => {
+  assert.equal(zonedTimeToUtc('2026-06-15', 9, 'Asia/Tehran').toISOString(), '2026-06-15T05:30:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-12-31', 0, 'Asia/Tehran').toISOString(), '2026-12-30T20:30:00.000Z');
+});
+
+test('zonedTimeToUtc follows a DST change', async (t) => {
+  await t.test('spring forward', () => {
+    assert.equal(zonedTimeToUtc('2026-03-28', 9, 'Europe/Berlin').toISOString(), '2026-03-28T08:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-03-29', 9, 'Europe/Berlin').toISOString(), '2026-03-29T07:00:00.000Z');
+  });
+
+  await t.test('fall back', () => {
+    assert.equal(zonedTimeToUtc('2026-10-24', 9, 'Europe/Berlin').toISOString(), '2026-10-24T07:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-10-25', 9, 'Europe/Berlin').toISOString(), '2026-10-25T08:00:00.000Z');
+  });
+
+  await t.test('hours after the change on the day itself', () => {
+    assert.equal(zonedTimeToUtc('2026-03-29', 4, 'Europe/Berlin').toISOString(), '2026-03-29T02:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-10-25', 4, 'Europe/Berlin').toISOString(), '2026-10-25T03:00:00.000Z');
+  });
+
+  await t.test('an hour inside the spring gap resolves to an adjacent instant', () => {
+    const instant = zonedTimeToUtc('2026-03-29', 2, 'Europe/Berlin').toISOString();
+    assert.ok(['2026-03-29T00:00:00.000Z', '2026-03-29T01:00:00.000Z'].includes(instant), instant);
+  });
+});
+
+test('getLocalDate reads the calendar date in the timezone', () => {
+  const instant = new Date('2026-06-15T21:00:00Z');
+  assert.equal(getLocalDate(instant, 'UTC'), '2026-06-15');
+  assert.equal(getLocalDate(instant, 'Asia/Tehran'), '2026-06-16');
+  assert.equal(getLocalDate(instant, 'America/Los_Angeles'), '2026-06-15');
+  assert.equal(getLocalDate(new Date('2026-12-31T23:30:00Z'), 'Europe/Berlin'), '2027-01-01');
+});
+
+test('calendar arithmetic crosses months, years and leap days', () => {
+  assert.equal(addDays('2026-01-02', -5), '2025-12-28');
+  assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+  assert.equal(addDays('2027-02-28', 1), '2027-03-01');
+  assert.equal(addDays('2026-03-28', 2), '2026-03-30');
+
+  assert.equal(daysBetween('2026-03-28', '2026-03-30'), 2);
+  assert.equal(daysBetween('2026-10-26', '2026-10-24'), -2);
+  assert.equal(daysBetween('2027-12-31', '2028-03-01'), 61);
+
+  assert.equal(daysInMonth(2027, 2), 28);
+  assert.equal(daysInMonth(2028, 2), 29);
+  assert.equal(daysInMonth(2100, 2), 28);
+  assert.equal(daysInMonth(2026, 12), 31);
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  for (const timeZone of ['Europe/Berlin', 'Asia/Tehran', 'UTC']) {
+    assert.equal(isValidTimeZone(timeZone), true, timeZone);
+  }
+  for (const timeZone of ['Mars/Olympus', '', null, 'x'.repeat(65)]) {
+    assert.equal(isValidTimeZone(timeZone), false, String(timeZone));
+  }
+});
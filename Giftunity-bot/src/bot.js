@@ -9,20 +9,64 @@
  * - Handle Telegram webhook updates
  * - Process user commands and interactions
  * - Communicate with backend API for user management
+ * - Deliver backend-initiated messages such as occasion reminders
+ * - Accept Telegram Stars payments into gift pools
+ * - Send every message through a rate-limited delivery queue
+ * - Let admins broadcast announcements to segments of users
  * - Serve translation content from backend
- * - Provide health checks for Render deployment
+ * - Provide liveness, readiness and dependency status probes for Render
  * 
  * Environment Variables:
  * - TELEGRAM_BOT_TOKEN: Bot token from BotFather
  * - BACKEND_URL: Backend service URL
- * - WEBHOOK_URL: Bot webhook URL (provided by Render)
+ * - SERVICE_SHARED_SECRET: Secret for signing requests to and verifying requests from the backend
+ * - WEBHOOK_URL: Public base URL of the bot (default: RENDER_EXTERNAL_URL, provided by Render)
+ * - WEBHOOK_PATH, WEBHOOK_SECRET_TOKEN, WEBHOOK_WATCHDOG_INTERVAL_SECONDS: Webhook
+ *   path, secret and registration check (see services/webhook-manager.js)
  * - PORT: Server port (default: 10001)
  * - NODE_ENV: Environment (production/development)
+ * - TELEGRAM_API_URL: Bot API server (default: https://api.telegram.org), e.g. the
+ *   local fake from src/cli/fake-telegram.js
+ * - DELIVERY_MESSAGES_PER_SECOND: Global outbound message rate (default: 30)
+ * - DELIVERY_MESSAGES_PER_CHAT_PER_SECOND: Outbound message rate per chat (default: 1)
+ * - ADMIN_TELEGRAM_IDS: Comma-separated Telegram user ids allowed to use /broadcast
+ * - LOG_LEVEL: debug, info, warn or error (default: info; see utils/logger.js)
+ * - METRICS_TOKEN: Bearer token required by GET /metrics when set (see utils/metrics.js)
+ * - BOT_RATE_LIMIT_BURST, BOT_RATE_LIMIT_PER_MINUTE: Updates per user (default: 8 at
+ *   once, 20 per minute; see services/rate-limiter.js)
+ * - UPDATE_DEDUP_TTL_SECONDS: How long handled update ids are remembered to skip
+ *   re-deliveries (default: 3600; see services/update-deduplicator.js)
+ * - DEEP_LINK_SECRET, DEEP_LINK_TTL_DAYS: Signing key and lifetime of /start links
+ *   (default: derived from the bot token, 90 days; see utils/deep-link.js)
+ * - MINI_APP_URL: Frontend (Mini App) URL; when set, the welcome message has a
+ *   button opening it
  */
 
-const { Telegraf } = require('telegraf');
-const axios = require('axios');
+const { Telegraf, Markup, Scenes, session, TelegramError } = require('telegraf');
 const express = require('express');
+const { createTranslator } = require('./utils/i18n');
+const { BackendAPI, UserBannedError } = require('./services/backend-api');
+const { TranslationCache } = require('./services/translation-cache');
+const { BackendSessionStore } = require('./services/session-store');
+const { DeliveryQueue, QueueFullError } = require('./services/delivery-queue');
+const { BroadcastSender } = require('./services/broadcast-sender');
+const { HealthChecker } = require('./services/health-checker');
+const { WebhookManager, getWebhookSettings } = require('./services/webhook-manager');
+const { UpdateDeduplicator } = require('./services/update-deduplicator');
+const { RateLimiter } = require('./services/rate-limiter');
+const { ADD_WISH_SCENE_ID, createAddWishScene } = require('./scenes/add-wish-scene');
+const { BROADCAST_SCENE_ID, createBroadcastScene } = require('./scenes/broadcast-scene');
+const { registerGiftPoolHandlers } = require('./handlers/gift-pool-handlers');
+const { registerWishlistShareHandlers } = require('./handlers/wishlist-share-handlers');
+const { registerDeepLinkHandlers } = require('./handlers/deep-link-handlers');
+const { registerOccasionHandlers } = require('./handlers/occasion-handlers');
+const { registerPrivacyHandlers, isDataExportRequest } = require('./handlers/privacy-handlers');
+const { registerPaymentHandlers } = require('./handlers/payment-handlers');
+const { createInternalRouter } = require('./routes/internal-routes');
+const { captureRawBody } = require('./middleware/service-auth');
+const { requireTelegramSecret } = require('./middleware/webhook-auth');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
 
 // Load environment variables
 require('dotenv').config();
@@ -31,19 +75,92 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 10001;
 
-// Middleware
-app.use(express.json());
+// Webhook settings in production, null in development where the bot polls
+const webhook = process.env.NODE_ENV === 'production' ? getWebhookSettings() : null;
+
+// Middleware (the raw body is kept for verifying signed backend requests)
+app.use(express.json({ verify: captureRawBody }));
+
+// Request ID and request logging: the backend sends the ID of its request in
+// X-Request-Id; a webhook update keeps the ID of the request that delivered it
+app.use((req, res, next) => {
+  const requestId = logger.createRequestId(req.get('X-Request-Id'));
+  const start = Date.now();
+  // The webhook path is a secret and is logged as /[webhook]; query strings are left out
+  const requestPath = req.originalUrl.split('?')[0];
+  const path = webhook && requestPath === webhook.path ? '/[webhook]' : requestPath;
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    const fields = { method: req.method, path, status: res.statusCode, duration_ms: Date.now() - start };
+    if (['/health', '/live', '/ready', '/metrics'].includes(path)) {
+      logger.debug('Request completed', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  });
+  logger.runWithRequestId(requestId, next);
+});
 
-// Health check endpoint for Render
+// Health check kept for existing monitors; Render probes /live
+// (delivery: outbound queue depth and counters)
 app.get('/health', (req, res) => {
   res.status(200).json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     service: 'giftunity-bot',
-    version: '1.0.0'
+    version: '1.0.0',
+    delivery: deliveryQueue.getStats()
   });
 });
 
+// Liveness: the process serves requests; checks no dependency
+app.get('/live', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime_seconds: Math.round(process.uptime())
+  });
+});
+
+// Readiness: the backend answers and Telegram delivers updates to this bot
+// (503 otherwise; see healthChecker below)
+app.get('/ready', async (req, res) => {
+  try {
+    const { ready, dependencies } = await healthChecker.runAll();
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks: dependencies
+    });
+  } catch (error) {
+    logger.error('Readiness check failed', { error });
+    res.status(503).json({ status: 'not_ready', timestamp: new Date().toISOString() });
+  }
+});
+
+// Dependency status: latency and last failure per dependency, plus delivery stats
+app.get('/status', async (req, res) => {
+  try {
+    const { status, dependencies } = await healthChecker.runAll();
+    res.status(200).json({
+      status,
+      timestamp: new Date().toISOString(),
+      service: 'giftunity-bot',
+      version: '1.0.0',
+      environment: process.env.NODE_ENV || 'development',
+      uptime_seconds: Math.round(process.uptime()),
+      dependencies,
+      delivery: deliveryQueue.getStats()
+    });
+  } catch (error) {
+    logger.error('Status report failed', { error });
+    res.status(500).json({ status: 'unknown', timestamp: new Date().toISOString() });
+  }
+});
+
+// Prometheus metrics: updates, handler errors and backend calls (see utils/metrics.js)
+app.get('/metrics', metrics.metricsHandler);
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -55,101 +172,357 @@ app.get('/', (req, res) => {
 });
 
 // Initialize Telegraf bot
-const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN);
+// Replies are real API calls rather than webhook responses, so they pass the
+// delivery queue and Telegram's errors (403, 429) reach it
+const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN, {
+  telegram: {
+    webhookReply: false,
+    ...(process.env.TELEGRAM_API_URL ? { apiRoot: process.env.TELEGRAM_API_URL } : {})
+  }
+});
+
+// Initialize backend API client with proper URL formatting
+const getBackendURL = () => {
+  let backendURL = process.env.BACKEND_URL;
+  
+  // Ensure the backend URL has proper protocol
+  if (backendURL && !backendURL.startsWith('http')) {
+    backendURL = `https://${backendURL}`;
+  }
+  
+  // Ensure the URL has the proper .onrender.com domain
+  if (backendURL && !backendURL.includes('.onrender.com')) {
+    backendURL = `${backendURL}.onrender.com`;
+  }
+  
+  return backendURL;
+};
+
+const backendAPI = new BackendAPI(getBackendURL());
+
+// Mini App URL from the frontend service, formatted like the backend URL
+// (Telegram only opens Mini Apps over https); null when there is none
+const getMiniAppURL = () => {
+  const miniAppURL = process.env.MINI_APP_URL;
+  if (!miniAppURL) {
+    return null;
+  }
+  if (/^https?:\/\//.test(miniAppURL)) {
+    return miniAppURL;
+  }
+  return miniAppURL.includes('.') ? `https://${miniAppURL}` : `https://${miniAppURL}.onrender.com`;
+};
+
+const MINI_APP_URL = getMiniAppURL();
+
+const translationCache = new TranslationCache(backendAPI);
 
 /**
- * Backend API Communication Helper
+ * Update Metrics
+ * 
+ * Commands are counted by name; anything else sent as a command counts as
+ * "other" so typos cannot create new time series. Add new commands here.
  */
-class BackendAPI {
-  constructor(baseURL) {
-    this.baseURL = baseURL;
+const COMMANDS = [
+  'start', 'help', 'language', 'addwish', 'cancel', 'broadcast',
+  'newpool', 'pledge', 'pay', 'pool', 'addoccasion', 'occasions', 'timezone',
+  'mydata', 'deleteme', 'invite'
+];
+const updatesHandled = metrics.counter('bot_updates_total', 'Telegram updates handled', ['type', 'command']);
+const updateDuration = metrics.histogram('bot_update_duration_seconds', 'Duration of update handling in seconds', ['type']);
+const handlerErrors = metrics.counter('bot_handler_errors_total', 'Errors raised while handling updates', ['operation']);
+const duplicateUpdates = metrics.counter('bot_duplicate_updates_total', 'Re-delivered Telegram updates that were skipped');
+
+const updateDeduplicator = new UpdateDeduplicator();
+
+/**
+ * Command of a message update ("" when it is not a command)
+ */
+const commandOf = (ctx) => {
+  const message = ctx.message;
+  const entity = message && message.entities && message.entities[0];
+  if (!entity || entity.type !== 'bot_command' || entity.offset !== 0) {
+    return '';
   }
+  const command = message.text.slice(1, entity.length).split('@')[0].toLowerCase();
+  return COMMANDS.includes(command) ? command : 'other';
+};
 
-  async findOrCreateUser(userData) {
-    try {
-      const response = await axios.post(`${this.baseURL}/api/user/findOrCreate`, userData, {
-        timeout: 5000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      return response.data;
-    } catch (error) {
-      console.error('Backend API Error - findOrCreateUser:', error.message);
-      throw error;
+/**
+ * Update Request IDs
+ * 
+ * Everything logged while handling an update, and every backend call it makes,
+ * carries one request ID (see utils/logger.js). Registered before any other
+ * middleware so the whole update runs inside it; it also records the update metrics
+ * and skips updates Telegram delivered again (see services/update-deduplicator.js).
+ */
+bot.use((ctx, next) => {
+  const requestId = logger.getRequestId() || logger.createRequestId();
+  return logger.runWithRequestId(requestId, async () => {
+    if (updateDeduplicator.isDuplicate(ctx.update.update_id)) {
+      duplicateUpdates.inc();
+      logger.info('Duplicate update skipped', { update_type: ctx.updateType });
+      return;
     }
-  }
 
-  async getTranslations(language) {
+    const start = Date.now();
     try {
-      const response = await axios.get(`${this.baseURL}/api/translations/${language}`, {
-        timeout: 5000
+      await next();
+    } finally {
+      updatesHandled.inc({ type: ctx.updateType, command: commandOf(ctx) });
+      updateDuration.observe({ type: ctx.updateType }, (Date.now() - start) / 1000);
+      logger.info('Update handled', {
+        update_type: ctx.updateType,
+        user_id: ctx.from && ctx.from.id,
+        duration_ms: Date.now() - start
       });
-      return response.data;
-    } catch (error) {
-      console.error('Backend API Error - getTranslations:', error.message);
-      throw error;
     }
+  }, { update_id: ctx.update.update_id });
+});
+
+/**
+ * Outbound Delivery Queue
+ * 
+ * Rate-limits and retries every message the bot sends (see services/delivery-queue.js).
+ * Telegraf creates a Telegram client per update, so each one is routed through the queue
+ * before any handler runs. Users who blocked the bot are recorded in the backend, which
+ * then skips them for messages it initiates.
+ */
+const deliveryQueue = new DeliveryQueue({
+  onBlocked: (userId) => backendAPI.setBotBlocked(userId, true)
+});
+deliveryQueue.install(bot.telegram);
+bot.use((ctx, next) => {
+  deliveryQueue.install(ctx.telegram);
+  return next();
+});
+
+/**
+ * Abuse Controls
+ * 
+ * Each user's updates are rate-limited (see services/rate-limiter.js) before the
+ * session or any handler calls the backend; the first refused update gets a
+ * "slow down" reply. Users the backend reported as banned (UserBannedError) are
+ * told once, then their updates other than /mydata are dropped for
+ * BANNED_USER_CACHE_MS. Payment and chat member updates always pass: Telegram
+ * expects an answer to every pre-checkout query, and blocks must still be recorded.
+ */
+const BANNED_USER_CACHE_MS = 10 * 60 * 1000;
+const UNLIMITED_UPDATE_TYPES = ['pre_checkout_query', 'my_chat_member'];
+const rateLimiter = new RateLimiter();
+// Telegram user id -> time until which their updates are dropped
+const bannedUsers = new Map();
+const droppedUpdates = metrics.counter('bot_dropped_updates_total', 'Updates dropped by abuse controls', ['reason']);
+
+const isKnownBanned = (userId) => {
+  const until = bannedUsers.get(userId);
+  if (until && until > Date.now()) {
+    return true;
+  }
+  bannedUsers.delete(userId);
+  return false;
+};
+
+/**
+ * Answer an update with a notice: callback queries get a toast, private messages a reply
+ */
+const sendNotice = async (ctx, key) => {
+  const t = await getTranslator(guessLanguage(ctx));
+  if (ctx.updateType === 'callback_query') {
+    await ctx.answerCbQuery(t(key), { show_alert: true });
+  } else if (ctx.chat && ctx.chat.type === 'private' && ctx.updateType === 'message') {
+    await ctx.reply(t(key));
+  }
+};
+
+/**
+ * Tell a banned user once and drop their updates from now on
+ */
+const handleBannedUser = async (ctx) => {
+  const userId = ctx.from && ctx.from.id;
+  logger.info('Refused update from a banned user', { user_id: userId });
+  if (!userId || isKnownBanned(userId)) {
+    return;
   }
+  bannedUsers.set(userId, Date.now() + BANNED_USER_CACHE_MS);
+  try {
+    await sendNotice(ctx, 'account_banned');
+  } catch (error) {
+    logger.error('Failed to tell a banned user', { user_id: userId, error });
+  }
+};
 
-  async getSupportedLanguages() {
+bot.use(async (ctx, next) => {
+  const userId = ctx.from && ctx.from.id;
+  if (!userId || UNLIMITED_UPDATE_TYPES.includes(ctx.updateType) || (ctx.message && ctx.message.successful_payment)) {
+    return next();
+  }
+  if (isKnownBanned(userId) && !isDataExportRequest(ctx)) {
+    droppedUpdates.inc({ reason: 'banned' });
+    return undefined;
+  }
+
+  const { allowed, notify } = rateLimiter.take(userId);
+  if (allowed) {
+    return next();
+  }
+  droppedUpdates.inc({ reason: 'rate_limited' });
+  logger.info('Update rate-limited', { user_id: userId, notified: notify });
+  if (notify) {
     try {
-      const response = await axios.get(`${this.baseURL}/api/translations`, {
-        timeout: 5000
-      });
-      return response.data;
+      await sendNotice(ctx, 'rate_limited');
     } catch (error) {
-      console.error('Backend API Error - getSupportedLanguages:', error.message);
-      throw error;
+      logger.error('Failed to send the rate limit notice', { user_id: userId, error });
     }
   }
-}
+  return undefined;
+});
 
-// Initialize backend API client with proper URL formatting
-const getBackendURL = () => {
-  let backendURL = process.env.BACKEND_URL;
-  
-  // Ensure the backend URL has proper protocol
-  if (backendURL && !backendURL.startsWith('http')) {
-    backendURL = `https://${backendURL}`;
+/**
+ * Escape text for Telegram HTML messages
+ */
+const escapeHTML = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Best guess of the user's language before the backend has answered
+ * Uses the language already resolved for this update, then Telegram's language_code.
+ */
+const guessLanguage = (ctx) => {
+  if (ctx.state && ctx.state.language) {
+    return ctx.state.language;
   }
-  
-  // Ensure the URL has the proper .onrender.com domain
-  if (backendURL && !backendURL.includes('.onrender.com')) {
-    backendURL = `${backendURL}.onrender.com`;
+  const languageCode = ctx.from && ctx.from.language_code;
+  return languageCode ? languageCode.split('-')[0].toLowerCase() : 'en';
+};
+
+/**
+ * Get a translator for a language from the translation cache
+ */
+const getTranslator = async (language) => {
+  const bundle = await translationCache.get(language);
+  return createTranslator(bundle.language, bundle.messages);
+};
+
+/**
+ * Load the user's record and a translator for their preferred language
+ * The resolved language is kept on ctx.state for error messages; created tells
+ * whether this update brought a new user. The user is synced once per update:
+ * the result is kept on ctx.state too, so a handler that passes the update on
+ * (a deep link continuing to /start) does not sync the user again.
+ */
+const getUserTranslations = async (ctx) => {
+  if (ctx.state.userTranslations) {
+    return ctx.state.userTranslations;
   }
-  
-  return backendURL;
+  const { user: userRecord, created } = await backendAPI.syncUser(ctx.from);
+  const preferredLanguage = userRecord.preferred_language || 'en';
+  ctx.state.language = preferredLanguage;
+  ctx.state.userTranslations = { userRecord, created, preferredLanguage, t: await getTranslator(preferredLanguage) };
+  return ctx.state.userTranslations;
 };
 
-const backendAPI = new BackendAPI(getBackendURL());
+/**
+ * Whether sending a message failed (blocked chat, rate limit, Telegram down)
+ * Answering such an error with another message would fail the same way.
+ */
+const isDeliveryError = (error) => error instanceof TelegramError || error instanceof QueueFullError;
 
 /**
  * Error Handler for Bot Operations
+ * The translation cache never rejects, so the message falls back to the bundled
+ * snapshot in the user's language when the backend is down.
  */
 const handleBotError = async (ctx, error, operation = 'operation') => {
-  console.error(`Bot Error in ${operation}:`, error);
+  if (error instanceof UserBannedError) {
+    return handleBannedUser(ctx);
+  }
+  logger.error(`Bot error in ${operation}`, { error });
+  handlerErrors.inc({ operation });
+  if (isDeliveryError(error)) {
+    return;
+  }
   
   try {
-    // Try to get error message from backend translations
-    const translations = await backendAPI.getTranslations('en');
-    const errorMessage = translations.error_generic || 'An error occurred. Please try again later.';
-    await ctx.reply(errorMessage);
-  } catch (translationError) {
-    // Fallback error message if translation service is down
-    const fallbackMessage = `
-🤖 <b>Giftunity Bot</b>
+    const t = await getTranslator(guessLanguage(ctx));
+    // Requests that never got a response mean the backend is unreachable
+    if (error.isAxiosError && !error.response) {
+      await ctx.reply(t('error_service_unavailable'), { parse_mode: 'HTML' });
+    } else {
+      await ctx.reply(t('error_generic'));
+    }
+  } catch (replyError) {
+    logger.error('Failed to send error message', { error: replyError });
+  }
+};
+
+/**
+ * Admins
+ * 
+ * Telegram users listed in ADMIN_TELEGRAM_IDS may send broadcasts.
+ */
+const adminIds = new Set((process.env.ADMIN_TELEGRAM_IDS || '').split(',').map((id) => id.trim()).filter(Boolean));
+
+const isAdmin = (ctx) => Boolean(ctx.from) && adminIds.has(String(ctx.from.id));
 
-Sorry, I'm experiencing some technical difficulties right now. 
+const broadcastSender = new BroadcastSender({ backendAPI, telegram: bot.telegram, getTranslator });
 
-Please try again in a few moments, or contact support if the problem persists.
+/**
+ * Conversation State
+ * 
+ * Sessions (wizard progress) are stored through the backend so conversations
+ * survive restarts and are shared between bot instances.
+ */
+const stage = new Scenes.Stage([
+  createAddWishScene({ backendAPI, getTranslator, handleBotError }),
+  createBroadcastScene({ backendAPI, broadcastSender, getTranslator, handleBotError })
+]);
 
-Thank you for your patience! 🙏
-    `;
-    await ctx.reply(fallbackMessage, { parse_mode: 'HTML' });
+/**
+ * Leave an active wizard when the user sends another command
+ * Runs before the stage so the command reaches its regular handler.
+ */
+const leaveSceneOnCommand = (ctx, next) => {
+  const entity = ctx.message && ctx.message.entities && ctx.message.entities[0];
+  const isCommand = entity && entity.type === 'bot_command' && entity.offset === 0;
+  const scenes = ctx.session && ctx.session.__scenes;
+
+  if (isCommand && scenes && scenes.current && !/^\/cancel(@\w+)?$/.test(ctx.message.text.split(' ')[0])) {
+    ctx.session.__scenes = {};
   }
+  return next();
 };
 
+bot.use(session({ store: new BackendSessionStore(backendAPI) }));
+bot.use(leaveSceneOnCommand);
+bot.use(stage.middleware());
+
+/**
+ * Wishlist Sharing Handlers
+ * 
+ * Inline queries and the reservation buttons on shared wishes
+ * (see handlers/wishlist-share-handlers.js); the deep-link handlers below open
+ * shared wishes and wishlists through openSharedLink.
+ */
+const { openSharedLink } = registerWishlistShareHandlers(bot, { backendAPI, getUserTranslations, handleBotError });
+
+/**
+ * Gift Pool Handlers
+ * 
+ * /newpool, /pledge, /pay, /pool and the progress message buttons (see handlers/gift-pool-handlers.js).
+ */
+const { refreshProgress, showPool } = registerGiftPoolHandlers(bot, { backendAPI, getTranslator, getUserTranslations, handleBotError });
+
+/**
+ * Deep Link Handlers
+ * 
+ * Signed /start links to invitations, wishlists, wishes and pools, the referrals
+ * they record, and /invite (see handlers/deep-link-handlers.js). Registered before /start.
+ */
+registerDeepLinkHandlers(bot, { backendAPI, getUserTranslations, openSharedLink, showPool, handleBotError });
+
 /**
  * /start Command Handler
  * 
@@ -159,43 +532,26 @@ Thank you for your patience! 🙏
 bot.start(async (ctx) => {
   try {
     const user = ctx.from;
-    console.log(`New user started bot: ${user.id} (${user.first_name})`);
+    logger.info('User started the bot', { user_id: user.id });
 
-    // Send user data to backend for processing
-    const userRecord = await backendAPI.findOrCreateUser(user);
-    
-    // Get user's preferred language (defaults to 'en' if not set)
-    const preferredLanguage = userRecord.preferred_language || 'en';
+    // Send user data to backend and load translations for their preferred language
+    const { preferredLanguage, t } = await getUserTranslations(ctx);
     
-    // Get translations for the user's preferred language
-    const translations = await backendAPI.getTranslations(preferredLanguage);
-    
-    // Send welcome message
-    await ctx.reply(translations.welcome_message, {
-      parse_mode: 'HTML'
+    // Send welcome message, with a button opening the Mini App when it is deployed
+    await ctx.reply(t('welcome_message'), {
+      parse_mode: 'HTML',
+      ...(MINI_APP_URL ? Markup.inlineKeyboard([Markup.button.webApp(t('button_open_app'), MINI_APP_URL)]) : {})
     });
 
-    console.log(`Welcome message sent to user ${user.id} in language ${preferredLanguage}`);
+    logger.info('Welcome message sent', { user_id: user.id, language: preferredLanguage });
     
   } catch (error) {
     // If backend is not available, send a basic welcome message
     if (error.code === 'ERR_BAD_RESPONSE' || error.status === 500) {
-      const fallbackWelcome = `
-🤖 <b>Welcome to Giftunity!</b>
-
-Hello ${ctx.from.first_name}! 👋
-
-I'm your Giftunity assistant, here to help you manage gifts and share joy with others.
-
-While I'm setting up some features, you can:
-• Use /help to see available commands
-• Use /language to change your language preference
-
-Thank you for joining Giftunity! 🎁
-      `;
+      const t = await getTranslator(guessLanguage(ctx));
       
-      await ctx.reply(fallbackWelcome, { parse_mode: 'HTML' });
-      console.log(`Fallback welcome message sent to user ${ctx.from.id}`);
+      await ctx.reply(t('welcome_fallback', { name: escapeHTML(ctx.from.first_name) }), { parse_mode: 'HTML' });
+      logger.info('Fallback welcome message sent', { user_id: ctx.from.id });
     } else {
       await handleBotError(ctx, error, '/start command');
     }
@@ -207,29 +563,9 @@ Thank you for joining Giftunity! 🎁
  */
 bot.help(async (ctx) => {
   try {
-    const user = ctx.from;
+    const { t } = await getUserTranslations(ctx);
     
-    // Get user's preferred language
-    const userRecord = await backendAPI.findOrCreateUser(user);
-    const preferredLanguage = userRecord.preferred_language || 'en';
-    const translations = await backendAPI.getTranslations(preferredLanguage);
-    
-    const helpMessage = `
-🤖 <b>Giftunity Bot Help</b>
-
-<b>Available Commands:</b>
-/start - Start using Giftunity
-/help - Show this help message
-/language - Change your language preference
-
-<b>About Giftunity:</b>
-Giftunity is a platform for managing gifts and sharing joy with others.
-
-<b>Support:</b>
-If you need help, please contact our support team.
-    `;
-    
-    await ctx.reply(helpMessage, { parse_mode: 'HTML' });
+    await ctx.reply(t('help_message', { bot: ctx.botInfo.username }), { parse_mode: 'HTML' });
     
   } catch (error) {
     await handleBotError(ctx, error, '/help command');
@@ -238,26 +574,19 @@ If you need help, please contact our support team.
 
 /**
  * /language Command Handler
+ * 
+ * Shows an inline keyboard with every supported language.
  */
 bot.command('language', async (ctx) => {
   try {
-    const supportedLanguages = await backendAPI.getSupportedLanguages();
+    const [{ t }, { languages }] = await Promise.all([
+      getUserTranslations(ctx),
+      backendAPI.getSupportedLanguages()
+    ]);
     
-    const languageMessage = `
-🌍 <b>Language Selection</b>
-
-Supported languages:
-• English (en)
-• العربية (ar) - Arabic
-• فارسی (fa) - Persian
-• Русский (ru) - Russian
-• Deutsch (de) - German
-• 中文 (zh) - Chinese
-
-To change your language, please contact support or use the web interface when available.
-    `;
+    const buttons = languages.map(({ code, name }) => Markup.button.callback(name, `lang:${code}`));
     
-    await ctx.reply(languageMessage, { parse_mode: 'HTML' });
+    await ctx.reply(t('language_prompt'), Markup.inlineKeyboard(buttons, { columns: 2 }));
     
   } catch (error) {
     await handleBotError(ctx, error, '/language command');
@@ -265,85 +594,272 @@ To change your language, please contact support or use the web interface when av
 });
 
 /**
- * Message Handler for Text Messages
+ * Language Selection Callback Handler
+ * 
+ * Persists the chosen language and confirms it in that language.
  */
-bot.on('text', async (ctx) => {
+bot.action(/^lang:([a-z]{2})$/, async (ctx) => {
   try {
-    const user = ctx.from;
-    const messageText = ctx.message.text;
+    const language = ctx.match[1];
     
-    // Log user message for analytics
-    console.log(`User ${user.id} sent message: ${messageText}`);
+    await backendAPI.updatePreferences(ctx.from.id, { preferred_language: language });
+    ctx.state.language = language;
+    const t = await getTranslator(language);
     
-    // For now, just acknowledge the message
-    // In future phases, this will handle more complex interactions
-    const userRecord = await backendAPI.findOrCreateUser(user);
-    const preferredLanguage = userRecord.preferred_language || 'en';
-    const translations = await backendAPI.getTranslations(preferredLanguage);
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(t('language_selected'));
     
-    await ctx.reply('Thank you for your message! More features are coming soon.', {
-      parse_mode: 'HTML'
+    logger.info('User switched language', { user_id: ctx.from.id, language });
+  } catch (error) {
+    await ctx.answerCbQuery().catch(() => {});
+    await handleBotError(ctx, error, 'language selection');
+  }
+});
+
+/**
+ * /addwish Command Handler
+ * 
+ * Starts the add-wish wizard in the user's language.
+ */
+bot.command('addwish', async (ctx) => {
+  try {
+    const { preferredLanguage } = await getUserTranslations(ctx);
+    await ctx.scene.enter(ADD_WISH_SCENE_ID, { language: preferredLanguage });
+  } catch (error) {
+    await handleBotError(ctx, error, '/addwish command');
+  }
+});
+
+/**
+ * Buttons of a wizard that already ended
+ */
+bot.action(/^wish:/, async (ctx) => {
+  const t = await getTranslator(guessLanguage(ctx));
+  await ctx.answerCbQuery(t('wish_wizard_expired'));
+});
+
+/**
+ * /broadcast Command Handler
+ * 
+ * Starts the broadcast wizard for admins in a private chat; the message is
+ * composed in the default language first, then in the others.
+ */
+bot.command('broadcast', async (ctx) => {
+  try {
+    const [{ preferredLanguage, t }, { languages, defaultLanguage }] = await Promise.all([
+      getUserTranslations(ctx),
+      backendAPI.getSupportedLanguages()
+    ]);
+    if (!isAdmin(ctx) || ctx.chat.type !== 'private') {
+      return ctx.reply(t('broadcast_admin_only'));
+    }
+
+    await ctx.scene.enter(BROADCAST_SCENE_ID, {
+      language: preferredLanguage,
+      languages: [
+        ...languages.filter(({ code }) => code === defaultLanguage),
+        ...languages.filter(({ code }) => code !== defaultLanguage)
+      ]
     });
+  } catch (error) {
+    await handleBotError(ctx, error, '/broadcast command');
+  }
+});
+
+/**
+ * Buttons of a broadcast wizard that already ended
+ */
+bot.action(/^broadcast:/, async (ctx) => {
+  const t = await getTranslator(guessLanguage(ctx));
+  await ctx.answerCbQuery(t('broadcast_wizard_expired'));
+});
+
+/**
+ * Stop button on a broadcast's progress message
+ */
+bot.action(/^broadcast-stop:(\d+)$/, async (ctx) => {
+  try {
+    const { t } = await getUserTranslations(ctx);
+    if (!isAdmin(ctx)) {
+      return ctx.answerCbQuery(t('broadcast_admin_only'));
+    }
+    await backendAPI.cancelBroadcast(ctx.from.id, ctx.match[1]);
+    await ctx.answerCbQuery(t('broadcast_stopping'));
+    logger.info('Broadcast stopped', { admin_id: ctx.from.id, broadcast_id: ctx.match[1] });
+  } catch (error) {
+    await handleBotError(ctx, error, 'broadcast stop');
+  }
+});
+
+/**
+ * Payment Handlers
+ * 
+ * pre_checkout_query and successful_payment for Telegram Stars invoices sent by /pay
+ * (see handlers/payment-handlers.js).
+ */
+registerPaymentHandlers(bot, {
+  backendAPI,
+  getTranslator,
+  getUserTranslations,
+  guessLanguage,
+  refreshPoolProgress: refreshProgress,
+  handleBotError
+});
+
+/**
+ * Occasion Handlers
+ * 
+ * /addoccasion, /occasions and /timezone (see handlers/occasion-handlers.js).
+ */
+registerOccasionHandlers(bot, { backendAPI, getUserTranslations, handleBotError });
+
+/**
+ * Privacy Handlers
+ * 
+ * /mydata and /deleteme: personal data export and account erasure (see handlers/privacy-handlers.js).
+ */
+registerPrivacyHandlers(bot, { backendAPI, getTranslator, getUserTranslations, guessLanguage, handleBotError });
+
+/**
+ * Internal API
+ * 
+ * Signed requests from the backend, e.g. occasion reminders (see routes/internal-routes.js).
+ */
+app.use('/internal', createInternalRouter({ bot, getTranslator }));
+
+/**
+ * Message Handler for Text Messages
+ */
+bot.on('text', async (ctx) => {
+  try {
+    // Free text outside a conversation: point the user at what they can do
+    const { t } = await getUserTranslations(ctx);
+    
+    await ctx.reply(t('text_fallback'));
     
   } catch (error) {
     await handleBotError(ctx, error, 'text message handling');
   }
 });
 
+/**
+ * Blocked / Unblocked Bot
+ * 
+ * Telegram reports when a user blocks (kicked) or restarts (member) the bot in
+ * their private chat; messages to them are skipped while blocked.
+ */
+bot.on('my_chat_member', async (ctx) => {
+  const update = ctx.myChatMember;
+  if (update.chat.type !== 'private') {
+    return;
+  }
+
+  const blocked = update.new_chat_member.status === 'kicked';
+  if (!blocked) {
+    deliveryQueue.unblock(update.chat.id);
+  }
+  try {
+    await backendAPI.setBotBlocked(update.from.id, blocked);
+    logger.info(blocked ? 'User blocked the bot' : 'User unblocked the bot', { user_id: update.from.id });
+  } catch (error) {
+    logger.error('Failed to record that the user blocked or unblocked the bot', { user_id: update.from.id, blocked, error });
+  }
+});
+
 /**
  * Error Handler for Bot
+ * Errors that escaped a handler; answered like handleBotError.
  */
-bot.catch((err, ctx) => {
-  console.error('Bot Error:', err);
-  if (ctx) {
-    ctx.reply('An unexpected error occurred. Please try again later.');
+bot.catch(async (err, ctx) => {
+  if (err instanceof UserBannedError && ctx) {
+    return handleBannedUser(ctx);
+  }
+  logger.error('Unhandled bot error', { error: err });
+  handlerErrors.inc({ operation: 'unhandled' });
+  if (!ctx || !ctx.chat || isDeliveryError(err)) {
+    return;
+  }
+
+  try {
+    const t = await getTranslator(guessLanguage(ctx));
+    await ctx.reply(t('error_generic'));
+  } catch (replyError) {
+    logger.error('Failed to send error message', { error: replyError });
   }
 });
 
+// Update types the bot handles (successful_payment arrives as a message);
+// Telegram sends nothing else
+const ALLOWED_UPDATES = ['message', 'callback_query', 'inline_query', 'pre_checkout_query', 'my_chat_member'];
+
+// Registers the webhook and re-registers it when it drifts (production only)
+const webhookManager = webhook && webhook.url
+  ? new WebhookManager(bot.telegram, { url: webhook.url, secretToken: webhook.secretToken, allowedUpdates: ALLOWED_UPDATES })
+  : null;
+
 /**
- * Webhook Configuration for Production
+ * Dependency checks for GET /ready and GET /status
+ * - backend: GET /live answers
+ * - telegram: getWebhookInfo answers and updates reach this bot: in production
+ *   the webhook points here, in development no webhook blocks polling. Other
+ *   drift (until the watchdog fixes it), a delivery error reported by Telegram
+ *   in the last few minutes or a backlog of pending updates marks it degraded.
  */
-if (process.env.NODE_ENV === 'production') {
-  // Set webhook for production deployment
-  // Ensure the webhook URL has the proper protocol and domain
-  let baseURL = process.env.WEBHOOK_URL;
-  
-  console.log(`🔧 Initial webhook URL from env: ${baseURL}`);
-  
-  // Fix common webhook URL issues
-  if (!baseURL || !baseURL.startsWith('http')) {
-    // Fallback to using the service name if WEBHOOK_URL is not properly set
-    const serviceName = process.env.RENDER_SERVICE_NAME || 'giftunity-bot-zh1r';
-    baseURL = `https://${serviceName}`;
-    console.log(`🔄 Using fallback service name: ${baseURL}`);
+const WEBHOOK_ERROR_WINDOW_MS = 10 * 60 * 1000;
+const PENDING_UPDATES_WARNING = 100;
+
+const healthChecker = new HealthChecker({
+  backend: async () => {
+    await backendAPI.checkLive();
+    return {};
+  },
+  telegram: async () => {
+    if (webhook && !webhookManager) {
+      throw new Error('No public URL configured for the webhook');
+    }
+    const info = await bot.telegram.getWebhookInfo();
+    const drift = webhookManager ? webhookManager.findDrift(info) : null;
+    if (drift === 'url') {
+      throw new Error(info.url ? 'Webhook points to another URL' : 'Webhook is not set');
+    }
+    if (!webhook && info.url) {
+      throw new Error('A webhook is set, so polling receives no updates');
+    }
+
+    const lastErrorAt = info.last_error_date ? new Date(info.last_error_date * 1000) : null;
+    const recentError = lastErrorAt && Date.now() - lastErrorAt.getTime() < WEBHOOK_ERROR_WINDOW_MS;
+    return {
+      status: drift || recentError || info.pending_update_count >= PENDING_UPDATES_WARNING ? 'degraded' : 'ok',
+      mode: webhook ? 'webhook' : 'polling',
+      drift,
+      pending_update_count: info.pending_update_count,
+      last_error_at: lastErrorAt ? lastErrorAt.toISOString() : null,
+      last_error_message: info.last_error_message || null
+    };
   }
-  
-  // Ensure the URL has the proper .onrender.com domain
-  if (!baseURL.includes('.onrender.com')) {
-    baseURL = `${baseURL}.onrender.com`;
-    console.log(`🔧 Added .onrender.com domain: ${baseURL}`);
+});
+
+/**
+ * Webhook Configuration for Production
+ * Updates are only accepted with the secret token the webhook was registered with.
+ */
+if (webhook) {
+  if (webhookManager) {
+    webhookManager.start();
+  } else {
+    logger.error('Neither WEBHOOK_URL nor RENDER_EXTERNAL_URL is set; the webhook cannot be registered');
   }
-  
-  const webhookURL = `${baseURL}/bot${process.env.TELEGRAM_BOT_TOKEN}`;
-  console.log(`🔗 Final webhook URL: ${webhookURL}`);
-  
-  // Configure webhook
-  bot.telegram.setWebhook(webhookURL).then(() => {
-    console.log(`✅ Webhook set to: ${webhookURL}`);
-  }).catch((error) => {
-    console.error('❌ Failed to set webhook:', error);
-  });
 
   // Webhook endpoint for receiving updates
-  app.use(bot.webhookCallback(`/bot${process.env.TELEGRAM_BOT_TOKEN}`));
-  
-  console.log(`🚀 Bot running in production mode with webhook`);
+  app.post(webhook.path, requireTelegramSecret(webhook.secretToken), bot.webhookCallback(webhook.path));
+
+  logger.info('Bot running in production mode with webhook');
 } else {
   // Polling mode for development
-  bot.launch().then(() => {
-    console.log(`🚀 Bot running in development mode with polling`);
+  bot.launch({ allowedUpdates: ALLOWED_UPDATES }).then(() => {
+    logger.info('Bot running in development mode with polling');
   }).catch((error) => {
-    console.error('❌ Failed to launch bot:', error);
+    logger.error('Failed to launch bot', { error });
   });
 }
 
@@ -352,11 +868,11 @@ if (process.env.NODE_ENV === 'production') {
  */
 const safeStop = (signal) => {
   try {
-    console.log(`${signal} received, stopping bot...`);
+    logger.info(`${signal} received, stopping bot`);
     // In webhook mode Telegraf isn't launched via launch(); stop() can throw.
     if (typeof bot.stop === 'function') {
       try { bot.stop(signal); } catch (e) {
-        console.warn(`bot.stop() skipped: ${e && e.message ? e.message : e}`);
+        logger.warn('bot.stop() skipped', { error: e });
       }
     }
   } finally {
@@ -371,11 +887,15 @@ process.once('SIGTERM', () => safeStop('SIGTERM'));
  * Start Express Server
  */
 app.listen(PORT, () => {
-  console.log(`🌐 Bot web server running on port ${PORT}`);
-  console.log(`📊 Health check available at: http://localhost:${PORT}/health`);
-  console.log(`🤖 Bot token configured: ${process.env.TELEGRAM_BOT_TOKEN ? 'Yes' : 'No'}`);
-  console.log(`🔗 Backend URL: ${getBackendURL() || 'Not configured'}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info('Bot web server running', {
+    port: Number(PORT),
+    bot_token_configured: !!process.env.TELEGRAM_BOT_TOKEN,
+    backend_url: getBackendURL() || null,
+    environment: process.env.NODE_ENV || 'development'
+  });
+
+  // Broadcasts interrupted by a restart continue where they stopped
+  broadcastSender.resumeAll();
 });
 
 module.exports = { bot, app };
@@ -0,0 +1,278 @@
+/**
+ * Fake Telegram Bot API
+ * Giftunity Bot Service
+ *
+ * A local stand-in for api.telegram.org for testing the Telegram Stars payment
+ * flow without real Stars. It answers the Bot API methods the bot and backend
+ * use, logs every call, and plays the payment updates Telegram would send:
+ *
+ *   npm run fake-telegram
+ *
+ * Then start the bot (development mode, polling) and the backend with
+ * TELEGRAM_API_URL=http://localhost:8081 and drive the flow over HTTP:
+ *
+ *   POST /fake/message   { user_id, first_name?, chat_id?, text }   Send a message, e.g. "/pay 50"
+ *   POST /fake/pay       { user_id, first_name?, payload? }          Pay an invoice the bot sent (the
+ *                                                                     latest when payload is omitted)
+ *   GET  /fake/transactions                                          Stars transactions so far
+ *
+ * /fake/pay sends a pre_checkout_query, waits for the bot's answer and, when
+ * accepted, sends the successful_payment message and records an incoming Stars
+ * transaction. refundStarPayment and getStarTransactions work on those
+ * transactions, so refunds and reconciliation can be tested end to end.
+ *
+ * Updates are delivered to the webhook when one is set (production mode) and
+ * through getUpdates otherwise. State is kept in memory only.
+ *
+ * Environment Variables:
+ * - FAKE_TELEGRAM_PORT: Port to listen on (default: 8081)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = process.env.FAKE_TELEGRAM_PORT || 8081;
+const PRE_CHECKOUT_TIMEOUT_MS = 10000;
+const MAX_POLL_SECONDS = 30;
+const BOT_USER = { id: 1000000001, is_bot: true, first_name: 'Giftunity (fake)', username: 'GiftunityFakeBot' };
+
+const state = {
+  webhookURL: null,
+  nextUpdateId: 1,
+  nextMessageId: 1,
+  queuedUpdates: [],
+  pollWaiters: [],
+  // payload -> { chat_id, title, currency, amount }
+  invoices: new Map(),
+  lastInvoicePayload: null,
+  // pre_checkout_query id -> resolve({ ok, error_message })
+  pendingPreCheckouts: new Map(),
+  // StarTransaction objects, newest last
+  transactions: []
+};
+
+const apiResult = (res, result) => res.json({ ok: true, result });
+const apiError = (res, errorCode, description) => res.status(errorCode).json({ ok: false, error_code: errorCode, description });
+
+const newMessage = (chatId, fields) => ({
+  message_id: state.nextMessageId++,
+  date: Math.floor(Date.now() / 1000),
+  chat: { id: Number(chatId), type: Number(chatId) < 0 ? 'group' : 'private' },
+  from: BOT_USER,
+  ...fields
+});
+
+/**
+ * Deliver an update to the bot: POST to the webhook, or queue it for getUpdates
+ */
+const deliverUpdate = async (update) => {
+  const fullUpdate = { update_id: state.nextUpdateId++, ...update };
+  if (!state.webhookURL) {
+    state.queuedUpdates.push(fullUpdate);
+    state.pollWaiters.splice(0).forEach((wake) => wake());
+    return;
+  }
+
+  const response = await fetch(state.webhookURL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fullUpdate)
+  });
+  if (!response.ok) {
+    console.warn(`⚠️ Webhook answered ${response.status} for update ${fullUpdate.update_id}`);
+  }
+};
+
+const userFrom = ({ user_id: userId, first_name: firstName = 'Test', language_code: languageCode = 'en' }) => ({
+  id: Number(userId), is_bot: false, first_name: firstName, language_code: languageCode
+});
+
+// Bot API methods; unknown methods are logged and answered with true
+const methods = {
+  getMe: (res) => apiResult(res, BOT_USER),
+
+  setWebhook: (res, params) => {
+    state.webhookURL = params.url || null;
+    apiResult(res, true);
+  },
+
+  deleteWebhook: (res) => {
+    state.webhookURL = null;
+    apiResult(res, true);
+  },
+
+  getUpdates: async (res, params) => {
+    const offset = Number(params.offset || 0);
+    state.queuedUpdates = state.queuedUpdates.filter((update) => update.update_id >= offset);
+    if (state.queuedUpdates.length === 0 && Number(params.timeout) > 0) {
+      const seconds = Math.min(Number(params.timeout), MAX_POLL_SECONDS);
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, seconds * 1000);
+        state.pollWaiters.push(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+    apiResult(res, state.queuedUpdates.slice(0, Number(params.limit) || 100));
+  },
+
+  sendMessage: (res, params) => apiResult(res, newMessage(params.chat_id, { text: params.text })),
+
+  editMessageText: (res, params) => apiResult(res, newMessage(params.chat_id, { text: params.text })),
+
+  sendInvoice: (res, params) => {
+    const prices = typeof params.prices === 'string' ? JSON.parse(params.prices) : params.prices;
+    const amount = prices.reduce((sum, price) => sum + Number(price.amount), 0);
+    state.invoices.set(params.payload, { chat_id: params.chat_id, title: params.title, currency: params.currency, amount });
+    state.lastInvoicePayload = params.payload;
+    apiResult(res, newMessage(params.chat_id, {
+      invoice: {
+        title: params.title,
+        description: params.description,
+        start_parameter: '',
+        currency: params.currency,
+        total_amount: amount
+      }
+    }));
+  },
+
+  answerPreCheckoutQuery: (res, params) => {
+    const resolve = state.pendingPreCheckouts.get(params.pre_checkout_query_id);
+    if (!resolve) {
+      return apiError(res, 400, 'Bad Request: query is too old and response timeout expired or query ID is invalid');
+    }
+    state.pendingPreCheckouts.delete(params.pre_checkout_query_id);
+    resolve({ ok: params.ok === true || params.ok === 'true', error_message: params.error_message });
+    apiResult(res, true);
+  },
+
+  refundStarPayment: (res, params) => {
+    const chargeId = params.telegram_payment_charge_id;
+    const charge = state.transactions.find((transaction) => transaction.id === chargeId && transaction.source);
+    if (!charge || charge.source.user.id !== Number(params.user_id)) {
+      return apiError(res, 400, 'Bad Request: CHARGE_NOT_FOUND');
+    }
+    if (state.transactions.some((transaction) => transaction.id === chargeId && transaction.receiver)) {
+      return apiError(res, 400, 'Bad Request: CHARGE_ALREADY_REFUNDED');
+    }
+    state.transactions.push({
+      id: chargeId,
+      amount: charge.amount,
+      date: Math.floor(Date.now() / 1000),
+      receiver: { type: 'user', user: charge.source.user }
+    });
+    apiResult(res, true);
+  },
+
+  // Telegram lists the newest transactions first
+  getStarTransactions: (res, params) => {
+    const offset = Number(params.offset || 0);
+    const limit = Number(params.limit || 100);
+    apiResult(res, { transactions: [...state.transactions].reverse().slice(offset, offset + limit) });
+  }
+};
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+app.all('/bot:token/:method', async (req, res) => {
+  const { method } = req.params;
+  const params = { ...req.query, ...req.body };
+  if (method !== 'getUpdates') {
+    console.log(`📨 ${method} ${JSON.stringify(params)}`);
+  }
+
+  const handler = methods[method];
+  if (!handler) {
+    return apiResult(res, true);
+  }
+  try {
+    await handler(res, params);
+  } catch (error) {
+    apiError(res, 400, `Bad Request: ${error.message}`);
+  }
+});
+
+app.post('/fake/message', async (req, res) => {
+  const from = userFrom(req.body);
+  const text = String(req.body.text || '');
+  const command = /^\/\w+/.exec(text);
+  await deliverUpdate({
+    message: {
+      message_id: state.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(req.body.chat_id || from.id), type: req.body.chat_id ? 'group' : 'private' },
+      from,
+      text,
+      ...(command ? { entities: [{ type: 'bot_command', offset: 0, length: command[0].length }] } : {})
+    }
+  });
+  res.json({ ok: true });
+});
+
+app.post('/fake/pay', async (req, res) => {
+  const payload = req.body.payload || state.lastInvoicePayload;
+  const invoice = state.invoices.get(payload);
+  if (!invoice) {
+    return res.status(404).json({ ok: false, error: 'No invoice with this payload was sent' });
+  }
+
+  const from = userFrom(req.body);
+  const queryId = crypto.randomUUID();
+  const answer = new Promise((resolve) => {
+    state.pendingPreCheckouts.set(queryId, resolve);
+    setTimeout(() => {
+      if (state.pendingPreCheckouts.delete(queryId)) {
+        resolve({ ok: false, error_message: 'The bot did not answer the pre-checkout query in time' });
+      }
+    }, PRE_CHECKOUT_TIMEOUT_MS);
+  });
+  await deliverUpdate({
+    pre_checkout_query: {
+      id: queryId,
+      from,
+      currency: invoice.currency,
+      total_amount: invoice.amount,
+      invoice_payload: payload
+    }
+  });
+
+  const result = await answer;
+  if (!result.ok) {
+    console.log(`🚫 Payment declined: ${result.error_message}`);
+    return res.json({ ok: false, error_message: result.error_message });
+  }
+
+  const chargeId = `fake_${crypto.randomUUID()}`;
+  state.transactions.push({
+    id: chargeId,
+    amount: invoice.amount,
+    date: Math.floor(Date.now() / 1000),
+    source: { type: 'user', transaction_type: 'invoice_payment', user: from, invoice_payload: payload }
+  });
+  await deliverUpdate({
+    message: {
+      message_id: state.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(invoice.chat_id), type: Number(invoice.chat_id) < 0 ? 'group' : 'private' },
+      from,
+      successful_payment: {
+        currency: invoice.currency,
+        total_amount: invoice.amount,
+        invoice_payload: payload,
+        telegram_payment_charge_id: chargeId,
+        provider_payment_charge_id: ''
+      }
+    }
+  });
+  console.log(`⭐ User ${from.id} paid ${invoice.amount} ${invoice.currency} (charge ${chargeId})`);
+  res.json({ ok: true, telegram_payment_charge_id: chargeId });
+});
+
+app.get('/fake/transactions', (req, res) => res.json({ transactions: state.transactions }));
+
+app.listen(PORT, () => {
+  console.log(`🧪 Fake Telegram Bot API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,36 @@
+/**
+ * Locale Snapshot Sync
+ * Giftunity Bot Service
+ *
+ * Copies the backend locale bundles into Giftunity-bot/locales so the bot ships
+ * an offline snapshot for when the backend is unreachable. Run after changing
+ * any file in Giftunity-backend/locales:
+ *
+ *   npm run sync-locales
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, '..', '..', '..', 'Giftunity-backend', 'locales');
+const TARGET_DIR = path.join(__dirname, '..', '..', 'locales');
+
+const run = () => {
+  fs.mkdirSync(TARGET_DIR, { recursive: true });
+
+  const files = fs.readdirSync(SOURCE_DIR).filter((fileName) => fileName.endsWith('.json'));
+  for (const fileName of files) {
+    // Parse before copying so a broken bundle never lands in the snapshot
+    JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, fileName), 'utf8'));
+    fs.copyFileSync(path.join(SOURCE_DIR, fileName), path.join(TARGET_DIR, fileName));
+  }
+
+  console.log(`✅ Synced ${files.length} locale bundle(s) into ${TARGET_DIR}`);
+};
+
+try {
+  run();
+} catch (error) {
+  console.error('❌ Locale sync failed:', error.message);
+  process.exitCode = 1;
+}
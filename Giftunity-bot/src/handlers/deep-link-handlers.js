@@ -0,0 +1,93 @@
+/**
+ * Deep Link Handlers
+ * Giftunity Bot Service
+ *
+ * Signed /start links (see utils/deep-link.js) and the command that hands them out:
+ *
+ *   /invite   Reply with the user's personal invitation link to the bot
+ *
+ * Opening a link routes to its screen: an invitation to the welcome message,
+ * a wishlist or wish to its shared view, a pool to its progress. Opening
+ * another user's link records a referral in the backend, flagged as a
+ * conversion when the user started the bot for the first time; a failure to
+ * record it is logged and does not keep the user from the screen. An expired
+ * link says so and continues to the welcome message, and payloads that are
+ * not signed links are left to the other /start handlers.
+ */
+
+const { Markup } = require('telegraf');
+const { encodeDeepLink, decodeDeepLink, deepLinkURL } = require('../utils/deep-link');
+const logger = require('../utils/logger');
+
+/**
+ * Register the signed /start links and /invite
+ * Must be registered before the regular /start handler, which shows the welcome message.
+ * @param {Telegraf} bot - Bot instance
+ * @param {Object} deps
+ * @param {Object} deps.backendAPI - Backend API client
+ * @param {Function} deps.getUserTranslations - async (ctx) => { userRecord, created, preferredLanguage, t }
+ * @param {Function} deps.openSharedLink - async (ctx, payload) shows a shared wish or wishlist
+ * @param {Function} deps.showPool - async (ctx, poolId) shows a gift pool
+ * @param {Function} deps.handleBotError - async (ctx, error, operation) error reply
+ */
+const registerDeepLinkHandlers = (bot, { backendAPI, getUserTranslations, openSharedLink, showPool, handleBotError }) => {
+  const recordReferral = async (ctx, link, newUser) => {
+    try {
+      await backendAPI.recordReferral(ctx.from.id, {
+        inviter_id: link.inviterId,
+        link_type: link.type,
+        target_id: link.id,
+        new_user: newUser
+      });
+    } catch (error) {
+      logger.warn('Failed to record referral', { user_id: ctx.from.id, link_type: link.type, error });
+    }
+  };
+
+  bot.start(async (ctx, next) => {
+    const link = decodeDeepLink(ctx.payload);
+    if (!link) {
+      return next();
+    }
+
+    try {
+      const { created, t } = await getUserTranslations(ctx);
+      if (link.expired) {
+        logger.info('Opened expired deep link', { user_id: ctx.from.id, link_type: link.type });
+        await ctx.reply(t('deep_link_expired'));
+        return next();
+      }
+      if (link.inviterId !== String(ctx.from.id)) {
+        await recordReferral(ctx, link, created);
+      }
+    } catch (error) {
+      return handleBotError(ctx, error, '/start deep link');
+    }
+
+    if (link.type === 'invite') {
+      return next();
+    }
+    if (link.type === 'pool') {
+      return showPool(ctx, link.id);
+    }
+    return openSharedLink(ctx, ctx.payload);
+  });
+
+  bot.command('invite', async (ctx) => {
+    try {
+      const { t } = await getUserTranslations(ctx);
+      const link = deepLinkURL(ctx.botInfo.username, encodeDeepLink({ type: 'invite', inviterId: ctx.from.id }));
+      const shareURL = `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(t('invite_share_text'))}`;
+      await ctx.reply(t('invite_message', { link }), {
+        ...Markup.inlineKeyboard([Markup.button.url(t('button_invite_share'), shareURL)]),
+        link_preview_options: { is_disabled: true }
+      });
+    } catch (error) {
+      await handleBotError(ctx, error, '/invite command');
+    }
+  });
+};
+
+module.exports = {
+  registerDeepLinkHandlers
+};
@@ -0,0 +1,399 @@
+/**
+ * Gift Pool Handlers
+ * Giftunity Bot Service
+ *
+ * Group gifting from a Telegram chat:
+ *
+ *   /newpool <amount> <currency> [YYYY-MM-DD] <title>   Start a pool in this chat
+ *   /pledge <amount>                                     Set your pledge (reply to a pool message
+ *                                                        when the chat has several open pools)
+ *   /pay <stars>                                         Pay Telegram Stars into a pool in XTR
+ *                                                        (same pool selection as /pledge)
+ *   /pool                                                Re-post the chat's open pools
+ *
+ * Each pool has one progress message with Join, Close and Share buttons. The
+ * bot edits it whenever someone joins, pledges or the organizer closes the
+ * pool. Share posts a signed deep link (see utils/deep-link.js) that shows the
+ * pool in a private chat with the bot; people who open it count as the
+ * organizer's referrals.
+ * The message's chat and id are stored on the pool in the backend, so any bot
+ * instance can update it. Progress messages use the pool's language (the
+ * organizer's at creation); replies to individual users use their own.
+ *
+ * /pay sends a Telegram Stars invoice created by the backend; the payment
+ * updates it leads to are handled in payment-handlers.js.
+ */
+
+const { Markup } = require('telegraf');
+const { STARS_CURRENCY, parsePrice, parseAmount, formatPrice } = require('../utils/price');
+const { encodeDeepLink, deepLinkURL } = require('../utils/deep-link');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BAR_LENGTH = 10;
+const MAX_LISTED_CONTRIBUTORS = 10;
+const MAX_REPOSTED_POOLS = 3;
+// Telegram's limits for invoice texts
+const MAX_INVOICE_TITLE_LENGTH = 32;
+const MAX_INVOICE_DESCRIPTION_LENGTH = 255;
+
+const truncate = (text, maxLength) => (text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text);
+
+/**
+ * Parse the /newpool arguments
+ * @param {string} payload - Text after the command
+ * @returns {Object} { pool } on success, otherwise { errorKey }
+ */
+const parseNewPoolCommand = (payload) => {
+  const tokens = payload.trim().split(/\s+/).filter(Boolean);
+
+  // The target is either "150 EUR" (two tokens) or "€150" (one token)
+  let consumed = 2;
+  let price = tokens.length >= 2 ? parsePrice(`${tokens[0]} ${tokens[1]}`) : null;
+  if (!price) {
+    consumed = 1;
+    price = tokens.length >= 1 ? parsePrice(tokens[0]) : null;
+  }
+  if (!price || price.amount <= 0) {
+    return { errorKey: 'pool_usage' };
+  }
+
+  let deadline = null;
+  if (DATE_PATTERN.test(tokens[consumed] || '')) {
+    const endOfDay = new Date(`${tokens[consumed]}T23:59:59Z`);
+    if (Number.isNaN(endOfDay.getTime()) || endOfDay <= new Date()) {
+      return { errorKey: 'pool_invalid_deadline' };
+    }
+    deadline = endOfDay.toISOString();
+    consumed += 1;
+  }
+
+  const title = tokens.slice(consumed).join(' ');
+  if (!title || title.length > 200) {
+    return { errorKey: 'pool_usage' };
+  }
+
+  return { pool: { title, target_amount: price.amount, currency: price.currency, deadline } };
+};
+
+/**
+ * Render a pool's progress message
+ * @param {Function} t - Translator for the pool's language
+ * @param {Object} pool - Pool with contributions
+ * @returns {string} Plain-text message
+ */
+const renderProgress = (t, pool) => {
+  const { language, currency } = pool;
+  const pledged = Number(pool.pledged_amount);
+  const target = Number(pool.target_amount);
+  const percent = Math.floor((pledged * 100) / target);
+  const filled = Math.min(BAR_LENGTH, Math.floor((percent * BAR_LENGTH) / 100));
+
+  const lines = [
+    t('pool_progress', {
+      title: pool.title,
+      bar: '▰'.repeat(filled) + '▱'.repeat(BAR_LENGTH - filled),
+      percent,
+      pledged: formatPrice(pledged, currency, language),
+      target: formatPrice(target, currency, language)
+    }),
+    t('pool_contributors', { count: pool.contributor_count })
+  ];
+  if (currency === STARS_CURRENCY) {
+    lines.push(t('pool_paid', { amount: formatPrice(Number(pool.paid_amount), currency, language) }));
+  }
+
+  pool.contributions
+    .filter((contribution) => Number(contribution.amount) > 0)
+    .slice(0, MAX_LISTED_CONTRIBUTORS)
+    .forEach((contribution) => lines.push(t('pool_contribution_line', {
+      name: contribution.first_name,
+      amount: formatPrice(Number(contribution.amount), currency, language)
+    })));
+
+  if (pool.deadline) {
+    const date = new Intl.DateTimeFormat(language, { dateStyle: 'medium' }).format(new Date(pool.deadline));
+    lines.push('', t('pool_deadline', { date }));
+  }
+
+  const hintKey = currency === STARS_CURRENCY ? 'pool_pay_hint' : 'pool_pledge_hint';
+  lines.push('', t(pool.status === 'open' ? hintKey : 'pool_status_closed'));
+  return lines.join('\n');
+};
+
+/**
+ * Buttons under a pool's progress message, with Share opening Telegram's share dialog
+ * @param {Function} t - Translator
+ * @param {Object} pool - Pool
+ * @param {string} botUsername - The bot's username, for the pool's deep link
+ */
+const progressKeyboard = (t, pool, botUsername) => {
+  if (pool.status !== 'open') {
+    return Markup.inlineKeyboard([]);
+  }
+  const link = deepLinkURL(botUsername, encodeDeepLink({ type: 'pool', id: pool.id, inviterId: pool.organizer_id }));
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback(t('button_pool_join'), `pool:join:${pool.id}`),
+      Markup.button.callback(t('button_pool_close'), `pool:close:${pool.id}`)
+    ],
+    [Markup.button.url(t('button_pool_share'), `https://t.me/share/url?url=${encodeURIComponent(link)}`)]
+  ]);
+};
+
+const hasStatus = (error, status) => Boolean(error.response && error.response.status === status);
+
+/**
+ * Register the gift pool commands and buttons
+ * @param {Telegraf} bot - Bot instance
+ * @param {Object} deps
+ * @param {Object} deps.backendAPI - Backend API client
+ * @param {Function} deps.getTranslator - async (language) => t
+ * @param {Function} deps.getUserTranslations - async (ctx) => { userRecord, preferredLanguage, t }
+ * @param {Function} deps.handleBotError - async (ctx, error, operation) error reply
+ * @returns {Object} { refreshProgress, showPool } for other handlers that change or link to a pool
+ */
+const registerGiftPoolHandlers = (bot, { backendAPI, getTranslator, getUserTranslations, handleBotError }) => {
+  /**
+   * Post a new progress message for a pool and make it the one that gets edited
+   */
+  const postProgress = async (ctx, poolId) => {
+    const pool = await backendAPI.getPool(ctx.from.id, poolId);
+    const t = await getTranslator(pool.language);
+    const message = await ctx.reply(renderProgress(t, pool), progressKeyboard(t, pool, ctx.botInfo.username));
+    await backendAPI.setPoolProgressMessage(ctx.from.id, pool.id, message.chat.id, message.message_id);
+  };
+
+  /**
+   * Edit a pool's progress message to its current state
+   */
+  const refreshProgress = async (telegram, userId, poolId) => {
+    const pool = await backendAPI.getPool(userId, poolId);
+    if (!pool.chat_id || !pool.progress_message_id) {
+      return pool;
+    }
+
+    const t = await getTranslator(pool.language);
+    try {
+      await telegram.editMessageText(
+        pool.chat_id,
+        Number(pool.progress_message_id),
+        undefined,
+        renderProgress(t, pool),
+        progressKeyboard(t, pool, bot.botInfo.username)
+      );
+    } catch (error) {
+      // Editing to identical content is harmless; a deleted message is not worth failing the update
+      if (!/message is not modified/.test(error.description || error.message)) {
+        logger.warn('Failed to update gift pool progress message', { pool_id: pool.id, error });
+      }
+    }
+    return pool;
+  };
+
+  /**
+   * Show a pool to the user who opened its deep link, in their language
+   * The copy is not the pool's progress message, so it is not kept up to date,
+   * and lists no contributors until the user joins (the backend only names them
+   * to members).
+   */
+  const showPool = async (ctx, poolId) => {
+    try {
+      const { t } = await getUserTranslations(ctx);
+      let pool;
+      try {
+        pool = await backendAPI.getPool(ctx.from.id, poolId);
+      } catch (error) {
+        if (hasStatus(error, 404)) {
+          return ctx.reply(t('shared_not_found'));
+        }
+        throw error;
+      }
+
+      const text = pool.status === 'open' ? `${renderProgress(t, pool)}\n\n${t('pool_link_hint')}` : renderProgress(t, pool);
+      await ctx.reply(text, progressKeyboard(t, pool, ctx.botInfo.username));
+      logger.info('Opened pool link', { user_id: ctx.from.id, pool_id: pool.id });
+    } catch (error) {
+      await handleBotError(ctx, error, '/start pool link');
+    }
+  };
+
+  /**
+   * Find the open pool a command in this chat refers to
+   * A reply picks the pool whose progress message was answered; otherwise the chat must have exactly one.
+   * @param {string} ambiguousKey - Message asking to reply to a pool's message
+   * @returns {Promise<Object>} { pool } or { errorKey }
+   */
+  const resolveChatPool = async (ctx, ambiguousKey) => {
+    const { pools } = await backendAPI.listChatPools(ctx.from.id, ctx.chat.id);
+    const replyTo = ctx.message.reply_to_message;
+    const pool = (replyTo && pools.find((candidate) => candidate.progress_message_id === String(replyTo.message_id)))
+      || (pools.length === 1 ? pools[0] : null);
+    if (!pool) {
+      return { errorKey: pools.length === 0 ? 'pool_none_in_chat' : ambiguousKey };
+    }
+    return { pool };
+  };
+
+  bot.command('newpool', async (ctx) => {
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+      const { pool, errorKey } = parseNewPoolCommand(ctx.payload);
+      if (errorKey) {
+        return ctx.reply(t(errorKey));
+      }
+
+      const created = await backendAPI.createPool(ctx.from.id, {
+        ...pool,
+        language: preferredLanguage,
+        chat_id: ctx.chat.id
+      });
+      await postProgress(ctx, created.id);
+    } catch (error) {
+      await handleBotError(ctx, error, '/newpool command');
+    }
+  });
+
+  bot.command('pledge', async (ctx) => {
+    try {
+      const { t } = await getUserTranslations(ctx);
+      const { pool, errorKey } = await resolveChatPool(ctx, 'pool_reply_to_pledge');
+      if (errorKey) {
+        return ctx.reply(t(errorKey));
+      }
+
+      const amount = parseAmount(ctx.payload, pool.currency);
+      if (amount === null) {
+        return ctx.reply(t('pool_pledge_usage'));
+      }
+
+      // The saved pledge may be higher: it never drops below what the user has paid
+      let contribution;
+      try {
+        ({ contribution } = await backendAPI.pledgeToPool(ctx.from.id, pool.id, amount));
+      } catch (error) {
+        if (hasStatus(error, 409)) {
+          return ctx.reply(t('pool_not_accepting'));
+        }
+        throw error;
+      }
+
+      await ctx.reply(t('pool_pledge_saved', {
+        name: ctx.from.first_name,
+        amount: formatPrice(Number(contribution.amount), pool.currency, ctx.state.language),
+        title: pool.title
+      }));
+      await refreshProgress(ctx.telegram, ctx.from.id, pool.id);
+    } catch (error) {
+      await handleBotError(ctx, error, '/pledge command');
+    }
+  });
+
+  bot.command('pay', async (ctx) => {
+    try {
+      const { t } = await getUserTranslations(ctx);
+      const { pool, errorKey } = await resolveChatPool(ctx, 'pool_reply_to_pay');
+      if (errorKey) {
+        return ctx.reply(t(errorKey));
+      }
+      if (pool.currency !== STARS_CURRENCY) {
+        return ctx.reply(t('pay_not_stars_pool', { currency: pool.currency }));
+      }
+
+      const amount = parseAmount(ctx.payload, STARS_CURRENCY);
+      if (!amount) {
+        return ctx.reply(t('pay_usage'));
+      }
+
+      let invoice;
+      try {
+        ({ invoice } = await backendAPI.createInvoice(ctx.from.id, pool.id, amount));
+      } catch (error) {
+        if (hasStatus(error, 409)) {
+          return ctx.reply(t('pool_not_accepting'));
+        }
+        if (hasStatus(error, 400)) {
+          return ctx.reply(t('pay_usage'));
+        }
+        throw error;
+      }
+
+      // Stars invoices need no payment provider: empty provider_token, currency XTR
+      await ctx.replyWithInvoice({
+        title: truncate(t('payment_invoice_title', { title: pool.title }), MAX_INVOICE_TITLE_LENGTH),
+        description: truncate(t('payment_invoice_description', { title: pool.title }), MAX_INVOICE_DESCRIPTION_LENGTH),
+        payload: invoice.payload,
+        provider_token: '',
+        currency: STARS_CURRENCY,
+        prices: [{ label: t('payment_invoice_label'), amount }]
+      });
+      logger.info('Sent invoice', { invoice_id: invoice.id, amount, currency: STARS_CURRENCY, pool_id: pool.id, user_id: ctx.from.id });
+    } catch (error) {
+      await handleBotError(ctx, error, '/pay command');
+    }
+  });
+
+  bot.command('pool', async (ctx) => {
+    try {
+      const { t } = await getUserTranslations(ctx);
+      const { pools } = await backendAPI.listChatPools(ctx.from.id, ctx.chat.id);
+      if (pools.length === 0) {
+        return ctx.reply(t('pool_none_in_chat'));
+      }
+
+      for (const pool of pools.slice(0, MAX_REPOSTED_POOLS)) {
+        await postProgress(ctx, pool.id);
+      }
+    } catch (error) {
+      await handleBotError(ctx, error, '/pool command');
+    }
+  });
+
+  bot.action(/^pool:join:(\d+)$/, async (ctx) => {
+    try {
+      const { t } = await getUserTranslations(ctx);
+      try {
+        const { created } = await backendAPI.joinPool(ctx.from.id, ctx.match[1]);
+        await ctx.answerCbQuery(t(created ? 'pool_joined' : 'pool_already_joined'));
+      } catch (error) {
+        if (hasStatus(error, 409)) {
+          return ctx.answerCbQuery(t('pool_not_accepting'), { show_alert: true });
+        }
+        throw error;
+      }
+      await refreshProgress(ctx.telegram, ctx.from.id, ctx.match[1]);
+    } catch (error) {
+      await ctx.answerCbQuery().catch(() => {});
+      await handleBotError(ctx, error, 'pool join');
+    }
+  });
+
+  bot.action(/^pool:close:(\d+)$/, async (ctx) => {
+    try {
+      const { t } = await getUserTranslations(ctx);
+      try {
+        await backendAPI.closePool(ctx.from.id, ctx.match[1]);
+        await ctx.answerCbQuery(t('pool_closed'));
+      } catch (error) {
+        if (hasStatus(error, 403)) {
+          return ctx.answerCbQuery(t('pool_only_organizer'), { show_alert: true });
+        }
+        if (hasStatus(error, 409)) {
+          await ctx.answerCbQuery(t('pool_closed'));
+        } else {
+          throw error;
+        }
+      }
+      await refreshProgress(ctx.telegram, ctx.from.id, ctx.match[1]);
+    } catch (error) {
+      await ctx.answerCbQuery().catch(() => {});
+      await handleBotError(ctx, error, 'pool close');
+    }
+  });
+
+  return { refreshProgress, showPool };
+};
+
+module.exports = {
+  registerGiftPoolHandlers
+};
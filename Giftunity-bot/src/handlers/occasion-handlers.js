@@ -0,0 +1,210 @@
+/**
+ * Occasion Handlers
+ * Giftunity Bot Service
+ *
+ * Birthdays, anniversaries and holidays the user wants to be reminded of:
+ *
+ *   /addoccasion <MM-DD|YYYY-MM-DD> [Nd] <title>   Add a yearly occasion, reminded N days
+ *                                                   before (default 3)
+ *   /occasions                                      List occasions with delete buttons
+ *   /timezone [Area/City]                           Show or set the user's time zone
+ *
+ * Reminders are scheduled by the backend in the occasion's time zone, which is
+ * the user's time zone when the occasion is added, and delivered through the
+ * bot's internal API (see routes/internal-routes.js).
+ */
+
+const { Markup } = require('telegraf');
+
+const DATE_PATTERN = /^(?:(\d{4})-)?(\d{2})-(\d{2})$/;
+const REMIND_PATTERN = /^(\d{1,2})d$/i;
+const MAX_REMIND_DAYS = 60;
+const MAX_TITLE_LENGTH = 200;
+const MAX_LISTED_OCCASIONS = 20;
+// February 29 is a valid yearly date, so days are checked against a leap year when no year is given
+const LEAP_YEAR = 2000;
+
+/**
+ * Parse the /addoccasion arguments
+ * @param {string} payload - Text after the command
+ * @returns {Object} { occasion } on success, otherwise { errorKey }
+ */
+const parseAddOccasionCommand = (payload) => {
+  const tokens = payload.trim().split(/\s+/).filter(Boolean);
+  const dateMatch = DATE_PATTERN.exec(tokens[0] || '');
+  if (!dateMatch) {
+    return { errorKey: 'occasion_usage' };
+  }
+
+  const year = dateMatch[1] ? Number(dateMatch[1]) : null;
+  const month = Number(dateMatch[2]);
+  const day = Number(dateMatch[3]);
+  const lastDay = new Date(Date.UTC(year || LEAP_YEAR, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > lastDay || (year !== null && (year < 1900 || year > 2200))) {
+    return { errorKey: 'occasion_invalid_date' };
+  }
+
+  let consumed = 1;
+  let remindDaysBefore;
+  const remindMatch = REMIND_PATTERN.exec(tokens[1] || '');
+  if (remindMatch) {
+    remindDaysBefore = Number(remindMatch[1]);
+    if (remindDaysBefore > MAX_REMIND_DAYS) {
+      return { errorKey: 'occasion_usage' };
+    }
+    consumed = 2;
+  }
+
+  const title = tokens.slice(consumed).join(' ');
+  if (!title || title.length > MAX_TITLE_LENGTH) {
+    return { errorKey: 'occasion_usage' };
+  }
+
+  return { occasion: { title, month, day, year, remind_days_before: remindDaysBefore } };
+};
+
+/**
+ * Canonical spelling of an IANA time zone ("asia/tehran" -> "Asia/Tehran")
+ * @returns {string|null} null when the time zone is unknown
+ */
+const canonicalTimeZone = (timeZone) => {
+  try {
+    return new Intl.DateTimeFormat('en', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Format a calendar date ("YYYY-MM-DD") in the user's language
+ */
+const formatDate = (date, language) => new Intl.DateTimeFormat(language, { dateStyle: 'long', timeZone: 'UTC' })
+  .format(new Date(`${date}T00:00:00Z`));
+
+const formatReminder = (t, occasion) => (occasion.remind_days_before === 0
+  ? t('occasion_remind_same_day')
+  : t('occasion_remind_before', { count: occasion.remind_days_before }));
+
+/**
+ * Render the /occasions list and its delete buttons
+ * @param {Function} t - Translator
+ * @param {string} language - User's language
+ * @param {Object[]} occasions - Occasions, soonest first
+ * @returns {Object} { text, keyboard }
+ */
+const renderOccasionList = (t, language, occasions) => {
+  if (occasions.length === 0) {
+    return { text: t('occasions_empty'), keyboard: Markup.inlineKeyboard([]) };
+  }
+
+  const listed = occasions.slice(0, MAX_LISTED_OCCASIONS);
+  const lines = [t('occasions_title'), ''];
+  listed.forEach((occasion) => {
+    if (!occasion.next_occurrence_on) {
+      lines.push(t('occasion_line_passed', { title: occasion.title }));
+      return;
+    }
+    const params = { title: occasion.title, date: formatDate(occasion.next_occurrence_on, language) };
+    lines.push(occasion.remind_days_before === 0
+      ? t('occasion_line_same_day', params)
+      : t('occasion_line', { ...params, count: occasion.remind_days_before }));
+  });
+
+  return {
+    text: lines.join('\n'),
+    keyboard: Markup.inlineKeyboard(listed.map((occasion) => [
+      Markup.button.callback(t('button_delete_occasion', { title: occasion.title }), `occasion:delete:${occasion.id}`)
+    ]))
+  };
+};
+
+const hasStatus = (error, status) => Boolean(error.response && error.response.status === status);
+
+/**
+ * Register the occasion and time zone commands
+ * @param {Telegraf} bot - Bot instance
+ * @param {Object} deps
+ * @param {Object} deps.backendAPI - Backend API client
+ * @param {Function} deps.getUserTranslations - async (ctx) => { userRecord, preferredLanguage, t }
+ * @param {Function} deps.handleBotError - async (ctx, error, operation) error reply
+ */
+const registerOccasionHandlers = (bot, { backendAPI, getUserTranslations, handleBotError }) => {
+  bot.command('addoccasion', async (ctx) => {
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+      const { occasion, errorKey } = parseAddOccasionCommand(ctx.payload);
+      if (errorKey) {
+        return ctx.reply(t(errorKey));
+      }
+
+      const created = await backendAPI.createOccasion(ctx.from.id, occasion);
+      await ctx.reply([
+        t('occasion_saved', { title: created.title, date: formatDate(created.next_occurrence_on, preferredLanguage) }),
+        formatReminder(t, created)
+      ].join('\n'));
+    } catch (error) {
+      await handleBotError(ctx, error, '/addoccasion command');
+    }
+  });
+
+  bot.command('occasions', async (ctx) => {
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+      const { occasions } = await backendAPI.listOccasions(ctx.from.id);
+      const { text, keyboard } = renderOccasionList(t, preferredLanguage, occasions);
+      await ctx.reply(text, keyboard);
+    } catch (error) {
+      await handleBotError(ctx, error, '/occasions command');
+    }
+  });
+
+  bot.action(/^occasion:delete:(\d+)$/, async (ctx) => {
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+      // Already deleted (e.g. a double tap) counts as deleted
+      await backendAPI.deleteOccasion(ctx.from.id, ctx.match[1]);
+      await ctx.answerCbQuery(t('occasion_deleted'));
+
+      const { occasions } = await backendAPI.listOccasions(ctx.from.id);
+      const { text, keyboard } = renderOccasionList(t, preferredLanguage, occasions);
+      await ctx.editMessageText(text, keyboard).catch((error) => {
+        if (!/message is not modified/.test(error.description || error.message)) {
+          throw error;
+        }
+      });
+    } catch (error) {
+      await ctx.answerCbQuery().catch(() => {});
+      await handleBotError(ctx, error, 'occasion delete');
+    }
+  });
+
+  bot.command('timezone', async (ctx) => {
+    try {
+      const { userRecord, t } = await getUserTranslations(ctx);
+      if (!ctx.payload.trim()) {
+        return ctx.reply(t('timezone_current', { timezone: userRecord.timezone }));
+      }
+      const timezone = canonicalTimeZone(ctx.payload.trim());
+      if (!timezone) {
+        return ctx.reply(t('timezone_invalid'));
+      }
+
+      try {
+        const user = await backendAPI.updatePreferences(ctx.from.id, { timezone });
+        await ctx.reply(t('timezone_saved', { timezone: user.timezone }));
+      } catch (error) {
+        // The backend's time zone database may differ from ours
+        if (hasStatus(error, 400)) {
+          return ctx.reply(t('timezone_invalid'));
+        }
+        throw error;
+      }
+    } catch (error) {
+      await handleBotError(ctx, error, '/timezone command');
+    }
+  });
+};
+
+module.exports = {
+  registerOccasionHandlers
+};
@@ -0,0 +1,118 @@
+/**
+ * Payment Handlers
+ * Giftunity Bot Service
+ *
+ * The Telegram Stars payment flow that follows an invoice sent by /pay (see
+ * gift-pool-handlers.js):
+ *
+ *   pre_checkout_query   Telegram asks whether to accept the payment; the backend
+ *                        checks the invoice amount and that the pool still accepts
+ *                        contributions. Telegram cancels the payment if no answer
+ *                        arrives within 10 seconds.
+ *   successful_payment   The Stars have been charged; the payment is recorded in
+ *                        the backend's ledger and the pool's progress message updated.
+ *
+ * Recording is idempotent per telegram_payment_charge_id, so it is retried on
+ * network and server errors. A payment that still cannot be recorded is logged
+ * and shows up in the backend's reconciliation report.
+ *
+ * For local testing, point TELEGRAM_API_URL at the fake Bot API (src/cli/fake-telegram.js),
+ * which delivers these updates to the webhook.
+ */
+
+const { formatPrice } = require('../utils/price');
+const logger = require('../utils/logger');
+
+const RECORD_ATTEMPTS = 3;
+const RECORD_RETRY_DELAY_MS = 1000;
+const PRE_CHECKOUT_REASONS = ['invoice_not_found', 'amount_mismatch', 'pool_not_accepting'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network errors and 5xx answers; the request can safely be repeated
+const isRetryable = (error) => Boolean(error.isAxiosError && (!error.response || error.response.status >= 500));
+
+/**
+ * Register the pre-checkout and successful payment handlers
+ * @param {Telegraf} bot - Bot instance
+ * @param {Object} deps
+ * @param {Object} deps.backendAPI - Backend API client
+ * @param {Function} deps.getTranslator - async (language) => t
+ * @param {Function} deps.getUserTranslations - async (ctx) => { userRecord, preferredLanguage, t }
+ * @param {Function} deps.guessLanguage - (ctx) => language code, without calling the backend
+ * @param {Function} deps.refreshPoolProgress - async (telegram, userId, poolId) progress message update
+ * @param {Function} deps.handleBotError - async (ctx, error, operation) error reply
+ */
+const registerPaymentHandlers = (bot, {
+  backendAPI, getTranslator, getUserTranslations, guessLanguage, refreshPoolProgress, handleBotError
+}) => {
+  bot.on('pre_checkout_query', async (ctx) => {
+    const query = ctx.preCheckoutQuery;
+    try {
+      const { t } = await getUserTranslations(ctx);
+      const check = await backendAPI.checkPreCheckout(ctx.from.id, {
+        invoice_payload: query.invoice_payload,
+        currency: query.currency,
+        total_amount: query.total_amount
+      });
+
+      if (check.ok) {
+        await ctx.answerPreCheckoutQuery(true);
+        logger.info('Accepted pre-checkout query', { query_id: query.id, user_id: ctx.from.id, amount: query.total_amount, currency: query.currency });
+        return;
+      }
+      const reason = PRE_CHECKOUT_REASONS.includes(check.reason) ? check.reason : 'generic';
+      await ctx.answerPreCheckoutQuery(false, t(`payment_error_${reason}`));
+      logger.info('Declined pre-checkout query', { query_id: query.id, user_id: ctx.from.id, reason });
+    } catch (error) {
+      // A pre-checkout query has no chat to reply to; decline so the form shows an error instead of hanging
+      logger.error('Bot error in pre-checkout query', { error });
+      const t = await getTranslator(guessLanguage(ctx));
+      await ctx.answerPreCheckoutQuery(false, t('payment_error_generic')).catch((answerError) => {
+        logger.error('Failed to answer pre-checkout query', { error: answerError });
+      });
+    }
+  });
+
+  bot.on('successful_payment', async (ctx) => {
+    const payment = ctx.message.successful_payment;
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+
+      let recorded;
+      for (let attempt = 1; !recorded; attempt += 1) {
+        try {
+          recorded = await backendAPI.recordCharge(ctx.from.id, {
+            invoice_payload: payment.invoice_payload,
+            currency: payment.currency,
+            total_amount: payment.total_amount,
+            telegram_payment_charge_id: payment.telegram_payment_charge_id,
+            provider_payment_charge_id: payment.provider_payment_charge_id || null
+          });
+        } catch (error) {
+          if (attempt >= RECORD_ATTEMPTS || !isRetryable(error)) {
+            logger.error('Payment could not be recorded', { charge_id: payment.telegram_payment_charge_id, user_id: ctx.from.id, error });
+            return ctx.reply(t('payment_record_pending'));
+          }
+          await sleep(RECORD_RETRY_DELAY_MS * attempt);
+        }
+      }
+
+      const { pool } = recorded;
+      await ctx.reply(t('payment_received', {
+        name: ctx.from.first_name,
+        amount: formatPrice(payment.total_amount, payment.currency, preferredLanguage),
+        title: pool ? pool.title : ''
+      }));
+      if (pool) {
+        await refreshPoolProgress(ctx.telegram, ctx.from.id, pool.id);
+      }
+    } catch (error) {
+      await handleBotError(ctx, error, 'successful payment');
+    }
+  });
+};
+
+module.exports = {
+  registerPaymentHandlers
+};
@@ -0,0 +1,125 @@
+/**
+ * Privacy Handlers
+ * Giftunity Bot Service
+ *
+ * The user's rights over their personal data (GDPR Art. 15, 17 and 20):
+ *
+ *   /mydata     Send everything Giftunity stores about the user as a JSON file
+ *   /deleteme   Erase the account and its data after a confirmation button
+ *
+ * Both only work in private chats, so nothing personal is posted to a group.
+ * Banned users may still use /mydata; the backend refuses to erase their
+ * account, as that would lift the ban. The confirmation expires after
+ * CONFIRMATION_TTL_SECONDS so an old message cannot erase a new account.
+ */
+
+const { Markup } = require('telegraf');
+const { UserBannedError } = require('../services/backend-api');
+const logger = require('../utils/logger');
+
+const CONFIRMATION_TTL_SECONDS = 10 * 60;
+const DATA_COMMAND_PATTERN = /^\/mydata(@\w+)?(\s|$)/;
+
+/**
+ * Whether an update is a /mydata request, which banned users may still send
+ */
+const isDataExportRequest = (ctx) => Boolean(ctx.message && ctx.message.text && DATA_COMMAND_PATTERN.test(ctx.message.text));
+
+/**
+ * Register the privacy handlers
+ * @param {Telegraf} bot - Bot instance
+ * @param {Object} deps
+ * @param {Object} deps.backendAPI - Backend API client
+ * @param {Function} deps.getTranslator - async (language) => t
+ * @param {Function} deps.getUserTranslations - async (ctx) => { userRecord, preferredLanguage, t }
+ * @param {Function} deps.guessLanguage - (ctx) => language from Telegram
+ * @param {Function} deps.handleBotError - async (ctx, error, operation) error reply
+ */
+const registerPrivacyHandlers = (bot, { backendAPI, getTranslator, getUserTranslations, guessLanguage, handleBotError }) => {
+  bot.command('mydata', async (ctx) => {
+    try {
+      let t;
+      try {
+        ({ t } = await getUserTranslations(ctx));
+      } catch (error) {
+        if (!(error instanceof UserBannedError)) {
+          throw error;
+        }
+        t = await getTranslator(guessLanguage(ctx));
+      }
+      if (ctx.chat.type !== 'private') {
+        return ctx.reply(t('privacy_private_only'));
+      }
+
+      const data = await backendAPI.exportUserData(ctx.from.id);
+      await ctx.replyWithDocument(
+        { source: Buffer.from(JSON.stringify(data, null, 2)), filename: `giftunity-data-${ctx.from.id}.json` },
+        { caption: t('mydata_caption') }
+      );
+      logger.info('Sent personal data export', { user_id: ctx.from.id });
+    } catch (error) {
+      await handleBotError(ctx, error, '/mydata command');
+    }
+  });
+
+  bot.command('deleteme', async (ctx) => {
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+      if (ctx.chat.type !== 'private') {
+        return ctx.reply(t('privacy_private_only'));
+      }
+
+      const issuedAt = Math.floor(Date.now() / 1000);
+      await ctx.reply(t('deleteme_confirm'), Markup.inlineKeyboard([
+        [Markup.button.callback(t('button_deleteme_confirm'), `deleteme:confirm:${issuedAt}:${preferredLanguage}`)],
+        [Markup.button.callback(t('button_deleteme_cancel'), 'deleteme:cancel')]
+      ]));
+    } catch (error) {
+      await handleBotError(ctx, error, '/deleteme command');
+    }
+  });
+
+  bot.action('deleteme:cancel', async (ctx) => {
+    try {
+      const t = await getTranslator(guessLanguage(ctx));
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(t('deleteme_cancelled'));
+    } catch (error) {
+      await ctx.answerCbQuery().catch(() => {});
+      await handleBotError(ctx, error, 'account erasure cancel');
+    }
+  });
+
+  // The button carries the user's language: syncing the user here would
+  // re-create an account a double tap just erased
+  bot.action(/^deleteme:confirm:(\d+):([a-z]{2})$/, async (ctx) => {
+    try {
+      const t = await getTranslator(ctx.match[2]);
+      if (Date.now() / 1000 - Number(ctx.match[1]) > CONFIRMATION_TTL_SECONDS) {
+        await ctx.answerCbQuery();
+        return ctx.editMessageText(t('deleteme_expired'));
+      }
+
+      const result = await backendAPI.eraseUser(ctx.from.id);
+      await ctx.answerCbQuery();
+      if (!result.erased) {
+        return ctx.editMessageText(t('deleteme_open_pools', {
+          pools: result.pool_ids.map((id) => `#${id}`).join(', ')
+        }));
+      }
+
+      // Otherwise the session middleware would store the session again
+      ctx.session = null;
+      await ctx.editMessageText(t('deleteme_done'));
+      logger.info('Account erased on request');
+    } catch (error) {
+      await ctx.answerCbQuery().catch(() => {});
+      await handleBotError(ctx, error, 'account erasure');
+    }
+  });
+};
+
+module.exports = {
+  registerPrivacyHandlers,
+  isDataExportRequest
+};
@@ -0,0 +1,296 @@
+/**
+ * Wishlist Sharing Handlers
+ * Giftunity Bot Service
+ *
+ * Inline mode: typing "@<bot> <text>" in any chat searches the caller's
+ * wishlists and wishes and offers each one as a card to post. Cards are
+ * written in the sharer's language and carry a signed deep-link button back
+ * to the bot (see utils/deep-link.js), so the bot does not have to be a
+ * member of the chat and the friend who opens it counts as the sharer's
+ * referral.
+ *
+ * Opening such a link sends /start with the payload; handlers/deep-link-handlers.js
+ * verifies it and calls openSharedLink, which shows the shared wish or
+ * wishlist to the friend who tapped it, with Reserve and Unreserve buttons.
+ * Only signed payloads open anything; the backend verifies them again before
+ * it lets the friend view the wishlist. Reservations are secret: friends see that a
+ * wish is taken, never by whom, and the owner's own view shows nothing (the
+ * backend returns no reservation state to owners).
+ *
+ * Inline mode has to be enabled for the bot with @BotFather (/setinline).
+ */
+
+const { Markup } = require('telegraf');
+const { formatPrice } = require('../utils/price');
+const { encodeDeepLink, deepLinkURL } = require('../utils/deep-link');
+const logger = require('../utils/logger');
+
+const INLINE_PAGE_SIZE = 20;
+// Telegram caches answers per user (is_personal), so new wishes show up after this delay
+const INLINE_CACHE_SECONDS = 30;
+const MAX_QUERY_LENGTH = 256;
+const MAX_LISTED_ITEMS = 30;
+// reserve:<add|remove>:<itemId>:<view>, where view is "i" (item card) or "w<wishlistId>" (wishlist card)
+const RESERVE_ACTION_PATTERN = /^reserve:(add|remove):(\d+):(i|w\d+)$/;
+
+const priceOf = (entry, language) => (entry.price_amount !== null && entry.price_amount !== undefined
+  ? formatPrice(Number(entry.price_amount), entry.price_currency, language)
+  : null);
+
+/**
+ * Text of a shared wish: title, price, link and the wishlist it belongs to
+ * @param {Function} t - Translator
+ * @param {Object} item - { title, url, price_amount, price_currency }
+ * @param {Object} context - { name, wishlist, language }
+ * @returns {string}
+ */
+const renderItemCard = (t, item, { name, wishlist, language }) => {
+  const price = priceOf(item, language);
+  return [
+    t('share_item_card', { name, title: item.title }),
+    ...(price ? [t('share_price', { price })] : []),
+    ...(item.url ? [item.url] : []),
+    '',
+    t('share_item_from', { name, wishlist })
+  ].join('\n');
+};
+
+/**
+ * Text of a shared wishlist: title, description, size and (when known) its wishes
+ * @param {Function} t - Translator
+ * @param {Object} wishlist - { title, description, item_count, items? }
+ * @param {Object} context - { name, language }
+ * @returns {string}
+ */
+const renderWishlistCard = (t, wishlist, { name, language }) => {
+  const items = wishlist.items || [];
+  const count = wishlist.items ? items.length : wishlist.item_count;
+  const lines = [
+    t('share_wishlist_card', { name, title: wishlist.title }),
+    ...(wishlist.description ? [wishlist.description] : []),
+    t('share_wish_count', { count })
+  ];
+
+  if (wishlist.items) {
+    lines.push('');
+    items.slice(0, MAX_LISTED_ITEMS).forEach((item) => {
+      const price = priceOf(item, language);
+      const marker = item.reserved_by_me ? ' ✅' : (item.reserved ? ' 🔒' : '');
+      lines.push(`• ${item.title}${price ? ` — ${price}` : ''}${marker}`);
+    });
+    if (items.length === 0) {
+      lines.push(t('shared_wishlist_empty'));
+    }
+    if (items.some((item) => item.reserved)) {
+      lines.push('', t('reservation_legend'));
+    }
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Inline query result for one search hit
+ * @param {Function} t - Translator for the sharer's language
+ * @param {Object} result - Search result from the backend
+ * @param {Object} context - { name, language, botUsername, sharerId }
+ * @returns {Object} InlineQueryResultArticle
+ */
+const toInlineResult = (t, result, { name, language, botUsername, sharerId }) => {
+  const isItem = result.type === 'item';
+  const link = deepLinkURL(botUsername, encodeDeepLink({ type: result.type, id: result.id, inviterId: sharerId }));
+  const text = isItem
+    ? renderItemCard(t, result, { name, wishlist: result.wishlist_title, language })
+    : renderWishlistCard(t, result, { name, language });
+
+  return {
+    type: 'article',
+    id: `${result.type}:${result.id}`,
+    title: result.title,
+    description: isItem
+      ? [priceOf(result, language), result.wishlist_title].filter(Boolean).join(' · ')
+      : t('share_wish_count', { count: result.item_count }),
+    input_message_content: {
+      message_text: text,
+      link_preview_options: { is_disabled: true }
+    },
+    ...Markup.inlineKeyboard([
+      Markup.button.url(t(isItem ? 'button_reserve_gift' : 'button_open_wishlist'), link)
+    ])
+  };
+};
+
+/**
+ * A friend's view of a shared wish: the card, its reservation state and button
+ * @param {Function} t - Translator for the viewer's language
+ * @param {Object} item - Shared item from the backend (reserved is null for the owner)
+ * @param {string} language - Viewer's language
+ * @returns {Object} { text, keyboard }
+ */
+const renderItemView = (t, item, language) => {
+  const lines = [renderItemCard(t, item, { name: item.owner_first_name, wishlist: item.wishlist_title, language })];
+  const buttons = [];
+  if (item.reserved_by_me) {
+    lines.push('', t('reservation_yours', { name: item.owner_first_name }));
+    buttons.push(Markup.button.callback(t('button_unreserve'), `reserve:remove:${item.id}:i`));
+  } else if (item.reserved) {
+    lines.push('', t('reservation_taken_line'));
+  } else if (item.reserved === false) {
+    buttons.push(Markup.button.callback(t('button_reserve'), `reserve:add:${item.id}:i`));
+  }
+  return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(buttons.map((button) => [button])) };
+};
+
+/**
+ * A friend's view of a shared wishlist with a button per wish they can reserve or release
+ * @param {Function} t - Translator for the viewer's language
+ * @param {Object} wishlist - Shared wishlist with items
+ * @param {string} language - Viewer's language
+ * @returns {Object} { text, keyboard }
+ */
+const renderWishlistView = (t, wishlist, language) => {
+  const buttons = wishlist.items.slice(0, MAX_LISTED_ITEMS)
+    .filter((item) => item.reserved === false || item.reserved_by_me)
+    .map((item) => [item.reserved_by_me
+      ? Markup.button.callback(t('button_unreserve_item', { title: item.title }), `reserve:remove:${item.id}:w${wishlist.id}`)
+      : Markup.button.callback(t('button_reserve_item', { title: item.title }), `reserve:add:${item.id}:w${wishlist.id}`)]);
+  return {
+    text: renderWishlistCard(t, wishlist, { name: wishlist.owner_first_name, language }),
+    keyboard: Markup.inlineKeyboard(buttons)
+  };
+};
+
+const hasStatus = (error, status) => Boolean(error.response && error.response.status === status);
+
+/**
+ * Register inline sharing and the reservation buttons
+ * @param {Telegraf} bot - Bot instance
+ * @param {Object} deps
+ * @param {Object} deps.backendAPI - Backend API client
+ * @param {Function} deps.getUserTranslations - async (ctx) => { userRecord, preferredLanguage, t }
+ * @param {Function} deps.handleBotError - async (ctx, error, operation) error reply
+ * @returns {Object} { openSharedLink } for the signed deep links
+ */
+const registerWishlistShareHandlers = (bot, { backendAPI, getUserTranslations, handleBotError }) => {
+  /**
+   * Show a shared wish or wishlist to the user who opened its link
+   * The backend verifies the link and from then on lets the user view its wishlist.
+   * @param {string} payload - Signed /start payload
+   */
+  const openSharedLink = async (ctx, payload) => {
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+
+      let view;
+      let target;
+      try {
+        target = await backendAPI.openSharedLink(ctx.from.id, payload);
+        view = target.type === 'item'
+          ? renderItemView(t, await backendAPI.getSharedItem(ctx.from.id, target.item_id), preferredLanguage)
+          : renderWishlistView(t, await backendAPI.getSharedWishlist(ctx.from.id, target.wishlist_id), preferredLanguage);
+      } catch (error) {
+        if (hasStatus(error, 410)) {
+          return ctx.reply(t('deep_link_expired'));
+        }
+        if (hasStatus(error, 404)) {
+          return ctx.reply(t('shared_not_found'));
+        }
+        throw error;
+      }
+
+      await ctx.reply(view.text, { ...view.keyboard, link_preview_options: { is_disabled: true } });
+      logger.info('Opened shared link', { user_id: ctx.from.id, type: target.type, wishlist_id: target.wishlist_id });
+    } catch (error) {
+      await handleBotError(ctx, error, '/start shared link');
+    }
+  };
+
+  bot.on('inline_query', async (ctx) => {
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+      const query = ctx.inlineQuery.query.trim().slice(0, MAX_QUERY_LENGTH);
+      const offset = /^\d{1,9}$/.test(ctx.inlineQuery.offset) ? Number(ctx.inlineQuery.offset) : 0;
+
+      const { results, next_offset: nextOffset } = await backendAPI.searchWishes(ctx.from.id, {
+        query,
+        offset,
+        limit: INLINE_PAGE_SIZE
+      });
+
+      const context = {
+        name: ctx.from.first_name,
+        language: preferredLanguage,
+        botUsername: ctx.botInfo.username,
+        sharerId: ctx.from.id
+      };
+      await ctx.answerInlineQuery(results.map((result) => toInlineResult(t, result, context)), {
+        cache_time: INLINE_CACHE_SECONDS,
+        is_personal: true,
+        next_offset: nextOffset === null ? '' : String(nextOffset),
+        // Offer a way into the bot when there is nothing to share yet
+        ...(offset === 0 && results.length === 0 && !query
+          ? { button: { text: t('inline_empty_button'), start_parameter: 'inline' } }
+          : {})
+      });
+    } catch (error) {
+      // An inline query has no chat to reply to; an empty, uncached answer lets the user retry
+      logger.error('Bot error in inline query', { error });
+      await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true }).catch(() => {});
+    }
+  });
+
+  bot.action(RESERVE_ACTION_PATTERN, async (ctx) => {
+    try {
+      const { preferredLanguage, t } = await getUserTranslations(ctx);
+      const [, action, itemId, view] = ctx.match;
+
+      if (action === 'add') {
+        try {
+          await backendAPI.reserveItem(ctx.from.id, itemId);
+          await ctx.answerCbQuery(t('reservation_saved'));
+          logger.info('Item reserved', { user_id: ctx.from.id, item_id: itemId });
+        } catch (error) {
+          const alertKey = (hasStatus(error, 409) && 'reservation_taken')
+            || (hasStatus(error, 403) && 'reservation_own_item')
+            || (hasStatus(error, 404) && 'shared_not_found');
+          if (!alertKey) {
+            throw error;
+          }
+          await ctx.answerCbQuery(t(alertKey), { show_alert: true });
+        }
+      } else {
+        // Nothing to release (e.g. a double tap) counts as released
+        await backendAPI.releaseReservation(ctx.from.id, itemId);
+        await ctx.answerCbQuery(t('reservation_released'));
+        logger.info('Reservation released', { user_id: ctx.from.id, item_id: itemId });
+      }
+
+      // Show the current state, including a reservation someone else just made
+      let updated;
+      try {
+        updated = view === 'i'
+          ? renderItemView(t, await backendAPI.getSharedItem(ctx.from.id, itemId), preferredLanguage)
+          : renderWishlistView(t, await backendAPI.getSharedWishlist(ctx.from.id, view.slice(1)), preferredLanguage);
+      } catch (error) {
+        if (hasStatus(error, 404)) {
+          return;
+        }
+        throw error;
+      }
+      await ctx.editMessageText(updated.text, { ...updated.keyboard, link_preview_options: { is_disabled: true } })
+        .catch((error) => {
+          if (!/message is not modified/.test(error.description || error.message)) {
+            throw error;
+          }
+        });
+    } catch (error) {
+      await ctx.answerCbQuery().catch(() => {});
+      await handleBotError(ctx, error, 'gift reservation');
+    }
+  });
+
+  return { openSharedLink };
+};
+
+module.exports = {
+  registerWishlistShareHandlers
+};
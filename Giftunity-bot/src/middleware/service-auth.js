@@ -0,0 +1,101 @@
+/**
+ * Service Authentication Middleware
+ * Giftunity Bot Service
+ *
+ * Verifies requests the backend sends to the bot's internal API. They are
+ * signed exactly like the bot's own requests to the backend (see
+ * services/backend-api.js):
+ *
+ *   X-Giftunity-Service:   "backend"
+ *   X-Giftunity-Timestamp: Unix time in seconds
+ *   X-Giftunity-Nonce:     Unique random value per request
+ *   X-Giftunity-Signature: v1=HMAC-SHA256(secret, "METHOD\nPATH\nTIMESTAMP\nNONCE\nUSER_ID\nSHA256(body)")
+ *
+ * USER_ID is the X-Telegram-User-Id header, empty when the request has none.
+ * Requests older than SIGNATURE_MAX_AGE_SECONDS or reusing a nonce are rejected.
+ *
+ * Environment Variables:
+ * - SERVICE_SHARED_SECRET: Secret shared with the backend
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const SIGNATURE_VERSION = 'v1';
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+const ALLOWED_SERVICES = ['backend'];
+
+// nonce -> expiry (ms) in insertion order, which is also expiry order
+const seenNonces = new Map();
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const reject = (res, message) => res.status(401).json({
+  error: 'Unauthorized',
+  message
+});
+
+/**
+ * Require a request signed by the backend
+ * @param {Object} req - Express request (req.rawBody captured by the JSON parser)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requireService = (req, res, next) => {
+  const secret = process.env.SERVICE_SHARED_SECRET;
+  if (!secret) {
+    logger.error('Internal request received but SERVICE_SHARED_SECRET is not configured');
+    return reject(res, 'Service authentication is not configured');
+  }
+
+  const service = req.get('X-Giftunity-Service');
+  const timestamp = req.get('X-Giftunity-Timestamp');
+  const nonce = req.get('X-Giftunity-Nonce');
+  const signature = req.get('X-Giftunity-Signature');
+  if (!ALLOWED_SERVICES.includes(service) || !timestamp || !nonce || nonce.length > 128 || !signature) {
+    return reject(res, 'Missing or incomplete service signature');
+  }
+
+  const now = Date.now();
+  if (!/^\d+$/.test(timestamp) || Math.abs(Math.floor(now / 1000) - Number(timestamp)) > SIGNATURE_MAX_AGE_SECONDS) {
+    return reject(res, 'Service signature timestamp is outside the allowed window');
+  }
+
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  const userId = req.get('X-Telegram-User-Id') || '';
+  const canonical = [req.method.toUpperCase(), req.originalUrl, timestamp, nonce, userId, bodyHash].join('\n');
+  const expected = `${SIGNATURE_VERSION}=${crypto.createHmac('sha256', secret).update(canonical).digest('hex')}`;
+  if (!safeEqual(expected, signature)) {
+    return reject(res, 'Service signature is invalid');
+  }
+
+  for (const [seenNonce, expiresAt] of seenNonces) {
+    if (expiresAt > now) {
+      break;
+    }
+    seenNonces.delete(seenNonce);
+  }
+  if (seenNonces.has(nonce)) {
+    return reject(res, 'Service request was already processed');
+  }
+  seenNonces.set(nonce, now + SIGNATURE_MAX_AGE_SECONDS * 2 * 1000);
+
+  req.service = service;
+  next();
+};
+
+/**
+ * Capture the raw body for signature verification (express.json "verify" hook)
+ */
+const captureRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+
+module.exports = {
+  requireService,
+  captureRawBody
+};
@@ -0,0 +1,46 @@
+/**
+ * Webhook Authentication Middleware
+ * Giftunity Bot Service
+ *
+ * Accepts webhook requests only when they carry the secret token the webhook
+ * was registered with (see services/webhook-manager.js): Telegram sends it in
+ * X-Telegram-Bot-Api-Secret-Token with every update. Anyone who only knows
+ * the webhook URL cannot inject updates.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const rejectedRequests = metrics.counter(
+  'bot_webhook_rejected_total',
+  'Webhook requests rejected for a missing or wrong secret token'
+);
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Create middleware requiring Telegram's secret token header
+ * @param {string} secretToken - Secret the webhook was registered with
+ * @returns {Function} Express middleware
+ */
+const requireTelegramSecret = (secretToken) => (req, res, next) => {
+  const provided = req.get('X-Telegram-Bot-Api-Secret-Token') || '';
+  if (!safeEqual(provided, secretToken)) {
+    rejectedRequests.inc();
+    logger.warn('Rejected webhook request without a valid secret token', { ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid webhook secret token'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  requireTelegramSecret
+};
@@ -0,0 +1,86 @@
+/**
+ * Internal API Routes
+ * Giftunity Bot Service
+ *
+ * POST /internal/reminders    Send an occasion reminder to a user
+ *
+ * Called by the backend for messages it initiates; every route requires a
+ * request signed by the backend (see middleware/service-auth.js).
+ *
+ * The backend never resends a reminder unless it is sure the first attempt did
+ * not reach the user, so the status codes say exactly that:
+ * - 200: sent
+ * - 410: Telegram refused the chat (blocked bot, deleted account); do not retry
+ * - 503: Telegram answered with a temporary error or the delivery queue is full;
+ *        nothing was sent, retry later
+ * - 500: unexpected error; the message may or may not have been sent
+ *
+ * Messages go through the delivery queue (see services/delivery-queue.js), which
+ * already retries rate limits and temporary errors before answering.
+ */
+
+const express = require('express');
+const { requireService } = require('../middleware/service-auth');
+const { QueueFullError } = require('../services/delivery-queue');
+const logger = require('../utils/logger');
+
+const USER_ID_PATTERN = /^[1-9]\d{0,18}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Telegram errors that will not go away by retrying
+const PERMANENT_TELEGRAM_ERRORS = [400, 403];
+
+/**
+ * Create the internal API router
+ * @param {Object} deps
+ * @param {Telegraf} deps.bot - Bot instance
+ * @param {Function} deps.getTranslator - async (language) => t
+ * @returns {express.Router}
+ */
+const createInternalRouter = ({ bot, getTranslator }) => {
+  const router = express.Router();
+
+  router.use(requireService);
+
+  router.post('/reminders', async (req, res) => {
+    const { reminder_id: reminderId, user_id: userId, language, title, occurs_on: occursOn, days_until: daysUntil } = req.body;
+    if (!USER_ID_PATTERN.test(String(userId)) || typeof title !== 'string' || !DATE_PATTERN.test(occursOn)
+      || !Number.isInteger(daysUntil) || daysUntil < 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'user_id, title, occurs_on (YYYY-MM-DD) and days_until are required'
+      });
+    }
+
+    try {
+      const t = await getTranslator(language || 'en');
+      // Dates are plain calendar days; formatting them in UTC keeps the day unchanged
+      const date = new Intl.DateTimeFormat(language || 'en', { dateStyle: 'long', timeZone: 'UTC' })
+        .format(new Date(`${occursOn}T00:00:00Z`));
+      const text = daysUntil === 0
+        ? t('occasion_reminder_today', { title })
+        : t('occasion_reminder_soon', { count: daysUntil, title, date });
+
+      const message = await bot.telegram.sendMessage(userId, text);
+      logger.info('Reminder sent', { reminder_id: reminderId, user_id: userId });
+      res.json({ delivered: true, message_id: message.message_id });
+    } catch (error) {
+      const code = error.response && error.response.error_code;
+      if (PERMANENT_TELEGRAM_ERRORS.includes(code)) {
+        logger.warn('Reminder refused by Telegram', { reminder_id: reminderId, user_id: userId, reason: error.description });
+        return res.status(410).json({ error: 'Recipient unavailable', message: error.description });
+      }
+      if (code || error instanceof QueueFullError) {
+        logger.warn('Reminder not sent', { reminder_id: reminderId, user_id: userId, reason: error.description || error.message });
+        return res.status(503).json({ error: 'Telegram unavailable', message: error.description || error.message });
+      }
+      logger.error('Reminder failed', { reminder_id: reminderId, user_id: userId, error });
+      res.status(500).json({ error: 'Internal server error', message: 'The reminder may not have been sent' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createInternalRouter
+};
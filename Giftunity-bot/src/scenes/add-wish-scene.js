@@ -0,0 +1,203 @@
+/**
+ * Add Wish Wizard
+ * Giftunity Bot Service
+ *
+ * Conversation for adding a wish item from chat:
+ *
+ *   title → link (optional) → price (optional) → confirm
+ *
+ * Every prompt carries Back and Cancel buttons, and the optional steps a Skip
+ * button. Progress is kept in the Telegraf session (ctx.wizard.state), which the
+ * bot persists through the backend (see services/session-store.js), so a
+ * conversation survives bot restarts.
+ *
+ * The wish is saved to the user's most recent wishlist; a first wishlist is
+ * created when the user has none. /cancel leaves the wizard; other commands
+ * leave it too (see leaveSceneOnCommand in bot.js).
+ */
+
+const { Scenes, Markup } = require('telegraf');
+const { parsePrice, formatPrice } = require('../utils/price');
+const logger = require('../utils/logger');
+
+const ADD_WISH_SCENE_ID = 'add-wish';
+const MAX_TITLE_LENGTH = 200;
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Parse an http(s) link
+ * @param {string} text - User input
+ * @returns {string|null} Normalized URL or null
+ */
+const parseUrl = (text) => {
+  if (text.length > MAX_URL_LENGTH) {
+    return null;
+  }
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname.includes('.') ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create the add-wish wizard scene
+ * @param {Object} deps
+ * @param {Object} deps.backendAPI - Backend API client
+ * @param {Function} deps.getTranslator - async (language) => t
+ * @param {Function} deps.handleBotError - async (ctx, error, operation) error reply
+ * @returns {Scenes.WizardScene}
+ */
+const createAddWishScene = ({ backendAPI, getTranslator, handleBotError }) => {
+  const translatorFor = (ctx) => getTranslator(ctx.wizard.state.language);
+
+  const keyboard = (t, { back = true, skip = false, confirm = false } = {}) => Markup.inlineKeyboard([
+    [
+      ...(confirm ? [Markup.button.callback(t('button_confirm'), 'wish:confirm')] : []),
+      ...(skip ? [Markup.button.callback(t('button_skip'), 'wish:skip')] : [])
+    ],
+    [
+      ...(back ? [Markup.button.callback(t('button_back'), 'wish:back')] : []),
+      Markup.button.callback(t('button_cancel'), 'wish:cancel')
+    ]
+  ].filter((row) => row.length > 0));
+
+  const describe = (t, { title, url, price }, language) => t('wish_wizard_summary', {
+    title,
+    url: url || t('wish_wizard_not_set'),
+    price: price ? formatPrice(price.amount, price.currency, language) : t('wish_wizard_not_set')
+  });
+
+  // Prompt shown while the wizard waits at a given cursor
+  const prompts = {
+    1: (ctx, t) => ctx.reply(t('wish_wizard_title_prompt'), keyboard(t, { back: false })),
+    2: (ctx, t) => ctx.reply(t('wish_wizard_url_prompt'), keyboard(t, { skip: true })),
+    3: (ctx, t) => ctx.reply(t('wish_wizard_price_prompt'), keyboard(t, { skip: true })),
+    4: (ctx, t) => ctx.reply(describe(t, ctx.wizard.state, ctx.wizard.state.language), keyboard(t, { confirm: true }))
+  };
+
+  const advance = async (ctx) => {
+    ctx.wizard.next();
+    await prompts[ctx.wizard.cursor](ctx, await translatorFor(ctx));
+  };
+
+  const scene = new Scenes.WizardScene(
+    ADD_WISH_SCENE_ID,
+    // 0: entered via /addwish; the language comes from the scene's initial state
+    async (ctx) => {
+      ctx.wizard.state.language = ctx.wizard.state.language || 'en';
+      await advance(ctx);
+    },
+    // 1: title
+    async (ctx) => {
+      const t = await translatorFor(ctx);
+      const title = ctx.message && ctx.message.text ? ctx.message.text.trim() : '';
+      if (!title || title.length > MAX_TITLE_LENGTH) {
+        return ctx.reply(t('wish_wizard_title_invalid'), keyboard(t, { back: false }));
+      }
+      ctx.wizard.state.title = title;
+      await advance(ctx);
+    },
+    // 2: link
+    async (ctx) => {
+      const t = await translatorFor(ctx);
+      const url = ctx.message && ctx.message.text ? parseUrl(ctx.message.text.trim()) : null;
+      if (!url) {
+        return ctx.reply(t('wish_wizard_url_invalid'), keyboard(t, { skip: true }));
+      }
+      ctx.wizard.state.url = url;
+      await advance(ctx);
+    },
+    // 3: price
+    async (ctx) => {
+      const t = await translatorFor(ctx);
+      const price = ctx.message && ctx.message.text ? parsePrice(ctx.message.text) : null;
+      if (!price) {
+        return ctx.reply(t('wish_wizard_price_invalid'), keyboard(t, { skip: true }));
+      }
+      ctx.wizard.state.price = price;
+      await advance(ctx);
+    },
+    // 4: confirm (handled by the wish:confirm action)
+    async (ctx) => {
+      await prompts[4](ctx, await translatorFor(ctx));
+    }
+  );
+
+  // Error replies use the wizard's language
+  scene.use((ctx, next) => {
+    ctx.state.language = ctx.wizard.state.language;
+    return next();
+  });
+
+  scene.command('cancel', async (ctx) => {
+    const t = await translatorFor(ctx);
+    await ctx.scene.leave();
+    await ctx.reply(t('wish_wizard_cancelled'));
+  });
+
+  scene.action('wish:cancel', async (ctx) => {
+    const t = await translatorFor(ctx);
+    await ctx.answerCbQuery();
+    await ctx.scene.leave();
+    await ctx.editMessageText(t('wish_wizard_cancelled'));
+  });
+
+  scene.action('wish:back', async (ctx) => {
+    await ctx.answerCbQuery();
+    if (ctx.wizard.cursor > 1) {
+      ctx.wizard.back();
+    }
+    await prompts[ctx.wizard.cursor](ctx, await translatorFor(ctx));
+  });
+
+  scene.action('wish:skip', async (ctx) => {
+    await ctx.answerCbQuery();
+    if (ctx.wizard.cursor === 2) {
+      delete ctx.wizard.state.url;
+    } else if (ctx.wizard.cursor === 3) {
+      delete ctx.wizard.state.price;
+    } else {
+      return;
+    }
+    await advance(ctx);
+  });
+
+  scene.action('wish:confirm', async (ctx) => {
+    await ctx.answerCbQuery();
+    if (ctx.wizard.cursor !== 4) {
+      return;
+    }
+
+    try {
+      const t = await translatorFor(ctx);
+      const { title, url, price } = ctx.wizard.state;
+      const userId = ctx.from.id;
+
+      const { wishlists } = await backendAPI.listWishlists(userId);
+      const wishlist = wishlists[0] || await backendAPI.createWishlist(userId, { title: t('wish_wizard_default_wishlist') });
+
+      await backendAPI.createWishItem(userId, wishlist.id, {
+        title,
+        url: url || null,
+        price_amount: price ? price.amount : null,
+        price_currency: price ? price.currency : null
+      });
+
+      await ctx.scene.leave();
+      await ctx.editMessageText(t('wish_wizard_saved', { title, wishlist: wishlist.title }));
+      logger.info('Wish added', { user_id: userId, wishlist_id: wishlist.id });
+    } catch (error) {
+      // The wizard stays on the confirm step so the user can retry
+      await handleBotError(ctx, error, 'add wish confirmation');
+    }
+  });
+
+  return scene;
+};
+
+module.exports = {
+  ADD_WISH_SCENE_ID,
+  createAddWishScene
+};
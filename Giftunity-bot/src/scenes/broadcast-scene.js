@@ -0,0 +1,254 @@
+/**
+ * Broadcast Wizard
+ * Giftunity Bot Service
+ *
+ * Admin conversation for announcing something to users (/broadcast):
+ *
+ *   message per language → audience → preview and confirm
+ *
+ * The message is asked for in the default language first, then in every other
+ * language, each of which may be skipped; users get the version in their
+ * preferred language or else the default one. Text formatting is kept as
+ * Telegram message entities.
+ *
+ * The audience is typed as filters on users' columns:
+ *
+ *   all
+ *   lang=de,ru premium=yes since=2025-01-01
+ *
+ * (preferred language, Telegram Premium yes/no, registered on or after a date).
+ * Users who blocked the bot are never included. The preview shows every
+ * version as users will see it and the number of recipients; confirming creates
+ * the broadcast in the backend and hands it to the broadcast sender
+ * (see services/broadcast-sender.js).
+ *
+ * Only entered by admins (see /broadcast in bot.js); /cancel leaves it.
+ */
+
+const { Scenes, Markup } = require('telegraf');
+const logger = require('../utils/logger');
+
+const BROADCAST_SCENE_ID = 'broadcast';
+const MAX_MESSAGE_LENGTH = 4096;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse audience filters
+ * @param {string} text - "all" or key=value filters separated by spaces
+ * @param {Array<string>} languageCodes - Supported language codes
+ * @returns {Object|null} Segment { languages, is_premium, created_after } or null when invalid
+ */
+const parseSegment = (text, languageCodes) => {
+  const segment = { languages: null, is_premium: null, created_after: null };
+  const tokens = text.trim().toLowerCase().split(/\s+/);
+  if (tokens.length === 1 && tokens[0] === 'all') {
+    return segment;
+  }
+
+  for (const token of tokens) {
+    const [key, value = ''] = token.split('=');
+    if ((key === 'lang' || key === 'language') && segment.languages === null) {
+      const languages = value.split(',').filter(Boolean);
+      if (languages.length === 0 || !languages.every((code) => languageCodes.includes(code))) {
+        return null;
+      }
+      segment.languages = [...new Set(languages)];
+    } else if (key === 'premium' && segment.is_premium === null && ['yes', 'no'].includes(value)) {
+      segment.is_premium = value === 'yes';
+    } else if (key === 'since' && segment.created_after === null && DATE_PATTERN.test(value)
+      && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value) {
+      segment.created_after = value;
+    } else {
+      return null;
+    }
+  }
+  return segment;
+};
+
+/**
+ * Create the broadcast wizard scene
+ * @param {Object} deps
+ * @param {Object} deps.backendAPI - Backend API client
+ * @param {Object} deps.broadcastSender - Broadcast sender
+ * @param {Function} deps.getTranslator - async (language) => t
+ * @param {Function} deps.handleBotError - async (ctx, error, operation) error reply
+ * @returns {Scenes.WizardScene}
+ */
+const createBroadcastScene = ({ backendAPI, broadcastSender, getTranslator, handleBotError }) => {
+  const translatorFor = (ctx) => getTranslator(ctx.wizard.state.language);
+
+  const keyboard = (t, { back = true, skip = false, send = false } = {}) => Markup.inlineKeyboard([
+    [
+      ...(send ? [Markup.button.callback(t('button_broadcast_send'), 'broadcast:send')] : []),
+      ...(skip ? [Markup.button.callback(t('button_skip'), 'broadcast:skip')] : [])
+    ],
+    [
+      ...(back ? [Markup.button.callback(t('button_back'), 'broadcast:back')] : []),
+      Markup.button.callback(t('button_cancel'), 'broadcast:cancel')
+    ]
+  ].filter((row) => row.length > 0));
+
+  const currentLanguage = (state) => state.languages[state.languageIndex];
+
+  // Prompt shown while the wizard waits at a given cursor
+  const prompts = {
+    1: (ctx, t) => {
+      const { languageIndex } = ctx.wizard.state;
+      const { name } = currentLanguage(ctx.wizard.state);
+      return languageIndex === 0
+        ? ctx.reply(t('broadcast_message_prompt', { language: name }), keyboard(t, { back: false }))
+        : ctx.reply(t('broadcast_translation_prompt', { language: name }), keyboard(t, { skip: true }));
+    },
+    2: (ctx, t) => ctx.reply(t('broadcast_audience_prompt'), keyboard(t)),
+    3: async (ctx, t) => {
+      const { languages, messages, audience, audienceText } = ctx.wizard.state;
+      for (const { code } of languages.filter(({ code: languageCode }) => messages[languageCode])) {
+        await ctx.reply(messages[code].text, { entities: messages[code].entities });
+      }
+      const byLanguage = Object.entries(audience.by_language).map(([code, count]) => `${code} ${count}`).join(', ');
+      await ctx.reply(t('broadcast_preview_summary', {
+        audience: audienceText || t('broadcast_audience_all'),
+        count: audience.total,
+        languages: byLanguage
+      }), keyboard(t, { send: true }));
+    }
+  };
+
+  const advance = async (ctx) => {
+    ctx.wizard.next();
+    await prompts[ctx.wizard.cursor](ctx, await translatorFor(ctx));
+  };
+
+  // Move to the next language, or on to the audience after the last one
+  const nextLanguage = async (ctx) => {
+    const { state } = ctx.wizard;
+    if (state.languageIndex + 1 < state.languages.length) {
+      state.languageIndex += 1;
+      return prompts[1](ctx, await translatorFor(ctx));
+    }
+    await advance(ctx);
+  };
+
+  const scene = new Scenes.WizardScene(
+    BROADCAST_SCENE_ID,
+    // 0: entered via /broadcast with { language, languages (default first) }
+    async (ctx) => {
+      ctx.wizard.state.languageIndex = 0;
+      ctx.wizard.state.messages = {};
+      await advance(ctx);
+    },
+    // 1: message in the current language
+    async (ctx) => {
+      const t = await translatorFor(ctx);
+      const { state } = ctx.wizard;
+      const text = ctx.message && ctx.message.text;
+      if (!text || text.length > MAX_MESSAGE_LENGTH) {
+        const translating = state.languageIndex > 0;
+        return ctx.reply(t('broadcast_message_invalid'), keyboard(t, { back: translating, skip: translating }));
+      }
+      state.messages[currentLanguage(state).code] = { text, entities: ctx.message.entities || [] };
+      await nextLanguage(ctx);
+    },
+    // 2: audience
+    async (ctx) => {
+      const t = await translatorFor(ctx);
+      const { state } = ctx.wizard;
+      const text = ctx.message && ctx.message.text ? ctx.message.text.trim() : '';
+      const segment = parseSegment(text, state.languages.map(({ code }) => code));
+      if (!segment) {
+        return ctx.reply(t('broadcast_audience_invalid'), keyboard(t));
+      }
+
+      try {
+        const audience = await backendAPI.previewBroadcastSegment(ctx.from.id, segment);
+        if (audience.total === 0) {
+          return ctx.reply(t('broadcast_audience_empty'), keyboard(t));
+        }
+        state.segment = segment;
+        state.audienceText = text.toLowerCase() === 'all' ? null : text;
+        state.audience = audience;
+        await advance(ctx);
+      } catch (error) {
+        await handleBotError(ctx, error, 'broadcast audience');
+      }
+    },
+    // 3: confirm (handled by the broadcast:send action)
+    async (ctx) => {
+      await prompts[3](ctx, await translatorFor(ctx));
+    }
+  );
+
+  // Error replies use the wizard's language
+  scene.use((ctx, next) => {
+    ctx.state.language = ctx.wizard.state.language;
+    return next();
+  });
+
+  scene.command('cancel', async (ctx) => {
+    const t = await translatorFor(ctx);
+    await ctx.scene.leave();
+    await ctx.reply(t('broadcast_discarded'));
+  });
+
+  scene.action('broadcast:cancel', async (ctx) => {
+    const t = await translatorFor(ctx);
+    await ctx.answerCbQuery();
+    await ctx.scene.leave();
+    await ctx.editMessageText(t('broadcast_discarded'));
+  });
+
+  scene.action('broadcast:back', async (ctx) => {
+    await ctx.answerCbQuery();
+    const { state } = ctx.wizard;
+    if (ctx.wizard.cursor === 1 && state.languageIndex > 0) {
+      state.languageIndex -= 1;
+      delete state.messages[currentLanguage(state).code];
+    } else if (ctx.wizard.cursor > 1) {
+      ctx.wizard.back();
+      if (ctx.wizard.cursor === 1) {
+        delete state.messages[currentLanguage(state).code];
+      }
+    }
+    await prompts[ctx.wizard.cursor](ctx, await translatorFor(ctx));
+  });
+
+  scene.action('broadcast:skip', async (ctx) => {
+    await ctx.answerCbQuery();
+    if (ctx.wizard.cursor !== 1 || ctx.wizard.state.languageIndex === 0) {
+      return;
+    }
+    await nextLanguage(ctx);
+  });
+
+  scene.action('broadcast:send', async (ctx) => {
+    await ctx.answerCbQuery();
+    if (ctx.wizard.cursor !== 3) {
+      return;
+    }
+
+    try {
+      const t = await translatorFor(ctx);
+      const { language, languages, messages, segment } = ctx.wizard.state;
+      const broadcast = await backendAPI.createBroadcast(ctx.from.id, {
+        messages,
+        default_language: languages[0].code,
+        segment
+      });
+
+      await ctx.scene.leave();
+      await ctx.editMessageText(t('broadcast_started', { id: broadcast.id, count: broadcast.total_recipients }));
+      logger.info('Broadcast started', { admin_id: ctx.from.id, broadcast_id: broadcast.id, recipients: broadcast.total_recipients });
+      broadcastSender.start(broadcast, { adminChatId: ctx.chat.id, language });
+    } catch (error) {
+      // The wizard stays on the confirm step so the admin can retry
+      await handleBotError(ctx, error, 'broadcast confirmation');
+    }
+  });
+
+  return scene;
+};
+
+module.exports = {
+  BROADCAST_SCENE_ID,
+  createBroadcastScene
+};
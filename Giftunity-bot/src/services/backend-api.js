@@ -0,0 +1,763 @@
+/**
+ * Backend API Client
+ * Giftunity Bot Service
+ *
+ * Thin HTTP client for the Giftunity backend. Every request is signed with the
+ * shared service secret so the backend can tell it apart from public traffic:
+ *
+ *   X-Giftunity-Service:   "bot"
+ *   X-Giftunity-Timestamp: Unix time in seconds
+ *   X-Giftunity-Nonce:     Random UUID per request
+ *   X-Giftunity-Signature: v1=HMAC-SHA256(secret, "METHOD\nPATH\nTIMESTAMP\nNONCE\nUSER_ID\nSHA256(body)")
+ *
+ * The body is serialized here so the signed bytes are exactly the bytes sent.
+ * Calls made on behalf of a chat user carry X-Telegram-User-Id, which is signed
+ * as USER_ID (empty for calls without a user), and calls made while handling an
+ * update carry its request ID in X-Request-Id (see utils/logger.js).
+ * Every call is timed and counted for /metrics by method, path template
+ * (ids replaced with :id) and status.
+ *
+ * Calls that get no response (timeout, lost connection), a 502/503/504, or a
+ * 409 with Retry-After (the backend still processing an earlier attempt) are
+ * retried up to MAX_ATTEMPTS times, each attempt signed anew. Writes that
+ * would take effect twice if repeated (anything created, reservations,
+ * pledges, charges, claims of broadcast recipients) pass idempotencyKey: true
+ * and carry one Idempotency-Key for all their attempts, so the backend applies
+ * them once and replays its first response to the retries (see the backend's
+ * middleware/idempotency.js). Writes that are safe to repeat (user sync,
+ * sessions, flags, closing and cancelling) send no key, which spares the
+ * backend storing a response for every update.
+ *
+ * The backend refuses banned users with 403 "User banned"; such calls reject
+ * with UserBannedError so handlers can tell the user instead of failing.
+ *
+ * Environment Variables:
+ * - SERVICE_SHARED_SECRET: Secret shared with the backend
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const SERVICE_NAME = 'bot';
+const REQUEST_TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAYS_MS = [250, 1000];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const requestDuration = metrics.histogram(
+  'bot_backend_request_duration_seconds',
+  'Duration of backend API calls in seconds',
+  ['method', 'path', 'status']
+);
+const requestFailures = metrics.counter(
+  'bot_backend_request_failures_total',
+  'Backend API calls that failed (error status, timeout or no connection)',
+  ['method', 'path', 'reason']
+);
+const requestRetries = metrics.counter(
+  'bot_backend_request_retries_total',
+  'Backend API calls repeated after a timeout, lost connection or temporary error',
+  ['method', 'path']
+);
+
+class UserBannedError extends Error {
+  constructor() {
+    super('The user is banned');
+    this.name = 'UserBannedError';
+  }
+}
+
+/**
+ * Whether a failed attempt may be repeated
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+  if (!error.response) {
+    return true;
+  }
+  const { status, headers } = error.response;
+  return RETRYABLE_STATUSES.includes(status) || (status === 409 && headers['retry-after'] !== undefined);
+};
+
+/**
+ * Path template for metrics: no query string, segments with digits become :id
+ * @param {string} path - Request path, e.g. "/api/pools/12/join?x=1"
+ * @returns {string} e.g. "/api/pools/:id/join"
+ */
+const pathTemplate = (path) => path.split('?')[0]
+  .split('/')
+  .map((segment) => (/\d/.test(segment) ? ':id' : segment))
+  .join('/');
+
+class BackendAPI {
+  constructor(baseURL, { serviceSecret = process.env.SERVICE_SHARED_SECRET } = {}) {
+    this.baseURL = baseURL;
+    this.serviceSecret = serviceSecret;
+
+    if (!serviceSecret) {
+      logger.warn('SERVICE_SHARED_SECRET is not configured; backend requests will be unsigned');
+    }
+  }
+
+  /**
+   * Build signature headers for a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Absolute request URL
+   * @param {string} body - Serialized request body ('' when none)
+   * @param {string} [userId] - X-Telegram-User-Id sent with the request
+   * @returns {Object} Signature headers (empty without a secret)
+   */
+  signRequest(method, url, body, userId = '') {
+    if (!this.serviceSecret) {
+      return {};
+    }
+
+    const { pathname, search } = new URL(url);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce = crypto.randomUUID();
+    const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+    const canonical = [method.toUpperCase(), `${pathname}${search}`, timestamp, nonce, userId, bodyHash].join('\n');
+    const signature = crypto.createHmac('sha256', this.serviceSecret).update(canonical).digest('hex');
+
+    return {
+      'X-Giftunity-Service': SERVICE_NAME,
+      'X-Giftunity-Timestamp': timestamp,
+      'X-Giftunity-Nonce': nonce,
+      'X-Giftunity-Signature': `v1=${signature}`
+    };
+  }
+
+  /**
+   * Send a signed request to the backend
+   * @param {string} method - HTTP method
+   * @param {string} path - Path including query string
+   * @param {Object} [options]
+   * @param {Object} [options.data] - JSON body
+   * @param {string|number} [options.userId] - Telegram user the call is made for
+   * @param {Object} [options.headers] - Additional headers
+   * @param {boolean} [options.idempotencyKey] - Send an Idempotency-Key so retries are applied once
+   * @param {Function} [options.validateStatus] - Statuses to resolve with (default: 2xx)
+   * @returns {Promise<Object>} Axios response
+   */
+  async send(method, path, { data, userId, headers: extraHeaders = {}, idempotencyKey, validateStatus } = {}) {
+    const url = `${this.baseURL}${path}`;
+    const body = data === undefined ? '' : JSON.stringify(data);
+    const headers = { ...extraHeaders };
+
+    // One key for every attempt of the write
+    if (idempotencyKey && !headers['Idempotency-Key']) {
+      headers['Idempotency-Key'] = crypto.randomUUID();
+    }
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (userId !== undefined) {
+      headers['X-Telegram-User-Id'] = String(userId);
+    }
+    const requestId = logger.getRequestId();
+    if (requestId) {
+      headers['X-Request-Id'] = requestId;
+    }
+
+    const labels = { method, path: pathTemplate(path) };
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        const signedHeaders = { ...headers, ...this.signRequest(method, url, body, headers['X-Telegram-User-Id']) };
+        return await this.attempt(method, url, body, signedHeaders, labels, validateStatus);
+      } catch (error) {
+        if (error.response && error.response.status === 403
+          && error.response.data && error.response.data.error === 'User banned') {
+          throw new UserBannedError();
+        }
+        if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) {
+          throw error;
+        }
+        requestRetries.inc(labels);
+        logger.warn('Retrying backend request', {
+          ...labels,
+          attempt,
+          reason: error.response ? error.response.status : (error.code || 'network')
+        });
+        await sleep(RETRY_DELAYS_MS[attempt - 1]);
+      }
+    }
+  }
+
+  /**
+   * Send one attempt of a request, timed and counted for /metrics
+   * @see send
+   * @returns {Promise<Object>} Axios response
+   */
+  async attempt(method, url, body, headers, labels, validateStatus) {
+    const endTimer = requestDuration.startTimer(labels);
+    try {
+      const response = await axios.request({
+        method,
+        url,
+        data: body || undefined,
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+        // An explicit undefined would make axios resolve every status
+        ...(validateStatus ? { validateStatus } : {}),
+        // Send the pre-serialized body untouched so it matches the signature
+        transformRequest: [(requestData) => requestData]
+      });
+      endTimer({ status: response.status });
+      return response;
+    } catch (error) {
+      // No response: timeout or connection error
+      const reason = error.response ? String(error.response.status) : (error.code || 'network');
+      endTimer({ status: error.response ? error.response.status : 'none' });
+      requestFailures.inc({ ...labels, reason });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a signed request and return the response body
+   * @see send
+   * @returns {Promise<*>} Response data
+   */
+  async request(method, path, options) {
+    const response = await this.send(method, path, options);
+    return response.data;
+  }
+
+  async findOrCreateUser(userData) {
+    const { user } = await this.syncUser(userData);
+    return user;
+  }
+
+  /**
+   * Create or update the user from Telegram profile data, reporting whether they are new
+   * @returns {Promise<Object>} { user, created }
+   */
+  async syncUser(userData) {
+    try {
+      const response = await this.send('POST', '/api/user/findOrCreate', { data: userData });
+      return { user: response.data, created: response.status === 201 };
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'syncUser', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a translation bundle, revalidating with If-None-Match when an ETag is known
+   * @param {string} language - Language code
+   * @param {string} [etag] - ETag of the cached bundle
+   * @returns {Promise<Object>} { notModified, messages, etag }
+   */
+  async fetchTranslations(language, etag) {
+    try {
+      const response = await this.send('GET', `/api/translations/${encodeURIComponent(language)}`, {
+        headers: etag ? { 'If-None-Match': etag } : {},
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+      });
+      return {
+        notModified: response.status === 304,
+        messages: response.status === 304 ? undefined : response.data,
+        etag: response.headers.etag || etag
+      };
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'fetchTranslations', error });
+      throw error;
+    }
+  }
+
+  async updatePreferences(userId, preferences) {
+    try {
+      return await this.request('PATCH', `/api/users/${userId}/preferences`, { data: preferences, userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'updatePreferences', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a bot session
+   * @param {string} key - Session key
+   * @returns {Promise<Object|undefined>} Session data, undefined when missing or expired
+   */
+  async getSession(key) {
+    try {
+      const response = await this.send('GET', `/api/sessions/${encodeURIComponent(key)}`, {
+        validateStatus: (status) => status === 200 || status === 404
+      });
+      return response.status === 404 ? undefined : response.data.data;
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'getSession', error });
+      throw error;
+    }
+  }
+
+  async saveSession(key, data, ttlSeconds) {
+    try {
+      return await this.request('PUT', `/api/sessions/${encodeURIComponent(key)}`, {
+        data: { data, ttl_seconds: ttlSeconds }
+      });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'saveSession', error });
+      throw error;
+    }
+  }
+
+  async deleteSession(key) {
+    try {
+      await this.send('DELETE', `/api/sessions/${encodeURIComponent(key)}`, {
+        validateStatus: (status) => status === 204 || status === 404
+      });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'deleteSession', error });
+      throw error;
+    }
+  }
+
+  async listWishlists(userId) {
+    try {
+      return await this.request('GET', '/api/wishlists', { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'listWishlists', error });
+      throw error;
+    }
+  }
+
+  async createWishlist(userId, wishlist) {
+    try {
+      return await this.request('POST', '/api/wishlists', { data: wishlist, userId, idempotencyKey: true });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'createWishlist', error });
+      throw error;
+    }
+  }
+
+  async createWishItem(userId, wishlistId, item) {
+    try {
+      return await this.request('POST', `/api/wishlists/${wishlistId}/items`, {
+        data: item,
+        userId,
+        idempotencyKey: true
+      });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'createWishItem', error });
+      throw error;
+    }
+  }
+
+  async searchWishes(userId, { query = '', offset = 0, limit } = {}) {
+    try {
+      const params = new URLSearchParams({ q: query, offset: String(offset) });
+      if (limit) {
+        params.set('limit', String(limit));
+      }
+      return await this.request('GET', `/api/wishlists/search?${params}`, { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'searchWishes', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Open another user's signed share link, which lets the user view its wishlist
+   * @param {string} link - Signed /start payload (see utils/deep-link.js)
+   * @returns {Promise<Object>} { type, wishlist_id, item_id }
+   */
+  async openSharedLink(userId, link) {
+    try {
+      return await this.request('POST', '/api/shared/links', { data: { link }, userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'openSharedLink', error });
+      throw error;
+    }
+  }
+
+  async getSharedWishlist(userId, wishlistId) {
+    try {
+      return await this.request('GET', `/api/shared/wishlists/${wishlistId}`, { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'getSharedWishlist', error });
+      throw error;
+    }
+  }
+
+  async getSharedItem(userId, itemId) {
+    try {
+      return await this.request('GET', `/api/shared/items/${itemId}`, { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'getSharedItem', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve someone's wish
+   * @returns {Promise<Object>} Reservation with created (false when the user already held it)
+   */
+  async reserveItem(userId, itemId) {
+    try {
+      const response = await this.send('POST', `/api/shared/items/${itemId}/reservation`, {
+        userId,
+        idempotencyKey: true
+      });
+      return { ...response.data, created: response.status === 201 };
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'reserveItem', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Release the user's reservation of a wish
+   * @returns {Promise<boolean>} false when the user held no reservation
+   */
+  async releaseReservation(userId, itemId) {
+    try {
+      const response = await this.send('DELETE', `/api/shared/items/${itemId}/reservation`, {
+        userId,
+        validateStatus: (status) => status === 204 || status === 404
+      });
+      return response.status === 204;
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'releaseReservation', error });
+      throw error;
+    }
+  }
+
+  async createPool(userId, pool) {
+    try {
+      return await this.request('POST', '/api/pools', { data: pool, userId, idempotencyKey: true });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'createPool', error });
+      throw error;
+    }
+  }
+
+  async getPool(userId, poolId) {
+    try {
+      return await this.request('GET', `/api/pools/${poolId}`, { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'getPool', error });
+      throw error;
+    }
+  }
+
+  async listChatPools(userId, chatId) {
+    try {
+      return await this.request('GET', `/api/pools?chat_id=${encodeURIComponent(chatId)}`, { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'listChatPools', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Join a pool
+   * @returns {Promise<Object>} { pool, contribution, created }
+   */
+  async joinPool(userId, poolId) {
+    try {
+      const response = await this.send('POST', `/api/pools/${poolId}/join`, { userId });
+      return { ...response.data, created: response.status === 201 };
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'joinPool', error });
+      throw error;
+    }
+  }
+
+  async pledgeToPool(userId, poolId, amount) {
+    try {
+      return await this.request('PUT', `/api/pools/${poolId}/pledge`, {
+        data: { amount },
+        userId,
+        idempotencyKey: true
+      });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'pledgeToPool', error });
+      throw error;
+    }
+  }
+
+  async closePool(userId, poolId) {
+    try {
+      return await this.request('POST', `/api/pools/${poolId}/close`, { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'closePool', error });
+      throw error;
+    }
+  }
+
+  async setPoolProgressMessage(userId, poolId, chatId, messageId) {
+    try {
+      return await this.request('PUT', `/api/pools/${poolId}/progress-message`, {
+        data: { chat_id: chatId, message_id: messageId },
+        userId
+      });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'setPoolProgressMessage', error });
+      throw error;
+    }
+  }
+
+  async listOccasions(userId) {
+    try {
+      return await this.request('GET', '/api/occasions', { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'listOccasions', error });
+      throw error;
+    }
+  }
+
+  async createOccasion(userId, occasion) {
+    try {
+      return await this.request('POST', '/api/occasions', { data: occasion, userId, idempotencyKey: true });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'createOccasion', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an occasion
+   * @returns {Promise<boolean>} false when the occasion no longer exists
+   */
+  async deleteOccasion(userId, occasionId) {
+    try {
+      const response = await this.send('DELETE', `/api/occasions/${occasionId}`, {
+        userId,
+        validateStatus: (status) => status === 204 || status === 404
+      });
+      return response.status === 204;
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'deleteOccasion', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create an invoice for paying Telegram Stars into a pool
+   * @returns {Promise<Object>} { invoice, pool }
+   */
+  async createInvoice(userId, poolId, amount) {
+    try {
+      return await this.request('POST', '/api/payments/invoices', {
+        data: { pool_id: poolId, amount },
+        userId,
+        idempotencyKey: true
+      });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'createInvoice', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a pre-checkout query against the invoice and its pool
+   * @param {Object} query - { invoice_payload, currency, total_amount }
+   * @returns {Promise<Object>} { ok, reason? }
+   */
+  async checkPreCheckout(userId, query) {
+    try {
+      return await this.request('POST', '/api/payments/pre-checkout', { data: query, userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'checkPreCheckout', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful payment (idempotent per telegram_payment_charge_id)
+   * @returns {Promise<Object>} { payment, pool, created }
+   */
+  async recordCharge(userId, payment) {
+    try {
+      const response = await this.send('POST', '/api/payments/charges', {
+        data: payment,
+        userId,
+        idempotencyKey: true
+      });
+      return { ...response.data, created: response.status === 201 };
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'recordCharge', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Record whether a user blocked the bot
+   * @returns {Promise<boolean>} false when the backend does not know the user
+   */
+  async setBotBlocked(userId, blocked) {
+    try {
+      const response = await this.send('PUT', `/api/users/${userId}/bot-blocked`, {
+        data: { blocked },
+        userId,
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 401
+      });
+      return response.status !== 401;
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'setBotBlocked', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Everything the backend stores about the user (/mydata)
+   * @returns {Promise<Object>} Export document
+   */
+  async exportUserData(userId) {
+    try {
+      return await this.request('GET', `/api/users/${userId}/export`, { userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'exportUserData', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Erase the user's account and data (/deleteme)
+   * @returns {Promise<Object>} { erased: true, deleted_rows, retained_rows }, or
+   *   { erased: false, pool_ids } while open pools the user organizes hold paid Stars
+   */
+  async eraseUser(userId) {
+    try {
+      const response = await this.send('DELETE', `/api/users/${userId}`, {
+        userId,
+        validateStatus: (status) => status === 200 || status === 409
+      });
+      return response.status === 409 ? { erased: false, pool_ids: response.data.pool_ids } : response.data;
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'eraseUser', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Count the users in a broadcast audience segment
+   * @param {Object} segment - { languages, is_premium, created_after }
+   * @returns {Promise<Object>} { segment, total, by_language }
+   */
+  async previewBroadcastSegment(userId, segment) {
+    try {
+      return await this.request('POST', '/api/admin/broadcasts/segment', { data: { segment }, userId });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'previewBroadcastSegment', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a broadcast; its recipients are selected immediately
+   * @param {Object} broadcast - { messages, default_language, segment }
+   * @returns {Promise<Object>} Broadcast with recipient counts
+   */
+  async createBroadcast(userId, broadcast) {
+    try {
+      return await this.request('POST', '/api/admin/broadcasts', {
+        data: broadcast,
+        userId,
+        idempotencyKey: true
+      });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'createBroadcast', error });
+      throw error;
+    }
+  }
+
+  async listBroadcasts(status) {
+    try {
+      return await this.request('GET', `/api/admin/broadcasts?status=${encodeURIComponent(status)}`);
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'listBroadcasts', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the next recipients of a broadcast to send to
+   * @returns {Promise<Object>} { recipients, broadcast }
+   */
+  async claimBroadcastRecipients(broadcastId, limit) {
+    try {
+      return await this.request('POST', `/api/admin/broadcasts/${broadcastId}/claim`, {
+        data: { limit },
+        idempotencyKey: true
+      });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'claimBroadcastRecipients', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Report delivery outcomes of claimed recipients
+   * @param {Array<Object>} results - { user_id, status, message_id?, error? }
+   * @returns {Promise<Object>} { updated, broadcast }
+   */
+  async reportBroadcastResults(broadcastId, results) {
+    try {
+      return await this.request('POST', `/api/admin/broadcasts/${broadcastId}/results`, { data: { results } });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'reportBroadcastResults', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a broadcast
+   * @returns {Promise<boolean>} false when it was no longer sending
+   */
+  async cancelBroadcast(userId, broadcastId) {
+    try {
+      const response = await this.send('POST', `/api/admin/broadcasts/${broadcastId}/cancel`, {
+        userId,
+        validateStatus: (status) => status === 200 || status === 409
+      });
+      return response.status === 200;
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'cancelBroadcast', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the user opened a deep link shared by another user
+   * @param {Object} referral - { inviter_id, link_type, target_id, new_user }
+   * @returns {Promise<Object>} { recorded, referral? }
+   */
+  async recordReferral(userId, referral) {
+    try {
+      return await this.request('POST', '/api/referrals', { data: referral, userId, idempotencyKey: true });
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'recordReferral', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Liveness of the backend (GET /live), for the bot's readiness check
+   * Failures are left to the caller, which reports them in /ready and /status.
+   * @returns {Promise<Object>} { status, uptime_seconds }
+   */
+  async checkLive() {
+    return this.request('GET', '/live');
+  }
+
+  async getSupportedLanguages() {
+    try {
+      return await this.request('GET', '/api/translations');
+    } catch (error) {
+      logger.error('Backend API request failed', { operation: 'getSupportedLanguages', error });
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  BackendAPI,
+  UserBannedError
+};
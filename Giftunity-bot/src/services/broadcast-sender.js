@@ -0,0 +1,211 @@
+/**
+ * Broadcast Sender
+ * Giftunity Bot Service
+ *
+ * Sends admin broadcasts created with /broadcast (see scenes/broadcast-scene.js).
+ * The backend keeps the recipients and their delivery status; the sender
+ * claims a batch, sends it through the delivery queue (which sets the pace),
+ * reports every outcome and repeats until nothing is left:
+ *
+ * - sent: Telegram accepted the message
+ * - skipped: Telegram refused the chat (403, e.g. the user blocked the bot)
+ * - failed: any other error; never retried, the message may have been sent
+ *
+ * The admin gets a progress message with a Stop button, updated as batches
+ * complete. Broadcasts still sending when the bot starts are resumed
+ * (see resumeAll); recipients claimed by the stopped process are given up by
+ * the backend instead of being sent twice.
+ */
+
+const { Markup, TelegramError } = require('telegraf');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 50;
+const PROGRESS_INTERVAL_MS = 3000;
+// Wait while another sender's claims are outstanding, or after backend errors
+const RETRY_DELAY_MS = 10000;
+const MAX_CONSECUTIVE_ERRORS = 5;
+const REPORT_ATTEMPTS = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Delivery outcome of one recipient for the backend
+ */
+const outcomeOf = (userId, settled) => {
+  if (settled.status === 'fulfilled') {
+    return { user_id: userId, status: 'sent', message_id: settled.value.message_id };
+  }
+  const error = settled.reason;
+  const refused = error instanceof TelegramError && error.code === 403;
+  return { user_id: userId, status: refused ? 'skipped' : 'failed', error: error.description || error.message };
+};
+
+class BroadcastSender {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.backendAPI - Backend API client
+   * @param {Telegram} deps.telegram - Telegram client routed through the delivery queue
+   * @param {Function} deps.getTranslator - async (language) => t
+   */
+  constructor({ backendAPI, telegram, getTranslator }) {
+    this.backendAPI = backendAPI;
+    this.telegram = telegram;
+    this.getTranslator = getTranslator;
+    // Ids of broadcasts this process is sending
+    this.running = new Set();
+  }
+
+  /**
+   * Send a broadcast in the background
+   * @param {Object} broadcast - Broadcast from the backend
+   * @param {Object} [options]
+   * @param {string|number} [options.adminChatId] - Chat for progress messages (default: created_by)
+   * @param {string} [options.language] - Language of progress messages (default: the broadcast's default)
+   */
+  start(broadcast, { adminChatId = broadcast.created_by, language = broadcast.default_language } = {}) {
+    if (this.running.has(broadcast.id)) {
+      return;
+    }
+    this.running.add(broadcast.id);
+    // A broadcast outlives the update that started it and gets its own request ID
+    logger.runWithRequestId(logger.createRequestId(), () => this.run(broadcast, { adminChatId, language }))
+      .catch((error) => logger.error('Broadcast stopped with an error', { broadcast_id: broadcast.id, error }))
+      .finally(() => this.running.delete(broadcast.id));
+  }
+
+  /**
+   * Resume every broadcast the backend still lists as sending
+   */
+  async resumeAll() {
+    try {
+      const { broadcasts } = await this.backendAPI.listBroadcasts('sending');
+      for (const broadcast of broadcasts) {
+        logger.info('Resuming broadcast', { broadcast_id: broadcast.id, pending: broadcast.pending_count });
+        this.start(broadcast);
+      }
+    } catch (error) {
+      logger.error('Failed to resume broadcasts', { error });
+    }
+  }
+
+  async run(initial, { adminChatId, language }) {
+    const t = await this.getTranslator(language);
+    const { messages, default_language: defaultLanguage } = initial;
+    const progress = await this.createProgressMessage(initial, adminChatId, t);
+
+    let broadcast = initial;
+    let errors = 0;
+    let lastProgressAt = Date.now();
+    while (broadcast.status === 'sending') {
+      let claim;
+      try {
+        claim = await this.backendAPI.claimBroadcastRecipients(broadcast.id, BATCH_SIZE);
+        errors = 0;
+      } catch (error) {
+        errors += 1;
+        if (errors >= MAX_CONSECUTIVE_ERRORS) {
+          throw error;
+        }
+        await sleep(RETRY_DELAY_MS);
+        continue;
+      }
+
+      broadcast = claim.broadcast;
+      if (claim.recipients.length === 0) {
+        if (broadcast.status === 'sending') {
+          // Recipients claimed elsewhere are still outstanding
+          await sleep(RETRY_DELAY_MS);
+        }
+        continue;
+      }
+
+      const settled = await Promise.allSettled(claim.recipients.map(({ user_id: userId, language: recipientLanguage }) => {
+        const message = messages[recipientLanguage] || messages[defaultLanguage];
+        return this.telegram.sendMessage(userId, message.text, { entities: message.entities });
+      }));
+      const results = claim.recipients.map(({ user_id: userId }, index) => outcomeOf(userId, settled[index]));
+      broadcast = await this.report(broadcast, results);
+
+      if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+        lastProgressAt = Date.now();
+        await this.updateProgress(progress, broadcast, t);
+      }
+    }
+
+    await this.updateProgress(progress, broadcast, t);
+    logger.info('Broadcast finished', {
+      broadcast_id: broadcast.id,
+      status: broadcast.status,
+      sent: broadcast.sent_count,
+      failed: broadcast.failed_count,
+      skipped: broadcast.skipped_count
+    });
+  }
+
+  /**
+   * Report a batch's outcomes, retrying so sent messages are not recorded as failed
+   * @returns {Promise<Object>} Updated broadcast
+   */
+  async report(broadcast, results) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        const { broadcast: updated } = await this.backendAPI.reportBroadcastResults(broadcast.id, results);
+        return updated;
+      } catch (error) {
+        if (attempt >= REPORT_ATTEMPTS) {
+          throw error;
+        }
+        await sleep(RETRY_DELAY_MS);
+      }
+    }
+  }
+
+  progressText(broadcast, t) {
+    const key = {
+      completed: 'broadcast_finished',
+      cancelled: 'broadcast_stopped'
+    }[broadcast.status] || 'broadcast_progress';
+    return t(key, {
+      id: broadcast.id,
+      sent: broadcast.sent_count,
+      failed: broadcast.failed_count,
+      skipped: broadcast.skipped_count,
+      total: broadcast.total_recipients
+    });
+  }
+
+  async createProgressMessage(broadcast, chatId, t) {
+    if (!chatId) {
+      return null;
+    }
+    try {
+      const message = await this.telegram.sendMessage(chatId, this.progressText(broadcast, t), Markup.inlineKeyboard([
+        Markup.button.callback(t('button_broadcast_stop'), `broadcast-stop:${broadcast.id}`)
+      ]));
+      return { chatId, messageId: message.message_id };
+    } catch (error) {
+      logger.error('Failed to send broadcast progress', { broadcast_id: broadcast.id, error });
+      return null;
+    }
+  }
+
+  async updateProgress(progress, broadcast, t) {
+    if (!progress) {
+      return;
+    }
+    const keyboard = broadcast.status === 'sending'
+      ? Markup.inlineKeyboard([Markup.button.callback(t('button_broadcast_stop'), `broadcast-stop:${broadcast.id}`)])
+      : undefined;
+    try {
+      await this.telegram.editMessageText(progress.chatId, progress.messageId, undefined, this.progressText(broadcast, t), keyboard);
+    } catch (error) {
+      // "message is not modified" and deleted progress messages are harmless
+      logger.debug('Broadcast progress not updated', { broadcast_id: broadcast.id, error });
+    }
+  }
+}
+
+module.exports = {
+  BroadcastSender
+};
@@ -0,0 +1,293 @@
+/**
+ * Delivery Queue
+ * Giftunity Bot Service
+ *
+ * Every outgoing message goes through this queue so the bot stays within
+ * Telegram's limits however many users a feature messages at once (reminders,
+ * pool updates, announcements):
+ *
+ * - at most DELIVERY_MESSAGES_PER_SECOND messages overall (default 30)
+ * - at most DELIVERY_MESSAGES_PER_CHAT_PER_SECOND per chat (default 1), in order
+ *
+ * The queue is installed on Telegram clients (see install), so ctx.reply,
+ * ctx.editMessageText and bot.telegram.sendMessage are queued without callers
+ * changing. Answers to callback, inline and pre-checkout queries are not
+ * messages and bypass it; Telegram expects them within seconds.
+ *
+ * Failures:
+ * - 429: the whole queue pauses for retry_after, then the message is retried
+ * - 5xx and connection errors before the request reached Telegram: retried
+ *   with exponential backoff; other network errors are not, since the message
+ *   may already have been sent
+ * - 403 for a private chat: the user blocked the bot. onBlocked is called once,
+ *   the chat's queued messages are dropped and later ones are skipped until
+ *   unblock(chatId)
+ * Messages that finally fail reject with the original Telegram error (a
+ * skipped message rejects with a 403 TelegramError as well).
+ *
+ * Environment Variables:
+ * - DELIVERY_MESSAGES_PER_SECOND: Global send rate (default: 30)
+ * - DELIVERY_MESSAGES_PER_CHAT_PER_SECOND: Send rate per chat (default: 1)
+ */
+
+const { TelegramError } = require('telegraf');
+const logger = require('../utils/logger');
+
+const DEFAULT_MESSAGES_PER_SECOND = 30;
+const DEFAULT_MESSAGES_PER_CHAT_PER_SECOND = 1;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_MAX_QUEUED = 10000;
+const BASE_RETRY_DELAY_MS = 1000;
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+// Methods that send or change a message in a chat (payload.chat_id)
+const QUEUED_METHODS = new Set([
+  'sendMessage', 'sendPhoto', 'sendDocument', 'sendInvoice', 'sendMediaGroup',
+  'copyMessage', 'forwardMessage', 'editMessageText', 'editMessageReplyMarkup', 'editMessageCaption'
+]);
+// Errors raised before a connection exists; Telegram cannot have seen the request
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const readRateEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+class QueueFullError extends Error {
+  constructor(limit) {
+    super(`Delivery queue is full (${limit} messages)`);
+    this.name = 'QueueFullError';
+  }
+}
+
+const isPrivateChat = (chatId) => Number(chatId) > 0;
+
+const isRetryable = (error) => {
+  const code = error instanceof TelegramError ? error.code : null;
+  return code >= 500 || (!code && CONNECTION_ERROR_CODES.includes(error.code));
+};
+
+class DeliveryQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.messagesPerSecond] - Global send rate
+   * @param {number} [options.messagesPerChatPerSecond] - Send rate per chat
+   * @param {number} [options.maxAttempts] - Attempts per message, including retries
+   * @param {number} [options.maxQueued] - Messages waiting before new ones are refused
+   * @param {Function} [options.onBlocked] - async (chatId) called when a user blocked the bot
+   */
+  constructor({
+    messagesPerSecond = readRateEnv('DELIVERY_MESSAGES_PER_SECOND', DEFAULT_MESSAGES_PER_SECOND),
+    messagesPerChatPerSecond = readRateEnv('DELIVERY_MESSAGES_PER_CHAT_PER_SECOND', DEFAULT_MESSAGES_PER_CHAT_PER_SECOND),
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    maxQueued = DEFAULT_MAX_QUEUED,
+    onBlocked = async () => {}
+  } = {}) {
+    this.globalIntervalMs = 1000 / messagesPerSecond;
+    this.chatIntervalMs = 1000 / messagesPerChatPerSecond;
+    this.maxAttempts = maxAttempts;
+    this.maxQueued = maxQueued;
+    this.onBlocked = onBlocked;
+
+    // chatId -> jobs waiting, oldest first; iteration order rotates chats fairly
+    this.chats = new Map();
+    this.chatReadyAt = new Map();
+    this.sendingChats = new Set();
+    this.blockedChats = new Set();
+    this.globalReadyAt = 0;
+    this.queued = 0;
+    this.timer = null;
+    this.counters = { sent: 0, retried: 0, rate_limited: 0, failed: 0, blocked: 0, skipped: 0 };
+  }
+
+  /**
+   * Queue a call that sends to a chat
+   * @param {string|number} chatId - Target chat
+   * @param {Function} call - async () => result, performing the API request
+   * @returns {Promise<*>} The call's result once sent
+   */
+  enqueue(chatId, call) {
+    const key = String(chatId);
+    if (this.blockedChats.has(key)) {
+      this.counters.skipped += 1;
+      return Promise.reject(new TelegramError({ error_code: 403, description: 'Forbidden: bot was blocked by the user (skipped)' }));
+    }
+    if (this.queued >= this.maxQueued) {
+      return Promise.reject(new QueueFullError(this.maxQueued));
+    }
+
+    return new Promise((resolve, reject) => {
+      // Sends run later; they keep the request ID of the update that queued them
+      this.push(key, { call, resolve, reject, attempts: 0, notBefore: 0, requestId: logger.getRequestId() });
+      this.pump();
+    });
+  }
+
+  /**
+   * Route a Telegram client's message-sending methods through the queue
+   * Telegraf creates a client per update, so this runs for ctx.telegram in a
+   * middleware as well as once for bot.telegram.
+   * @param {Telegram} telegram - Telegraf Telegram client
+   * @returns {Telegram} The same client
+   */
+  install(telegram) {
+    if (telegram.deliveryQueue === this) {
+      return telegram;
+    }
+    const callApi = telegram.callApi.bind(telegram);
+    telegram.callApi = (method, payload = {}, options) => (QUEUED_METHODS.has(method) && payload.chat_id !== undefined
+      ? this.enqueue(payload.chat_id, () => callApi(method, payload, options))
+      : callApi(method, payload, options));
+    telegram.deliveryQueue = this;
+    return telegram;
+  }
+
+  /**
+   * Deliver to a chat again, e.g. after the user unblocked the bot
+   * @param {string|number} chatId - Chat id
+   */
+  unblock(chatId) {
+    this.blockedChats.delete(String(chatId));
+  }
+
+  /**
+   * Queue depth and delivery counters since startup, for /health
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      queued: this.queued,
+      sending: this.sendingChats.size,
+      waiting_chats: this.chats.size,
+      blocked_chats: this.blockedChats.size,
+      paused_for_ms: Math.max(0, Math.round(this.globalReadyAt - Date.now())),
+      ...this.counters
+    };
+  }
+
+  push(key, job, { first = false } = {}) {
+    const jobs = this.chats.get(key) || [];
+    if (first) {
+      jobs.unshift(job);
+    } else {
+      jobs.push(job);
+    }
+    this.chats.set(key, jobs);
+    this.queued += 1;
+  }
+
+  /**
+   * Start every job that may go now and schedule the next check
+   */
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    let waitMs = Infinity;
+    for (const [key, jobs] of this.chats) {
+      const now = Date.now();
+      if (now < this.globalReadyAt) {
+        waitMs = Math.min(waitMs, this.globalReadyAt - now);
+        break;
+      }
+      if (this.sendingChats.has(key)) {
+        continue;
+      }
+      const readyAt = Math.max(this.chatReadyAt.get(key) || 0, jobs[0].notBefore);
+      if (readyAt > now) {
+        waitMs = Math.min(waitMs, readyAt - now);
+        continue;
+      }
+
+      const job = jobs.shift();
+      this.queued -= 1;
+      this.chats.delete(key);
+      if (jobs.length > 0) {
+        // Re-inserting moves the chat behind the others
+        this.chats.set(key, jobs);
+      }
+      this.globalReadyAt = now + this.globalIntervalMs;
+      this.chatReadyAt.set(key, now + this.chatIntervalMs);
+      logger.runWithRequestId(job.requestId, () => this.send(key, job));
+    }
+
+    if (Number.isFinite(waitMs)) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump();
+      }, waitMs);
+    }
+  }
+
+  async send(key, job) {
+    this.sendingChats.add(key);
+    job.attempts += 1;
+    try {
+      const result = await job.call();
+      this.counters.sent += 1;
+      job.resolve(result);
+    } catch (error) {
+      this.handleFailure(key, job, error);
+    } finally {
+      this.sendingChats.delete(key);
+      this.pump();
+    }
+  }
+
+  handleFailure(key, job, error) {
+    const code = error instanceof TelegramError ? error.code : null;
+
+    if (code === 429) {
+      const retryAfterSeconds = (error.parameters && error.parameters.retry_after) || DEFAULT_RETRY_AFTER_SECONDS;
+      this.counters.rate_limited += 1;
+      this.globalReadyAt = Math.max(this.globalReadyAt, Date.now() + retryAfterSeconds * 1000);
+      logger.warn('Telegram rate limit hit; pausing deliveries', { retry_after_seconds: retryAfterSeconds });
+      return this.retryOrFail(key, job, error, 0);
+    }
+
+    if (code === 403 && isPrivateChat(key)) {
+      this.markBlocked(key, error);
+      return job.reject(error);
+    }
+
+    if (isRetryable(error)) {
+      return this.retryOrFail(key, job, error, BASE_RETRY_DELAY_MS * 2 ** (job.attempts - 1));
+    }
+
+    this.counters.failed += 1;
+    job.reject(error);
+  }
+
+  retryOrFail(key, job, error, delayMs) {
+    if (job.attempts >= this.maxAttempts) {
+      this.counters.failed += 1;
+      logger.error('Delivery failed', { chat_id: key, attempts: job.attempts, error });
+      return job.reject(error);
+    }
+    this.counters.retried += 1;
+    job.notBefore = Date.now() + delayMs;
+    this.push(key, job, { first: true });
+  }
+
+  markBlocked(key, error) {
+    this.counters.blocked += 1;
+    this.blockedChats.add(key);
+
+    const dropped = this.chats.get(key) || [];
+    this.chats.delete(key);
+    this.queued -= dropped.length;
+    this.counters.skipped += dropped.length;
+    dropped.forEach((job) => job.reject(error));
+
+    logger.warn('User blocked the bot; skipping messages to them', { user_id: key });
+    Promise.resolve(this.onBlocked(key)).catch((callbackError) => {
+      logger.error('Failed to record that the user blocked the bot', { user_id: key, error: callbackError });
+    });
+  }
+}
+
+module.exports = {
+  DeliveryQueue,
+  QueueFullError
+};
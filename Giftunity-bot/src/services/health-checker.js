@@ -0,0 +1,78 @@
+/**
+ * Health Checker
+ * Giftunity Bot Service
+ *
+ * Runs the dependency checks behind GET /ready and GET /status (see bot.js).
+ * Each check runs with a timeout and remembers when it last succeeded and
+ * failed, so /status shows recent blips even after they have passed. A check
+ * reports 'ok', 'degraded' (works, but needs attention) or 'failed'; the bot
+ * is ready while no check has failed.
+ */
+
+const DEFAULT_TIMEOUT_MS = 3000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+class HealthChecker {
+  /**
+   * @param {Object} checks - { name: async () => details }; details.status may be 'degraded'; throw when failed
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Time limit per check
+   */
+  constructor(checks, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.checks = checks;
+    this.timeoutMs = timeoutMs;
+    // Last outcome per check: { last_success_at, last_failure_at, last_error }
+    this.history = new Map();
+  }
+
+  /**
+   * Run one check and record its outcome
+   * @returns {Promise<Object>} { status, latency_ms, ...details, last_success_at, last_failure_at, last_error }
+   */
+  async run(name) {
+    const previous = this.history.get(name) || { last_success_at: null, last_failure_at: null, last_error: null };
+    const start = Date.now();
+    let result;
+    let recorded;
+    try {
+      const details = await withTimeout(this.checks[name](), this.timeoutMs);
+      result = { status: 'ok', ...details };
+      recorded = { ...previous, last_success_at: new Date().toISOString() };
+    } catch (error) {
+      result = { status: 'failed' };
+      recorded = { ...previous, last_failure_at: new Date().toISOString(), last_error: error.message };
+    }
+    this.history.set(name, recorded);
+
+    return { ...result, latency_ms: Date.now() - start, ...recorded };
+  }
+
+  /**
+   * Run every check concurrently
+   * @returns {Promise<Object>} { ready, status: 'ok'|'degraded'|'down', dependencies }
+   */
+  async runAll() {
+    const names = Object.keys(this.checks);
+    const results = await Promise.all(names.map((name) => this.run(name)));
+    const dependencies = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+    const ready = results.every((result) => result.status !== 'failed');
+    const degraded = results.some((result) => result.status !== 'ok');
+    return {
+      ready,
+      status: !ready ? 'down' : (degraded ? 'degraded' : 'ok'),
+      dependencies
+    };
+  }
+}
+
+module.exports = {
+  HealthChecker
+};
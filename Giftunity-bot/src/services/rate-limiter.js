@@ -0,0 +1,77 @@
+/**
+ * Rate Limiter
+ * Giftunity Bot Service
+ *
+ * Token buckets per Telegram user, so one user flooding the bot cannot cause
+ * a backend round-trip per message. A bucket holds BOT_RATE_LIMIT_BURST
+ * tokens, refills at BOT_RATE_LIMIT_PER_MINUTE, and every update takes one.
+ *
+ * take() reports the first refused update after an allowed one separately,
+ * so the user is told to slow down once rather than once per message.
+ *
+ * Environment Variables:
+ * - BOT_RATE_LIMIT_BURST: Updates a user may send at once (default: 8)
+ * - BOT_RATE_LIMIT_PER_MINUTE: Sustained updates per user and minute (default: 20)
+ */
+
+const DEFAULT_BURST = 8;
+const DEFAULT_PER_MINUTE = 20;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.burst] - Bucket capacity
+   * @param {number} [options.perMinute] - Refill rate
+   */
+  constructor({
+    burst = Number(process.env.BOT_RATE_LIMIT_BURST) || DEFAULT_BURST,
+    perMinute = Number(process.env.BOT_RATE_LIMIT_PER_MINUTE) || DEFAULT_PER_MINUTE
+  } = {}) {
+    this.capacity = burst;
+    this.refillPerMs = perMinute / 60000;
+    // key -> { tokens, updatedAt (ms), notified }
+    this.buckets = new Map();
+    this.lastPurge = Date.now();
+  }
+
+  /**
+   * Take a token for a user
+   * @param {string|number} key - Telegram user id
+   * @returns {Object} { allowed, notify } - notify: first refusal since the last allowed update
+   */
+  take(key) {
+    const now = Date.now();
+    if (now - this.lastPurge >= PURGE_INTERVAL_MS) {
+      this.purge(now);
+    }
+
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now, notified: false };
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.notified = false;
+      return { allowed: true, notify: false };
+    }
+    const notify = !bucket.notified;
+    bucket.notified = true;
+    return { allowed: false, notify };
+  }
+
+  // Full buckets are the same as no bucket
+  purge(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+    this.lastPurge = now;
+  }
+}
+
+module.exports = {
+  RateLimiter
+};
@@ -0,0 +1,105 @@
+/**
+ * Backend Session Store
+ * Giftunity Bot Service
+ *
+ * Telegraf session store backed by the backend's /api/sessions endpoint, so
+ * wizard progress lives in Postgres instead of process memory: it survives
+ * restarts of the free Render instance and is shared between bot instances.
+ *
+ * Telegraf writes the session back after every update that touches it (the
+ * scene stage touches it on every update), so the store remembers what it
+ * loaded for each key and skips writes that would not change anything. Empty
+ * sessions are deleted rather than stored. If loading a session fails, the
+ * write for that update is skipped so a backend hiccup cannot wipe a
+ * conversation in progress. Failed writes are logged rather than thrown: the
+ * reply for the update has already been sent by then.
+ *
+ * Environment Variables:
+ * - BOT_SESSION_TTL_SECONDS: Lifetime of an idle session (default: 86400)
+ */
+
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_SECONDS = 86400;
+
+// Marker for keys whose load failed
+const LOAD_FAILED = Symbol('load failed');
+
+const readSecondsEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * True when a session carries no state worth storing
+ * @param {Object} session - Telegraf session
+ * @returns {boolean}
+ */
+const isEmptySession = (session) => Object.entries(session).every(([key, value]) => (
+  key === '__scenes'
+    ? !value || value.current === undefined
+    : value === undefined
+));
+
+class BackendSessionStore {
+  /**
+   * @param {Object} backendAPI - Client exposing getSession, saveSession and deleteSession
+   * @param {Object} [options]
+   * @param {number} [options.ttlSeconds] - Lifetime of an idle session
+   */
+  constructor(backendAPI, { ttlSeconds = readSecondsEnv('BOT_SESSION_TTL_SECONDS', DEFAULT_TTL_SECONDS) } = {}) {
+    this.backendAPI = backendAPI;
+    this.ttlSeconds = ttlSeconds;
+    // key -> serialized session as loaded ('' when missing, LOAD_FAILED on error)
+    this.loaded = new Map();
+  }
+
+  async get(key) {
+    try {
+      const session = await this.backendAPI.getSession(key);
+      this.loaded.set(key, session ? JSON.stringify(session) : '');
+      return session;
+    } catch (error) {
+      this.loaded.set(key, LOAD_FAILED);
+      return undefined;
+    }
+  }
+
+  async set(key, session) {
+    const loaded = this.loaded.get(key);
+    this.loaded.delete(key);
+
+    if (loaded === LOAD_FAILED) {
+      return;
+    }
+    try {
+      if (isEmptySession(session)) {
+        if (loaded !== '') {
+          await this.backendAPI.deleteSession(key);
+        }
+      } else if (JSON.stringify(session) !== loaded) {
+        await this.backendAPI.saveSession(key, session, this.ttlSeconds);
+      }
+    } catch (error) {
+      logger.error('Failed to store session', { session: key, error });
+    }
+  }
+
+  async delete(key) {
+    const loaded = this.loaded.get(key);
+    this.loaded.delete(key);
+
+    if (loaded === '' || loaded === LOAD_FAILED) {
+      return;
+    }
+    try {
+      await this.backendAPI.deleteSession(key);
+    } catch (error) {
+      logger.error('Failed to delete session', { session: key, error });
+    }
+  }
+}
+
+module.exports = {
+  BackendSessionStore
+};
@@ -0,0 +1,146 @@
+/**
+ * Translation Cache
+ * Giftunity Bot Service
+ *
+ * Keeps translation bundles in memory so handlers do not call the backend for
+ * every update. Each language entry has its own lifetime:
+ *
+ * - fresh  (age < ttl):               served from memory
+ * - stale  (age < ttl + staleWindow): served from memory, revalidated in the background
+ * - expired:                          revalidated before serving
+ *
+ * Revalidation sends If-None-Match with the cached ETag, so unchanged bundles
+ * cost a 304. When the backend is unreachable the last cached bundle is served
+ * regardless of age, and without one the bundled snapshot in locales/ is used
+ * (see cli/sync-locales.js), so messages stay in the user's language.
+ *
+ * Environment Variables:
+ * - TRANSLATION_CACHE_TTL_SECONDS: Fresh lifetime per language (default: 300)
+ * - TRANSLATION_CACHE_STALE_SECONDS: Stale-while-revalidate window (default: 86400)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', '..', 'locales');
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_STALE_SECONDS = 86400;
+
+const readSecondsEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Load the bundled locale snapshot
+ * @returns {Map<string, Object>} Bundles keyed by language
+ */
+const loadSnapshot = () => {
+  const snapshot = new Map();
+  try {
+    for (const fileName of fs.readdirSync(SNAPSHOT_DIR)) {
+      if (fileName.endsWith('.json')) {
+        snapshot.set(path.basename(fileName, '.json'), JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, fileName), 'utf8')));
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to load bundled locale snapshot', { error });
+  }
+  return snapshot;
+};
+
+class TranslationCache {
+  /**
+   * @param {Object} backendAPI - Client exposing fetchTranslations(language, etag)
+   * @param {Object} [options]
+   * @param {number} [options.ttlSeconds] - Fresh lifetime per language
+   * @param {number} [options.staleSeconds] - Stale-while-revalidate window
+   */
+  constructor(backendAPI, {
+    ttlSeconds = readSecondsEnv('TRANSLATION_CACHE_TTL_SECONDS', DEFAULT_TTL_SECONDS),
+    staleSeconds = readSecondsEnv('TRANSLATION_CACHE_STALE_SECONDS', DEFAULT_STALE_SECONDS)
+  } = {}) {
+    this.backendAPI = backendAPI;
+    this.ttlMs = ttlSeconds * 1000;
+    this.staleMs = staleSeconds * 1000;
+    // language -> { messages, etag, fetchedAt }
+    this.entries = new Map();
+    // language -> in-flight revalidation promise
+    this.pending = new Map();
+    this.snapshot = loadSnapshot();
+  }
+
+  /**
+   * Get the bundle for a language
+   * Never rejects: falls back to stale data, then to the bundled snapshot.
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} { language, messages, source } where source is
+   *   'cache', 'backend', 'stale' or 'snapshot'
+   */
+  async get(language) {
+    const entry = this.entries.get(language);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (age < this.ttlMs) {
+      return { language, messages: entry.messages, source: 'cache' };
+    }
+
+    if (age < this.ttlMs + this.staleMs) {
+      this.revalidate(language).catch(() => {});
+      return { language, messages: entry.messages, source: 'stale' };
+    }
+
+    try {
+      const refreshed = await this.revalidate(language);
+      return { language, messages: refreshed.messages, source: 'backend' };
+    } catch (error) {
+      if (entry) {
+        return { language, messages: entry.messages, source: 'stale' };
+      }
+      return this.getSnapshot(language);
+    }
+  }
+
+  /**
+   * Get a bundle from the bundled snapshot, falling back to the default language
+   * @param {string} language - Language code
+   * @returns {Object} { language, messages, source: 'snapshot' }
+   */
+  getSnapshot(language) {
+    const resolved = this.snapshot.has(language) ? language : DEFAULT_LANGUAGE;
+    return { language: resolved, messages: this.snapshot.get(resolved) || {}, source: 'snapshot' };
+  }
+
+  /**
+   * Fetch or revalidate a language, sharing one request between concurrent callers
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} Updated cache entry
+   */
+  revalidate(language) {
+    if (this.pending.has(language)) {
+      return this.pending.get(language);
+    }
+
+    const cached = this.entries.get(language);
+    const request = this.backendAPI.fetchTranslations(language, cached && cached.etag)
+      .then(({ notModified, messages, etag }) => {
+        const entry = notModified && cached
+          ? { ...cached, fetchedAt: Date.now() }
+          : { messages, etag, fetchedAt: Date.now() };
+        this.entries.set(language, entry);
+        return entry;
+      })
+      .finally(() => {
+        this.pending.delete(language);
+      });
+
+    this.pending.set(language, request);
+    return request;
+  }
+}
+
+module.exports = {
+  TranslationCache
+};
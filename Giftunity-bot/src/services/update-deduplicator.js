@@ -0,0 +1,66 @@
+/**
+ * Update Deduplicator
+ * Giftunity Bot Service
+ *
+ * Telegram delivers a webhook update again when the bot does not answer in
+ * time, which happens on a slow or just-woken free-tier instance. The
+ * deduplicator remembers the update_id of every update it has seen, from
+ * the moment handling starts, so a re-delivery arriving while the first one
+ * is still running is skipped as well.
+ *
+ * Ids are kept in memory for UPDATE_DEDUP_TTL_SECONDS and expire oldest
+ * first. A restart forgets them; Telegram stops re-delivering an update once
+ * it got any answer, so that only matters for updates in flight during the
+ * restart.
+ *
+ * Environment Variables:
+ * - UPDATE_DEDUP_TTL_SECONDS: How long handled update ids are remembered (default: 3600)
+ */
+
+const DEFAULT_TTL_SECONDS = 3600;
+const MAX_ENTRIES = 100000;
+
+class UpdateDeduplicator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlSeconds] - How long an update id is remembered
+   * @param {number} [options.maxEntries] - Most ids kept; the oldest are dropped first
+   */
+  constructor({
+    ttlSeconds = Number(process.env.UPDATE_DEDUP_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+    maxEntries = MAX_ENTRIES
+  } = {}) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    // update_id -> expiry (ms), in insertion order
+    this.seen = new Map();
+  }
+
+  /**
+   * Record an update, reporting whether it was seen before
+   * @param {number} updateId - Telegram update_id
+   * @returns {boolean} True for a duplicate
+   */
+  isDuplicate(updateId) {
+    const now = Date.now();
+    this.prune(now);
+    if (this.seen.has(updateId)) {
+      return true;
+    }
+    this.seen.set(updateId, now + this.ttlMs);
+    return false;
+  }
+
+  prune(now) {
+    for (const [updateId, expiresAt] of this.seen) {
+      if (expiresAt > now && this.seen.size <= this.maxEntries) {
+        break;
+      }
+      this.seen.delete(updateId);
+    }
+  }
+}
+
+module.exports = {
+  UpdateDeduplicator
+};
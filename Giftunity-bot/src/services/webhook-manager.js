@@ -0,0 +1,166 @@
+/**
+ * Webhook Manager
+ * Giftunity Bot Service
+ *
+ * Registers the production webhook with Telegram and keeps it registered.
+ *
+ * The webhook path does not contain the bot token: it is WEBHOOK_PATH, or a
+ * random-looking path derived from the token, so it is stable across restarts
+ * without configuration. Telegram sends WEBHOOK_SECRET_TOKEN (likewise derived
+ * from the token when unset) in X-Telegram-Bot-Api-Secret-Token with every
+ * update; middleware/webhook-auth.js rejects requests without it.
+ *
+ * A watchdog compares getWebhookInfo with the expected registration every
+ * WEBHOOK_WATCHDOG_INTERVAL_SECONDS and registers the webhook again when it
+ * has drifted: another URL (e.g. a deployment elsewhere set its own), other
+ * allowed updates, or Telegram reporting that this service rejected its
+ * secret token since the last registration.
+ *
+ * Environment Variables:
+ * - WEBHOOK_URL: Public base URL of the bot, e.g. https://bot.example.com
+ *   (default: RENDER_EXTERNAL_URL, which Render provides)
+ * - WEBHOOK_PATH: Path Telegram posts updates to (default: derived from the bot token)
+ * - WEBHOOK_SECRET_TOKEN: Secret Telegram sends with every update, 1-256 characters
+ *   of A-Z, a-z, 0-9, _ and - (default: derived from the bot token)
+ * - WEBHOOK_WATCHDOG_INTERVAL_SECONDS: Interval of the registration check (default: 300)
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DEFAULT_WATCHDOG_INTERVAL_SECONDS = 300;
+const SECRET_TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+// Telegram's last_error_message when this service refused an update
+const REJECTED_ERROR_PATTERN = /\b(401|403)\b/;
+
+const deriveFromToken = (purpose) => crypto
+  .createHmac('sha256', process.env.TELEGRAM_BOT_TOKEN || '')
+  .update(`giftunity-webhook-${purpose}`)
+  .digest('hex');
+
+/**
+ * Public base URL: WEBHOOK_URL, else Render's external URL; a bare host means https
+ * @returns {string|null}
+ */
+const getBaseURL = () => {
+  const configured = (process.env.WEBHOOK_URL || process.env.RENDER_EXTERNAL_URL || '').trim();
+  if (!configured) {
+    return null;
+  }
+  return (/^https?:\/\//.test(configured) ? configured : `https://${configured}`).replace(/\/+$/, '');
+};
+
+/**
+ * Webhook settings from the environment (see module docs)
+ * @returns {Object} { url (null without a base URL), path, secretToken }
+ * @throws {Error} When WEBHOOK_PATH or WEBHOOK_SECRET_TOKEN is malformed
+ */
+const getWebhookSettings = () => {
+  const path = process.env.WEBHOOK_PATH || `/telegram/${deriveFromToken('path').slice(0, 32)}`;
+  if (!path.startsWith('/') || /[?#\s]/.test(path)) {
+    throw new Error('WEBHOOK_PATH must start with "/" and contain no query, fragment or spaces');
+  }
+  const secretToken = process.env.WEBHOOK_SECRET_TOKEN || deriveFromToken('secret');
+  if (!SECRET_TOKEN_PATTERN.test(secretToken)) {
+    throw new Error('WEBHOOK_SECRET_TOKEN must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+  }
+
+  const baseURL = getBaseURL();
+  return {
+    url: baseURL ? `${baseURL}${path}` : null,
+    path,
+    secretToken
+  };
+};
+
+class WebhookManager {
+  /**
+   * @param {Object} telegram - Telegraf Telegram client
+   * @param {Object} options
+   * @param {string} options.url - Webhook URL
+   * @param {string} options.secretToken - Secret Telegram sends with every update
+   * @param {string[]} options.allowedUpdates - Update types the bot handles
+   * @param {number} [options.intervalMs] - Watchdog interval
+   */
+  constructor(telegram, { url, secretToken, allowedUpdates, intervalMs }) {
+    this.telegram = telegram;
+    this.url = url;
+    this.secretToken = secretToken;
+    this.allowedUpdates = allowedUpdates;
+    this.intervalMs = intervalMs
+      || (Number(process.env.WEBHOOK_WATCHDOG_INTERVAL_SECONDS) || DEFAULT_WATCHDOG_INTERVAL_SECONDS) * 1000;
+    this.registeredAt = null;
+    this.timer = null;
+  }
+
+  /**
+   * Register the webhook (URL, secret token and allowed updates)
+   */
+  async register() {
+    await this.telegram.setWebhook(this.url, {
+      secret_token: this.secretToken,
+      allowed_updates: this.allowedUpdates
+    });
+    this.registeredAt = new Date();
+    // The path is a secret; only the host is logged
+    logger.info('Webhook set', { host: new URL(this.url).host, allowed_updates: this.allowedUpdates });
+  }
+
+  /**
+   * How the registration Telegram reports differs from the expected one
+   * @param {Object} info - getWebhookInfo result
+   * @returns {string|null} 'url', 'allowed_updates', 'secret_token' or null
+   */
+  findDrift(info) {
+    if (info.url !== this.url) {
+      return 'url';
+    }
+    const registered = [...(info.allowed_updates || [])].sort().join(',');
+    if (registered !== [...this.allowedUpdates].sort().join(',')) {
+      return 'allowed_updates';
+    }
+    const lastErrorAt = info.last_error_date ? info.last_error_date * 1000 : 0;
+    if (lastErrorAt > (this.registeredAt ? this.registeredAt.getTime() : 0)
+      && REJECTED_ERROR_PATTERN.test(info.last_error_message || '')) {
+      return 'secret_token';
+    }
+    return null;
+  }
+
+  /**
+   * Watchdog tick: register again when the webhook has drifted or was never set
+   */
+  async check() {
+    const info = await this.telegram.getWebhookInfo();
+    const drift = this.registeredAt ? this.findDrift(info) : 'unregistered';
+    if (drift) {
+      logger.warn('Webhook registration drifted; registering it again', { drift });
+      await this.register();
+    }
+  }
+
+  /**
+   * Register now and start the watchdog
+   */
+  start() {
+    this.register().catch((error) => {
+      logger.error('Failed to set webhook; the watchdog retries', { error });
+    });
+    this.timer = setInterval(() => {
+      this.check().catch((error) => {
+        logger.error('Webhook watchdog check failed', { error });
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  WebhookManager,
+  getWebhookSettings
+};
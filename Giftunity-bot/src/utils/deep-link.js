@@ -0,0 +1,114 @@
+/**
+ * Deep Link Helper
+ * Giftunity Bot Service
+ *
+ * Signed payloads for "t.me/<bot>?start=<payload>" links. A payload names what
+ * the link opens (an invitation to the bot, a wishlist, a wish or a gift pool),
+ * the user who shared it and when it expires, and carries an HMAC so none of
+ * that can be changed:
+ *
+ *   byte  0       version (high 4 bits) and link type (low 4 bits)
+ *   bytes 1-8     target id (0 for invitations)
+ *   bytes 9-16    Telegram id of the user who shared the link
+ *   bytes 17-20   expiry, Unix seconds
+ *   bytes 21-32   HMAC-SHA256 of bytes 0-20, first 96 bits
+ *
+ * base64url-encoded that is 44 characters from [A-Za-z0-9_-], within the
+ * 64 characters Telegram allows for a start parameter.
+ *
+ * The backend verifies the same links before it serves a shared wishlist, so
+ * both services must read the same secrets (giftunity-secrets Environment Group).
+ *
+ * Kept in step with its twin, Giftunity-backend/src/utils/deep-link.js; the
+ * copies differ only in the service named in this header and the paragraph
+ * above.
+ *
+ * Environment Variables:
+ * - DEEP_LINK_SECRET: Signing key (default: derived from TELEGRAM_BOT_TOKEN, so
+ *   changing the token invalidates existing links)
+ * - DEEP_LINK_TTL_DAYS: How long new links stay valid (default: 90)
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 1;
+// Link type codes 1-4
+const LINK_TYPES = ['invite', 'wishlist', 'item', 'pool'];
+const BODY_LENGTH = 21;
+const SIGNATURE_LENGTH = 12;
+const PAYLOAD_PATTERN = /^[A-Za-z0-9_-]{44}$/;
+const DEFAULT_TTL_DAYS = 90;
+
+const getSecret = () => process.env.DEEP_LINK_SECRET || crypto
+  .createHmac('sha256', process.env.TELEGRAM_BOT_TOKEN || '')
+  .update('giftunity-deep-link')
+  .digest('hex');
+
+const sign = (body) => crypto.createHmac('sha256', getSecret()).update(body).digest().subarray(0, SIGNATURE_LENGTH);
+
+/**
+ * Create a signed /start payload
+ * @param {Object} link
+ * @param {string} link.type - invite, wishlist, item or pool
+ * @param {string|number} [link.id] - Target id (not for invite)
+ * @param {string|number} link.inviterId - Telegram id of the user sharing the link
+ * @param {number} [link.ttlSeconds] - Validity (default: DEEP_LINK_TTL_DAYS)
+ * @returns {string} Payload
+ */
+const encodeDeepLink = ({ type, id = 0, inviterId, ttlSeconds }) => {
+  const typeCode = LINK_TYPES.indexOf(type) + 1;
+  if (typeCode === 0) {
+    throw new Error(`Unknown deep link type: ${type}`);
+  }
+  const ttl = ttlSeconds || (Number(process.env.DEEP_LINK_TTL_DAYS) || DEFAULT_TTL_DAYS) * 86400;
+
+  const body = Buffer.alloc(BODY_LENGTH);
+  body.writeUInt8((VERSION << 4) | typeCode, 0);
+  body.writeBigUInt64BE(BigInt(type === 'invite' ? 0 : id), 1);
+  body.writeBigUInt64BE(BigInt(inviterId), 9);
+  body.writeUInt32BE(Math.floor(Date.now() / 1000) + ttl, 17);
+  return Buffer.concat([body, sign(body)]).toString('base64url');
+};
+
+/**
+ * Read a /start payload
+ * @param {string} payload - Start parameter
+ * @returns {Object|null} { type, id, inviterId, expiresAt, expired } with ids as strings
+ *   (id null for invitations), or null when the payload is not a validly signed link
+ */
+const decodeDeepLink = (payload) => {
+  if (!PAYLOAD_PATTERN.test(payload || '')) {
+    return null;
+  }
+  const bytes = Buffer.from(payload, 'base64url');
+  const body = bytes.subarray(0, BODY_LENGTH);
+  if (!crypto.timingSafeEqual(bytes.subarray(BODY_LENGTH), sign(body))) {
+    return null;
+  }
+
+  const header = body.readUInt8(0);
+  const type = LINK_TYPES[(header & 0x0f) - 1];
+  if (header >> 4 !== VERSION || !type) {
+    return null;
+  }
+  const id = body.readBigUInt64BE(1).toString();
+  const expiresAt = body.readUInt32BE(17);
+  return {
+    type,
+    id: type === 'invite' ? null : id,
+    inviterId: body.readBigUInt64BE(9).toString(),
+    expiresAt: new Date(expiresAt * 1000),
+    expired: expiresAt * 1000 <= Date.now()
+  };
+};
+
+/**
+ * Link that opens the bot with a payload
+ */
+const deepLinkURL = (botUsername, payload) => `https://t.me/${botUsername}?start=${payload}`;
+
+module.exports = {
+  encodeDeepLink,
+  decodeDeepLink,
+  deepLinkURL
+};
@@ -0,0 +1,48 @@
+/**
+ * Translation Helper
+ * Giftunity Bot Service
+ *
+ * Formats messages from a bundle served by GET /api/translations/:lang using the
+ * same rules as the backend translation service: {placeholder} interpolation and
+ * CLDR plural objects ({ "one": "...", "other": "..." }) selected by params.count.
+ */
+
+const logger = require('./logger');
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Create a translate function bound to a language and its bundle
+ * @param {string} language - Language of the bundle (used for plural rules and numbers)
+ * @param {Object} translations - Message bundle
+ * @returns {Function} t(key, params) returning the formatted message, or the key if it is missing
+ */
+const createTranslator = (language, translations = {}) => {
+  const pluralRules = new Intl.PluralRules(language);
+  const numberFormat = new Intl.NumberFormat(language);
+
+  return (key, params = {}) => {
+    let template = translations[key];
+    if (template === undefined) {
+      logger.warn('Missing translation key', { key, language });
+      return key;
+    }
+
+    if (typeof template === 'object') {
+      const category = typeof params.count === 'number' ? pluralRules.select(params.count) : 'other';
+      template = template[category] ?? template.other;
+    }
+
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      if (!Object.prototype.hasOwnProperty.call(params, name)) {
+        return placeholder;
+      }
+      const value = params[name];
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  };
+};
+
+module.exports = {
+  createTranslator
+};
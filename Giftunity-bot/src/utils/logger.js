@@ -0,0 +1,185 @@
+/**
+ * Structured Logger
+ * Giftunity Bot Service
+ *
+ * Leveled logging for the service: one JSON object per line in production
+ * (for the log collector), a readable line in development.
+ *
+ *   logger.info('Broadcast created', { broadcast_id: 42, recipients: 180 });
+ *
+ * Every line carries the request ID of the Telegram update or HTTP request it
+ * was written for (see runWithRequestId). The backend API client passes the ID
+ * on in X-Request-Id, so one ID follows an update through both services.
+ *
+ * Redaction is applied to every line before it is written:
+ * - fields holding message bodies or credentials (text, body, messages, token,
+ *   authorization, init_data, ...) are replaced as a whole unless they are
+ *   numbers or booleans
+ * - Telegram bot tokens are masked wherever they appear, including /bot<token> paths
+ * - query strings are removed from URLs and paths
+ * Error objects are reduced to name, message and code; the stack is kept at
+ * error level for unexpected errors (those without a code or HTTP status).
+ *
+ * Kept in step with its twin, Giftunity-backend/src/utils/logger.js: the
+ * services are built and deployed separately, so they do not share code. The
+ * copies differ only in the service named in this header, SERVICE_NAME and the
+ * request ID paragraph; make any other change in both.
+ *
+ * Environment Variables:
+ * - LOG_LEVEL: debug, info, warn or error (default: info)
+ * - NODE_ENV: production writes JSON lines, anything else pretty lines
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const SERVICE_NAME = 'bot';
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+// Field names whose values are user content or credentials
+const REDACTED_FIELD_PATTERN = /^(text|caption|body|messages|entities|query|params|init_?data|hash|cookie|authorization)$|token|secret|password|signature/i;
+// Telegram bot tokens: "<bot id>:<35 characters>"
+const BOT_TOKEN_PATTERN = /\d{5,}:[A-Za-z0-9_-]{30,}/g;
+const QUERY_STRING_PATTERN = /(\/[^\s?#"']*)\?[^\s#"']+/g;
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_DEPTH = 5;
+
+const context = new AsyncLocalStorage();
+
+const configuredLevel = () => {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+};
+
+/**
+ * Mask bot tokens and query strings in a string
+ * @param {string} value
+ * @returns {string}
+ */
+const redactString = (value) => {
+  let redacted = value;
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (token) {
+    redacted = redacted.split(token).join(REDACTED);
+  }
+  return redacted
+    .replace(BOT_TOKEN_PATTERN, REDACTED)
+    .replace(QUERY_STRING_PATTERN, `$1?${REDACTED}`);
+};
+
+const serializeError = (error, level) => ({
+  name: error.name,
+  message: redactString(String(error.message)),
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  // Axios errors carry the response status
+  ...(error.response && error.response.status ? { status: error.response.status } : {}),
+  ...(level === 'error' && error.stack && error.code === undefined && !error.response
+    ? { stack: redactString(error.stack) }
+    : {})
+});
+
+/**
+ * Redact a value for logging (see module docs)
+ * @param {*} value - Field value
+ * @param {string} [level] - Log level (error objects keep their stack at 'error')
+ * @returns {*} Copy safe to write
+ */
+const redact = (value, level, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value, level);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, level, depth + 1, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    REDACTED_FIELD_PATTERN.test(key) && (typeof item === 'string' || (item !== null && typeof item === 'object'))
+      ? REDACTED
+      : redact(item, level, depth + 1, seen)
+  ]));
+};
+
+// Development output: "12:00:00.000 INFO  message key=value ...", error stacks on the following lines
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const stacks = [];
+  const details = Object.entries(fields)
+    .filter(([key, value]) => key !== 'service' && value !== undefined)
+    .map(([key, value]) => {
+      if (value && value.stack) {
+        const { stack, ...error } = value;
+        stacks.push(stack);
+        return `${key}=${JSON.stringify(error)}`;
+      }
+      return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+    })
+    .join(' ');
+  return [`${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`, ...stacks].join('\n');
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < LEVELS[configuredLevel()]) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    service: SERVICE_NAME,
+    msg: redactString(String(msg)),
+    ...context.getStore(),
+    ...redact(fields, level)
+  };
+  const line = process.env.NODE_ENV === 'production' ? JSON.stringify(entry) : formatPretty(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * Create a request ID, or accept a well-formed one from the caller
+ * @param {string} [incoming] - X-Request-Id of the incoming request
+ * @returns {string}
+ */
+const createRequestId = (incoming) => (
+  typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomBytes(8).toString('hex')
+);
+
+/**
+ * Run a function with a request ID attached to every line it logs
+ * @param {string} requestId - Request ID
+ * @param {Function} fn - Function to run
+ * @param {Object} [fields] - Further fields for every line (e.g. the update id)
+ * @returns {*} fn's return value
+ */
+const runWithRequestId = (requestId, fn, fields = {}) => context.run({ request_id: requestId, ...fields }, fn);
+
+/**
+ * Request ID of the code currently running, if any
+ * @returns {string|undefined}
+ */
+const getRequestId = () => {
+  const store = context.getStore();
+  return store && store.request_id;
+};
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  createRequestId,
+  runWithRequestId,
+  getRequestId,
+  redact
+};
@@ -0,0 +1,106 @@
+/**
+ * Price Helper
+ * Giftunity Bot Service
+ *
+ * Parses prices typed in chat ("25.50 EUR", "€25,50", "1 200 RUB") into the
+ * backend's representation: an integer amount in minor units plus an ISO 4217
+ * currency code. The number of minor digits comes from Intl for each currency
+ * (2 for EUR, 0 for JPY). Three letters only count as a currency when Intl
+ * knows the code, so "150 for" is not a price; the backend accepts the same
+ * codes.
+ *
+ * Telegram Stars use the code XTR ("50 XTR", "⭐50"); they have no minor units
+ * and are shown as "50 ⭐", since Intl does not know the currency.
+ */
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '₽': 'RUB',
+  '₺': 'TRY',
+  '₹': 'INR',
+  '⭐': 'XTR'
+};
+
+const STARS_CURRENCY = 'XTR';
+const CURRENCY_CODES = new Set([...Intl.supportedValuesOf('currency'), STARS_CURRENCY]);
+const PRICE_PATTERN = /^([A-Za-z]{3}|[$€£₽₺₹⭐])?\s*(\d[\d\s]*(?:[.,]\d+)?)\s*([A-Za-z]{3}|[$€£₽₺₹⭐])?$/;
+// Emoji presentation selector, often sent after ⭐
+const VARIATION_SELECTOR = /\uFE0F/g;
+const AMOUNT_PATTERN = /^\d[\d\s]*(?:[.,]\d+)?$/;
+
+/**
+ * Number of minor-unit digits for a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+const getMinorDigits = (currency) => (currency === STARS_CURRENCY
+  ? 0
+  : new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits);
+
+/**
+ * Convert a decimal number typed by a user into minor units
+ * @param {string} numberText - Digits with an optional "." or "," decimal separator
+ * @param {string} currency - ISO 4217 code
+ * @returns {number|null} Amount in minor units, or null with too many decimals
+ */
+const toMinorUnits = (numberText, currency) => {
+  const [whole, fraction = ''] = numberText.replace(/\s/g, '').split(/[.,]/);
+  const minorDigits = getMinorDigits(currency);
+  if (fraction.length > minorDigits) {
+    return null;
+  }
+
+  const amount = Number(whole) * 10 ** minorDigits + Number(fraction.padEnd(minorDigits, '0') || 0);
+  return Number.isSafeInteger(amount) ? amount : null;
+};
+
+/**
+ * Parse a price typed by a user
+ * @param {string} text - User input
+ * @returns {Object|null} { amount, currency } with amount in minor units, or null if unreadable
+ */
+const parsePrice = (text) => {
+  const match = PRICE_PATTERN.exec(String(text).replace(VARIATION_SELECTOR, '').trim());
+  if (!match || (match[1] && match[3]) || (!match[1] && !match[3])) {
+    return null;
+  }
+
+  const code = match[1] || match[3];
+  const currency = CURRENCY_SYMBOLS[code] || code.toUpperCase();
+  if (!CURRENCY_CODES.has(currency)) {
+    return null;
+  }
+  const amount = toMinorUnits(match[2], currency);
+  return amount === null ? null : { amount, currency };
+};
+
+/**
+ * Parse an amount in a known currency ("20", "12,50")
+ * @param {string} text - User input
+ * @param {string} currency - ISO 4217 code
+ * @returns {number|null} Amount in minor units, or null if unreadable
+ */
+const parseAmount = (text, currency) => {
+  const trimmed = String(text).trim();
+  return AMOUNT_PATTERN.test(trimmed) ? toMinorUnits(trimmed, currency) : null;
+};
+
+/**
+ * Format a minor-unit amount for display
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} language - Display language
+ * @returns {string}
+ */
+const formatPrice = (amount, currency, language) => (currency === STARS_CURRENCY
+  ? `${new Intl.NumberFormat(language).format(amount)} ⭐`
+  : new Intl.NumberFormat(language, { style: 'currency', currency }).format(amount / 10 ** getMinorDigits(currency)));
+
+module.exports = {
+  STARS_CURRENCY,
+  parsePrice,
+  parseAmount,
+  formatPrice
+};
@@ -0,0 +1,114 @@
+/**
+ * Deep Link Tests
+ * Giftunity Bot Service
+ *
+ * Signed /start payloads (src/utils/deep-link.js): what goes in comes back out,
+ * a changed byte or another key is refused, expiry is reported, and every
+ * payload fits Telegram's 64-character start parameter. The backend verifies
+ * the same links with its twin of the helper, so links are also checked
+ * against that copy.
+ */
+
+process.env.DEEP_LINK_SECRET = 'test-deep-link-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeDeepLink, decodeDeepLink, deepLinkURL } = require('../src/utils/deep-link');
+const backendDeepLink = require('../../Giftunity-backend/src/utils/deep-link');
+
+// Largest ids the payload holds (unsigned 64-bit)
+const MAX_ID = '18446744073709551615';
+
+/**
+ * Flip one bit of a payload, keeping it valid base64url
+ */
+const tamper = (payload, byteIndex) => {
+  const bytes = Buffer.from(payload, 'base64url');
+  bytes[byteIndex] ^= 0x01;
+  return bytes.toString('base64url');
+};
+
+test('links decode to what was encoded', async (t) => {
+  await t.test('wishlists, wishes and pools keep their id and inviter', () => {
+    for (const type of ['wishlist', 'item', 'pool']) {
+      const link = decodeDeepLink(encodeDeepLink({ type, id: 42, inviterId: 777001 }));
+      assert.equal(link.type, type);
+      assert.equal(link.id, '42');
+      assert.equal(link.inviterId, '777001');
+      assert.equal(link.expired, false);
+    }
+  });
+
+  await t.test('invitations carry no target id', () => {
+    const link = decodeDeepLink(encodeDeepLink({ type: 'invite', id: 42, inviterId: 777001 }));
+    assert.equal(link.type, 'invite');
+    assert.equal(link.id, null);
+  });
+
+  await t.test('ids up to 64 bits survive as strings', () => {
+    const link = decodeDeepLink(encodeDeepLink({ type: 'item', id: MAX_ID, inviterId: MAX_ID }));
+    assert.equal(link.id, MAX_ID);
+    assert.equal(link.inviterId, MAX_ID);
+  });
+
+  await t.test('the backend copy decodes the same link', () => {
+    const payload = encodeDeepLink({ type: 'wishlist', id: 7, inviterId: 777001 });
+    const link = backendDeepLink.decodeDeepLink(payload);
+    assert.deepEqual(link, decodeDeepLink(payload));
+  });
+
+  await t.test('unknown link types cannot be encoded', () => {
+    assert.throws(() => encodeDeepLink({ type: 'admin', id: 1, inviterId: 777001 }), /Unknown deep link type/);
+  });
+});
+
+test('tampered or foreign links are refused', async (t) => {
+  const payload = encodeDeepLink({ type: 'wishlist', id: 7, inviterId: 777001 });
+
+  await t.test('a changed byte anywhere invalidates the MAC', () => {
+    // Type, target id, inviter, expiry and the MAC itself
+    for (const byteIndex of [0, 8, 16, 20, 21, 32]) {
+      assert.equal(decodeDeepLink(tamper(payload, byteIndex)), null, `byte ${byteIndex}`);
+    }
+  });
+
+  await t.test('a link signed with another secret is refused', () => {
+    process.env.DEEP_LINK_SECRET = 'another-secret';
+    const foreign = encodeDeepLink({ type: 'wishlist', id: 7, inviterId: 777001 });
+    process.env.DEEP_LINK_SECRET = 'test-deep-link-secret';
+    assert.equal(decodeDeepLink(foreign), null);
+  });
+
+  await t.test('payloads of the wrong shape are not links', () => {
+    for (const value of [undefined, '', 'wishlist_7', payload.slice(1), `${payload}A`, `${payload.slice(0, -1)}=`]) {
+      assert.equal(decodeDeepLink(value), null, String(value));
+    }
+  });
+});
+
+test('expired links are reported as expired', async (t) => {
+  await t.test('a link past its expiry still decodes, flagged expired', () => {
+    assert.equal(decodeDeepLink(encodeDeepLink({ type: 'pool', id: 3, inviterId: 777001, ttlSeconds: 60 })).expired, false);
+
+    const link = decodeDeepLink(encodeDeepLink({ type: 'pool', id: 3, inviterId: 777001, ttlSeconds: -1 }));
+    assert.equal(link.expired, true);
+    assert.equal(link.id, '3');
+    assert.ok(link.expiresAt.getTime() < Date.now());
+  });
+
+  await t.test('DEEP_LINK_TTL_DAYS sets the default validity', () => {
+    process.env.DEEP_LINK_TTL_DAYS = '2';
+    const link = decodeDeepLink(encodeDeepLink({ type: 'invite', inviterId: 777001 }));
+    delete process.env.DEEP_LINK_TTL_DAYS;
+    const days = (link.expiresAt.getTime() - Date.now()) / 86400000;
+    assert.ok(days > 1.99 && days <= 2, `expires in ${days} days`);
+  });
+});
+
+test('payloads fit a Telegram start parameter', () => {
+  const payload = encodeDeepLink({ type: 'item', id: MAX_ID, inviterId: MAX_ID });
+  assert.equal(payload.length, 44);
+  assert.ok(payload.length <= 64);
+  assert.match(payload, /^[A-Za-z0-9_-]+$/);
+  assert.equal(deepLinkURL('giftunity_bot', payload), `https://t.me/giftunity_bot?start=${payload}`);
+});
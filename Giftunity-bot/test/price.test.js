@@ -0,0 +1,78 @@
+/**
+ * Price Helper Tests
+ * Giftunity Bot Service
+ *
+ * Prices typed in chat (src/utils/price.js) become an integer amount in minor
+ * units plus a currency code known to Intl, or XTR for Telegram Stars. Input
+ * that does not fit the currency's minor digits is refused instead of rounded.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice, parseAmount, formatPrice } = require('../src/utils/price');
+
+test('parsePrice reads amounts in minor units', () => {
+  const prices = {
+    '25.50 EUR': { amount: 2550, currency: 'EUR' },
+    '€25,50': { amount: 2550, currency: 'EUR' },
+    '€ 25': { amount: 2500, currency: 'EUR' },
+    '1 200 RUB': { amount: 120000, currency: 'RUB' },
+    '19.9 usd': { amount: 1990, currency: 'USD' },
+    '1500 JPY': { amount: 1500, currency: 'JPY' },
+    '12.345 KWD': { amount: 12345, currency: 'KWD' }
+  };
+  for (const [text, price] of Object.entries(prices)) {
+    assert.deepEqual(parsePrice(text), price, text);
+  }
+});
+
+test('parsePrice reads Telegram Stars', () => {
+  for (const text of ['50 XTR', '⭐50', '⭐️50', '50⭐']) {
+    assert.deepEqual(parsePrice(text), { amount: 50, currency: 'XTR' }, text);
+  }
+  assert.equal(parsePrice('50.5 XTR'), null);
+});
+
+test('parsePrice refuses more decimals than the currency has', () => {
+  for (const text of ['25.505 EUR', '1.5 JPY', '€0,001']) {
+    assert.equal(parsePrice(text), null, text);
+  }
+});
+
+test('parsePrice only takes known currency codes', () => {
+  for (const text of ['150 for', '150 ABC', 'EUR 25 USD', '25', '25 €€', 'abc EUR']) {
+    assert.equal(parsePrice(text), null, text);
+  }
+});
+
+test('parsePrice refuses amounts beyond safe integers', () => {
+  assert.equal(parsePrice('9999999999999999 EUR'), null);
+  assert.equal(parsePrice('99999999999999999999 XTR'), null);
+});
+
+test('amounts are always integers', () => {
+  // 0.1 + 0.2 style float errors must not reach the backend
+  for (const text of ['0.29 EUR', '1.15 USD', '4.35 GBP', '1 000,07 RUB']) {
+    const { amount } = parsePrice(text);
+    assert.ok(Number.isSafeInteger(amount), `${text}: ${amount}`);
+  }
+  assert.equal(parsePrice('0.29 EUR').amount, 29);
+  assert.equal(parsePrice('4.35 GBP').amount, 435);
+});
+
+test('parseAmount reads an amount in a known currency', () => {
+  assert.equal(parseAmount('20', 'EUR'), 2000);
+  assert.equal(parseAmount(' 12,50 ', 'EUR'), 1250);
+  assert.equal(parseAmount('1 200', 'RUB'), 120000);
+  assert.equal(parseAmount('300', 'XTR'), 300);
+  assert.equal(parseAmount('1.5', 'JPY'), null);
+  assert.equal(parseAmount('€20', 'EUR'), null);
+  assert.equal(parseAmount('-5', 'EUR'), null);
+});
+
+test('formatPrice turns minor units back into the currency', () => {
+  assert.equal(formatPrice(2550, 'EUR', 'en'), '€25.50');
+  assert.equal(formatPrice(2550, 'EUR', 'de'), new Intl.NumberFormat('de', { style: 'currency', currency: 'EUR' }).format(25.5));
+  assert.equal(formatPrice(1500, 'JPY', 'en'), '¥1,500');
+  assert.equal(formatPrice(1200, 'XTR', 'en'), '1,200 ⭐');
+});
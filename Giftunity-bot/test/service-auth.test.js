@@ -0,0 +1,196 @@
+/**
+ * Service Signature Round-Trip Tests
+ * Giftunity Bot Service
+ *
+ * The bot and the backend each build the canonical string
+ * "METHOD\nPATH\nTIMESTAMP\nNONCE\nUSER_ID\nSHA256(body)" in their own code. These tests
+ * send real HTTP requests between the two implementations so they cannot drift
+ * apart unnoticed: the bot's BackendAPI against the backend's
+ * verifyServiceSignature, and the backend's buildSignatureHeaders against the
+ * bot's requireService.
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.SERVICE_SHARED_SECRET = 'test-service-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const axios = require('axios');
+const { BackendAPI } = require('../src/services/backend-api');
+const botServiceAuth = require('../src/middleware/service-auth');
+const backendServiceAuth = require('../../Giftunity-backend/src/middleware/service-auth');
+
+const SECRET = process.env.SERVICE_SHARED_SECRET;
+
+/**
+ * Start an echo server behind the given middleware
+ * @returns {Promise<Object>} { url, received, close }
+ */
+const startServer = (captureRawBody, middleware) => new Promise((resolve) => {
+  const received = [];
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(middleware);
+  app.all('*', (req, res) => {
+    received.push({ method: req.method, path: req.originalUrl, headers: req.headers, rawBody: req.rawBody });
+    res.json({ service: req.service || null, body: req.body });
+  });
+  const server = app.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    received,
+    close: () => new Promise((done) => server.close(done))
+  }));
+});
+
+/**
+ * Send a request with exactly these headers and body bytes
+ */
+const sendRaw = (url, method, headers, body) => axios.request({
+  method,
+  url,
+  headers,
+  data: body,
+  validateStatus: () => true,
+  transformRequest: [(data) => data]
+});
+
+const signatureHeaders = (headers) => Object.fromEntries(Object.entries(headers)
+  .filter(([name]) => name.startsWith('x-giftunity-') || name === 'content-type'));
+
+test('bot requests verify against the backend middleware', async (t) => {
+  const backend = await startServer(backendServiceAuth.captureRawBody, backendServiceAuth.verifyServiceSignature);
+  t.after(backend.close);
+  const api = new BackendAPI(backend.url, { serviceSecret: SECRET });
+
+  await t.test('a signed POST with a non-ASCII body and a query string is accepted', async () => {
+    const data = { title: 'Zoë’s 🎁 list', amount: 2499 };
+    const response = await api.request('POST', '/api/echo?lang=de&q=%C3%BC', { data });
+    assert.deepEqual(response, { service: 'bot', body: data });
+  });
+
+  await t.test('a signed GET without a body is accepted', async () => {
+    const response = await api.request('GET', '/api/echo/5');
+    assert.equal(response.service, 'bot');
+  });
+
+  await t.test('a replayed request is rejected', async () => {
+    await api.request('POST', '/api/echo', { data: { pledge: 1 } });
+    const original = backend.received[backend.received.length - 1];
+
+    const replay = await sendRaw(`${backend.url}${original.path}`, 'POST', signatureHeaders(original.headers), original.rawBody.toString());
+    assert.equal(replay.status, 401);
+    assert.equal(replay.data.message, 'Service request was already processed');
+  });
+
+  await t.test('a changed body or path invalidates the signature', async () => {
+    await api.request('POST', '/api/echo', { data: { amount: 100 } });
+    const original = backend.received[backend.received.length - 1];
+    const headers = signatureHeaders(original.headers);
+
+    const changedBody = await sendRaw(`${backend.url}/api/echo`, 'POST', headers, JSON.stringify({ amount: 1000000 }));
+    assert.equal(changedBody.status, 401);
+    assert.equal(changedBody.data.message, 'Service signature is invalid');
+
+    const changedPath = await sendRaw(`${backend.url}/api/echo?amount=1000000`, 'POST', headers, original.rawBody.toString());
+    assert.equal(changedPath.status, 401);
+    assert.equal(changedPath.data.message, 'Service signature is invalid');
+  });
+
+  await t.test('a changed or added user id invalidates the signature', async () => {
+    await api.request('GET', '/api/echo', { userId: 777001 });
+    const original = backend.received[backend.received.length - 1];
+    assert.equal(original.headers['x-telegram-user-id'], '777001');
+    const headers = signatureHeaders(original.headers);
+
+    const otherUser = await sendRaw(`${backend.url}/api/echo`, 'GET', { ...headers, 'X-Telegram-User-Id': '777002' });
+    assert.equal(otherUser.status, 401);
+    assert.equal(otherUser.data.message, 'Service signature is invalid');
+
+    await api.request('GET', '/api/echo');
+    const withoutUser = signatureHeaders(backend.received[backend.received.length - 1].headers);
+    const addedUser = await sendRaw(`${backend.url}/api/echo`, 'GET', { ...withoutUser, 'X-Telegram-User-Id': '777002' });
+    assert.equal(addedUser.status, 401);
+    assert.equal(addedUser.data.message, 'Service signature is invalid');
+  });
+
+  await t.test('a request signed with another secret is rejected', async () => {
+    const impostor = new BackendAPI(backend.url, { serviceSecret: 'another-secret' });
+    await assert.rejects(impostor.request('GET', '/api/echo'), (error) => {
+      assert.equal(error.response.status, 401);
+      assert.equal(error.response.data.message, 'Service signature is invalid');
+      return true;
+    });
+  });
+
+  await t.test('timestamps outside the allowed window are rejected even when correctly signed', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    for (const timestamp of [String(now - 301), String(now + 301)]) {
+      const nonce = `skew-${timestamp}`;
+      const signature = backendServiceAuth.computeSignature(SECRET, { method: 'GET', path: '/api/echo', timestamp, nonce, body: '' });
+      const response = await sendRaw(`${backend.url}/api/echo`, 'GET', {
+        'X-Giftunity-Service': 'bot',
+        'X-Giftunity-Timestamp': timestamp,
+        'X-Giftunity-Nonce': nonce,
+        'X-Giftunity-Signature': `v1=${signature}`
+      });
+      assert.equal(response.status, 401);
+      assert.equal(response.data.message, 'Service signature timestamp is outside the allowed window');
+    }
+  });
+});
+
+test('backend requests verify against the bot middleware', async (t) => {
+  const bot = await startServer(botServiceAuth.captureRawBody, botServiceAuth.requireService);
+  t.after(bot.close);
+
+  const body = JSON.stringify({ chat_id: 777001, text: 'Erinnerung: Annas Geburtstag 🎂' });
+  const headers = {
+    'Content-Type': 'application/json',
+    ...backendServiceAuth.buildSignatureHeaders(SECRET, { service: 'backend', method: 'POST', path: '/internal/messages', body })
+  };
+
+  await t.test('a signed request is accepted', async () => {
+    const response = await sendRaw(`${bot.url}/internal/messages`, 'POST', headers, body);
+    assert.equal(response.status, 200);
+    assert.equal(response.data.service, 'backend');
+  });
+
+  await t.test('a replayed request is rejected', async () => {
+    const response = await sendRaw(`${bot.url}/internal/messages`, 'POST', headers, body);
+    assert.equal(response.status, 401);
+    assert.equal(response.data.message, 'Service request was already processed');
+  });
+
+  await t.test('a changed body invalidates the signature', async () => {
+    const fresh = {
+      'Content-Type': 'application/json',
+      ...backendServiceAuth.buildSignatureHeaders(SECRET, { service: 'backend', method: 'POST', path: '/internal/messages', body })
+    };
+    const response = await sendRaw(`${bot.url}/internal/messages`, 'POST', fresh, body.replace('777001', '777002'));
+    assert.equal(response.status, 401);
+    assert.equal(response.data.message, 'Service signature is invalid');
+  });
+
+  await t.test('a signed user id is accepted and a changed one is rejected', async () => {
+    const signedForUser = {
+      'Content-Type': 'application/json',
+      ...backendServiceAuth.buildSignatureHeaders(SECRET, { service: 'backend', method: 'POST', path: '/internal/messages', userId: 777001, body })
+    };
+    const replayedAsOther = await sendRaw(`${bot.url}/internal/messages`, 'POST', { ...signedForUser, 'X-Telegram-User-Id': '777002' }, body);
+    assert.equal(replayedAsOther.status, 401);
+    assert.equal(replayedAsOther.data.message, 'Service signature is invalid');
+
+    const response = await sendRaw(`${bot.url}/internal/messages`, 'POST', signedForUser, body);
+    assert.equal(response.status, 200);
+  });
+
+  await t.test('only the backend may call the bot', async () => {
+    const signedAsBot = {
+      'Content-Type': 'application/json',
+      ...backendServiceAuth.buildSignatureHeaders(SECRET, { service: 'bot', method: 'POST', path: '/internal/messages', body })
+    };
+    const response = await sendRaw(`${bot.url}/internal/messages`, 'POST', signedAsBot, body);
+    assert.equal(response.status, 401);
+  });
+});
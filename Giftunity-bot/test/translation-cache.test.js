@@ -0,0 +1,173 @@
+/**
+ * Translation Cache Tests
+ * Giftunity Bot Service
+ *
+ * Lifetimes of cached bundles (src/services/translation-cache.js): fresh
+ * entries are served from memory, stale ones are served and revalidated in
+ * the background, and an unreachable backend falls back to the last bundle or
+ * the snapshot in locales/. Time runs on a stubbed Date.now. Revalidation with
+ * ETags goes through the real BackendAPI against a local stand-in for
+ * GET /api/translations/:lang.
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.SERVICE_SHARED_SECRET = 'test-service-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { TranslationCache } = require('../src/services/translation-cache');
+const { BackendAPI } = require('../src/services/backend-api');
+const snapshotDe = require('../locales/de.json');
+const snapshotEn = require('../locales/en.json');
+
+const TTL_SECONDS = 60;
+const STALE_SECONDS = 600;
+
+/**
+ * Backend stand-in answering fetchTranslations from a script
+ * @param {Function} answer - (language, etag) => result, or throws
+ */
+const scriptedBackend = (answer) => {
+  const calls = [];
+  return {
+    calls,
+    fetchTranslations: async (language, etag) => {
+      calls.push({ language, etag });
+      return answer(language, etag);
+    }
+  };
+};
+
+const unreachable = () => {
+  throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+};
+
+/**
+ * Cache on a stubbed clock
+ * @returns {Object} { cache, advance(seconds) }
+ */
+const createCache = (t, backend) => {
+  let now = Date.UTC(2026, 5, 15, 12, 0, 0);
+  t.mock.method(Date, 'now', () => now);
+  return {
+    cache: new TranslationCache(backend, { ttlSeconds: TTL_SECONDS, staleSeconds: STALE_SECONDS }),
+    advance: (seconds) => {
+      now += seconds * 1000;
+    }
+  };
+};
+
+// Let a background revalidation settle
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('a fresh bundle is served from memory', async (t) => {
+  const backend = scriptedBackend(() => ({ notModified: false, messages: { hello: 'Hallo' }, etag: '"v1"' }));
+  const { cache, advance } = createCache(t, backend);
+
+  assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo' }, source: 'backend' });
+  advance(TTL_SECONDS - 1);
+  assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo' }, source: 'cache' });
+  assert.equal(backend.calls.length, 1);
+});
+
+test('a stale bundle is served at once and revalidated in the background', async (t) => {
+  let version = 1;
+  const backend = scriptedBackend(() => ({ notModified: false, messages: { hello: `Hallo v${version}` }, etag: `"v${version}"` }));
+  const { cache, advance } = createCache(t, backend);
+  await cache.get('de');
+
+  version = 2;
+  advance(TTL_SECONDS + 1);
+  assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo v1' }, source: 'stale' });
+  await settle();
+
+  assert.deepEqual(backend.calls[1], { language: 'de', etag: '"v1"' });
+  assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo v2' }, source: 'cache' });
+});
+
+test('concurrent callers share one revalidation', async (t) => {
+  const backend = scriptedBackend(() => ({ notModified: false, messages: { hello: 'Hallo' }, etag: '"v1"' }));
+  const { cache } = createCache(t, backend);
+
+  const results = await Promise.all([cache.get('de'), cache.get('de'), cache.get('de')]);
+  assert.equal(backend.calls.length, 1);
+  assert.deepEqual(results.map((result) => result.source), ['backend', 'backend', 'backend']);
+});
+
+test('a 304 keeps the cached messages and starts a new lifetime', async (t) => {
+  const backend = scriptedBackend((language, etag) => (etag
+    ? { notModified: true, messages: undefined, etag }
+    : { notModified: false, messages: { hello: 'Hallo' }, etag: '"v1"' }));
+  const { cache, advance } = createCache(t, backend);
+  await cache.get('de');
+
+  advance(TTL_SECONDS + STALE_SECONDS + 1);
+  assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo' }, source: 'backend' });
+  advance(TTL_SECONDS - 1);
+  assert.equal((await cache.get('de')).source, 'cache');
+  assert.equal(backend.calls.length, 2);
+});
+
+test('an unreachable backend', async (t) => {
+  await t.test('serves the last bundle, however old', async (t) => {
+    let reachable = true;
+    const backend = scriptedBackend(() => (reachable
+      ? { notModified: false, messages: { hello: 'Hallo' }, etag: '"v1"' }
+      : unreachable()));
+    const { cache, advance } = createCache(t, backend);
+    await cache.get('de');
+
+    reachable = false;
+    advance(TTL_SECONDS + STALE_SECONDS + 3600);
+    assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo' }, source: 'stale' });
+  });
+
+  await t.test('without a bundle falls back to the snapshot', async (t) => {
+    const { cache } = createCache(t, scriptedBackend(unreachable));
+    assert.deepEqual(await cache.get('de'), { language: 'de', messages: snapshotDe, source: 'snapshot' });
+  });
+
+  await t.test('falls back to the English snapshot for unknown languages', async (t) => {
+    const { cache } = createCache(t, scriptedBackend(unreachable));
+    assert.deepEqual(await cache.get('xx'), { language: 'en', messages: snapshotEn, source: 'snapshot' });
+  });
+
+  await t.test('a failed background revalidation keeps the stale bundle', async (t) => {
+    let reachable = true;
+    const backend = scriptedBackend(() => (reachable
+      ? { notModified: false, messages: { hello: 'Hallo' }, etag: '"v1"' }
+      : unreachable()));
+    const { cache, advance } = createCache(t, backend);
+    await cache.get('de');
+
+    reachable = false;
+    advance(TTL_SECONDS + 1);
+    assert.equal((await cache.get('de')).source, 'stale');
+    await settle();
+    assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo' }, source: 'stale' });
+  });
+});
+
+test('revalidation through BackendAPI sends the ETag and understands 304', async (t) => {
+  const requests = [];
+  const app = express();
+  app.get('/api/translations/:language', (req, res) => {
+    requests.push(req.get('If-None-Match') || null);
+    if (req.get('If-None-Match') === '"de-1"') {
+      return res.status(304).end();
+    }
+    res.set('ETag', '"de-1"').json({ hello: 'Hallo' });
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const api = new BackendAPI(`http://127.0.0.1:${server.address().port}`);
+  const cache = new TranslationCache(api, { ttlSeconds: 0, staleSeconds: 0 });
+
+  assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo' }, source: 'backend' });
+  assert.deepEqual(await cache.get('de'), { language: 'de', messages: { hello: 'Hallo' }, source: 'backend' });
+  assert.deepEqual(requests, [null, '"de-1"']);
+});
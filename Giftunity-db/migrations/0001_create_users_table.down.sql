@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0001 (down)
+-- Drop users table and its indexes
+
+DROP TABLE IF EXISTS users;
@@ -2,8 +2,9 @@
 -- Create users table with comprehensive Telegram User object fields
 -- Date: 2025-09-19
 -- Description: Initial migration to create users table capturing all Telegram User object data
+-- Note: IF NOT EXISTS keeps this safe for databases bootstrapped before the migration runner existed
 
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     -- Primary key - Telegram user ID
     id BIGINT PRIMARY KEY,
     
@@ -28,13 +29,13 @@ CREATE TABLE users (
 );
 
 -- Create index on username for faster lookups
-CREATE INDEX idx_users_username ON users(username) WHERE username IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(username) WHERE username IS NOT NULL;
 
 -- Create index on preferred_language for translation queries
-CREATE INDEX idx_users_preferred_language ON users(preferred_language);
+CREATE INDEX IF NOT EXISTS idx_users_preferred_language ON users(preferred_language);
 
 -- Create index on created_at for analytics and reporting
-CREATE INDEX idx_users_created_at ON users(created_at);
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
 
 -- Add comments for documentation
 COMMENT ON TABLE users IS 'Stores comprehensive user data from Telegram User object plus Giftunity-specific preferences';
@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0002 (down)
+-- Nothing to revert: 0002 only normalizes column types to those declared in 0001
+
+SELECT 1;
@@ -0,0 +1,27 @@
+-- Giftunity Database Migration 0002
+-- Align legacy users table with migration 0001
+-- Date: 2025-10-19
+-- Description: Databases bootstrapped by the old inline CREATE TABLE in server.js used
+-- VARCHAR columns and TIMESTAMP without time zone. Convert them to the canonical types.
+
+ALTER TABLE users
+    ALTER COLUMN first_name TYPE TEXT,
+    ALTER COLUMN last_name TYPE TEXT,
+    ALTER COLUMN username TYPE TEXT,
+    ALTER COLUMN preferred_language TYPE TEXT;
+
+-- Legacy timestamps were written in UTC; only convert columns that still lack a time zone
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public'
+        AND table_name = 'users'
+        AND column_name = 'created_at'
+        AND data_type = 'timestamp without time zone'
+    ) THEN
+        ALTER TABLE users
+            ALTER COLUMN created_at TYPE TIMESTAMPTZ USING created_at AT TIME ZONE 'UTC',
+            ALTER COLUMN updated_at TYPE TIMESTAMPTZ USING updated_at AT TIME ZONE 'UTC';
+    END IF;
+END $$;
@@ -0,0 +1,5 @@
+-- Giftunity Database Migration 0003 (down)
+-- Drop wishlists and wish_items tables
+
+DROP TABLE IF EXISTS wish_items;
+DROP TABLE IF EXISTS wishlists;
@@ -0,0 +1,40 @@
+-- Giftunity Database Migration 0003
+-- Create wishlists and wish_items tables
+-- Date: 2025-10-19
+-- Description: Core gift data model - each user owns wishlists that contain ordered wish items
+
+CREATE TABLE wishlists (
+    id BIGSERIAL PRIMARY KEY,
+    owner_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL CHECK (length(title) BETWEEN 1 AND 200),
+    description TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_wishlists_owner_id ON wishlists(owner_id);
+
+CREATE TABLE wish_items (
+    id BIGSERIAL PRIMARY KEY,
+    wishlist_id BIGINT NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+    title TEXT NOT NULL CHECK (length(title) BETWEEN 1 AND 200),
+    notes TEXT,
+    url TEXT,
+    price_amount BIGINT CHECK (price_amount >= 0),
+    price_currency CHAR(3) CHECK (price_currency ~ '^[A-Z]{3}$'),
+    priority SMALLINT NOT NULL DEFAULT 3 CHECK (priority BETWEEN 1 AND 5),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT wish_items_price_pair CHECK ((price_amount IS NULL) = (price_currency IS NULL))
+);
+
+CREATE INDEX idx_wish_items_wishlist_position ON wish_items(wishlist_id, position);
+
+COMMENT ON TABLE wishlists IS 'Gift wishlists owned by a Telegram user';
+COMMENT ON COLUMN wishlists.owner_id IS 'Telegram user ID of the owner (users.id)';
+COMMENT ON TABLE wish_items IS 'Individual wishes within a wishlist';
+COMMENT ON COLUMN wish_items.price_amount IS 'Price in integer minor units of price_currency (e.g. cents)';
+COMMENT ON COLUMN wish_items.price_currency IS 'ISO 4217 currency code';
+COMMENT ON COLUMN wish_items.priority IS 'Priority from 1 (highest) to 5 (lowest)';
+COMMENT ON COLUMN wish_items.position IS 'Display order within the wishlist, ascending';
@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0004 (down)
+-- Drop bot_sessions table
+
+DROP TABLE IF EXISTS bot_sessions;
@@ -0,0 +1,19 @@
+-- Giftunity Database Migration 0004
+-- Create bot_sessions table
+-- Date: 2025-10-19
+-- Description: Conversation state for the Telegram bot, kept in the database so it
+-- survives restarts and is shared between bot instances
+
+CREATE TABLE bot_sessions (
+    session_key TEXT PRIMARY KEY CHECK (length(session_key) BETWEEN 1 AND 128),
+    data JSONB NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_bot_sessions_expires_at ON bot_sessions(expires_at);
+
+COMMENT ON TABLE bot_sessions IS 'Telegraf session state (wizard progress) per bot session key';
+COMMENT ON COLUMN bot_sessions.session_key IS 'Telegraf session key, "<telegram user id>:<chat id>"';
+COMMENT ON COLUMN bot_sessions.expires_at IS 'Sessions past this time are ignored and purged';
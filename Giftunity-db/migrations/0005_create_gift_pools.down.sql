@@ -0,0 +1,5 @@
+-- Giftunity Database Migration 0005 (down)
+-- Drop gift_pools and gift_pool_contributions tables
+
+DROP TABLE IF EXISTS gift_pool_contributions;
+DROP TABLE IF EXISTS gift_pools;
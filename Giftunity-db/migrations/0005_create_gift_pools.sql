@@ -0,0 +1,45 @@
+-- Giftunity Database Migration 0005
+-- Create gift_pools and gift_pool_contributions tables
+-- Date: 2025-10-19
+-- Description: Group gifting - several users pledge towards one target amount
+-- collected by an organizer
+
+CREATE TABLE gift_pools (
+    id BIGSERIAL PRIMARY KEY,
+    organizer_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL CHECK (length(title) BETWEEN 1 AND 200),
+    description TEXT,
+    target_amount BIGINT NOT NULL CHECK (target_amount > 0),
+    currency CHAR(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+    deadline TIMESTAMPTZ,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    language TEXT NOT NULL DEFAULT 'en',
+    chat_id BIGINT,
+    progress_message_id BIGINT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    closed_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_gift_pools_organizer_id ON gift_pools(organizer_id);
+CREATE INDEX idx_gift_pools_chat_id_open ON gift_pools(chat_id) WHERE status = 'open';
+
+CREATE TABLE gift_pool_contributions (
+    pool_id BIGINT NOT NULL REFERENCES gift_pools(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount BIGINT NOT NULL DEFAULT 0 CHECK (amount >= 0),
+    joined_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (pool_id, user_id)
+);
+
+CREATE INDEX idx_gift_pool_contributions_user_id ON gift_pool_contributions(user_id);
+
+COMMENT ON TABLE gift_pools IS 'Shared gifts that several users pledge towards';
+COMMENT ON COLUMN gift_pools.target_amount IS 'Goal in integer minor units of currency (e.g. cents)';
+COMMENT ON COLUMN gift_pools.currency IS 'ISO 4217 currency code shared by the target and all pledges';
+COMMENT ON COLUMN gift_pools.language IS 'Language of the pool''s group progress message';
+COMMENT ON COLUMN gift_pools.chat_id IS 'Telegram chat where the pool is tracked, if any';
+COMMENT ON COLUMN gift_pools.progress_message_id IS 'Bot message in chat_id that shows live progress';
+COMMENT ON TABLE gift_pool_contributions IS 'Participants of a pool and the amount each has pledged';
+COMMENT ON COLUMN gift_pool_contributions.amount IS 'Pledged amount in minor units; 0 for participants who joined without pledging';
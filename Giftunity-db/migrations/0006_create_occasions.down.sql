@@ -0,0 +1,6 @@
+-- Giftunity Database Migration 0006 (down)
+-- Drop occasions and occasion_reminders tables and users.timezone
+
+DROP TABLE IF EXISTS occasion_reminders;
+DROP TABLE IF EXISTS occasions;
+ALTER TABLE users DROP COLUMN IF EXISTS timezone;
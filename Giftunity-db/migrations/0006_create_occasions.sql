@@ -0,0 +1,54 @@
+-- Giftunity Database Migration 0006
+-- Add users.timezone and create occasions and occasion_reminders tables
+-- Date: 2025-10-19
+-- Description: Birthdays, anniversaries and holidays with reminders N days before,
+-- scheduled in each occasion's own timezone
+
+ALTER TABLE users ADD COLUMN timezone TEXT NOT NULL DEFAULT 'Europe/Berlin';
+
+COMMENT ON COLUMN users.timezone IS 'IANA timezone used as the default for new occasions';
+
+CREATE TABLE occasions (
+    id BIGSERIAL PRIMARY KEY,
+    owner_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL CHECK (length(title) BETWEEN 1 AND 200),
+    month SMALLINT NOT NULL CHECK (month BETWEEN 1 AND 12),
+    day SMALLINT NOT NULL CHECK (day BETWEEN 1 AND 31),
+    year SMALLINT CHECK (year BETWEEN 1900 AND 2200),
+    recurrence TEXT NOT NULL DEFAULT 'yearly' CHECK (recurrence IN ('yearly', 'once')),
+    timezone TEXT NOT NULL,
+    remind_days_before SMALLINT NOT NULL DEFAULT 3 CHECK (remind_days_before BETWEEN 0 AND 60),
+    next_occurrence_on DATE,
+    next_remind_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT occasions_once_has_year CHECK (recurrence = 'yearly' OR year IS NOT NULL)
+);
+
+CREATE INDEX idx_occasions_owner_id ON occasions(owner_id);
+CREATE INDEX idx_occasions_next_remind_at ON occasions(next_remind_at) WHERE next_remind_at IS NOT NULL;
+
+CREATE TABLE occasion_reminders (
+    id BIGSERIAL PRIMARY KEY,
+    occasion_id BIGINT NOT NULL REFERENCES occasions(id) ON DELETE CASCADE,
+    occurs_on DATE NOT NULL,
+    due_at TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+    attempts SMALLINT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (occasion_id, occurs_on)
+);
+
+CREATE INDEX idx_occasion_reminders_pending ON occasion_reminders(next_attempt_at) WHERE status = 'pending';
+
+COMMENT ON TABLE occasions IS 'Dates a user wants to be reminded of, for themselves or friends';
+COMMENT ON COLUMN occasions.year IS 'Year of the first occurrence (birth year); required for one-off occasions';
+COMMENT ON COLUMN occasions.timezone IS 'IANA timezone the date and the reminder time refer to';
+COMMENT ON COLUMN occasions.next_occurrence_on IS 'Local date of the next occurrence that still needs a reminder';
+COMMENT ON COLUMN occasions.next_remind_at IS 'UTC instant the reminder for next_occurrence_on is due; NULL when nothing is left to remind';
+COMMENT ON TABLE occasion_reminders IS 'One row per reminded occurrence; the unique key keeps a reminder from being sent twice';
+COMMENT ON COLUMN occasion_reminders.status IS 'pending -> sending -> sent, or failed/skipped; sending is claimed by one scheduler';
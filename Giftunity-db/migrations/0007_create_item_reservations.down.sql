@@ -0,0 +1,5 @@
+-- Giftunity Database Migration 0007 (down)
+-- Drop item_reservations and wishlists.reveal_on
+
+DROP TABLE IF EXISTS item_reservations;
+ALTER TABLE wishlists DROP COLUMN IF EXISTS reveal_on;
@@ -0,0 +1,20 @@
+-- Giftunity Database Migration 0007
+-- Create item_reservations and add wishlists.reveal_on
+-- Date: 2025-10-19
+-- Description: Friends secretly reserve wishes so nobody else buys them; the
+-- owner can only see reservations after the wishlist's reveal date
+
+ALTER TABLE wishlists ADD COLUMN reveal_on DATE;
+
+COMMENT ON COLUMN wishlists.reveal_on IS 'Occasion date after which the owner may see who reserved what; NULL keeps reservations hidden';
+
+CREATE TABLE item_reservations (
+    item_id BIGINT PRIMARY KEY REFERENCES wish_items(id) ON DELETE CASCADE,
+    reserved_by BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_item_reservations_reserved_by ON item_reservations(reserved_by);
+
+COMMENT ON TABLE item_reservations IS 'Secret reservations of wish items; at most one per item (the primary key settles concurrent claims)';
+COMMENT ON COLUMN item_reservations.reserved_by IS 'Telegram user ID of the friend who reserved the item; never shown to the owner before wishlists.reveal_on';
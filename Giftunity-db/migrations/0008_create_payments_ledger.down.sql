@@ -0,0 +1,8 @@
+-- Giftunity Database Migration 0008 (down)
+-- Drop the payments ledger and gift_pool_contributions.paid_amount
+
+DROP TABLE IF EXISTS payment_ledger_entries;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS payment_invoices;
+ALTER TABLE gift_pool_contributions DROP CONSTRAINT IF EXISTS gift_pool_contributions_pledge_covers_paid;
+ALTER TABLE gift_pool_contributions DROP COLUMN IF EXISTS paid_amount;
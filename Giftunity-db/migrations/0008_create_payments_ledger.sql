@@ -0,0 +1,59 @@
+-- Giftunity Database Migration 0008
+-- Create payment_invoices, payments and payment_ledger_entries; track paid pool contributions
+-- Date: 2025-10-19
+-- Description: Telegram Stars payments into gift pools with a double-entry ledger
+-- keyed by Telegram's telegram_payment_charge_id
+
+ALTER TABLE gift_pool_contributions
+    ADD COLUMN paid_amount BIGINT NOT NULL DEFAULT 0 CHECK (paid_amount >= 0),
+    ADD CONSTRAINT gift_pool_contributions_pledge_covers_paid CHECK (amount >= paid_amount);
+
+COMMENT ON COLUMN gift_pool_contributions.paid_amount IS 'Part of the pledge actually paid (Telegram Stars pools), in minor units';
+
+CREATE TABLE payment_invoices (
+    id BIGSERIAL PRIMARY KEY,
+    payload TEXT NOT NULL UNIQUE,
+    created_by BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose TEXT NOT NULL DEFAULT 'pool_contribution' CHECK (purpose IN ('pool_contribution')),
+    pool_id BIGINT REFERENCES gift_pools(id) ON DELETE SET NULL,
+    amount BIGINT NOT NULL CHECK (amount > 0),
+    currency CHAR(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE payments (
+    id BIGSERIAL PRIMARY KEY,
+    invoice_id BIGINT REFERENCES payment_invoices(id) ON DELETE SET NULL,
+    user_id BIGINT NOT NULL,
+    pool_id BIGINT REFERENCES gift_pools(id) ON DELETE SET NULL,
+    amount BIGINT NOT NULL CHECK (amount > 0),
+    currency CHAR(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+    status TEXT NOT NULL DEFAULT 'paid' CHECK (status IN ('paid', 'refunded')),
+    telegram_payment_charge_id TEXT NOT NULL UNIQUE,
+    provider_payment_charge_id TEXT,
+    paid_at TIMESTAMPTZ DEFAULT NOW(),
+    refunded_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_payments_user_id ON payments(user_id);
+CREATE INDEX idx_payments_pool_id ON payments(pool_id);
+
+CREATE TABLE payment_ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    payment_id BIGINT NOT NULL REFERENCES payments(id),
+    telegram_payment_charge_id TEXT NOT NULL,
+    entry_type TEXT NOT NULL CHECK (entry_type IN ('charge', 'refund')),
+    account TEXT NOT NULL,
+    amount BIGINT NOT NULL CHECK (amount <> 0),
+    currency CHAR(3) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (telegram_payment_charge_id, entry_type, account)
+);
+
+CREATE INDEX idx_payment_ledger_entries_payment_id ON payment_ledger_entries(payment_id);
+
+COMMENT ON TABLE payment_invoices IS 'Invoices sent with sendInvoice; payload is the invoice_payload Telegram echoes back';
+COMMENT ON TABLE payments IS 'Successful payments (charges), one per telegram_payment_charge_id; user_id is kept without a foreign key because financial records outlive accounts';
+COMMENT ON TABLE payment_ledger_entries IS 'Double-entry ledger: the entries of one charge or refund sum to zero';
+COMMENT ON COLUMN payment_ledger_entries.account IS 'telegram:stars (Stars held by the bot) or pool:<id> (owed to a gift pool)';
+COMMENT ON COLUMN payment_ledger_entries.amount IS 'Debit (positive) or credit (negative) in minor units of currency';
@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0009 (down)
+-- Drop users.bot_blocked_at
+
+ALTER TABLE users DROP COLUMN IF EXISTS bot_blocked_at;
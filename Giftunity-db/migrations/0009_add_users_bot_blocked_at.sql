@@ -0,0 +1,8 @@
+-- Giftunity Database Migration 0009
+-- Add users.bot_blocked_at
+-- Date: 2025-10-19
+-- Description: Remember users who blocked the bot so outgoing messages skip them
+
+ALTER TABLE users ADD COLUMN bot_blocked_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN users.bot_blocked_at IS 'When Telegram reported that the user blocked the bot; NULL while messages can be delivered';
@@ -0,0 +1,5 @@
+-- Giftunity Database Migration 0010 (down)
+-- Drop broadcast_recipients and broadcasts
+
+DROP TABLE IF EXISTS broadcast_recipients;
+DROP TABLE IF EXISTS broadcasts;
@@ -0,0 +1,42 @@
+-- Giftunity Database Migration 0010
+-- Create broadcasts and broadcast_recipients tables
+-- Date: 2025-10-19
+-- Description: Admin announcements sent by the bot to a segment of users, with
+-- one delivery status per recipient so an interrupted broadcast resumes without
+-- sending anybody the message twice
+
+CREATE TABLE broadcasts (
+    id BIGSERIAL PRIMARY KEY,
+    created_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+    messages JSONB NOT NULL,
+    default_language TEXT NOT NULL,
+    segment JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'completed', 'cancelled')),
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_broadcasts_sending ON broadcasts(created_at) WHERE status = 'sending';
+
+CREATE TABLE broadcast_recipients (
+    broadcast_id BIGINT NOT NULL REFERENCES broadcasts(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    language TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+    telegram_message_id BIGINT,
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (broadcast_id, user_id)
+);
+
+CREATE INDEX idx_broadcast_recipients_pending ON broadcast_recipients(broadcast_id) WHERE status = 'pending';
+
+COMMENT ON TABLE broadcasts IS 'Announcements from admins to a segment of users, sent by the bot';
+COMMENT ON COLUMN broadcasts.messages IS 'Message per language code: { "en": { "text": ..., "entities": [...] }, ... }';
+COMMENT ON COLUMN broadcasts.default_language IS 'Language whose message users get when there is none in their preferred language';
+COMMENT ON COLUMN broadcasts.segment IS 'Audience filter the recipients were selected with: { languages, is_premium, created_after }';
+COMMENT ON TABLE broadcast_recipients IS 'Recipients selected when the broadcast was created, with their delivery status';
+COMMENT ON COLUMN broadcast_recipients.language IS 'Language of the message this recipient gets';
+COMMENT ON COLUMN broadcast_recipients.status IS 'pending -> sending -> sent, or failed/skipped; sending is claimed by one sender and never retried';
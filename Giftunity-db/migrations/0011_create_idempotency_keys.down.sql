@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0011 (down)
+-- Drop idempotency_keys table
+
+DROP TABLE IF EXISTS idempotency_keys;
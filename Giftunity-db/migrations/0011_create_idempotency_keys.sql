@@ -0,0 +1,27 @@
+-- Giftunity Database Migration 0011
+-- Create idempotency_keys table
+-- Date: 2025-10-19
+-- Description: First response to each mutating request sent with an Idempotency-Key,
+-- replayed when the caller repeats the request (retries after a timeout or a lost
+-- connection) so the write is applied only once
+
+CREATE TABLE idempotency_keys (
+    scope TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL CHECK (length(idempotency_key) BETWEEN 1 AND 255),
+    request_hash TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+COMMENT ON TABLE idempotency_keys IS 'Responses to mutating requests by Idempotency-Key, replayed for repeats';
+COMMENT ON COLUMN idempotency_keys.scope IS 'Caller the key belongs to: "service:<name>" or "user:<telegram user id>"';
+COMMENT ON COLUMN idempotency_keys.request_hash IS 'SHA-256 of method, path, acting user and body; a key reused for another request is rejected';
+COMMENT ON COLUMN idempotency_keys.status IS 'processing while the first request runs, completed once its response is stored';
+COMMENT ON COLUMN idempotency_keys.expires_at IS 'Keys past this time are ignored and purged';
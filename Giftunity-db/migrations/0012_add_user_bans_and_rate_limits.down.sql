@@ -0,0 +1,7 @@
+-- Giftunity Database Migration 0012 (down)
+-- Drop rate_limit_buckets and users.banned_at
+
+DROP TABLE IF EXISTS rate_limit_buckets;
+DROP INDEX IF EXISTS idx_users_banned_at;
+ALTER TABLE users DROP COLUMN IF EXISTS banned_reason;
+ALTER TABLE users DROP COLUMN IF EXISTS banned_at;
@@ -0,0 +1,26 @@
+-- Giftunity Database Migration 0012
+-- Add users.banned_at and create rate_limit_buckets
+-- Date: 2025-10-19
+-- Description: Abuse controls: users banned by an admin, and token buckets for the
+-- backend's rate limits when they are shared between instances through the database
+
+ALTER TABLE users ADD COLUMN banned_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN banned_reason TEXT CHECK (length(banned_reason) <= 500);
+
+CREATE INDEX idx_users_banned_at ON users(banned_at) WHERE banned_at IS NOT NULL;
+
+COMMENT ON COLUMN users.banned_at IS 'When an admin banned the user; banned users are refused by the bot and the API';
+COMMENT ON COLUMN users.banned_reason IS 'Admin note on why the user was banned';
+
+CREATE TABLE rate_limit_buckets (
+    bucket_key TEXT PRIMARY KEY,
+    tokens DOUBLE PRECISION NOT NULL,
+    allowed BOOLEAN NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_rate_limit_buckets_updated_at ON rate_limit_buckets(updated_at);
+
+COMMENT ON TABLE rate_limit_buckets IS 'Token buckets of the API rate limits, "<rule>:<ip or user>"';
+COMMENT ON COLUMN rate_limit_buckets.tokens IS 'Tokens left at updated_at; refilled continuously up to the rule capacity';
+COMMENT ON COLUMN rate_limit_buckets.allowed IS 'Whether the last request took a token';
@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0013 (down)
+-- Drop user_profile_history
+
+DROP TABLE IF EXISTS user_profile_history;
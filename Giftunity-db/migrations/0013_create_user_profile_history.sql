@@ -0,0 +1,20 @@
+-- Giftunity Database Migration 0013
+-- Create user_profile_history table
+-- Date: 2025-10-19
+-- Description: Changes to a user's Telegram username, name, premium status and
+-- language, recorded by the profile sync (POST /api/user/findOrCreate)
+
+CREATE TABLE user_profile_history (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    field TEXT NOT NULL CHECK (field IN ('username', 'first_name', 'last_name', 'is_premium', 'language_code')),
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_user_profile_history_user_id ON user_profile_history(user_id, changed_at DESC);
+
+COMMENT ON TABLE user_profile_history IS 'Changes to Telegram profile fields, one row per changed field';
+COMMENT ON COLUMN user_profile_history.old_value IS 'Value before the change as text; NULL when it was unset';
+COMMENT ON COLUMN user_profile_history.new_value IS 'Value after the change as text; NULL when it was cleared';
@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0014 (down)
+-- Drop account_erasures
+
+DROP TABLE IF EXISTS account_erasures;
@@ -0,0 +1,21 @@
+-- Giftunity Database Migration 0014
+-- Create account_erasures table
+-- Date: 2025-10-19
+-- Description: Audit trail of accounts erased at the user's request (GDPR Art. 17).
+-- Rows record when and how an erasure happened and how many rows it removed, but
+-- nothing that identifies the user
+
+CREATE TABLE account_erasures (
+    id BIGSERIAL PRIMARY KEY,
+    requested_via TEXT NOT NULL CHECK (requested_via IN ('bot', 'mini_app')),
+    deleted_rows JSONB NOT NULL,
+    retained_rows JSONB NOT NULL,
+    erased_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_account_erasures_erased_at ON account_erasures(erased_at);
+
+COMMENT ON TABLE account_erasures IS 'One row per erased account; deliberately without the user id or any other personal data';
+COMMENT ON COLUMN account_erasures.requested_via IS 'Where the user asked: bot (/deleteme) or mini_app (session token)';
+COMMENT ON COLUMN account_erasures.deleted_rows IS 'Rows deleted per table, e.g. {"wishlists": 2, "wish_items": 7}';
+COMMENT ON COLUMN account_erasures.retained_rows IS 'Rows kept for legal reasons or owned by others, e.g. {"payments": 1}';
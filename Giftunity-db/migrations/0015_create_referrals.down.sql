@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0015 (down)
+-- Drop referrals
+
+DROP TABLE IF EXISTS referrals;
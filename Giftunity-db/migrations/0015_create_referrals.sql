@@ -0,0 +1,26 @@
+-- Giftunity Database Migration 0015
+-- Create referrals table
+-- Date: 2025-10-19
+-- Description: Who invited whom through which signed deep link (t.me/<bot>?start=...),
+-- and whether the link brought in a new user
+
+CREATE TABLE referrals (
+    id BIGSERIAL PRIMARY KEY,
+    inviter_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    invitee_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    link_type TEXT NOT NULL CHECK (link_type IN ('invite', 'wishlist', 'item', 'pool')),
+    target_id BIGINT,
+    new_user BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (inviter_id <> invitee_id),
+    CHECK ((link_type = 'invite') = (target_id IS NULL))
+);
+
+-- Opening the same link again is not another referral
+CREATE UNIQUE INDEX idx_referrals_unique_link ON referrals(inviter_id, invitee_id, link_type, COALESCE(target_id, 0));
+CREATE INDEX idx_referrals_invitee_id ON referrals(invitee_id);
+
+COMMENT ON TABLE referrals IS 'Users who opened a deep link shared by another user';
+COMMENT ON COLUMN referrals.link_type IS 'What the link opened: invite (the bot), wishlist, item or pool';
+COMMENT ON COLUMN referrals.target_id IS 'Wishlist, item or pool id; NULL for invites';
+COMMENT ON COLUMN referrals.new_user IS 'The invitee had never used Giftunity before opening the link (a conversion)';
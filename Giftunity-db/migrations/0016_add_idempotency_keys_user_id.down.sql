@@ -0,0 +1,5 @@
+-- Giftunity Database Migration 0016 (down)
+-- Drop idempotency_keys.user_id
+
+DROP INDEX IF EXISTS idx_idempotency_keys_user_id;
+ALTER TABLE idempotency_keys DROP COLUMN IF EXISTS user_id;
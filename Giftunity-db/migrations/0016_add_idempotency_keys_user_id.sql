@@ -0,0 +1,12 @@
+-- Giftunity Database Migration 0016
+-- Add idempotency_keys.user_id
+-- Date: 2025-10-19
+-- Description: Record the user each idempotent request acted for, so erasing an account
+-- also deletes stored responses of requests the bot made for that user. Keys stored
+-- before this migration have no user and expire within IDEMPOTENCY_KEY_TTL_HOURS
+
+ALTER TABLE idempotency_keys ADD COLUMN user_id BIGINT;
+
+CREATE INDEX idx_idempotency_keys_user_id ON idempotency_keys(user_id) WHERE user_id IS NOT NULL;
+
+COMMENT ON COLUMN idempotency_keys.user_id IS 'Telegram user the request acted for (session user or X-Telegram-User-Id); no foreign key, since the key is claimed before the user is checked';
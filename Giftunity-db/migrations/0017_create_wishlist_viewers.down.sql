@@ -0,0 +1,4 @@
+-- Giftunity Database Migration 0017 (down)
+-- Drop wishlist_viewers
+
+DROP TABLE IF EXISTS wishlist_viewers;
@@ -0,0 +1,23 @@
+-- Giftunity Database Migration 0017
+-- Create wishlist_viewers
+-- Date: 2025-10-19
+-- Description: Friends who opened a signed link to a wishlist or one of its wishes.
+-- Shared wishlists are only served to their owner and these viewers, so nobody can
+-- read other users' lists by walking the sequential ids
+
+CREATE TABLE wishlist_viewers (
+    wishlist_id BIGINT NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (wishlist_id, user_id)
+);
+
+CREATE INDEX idx_wishlist_viewers_user_id ON wishlist_viewers(user_id);
+
+-- Friends who already reserved a wish keep access to its wishlist
+INSERT INTO wishlist_viewers (wishlist_id, user_id)
+SELECT DISTINCT i.wishlist_id, r.reserved_by
+FROM item_reservations r
+JOIN wish_items i ON i.id = r.item_id;
+
+COMMENT ON TABLE wishlist_viewers IS 'Users other than the owner who may view a wishlist, granted by opening a signed share link';
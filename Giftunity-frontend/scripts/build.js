@@ -0,0 +1,50 @@
+/**
+ * Build Script
+ * Giftunity Frontend Service
+ *
+ * The Mini App is plain ES modules and CSS, so the build only assembles the
+ * static site Render publishes: static/ (index.html, styles) and src/ are
+ * copied into build/, and build/config.js tells the app where the backend is
+ * and which languages exist. The backend's translation bundles are copied to
+ * build/locales/ as a fallback for when the backend cannot be reached; the
+ * app loads them from GET /api/translations/:lang otherwise.
+ *
+ * Environment Variables:
+ * - BACKEND_URL: Backend service URL; a bare service name (as Render's
+ *   fromService provides it) becomes https://<name>.onrender.com
+ *   (default: http://localhost:10000)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const BUILD_DIR = path.join(ROOT, 'build');
+const BACKEND_DIR = path.join(ROOT, '..', 'Giftunity-backend');
+const DEFAULT_BACKEND_URL = 'http://localhost:10000';
+
+const getBackendURL = () => {
+  const backendURL = (process.env.BACKEND_URL || DEFAULT_BACKEND_URL).trim().replace(/\/+$/, '');
+  if (/^https?:\/\//.test(backendURL)) {
+    return backendURL;
+  }
+  return backendURL.includes('.') ? `https://${backendURL}` : `https://${backendURL}.onrender.com`;
+};
+
+const build = () => {
+  fs.rmSync(BUILD_DIR, { recursive: true, force: true });
+  fs.cpSync(path.join(ROOT, 'static'), BUILD_DIR, { recursive: true });
+  fs.cpSync(path.join(ROOT, 'src'), path.join(BUILD_DIR, 'src'), { recursive: true });
+  fs.cpSync(path.join(BACKEND_DIR, 'locales'), path.join(BUILD_DIR, 'locales'), { recursive: true });
+
+  const { LANGUAGES, DEFAULT_LANGUAGE } = require(path.join(BACKEND_DIR, 'src', 'config', 'languages'));
+  const config = { backendUrl: getBackendURL(), languages: LANGUAGES, defaultLanguage: DEFAULT_LANGUAGE };
+  fs.writeFileSync(
+    path.join(BUILD_DIR, 'config.js'),
+    `window.GIFTUNITY_CONFIG = ${JSON.stringify(config, null, 2)};\n`
+  );
+
+  console.log(`✅ Built the Mini App into ${BUILD_DIR} (backend: ${config.backendUrl})`);
+};
+
+build();
@@ -0,0 +1,50 @@
+/**
+ * Development Server
+ * Giftunity Frontend Service
+ *
+ * Serves build/ for local development. Telegram opens Mini Apps over https
+ * only, so testing inside Telegram needs a tunnel in front of this server;
+ * production is served by Render's static hosting.
+ *
+ * Environment Variables:
+ * - PORT: Server port (default: 10002)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+const PORT = process.env.PORT || 10002;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  // Pages are routed in the URL fragment, so only "/" maps to index.html
+  const relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname);
+  const target = path.join(BUILD_DIR, path.normalize(relativePath).replace(/^(\.\.[/\\])+/, ''));
+  if (!target.startsWith(BUILD_DIR) || !fs.existsSync(target) || !fs.statSync(target).isFile()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(target)] || 'application/octet-stream',
+    'Cache-Control': 'no-cache'
+  });
+  fs.createReadStream(target).pipe(res);
+});
+
+server.listen(PORT, () => {
+  console.log(`🌐 Mini App served on http://localhost:${PORT}`);
+});
@@ -0,0 +1,56 @@
+/**
+ * Wish Row Component
+ * Giftunity Frontend Service
+ *
+ * One wish in a list: title, price, priority, link and, on a friend's
+ * wishlist, whether it is reserved. Owners never receive reservation state
+ * (reserved is null), so nothing is shown to them.
+ */
+
+import { h } from '../utils/dom.js';
+import { formatPrice } from '../utils/price.js';
+import { openLink } from '../services/telegram.js';
+
+const MAX_PRIORITY = 5;
+
+const reservationMarker = (item) => {
+  if (item.reserved_by_me) {
+    return h('span', { className: 'marker-mine', text: '✅' });
+  }
+  return item.reserved ? h('span', { className: 'marker-taken', text: '🔒' }) : null;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.item - Wish item from the backend
+ * @param {string} props.language - Display language for the price
+ * @param {Function} [props.onOpen] - Makes the row a button (the owner's wishes open the editor)
+ * @param {Array<HTMLElement>} [props.actions] - Buttons below the wish
+ * @returns {HTMLElement}
+ */
+export const itemRow = ({ item, language, onOpen, actions = [] }) => {
+  const price = item.price_amount !== null && item.price_amount !== undefined
+    ? formatPrice(Number(item.price_amount), item.price_currency, language)
+    : null;
+  const priority = item.priority ? '★'.repeat(item.priority) + '☆'.repeat(MAX_PRIORITY - item.priority) : null;
+
+  const main = h('span', { className: 'row-main' },
+    h('div', { className: 'row-title' }, item.title, ' ', reservationMarker(item)),
+    price || priority
+      ? h('div', { className: 'row-meta' }, price, price && priority ? ' · ' : null,
+        priority ? h('span', { className: 'priority', 'aria-label': `${item.priority}/${MAX_PRIORITY}`, text: priority }) : null)
+      : null,
+    item.url && !onOpen
+      ? h('button', {
+        className: 'link-button row-meta',
+        type: 'button',
+        text: item.url,
+        onClick: () => openLink(item.url)
+      })
+      : null,
+    actions.length > 0 ? h('div', { className: 'row-actions' }, actions) : null);
+
+  return h('li', {}, onOpen
+    ? h('button', { className: 'list-row', type: 'button', onClick: onOpen }, main)
+    : h('div', { className: 'list-row' }, main));
+};
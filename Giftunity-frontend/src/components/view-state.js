@@ -0,0 +1,46 @@
+/**
+ * View State Components
+ * Giftunity Frontend Service
+ *
+ * Loading, error and empty states shared by the pages.
+ */
+
+import { h } from '../utils/dom.js';
+import { hasStatus, isBanned } from '../services/api-client.js';
+
+/**
+ * Translation key describing a failed request to the user
+ * @param {Error} error - Usually an ApiError
+ * @returns {string}
+ */
+export const errorMessageKey = (error) => {
+  if (isBanned(error)) {
+    return 'account_banned';
+  }
+  if (hasStatus(error, 404)) {
+    return 'shared_not_found';
+  }
+  if (hasStatus(error, 410)) {
+    return 'deep_link_expired';
+  }
+  if (error && error.name === 'ApiError' && error.status === null) {
+    return 'app_error_unavailable';
+  }
+  return 'error_generic';
+};
+
+export const loadingView = () => h('div', { className: 'spinner', role: 'progressbar' });
+
+/**
+ * A failed page load with a retry button
+ * @param {Function} t - Translator
+ * @param {Error} error - Failure
+ * @param {Function} [onRetry] - Retry handler; no button without it or for banned users
+ */
+export const errorView = (t, error, onRetry) => h('div', { className: 'notice notice-error', role: 'alert' },
+  h('div', { text: t(errorMessageKey(error)) }),
+  onRetry && !isBanned(error) && !hasStatus(error, 404) && !hasStatus(error, 410)
+    ? h('button', { className: 'button button-secondary', type: 'button', text: t('app_button_retry'), onClick: onRetry })
+    : null);
+
+export const noticeView = (text) => h('div', { className: 'notice', text });
@@ -0,0 +1,22 @@
+/**
+ * Wishlist Row Component
+ * Giftunity Frontend Service
+ *
+ * One of the user's wishlists in the overview: title, description and size.
+ */
+
+import { h } from '../utils/dom.js';
+
+/**
+ * @param {Object} props
+ * @param {Function} props.t - Translator
+ * @param {Object} props.wishlist - { title, description, item_count }
+ * @param {Function} props.onOpen - Click handler
+ * @returns {HTMLElement}
+ */
+export const wishlistRow = ({ t, wishlist, onOpen }) => h('li', {},
+  h('button', { className: 'list-row', type: 'button', onClick: onOpen },
+    h('span', { className: 'row-main' },
+      h('div', { className: 'row-title', text: wishlist.title }),
+      wishlist.description ? h('div', { className: 'row-meta', text: wishlist.description }) : null),
+    h('span', { className: 'row-end', text: t('share_wish_count', { count: wishlist.item_count }) })));
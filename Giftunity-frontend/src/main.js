@@ -0,0 +1,146 @@
+/**
+ * Mini App Entry Point
+ * Giftunity Frontend Service
+ *
+ * Signs the Telegram user in, loads their language and shows the page for the
+ * current route. Every page gets a context object:
+ *   { app, params, view, isCurrent(), reload(), showMainButton(options) }
+ * app holds the API client, the active translations (app.i18n), the supported
+ * languages, navigate(path) and setLanguage(code). isCurrent() turns false
+ * once the user has moved on, so a page whose request finishes late does not
+ * draw over the next one. The native Back button leads to the route's parent
+ * and the Main button is removed on every navigation.
+ *
+ * Configuration comes from build/config.js (window.GIFTUNITY_CONFIG), written
+ * by scripts/build.js.
+ */
+
+import { replaceContent } from './utils/dom.js';
+import { createRouter, currentPath } from './utils/router.js';
+import { createApiClient } from './services/api-client.js';
+import { loadLanguage } from './services/i18n.js';
+import {
+  initTelegram,
+  isInTelegram,
+  getInitData,
+  getTelegramLanguage,
+  getStartPath,
+  showBackButton,
+  showMainButton
+} from './services/telegram.js';
+import { loadingView, errorView, noticeView } from './components/view-state.js';
+import { renderOverviewPage } from './pages/overview-page.js';
+import { renderWishlistPage } from './pages/wishlist-page.js';
+import { renderItemFormPage } from './pages/item-form-page.js';
+import { renderSharedLinkPage, renderSharedWishlistPage } from './pages/shared-wishlist-page.js';
+import { renderSettingsPage } from './pages/settings-page.js';
+
+const config = window.GIFTUNITY_CONFIG || {};
+const root = document.getElementById('app');
+
+// In priority order; the first route is the fallback for unknown paths.
+// parent is where the Back button leads.
+const ROUTES = [
+  { path: '/', render: renderOverviewPage },
+  { path: '/wishlists/:id', parent: () => '/', render: renderWishlistPage },
+  { path: '/wishlists/:id/items/new', parent: ({ id }) => `/wishlists/${id}`, render: renderItemFormPage },
+  { path: '/wishlists/:id/items/:itemId', parent: ({ id }) => `/wishlists/${id}`, render: renderItemFormPage },
+  { path: '/shared/:id', parent: () => '/', render: renderSharedWishlistPage },
+  { path: '/open/:link', parent: () => '/', render: renderSharedLinkPage },
+  { path: '/settings', parent: () => '/', render: renderSettingsPage }
+];
+
+/**
+ * Supported languages from the backend, or the list the build was made with
+ */
+const loadCatalog = async (api) => {
+  try {
+    const { languages, defaultLanguage } = await api.getLanguages();
+    return { languages, defaultLanguage };
+  } catch (error) {
+    return { languages: config.languages || [], defaultLanguage: config.defaultLanguage || 'en' };
+  }
+};
+
+const start = async () => {
+  initTelegram();
+
+  const api = createApiClient({ baseUrl: config.backendUrl, getInitData });
+  const catalog = await loadCatalog(api);
+  const app = { api, languages: catalog.languages };
+
+  app.setLanguage = async (code) => {
+    app.i18n = await loadLanguage(api, code, catalog);
+  };
+
+  if (!isInTelegram()) {
+    await app.setLanguage(getTelegramLanguage());
+    replaceContent(root, noticeView(app.i18n.t('app_open_in_telegram')));
+    return;
+  }
+
+  let user;
+  try {
+    user = await api.signIn();
+  } catch (error) {
+    console.error('Sign-in failed', error);
+    await app.setLanguage(getTelegramLanguage());
+    replaceContent(root, errorView(app.i18n.t, error, () => window.location.reload()));
+    return;
+  }
+  await app.setLanguage(user.preferred_language || getTelegramLanguage());
+
+  let renderCount = 0;
+  let cleanups = [];
+
+  const showRoute = async ({ route, params }) => {
+    cleanups.forEach((cleanup) => cleanup());
+    cleanups = [];
+    renderCount += 1;
+    const renderId = renderCount;
+
+    const page = {
+      app,
+      params,
+      view: root,
+      isCurrent: () => renderId === renderCount,
+      reload: () => showRoute({ route, params }),
+      showMainButton: (options) => {
+        const button = showMainButton(options);
+        cleanups.push(button.remove);
+        return button;
+      }
+    };
+
+    if (route.parent) {
+      cleanups.push(showBackButton(() => app.navigate(route.parent(params), { replace: true })));
+    }
+
+    replaceContent(root, loadingView());
+    try {
+      await route.render(page);
+    } catch (error) {
+      if (!page.isCurrent()) {
+        return;
+      }
+      console.error('Failed to show page', route.path, error);
+      replaceContent(root, errorView(app.i18n.t, error, page.reload));
+    }
+  };
+
+  const router = createRouter(ROUTES, showRoute);
+  app.navigate = router.navigate;
+
+  // A direct link (startapp=<signed link>) opens that screen unless a page is already showing
+  const startPath = getStartPath();
+  if (startPath && currentPath() === '/') {
+    window.history.replaceState(null, '', `#${startPath}`);
+  }
+  router.start();
+};
+
+start().catch((error) => {
+  // Not even the bundled translations could be loaded, so this one message is not translated
+  console.error('Failed to start the Mini App', error);
+  replaceContent(root, noticeView('Giftunity could not be loaded. Please try again later.'));
+});
@@ -0,0 +1,228 @@
+/**
+ * Wish Editor Page
+ * Giftunity Frontend Service
+ *
+ * Routes: #/wishlists/:id/items/new and #/wishlists/:id/items/:itemId
+ *
+ * Creates or edits a wish: title, link, price, priority and private notes.
+ * The Main button saves. Input is checked here against the backend's rules
+ * (see Giftunity-backend/src/routes/wishlist-routes.js) so mistakes are shown
+ * next to the field instead of as a failed request.
+ */
+
+import { h, replaceContent } from '../utils/dom.js';
+import { CURRENCIES, defaultCurrency, parseAmount, amountToInput } from '../utils/price.js';
+import { errorMessageKey } from '../components/view-state.js';
+import { showAlert, showConfirm, notifyHaptic } from '../services/telegram.js';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_URL_LENGTH = 2048;
+const MAX_PRIORITY = 5;
+const DEFAULT_PRIORITY = 3;
+
+const isWebLink = (text) => {
+  try {
+    const { protocol } = new URL(text);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * A labelled form field with room for an error message
+ */
+const field = (label, control, error) => h('label', { className: 'field' },
+  h('span', { className: 'field-label', text: label }),
+  control,
+  error);
+
+/**
+ * Five-star priority picker
+ * @returns {Object} { element, getValue }
+ */
+const priorityPicker = (t, initial) => {
+  let value = initial;
+  const stars = Array.from({ length: MAX_PRIORITY }, (unused, index) => h('button', {
+    className: 'star',
+    type: 'button',
+    text: '★',
+    'aria-label': `${index + 1}/${MAX_PRIORITY}`,
+    onClick: () => {
+      value = index + 1;
+      update();
+    }
+  }));
+  const update = () => stars.forEach((star, index) => star.setAttribute('aria-pressed', String(index < value)));
+  update();
+
+  return {
+    element: h('div', { className: 'priority-picker', role: 'group', 'aria-label': t('app_field_priority') }, stars),
+    getValue: () => value
+  };
+};
+
+/**
+ * @param {Object} page - { app, params, view, isCurrent, showMainButton } (see main.js)
+ */
+export const renderItemFormPage = async (page) => {
+  const { app, params, view } = page;
+  const { t, language } = app.i18n;
+  const isNew = !params.itemId;
+
+  let item = null;
+  let currency = defaultCurrency(language);
+  if (isNew) {
+    // The currency of the wishlist's latest priced wish is the likeliest for the next one
+    const wishlist = await app.api.getWishlist(params.id);
+    const priced = wishlist.items.filter((entry) => entry.price_currency);
+    if (priced.length > 0) {
+      currency = priced[priced.length - 1].price_currency;
+    }
+  } else {
+    item = await app.api.getItem(params.id, params.itemId);
+    currency = item.price_currency || currency;
+  }
+  if (!page.isCurrent()) {
+    return;
+  }
+
+  const titleInput = h('input', {
+    className: 'input',
+    type: 'text',
+    required: true,
+    maxlength: MAX_TITLE_LENGTH,
+    value: item ? item.title : ''
+  });
+  const urlInput = h('input', {
+    className: 'input',
+    type: 'url',
+    inputmode: 'url',
+    maxlength: MAX_URL_LENGTH,
+    placeholder: 'https://',
+    dir: 'ltr',
+    value: item && item.url ? item.url : ''
+  });
+  const priceInput = h('input', {
+    className: 'input',
+    type: 'text',
+    inputmode: 'decimal',
+    dir: 'ltr',
+    'aria-label': t('app_field_price'),
+    value: item && item.price_amount !== null ? amountToInput(Number(item.price_amount), item.price_currency) : ''
+  });
+  const currencySelect = h('select', { className: 'select', 'aria-label': t('app_field_currency') },
+    [...new Set([currency, ...CURRENCIES])].map((code) => h('option', { value: code, text: code, selected: code === currency })));
+  const notesInput = h('textarea', { className: 'textarea', value: item && item.notes ? item.notes : '' });
+  const priority = priorityPicker(t, item ? item.priority : DEFAULT_PRIORITY);
+
+  const titleError = h('p', { className: 'field-error', hidden: true });
+  const urlError = h('p', { className: 'field-error', hidden: true });
+  const priceError = h('p', { className: 'field-error', hidden: true });
+
+  const showError = (input, errorElement, key) => {
+    input.setAttribute('aria-invalid', String(Boolean(key)));
+    errorElement.hidden = !key;
+    errorElement.textContent = key ? t(key) : '';
+  };
+
+  /**
+   * Read and check the form
+   * @returns {Object|null} Request body, or null when a field is invalid
+   */
+  const readForm = () => {
+    const title = titleInput.value.trim();
+    const url = urlInput.value.trim();
+    const priceText = priceInput.value.trim();
+    const priceAmount = priceText ? parseAmount(priceText, currencySelect.value) : null;
+
+    showError(titleInput, titleError, title ? null : 'app_error_title_required');
+    showError(urlInput, urlError, !url || isWebLink(url) ? null : 'app_error_url_invalid');
+    showError(priceInput, priceError, priceText && priceAmount === null ? 'app_error_price_invalid' : null);
+    if (!title || (url && !isWebLink(url)) || (priceText && priceAmount === null)) {
+      notifyHaptic('error');
+      return null;
+    }
+
+    return {
+      title,
+      url: url || null,
+      price_amount: priceAmount,
+      price_currency: priceAmount === null ? null : currencySelect.value,
+      priority: priority.getValue(),
+      notes: notesInput.value.trim() || null
+    };
+  };
+
+  let saving = false;
+  const save = async () => {
+    const body = readForm();
+    if (!body || saving) {
+      return;
+    }
+
+    saving = true;
+    mainButton.setBusy(true);
+    try {
+      if (isNew) {
+        await app.api.createItem(params.id, body);
+      } else {
+        await app.api.updateItem(params.id, params.itemId, body);
+      }
+      notifyHaptic('success');
+      app.navigate(`/wishlists/${params.id}`, { replace: true });
+    } catch (error) {
+      notifyHaptic('error');
+      await showAlert(t(errorMessageKey(error)));
+    } finally {
+      saving = false;
+      mainButton.setBusy(false);
+    }
+  };
+
+  const deleteItem = async () => {
+    if (!(await showConfirm(t('app_confirm_delete_wish', { title: item.title })))) {
+      return;
+    }
+    try {
+      await app.api.deleteItem(params.id, params.itemId);
+      notifyHaptic('success');
+      app.navigate(`/wishlists/${params.id}`, { replace: true });
+    } catch (error) {
+      notifyHaptic('error');
+      await showAlert(t(errorMessageKey(error)));
+    }
+  };
+
+  replaceContent(view,
+    h('header', { className: 'page-header' },
+      h('h1', { className: 'page-title', text: t(isNew ? 'app_item_new_title' : 'app_item_edit_title') })),
+    h('section', { className: 'section' },
+      h('form', {
+        className: 'form',
+        novalidate: true,
+        onSubmit: (event) => {
+          event.preventDefault();
+          save();
+        }
+      },
+      field(t('app_field_title'), titleInput, titleError),
+      field(t('app_field_url'), urlInput, urlError),
+      h('div', { className: 'field' },
+        h('span', { className: 'field-label', text: t('app_field_price') }),
+        h('div', { className: 'field-row' }, priceInput, currencySelect),
+        priceError),
+      h('div', { className: 'field' },
+        h('span', { className: 'field-label', text: t('app_field_priority') }),
+        priority.element),
+      field(t('app_field_notes'), notesInput, null))),
+    isNew
+      ? null
+      : h('div', { className: 'actions' },
+        h('button', { className: 'button button-destructive', type: 'button', text: t('app_button_delete_wish'), onClick: deleteItem })));
+
+  const mainButton = page.showMainButton({ text: t('app_button_save'), onClick: save });
+  if (isNew) {
+    titleInput.focus();
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Wishlist Overview Page
+ * Giftunity Frontend Service
+ *
+ * Route: #/
+ *
+ * The user's wishlists, newest first, and a field to create another one.
+ */
+
+import { h, replaceContent } from '../utils/dom.js';
+import { wishlistRow } from '../components/wishlist-row.js';
+import { noticeView, errorMessageKey } from '../components/view-state.js';
+import { showAlert, notifyHaptic } from '../services/telegram.js';
+
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * @param {Object} page - { app, view, isCurrent } (see main.js)
+ */
+export const renderOverviewPage = async (page) => {
+  const { app, view } = page;
+  const { t } = app.i18n;
+  const wishlists = await app.api.listWishlists();
+  if (!page.isCurrent()) {
+    return;
+  }
+
+  const titleInput = h('input', {
+    className: 'input',
+    type: 'text',
+    maxlength: MAX_TITLE_LENGTH,
+    placeholder: t('app_wishlist_name_placeholder'),
+    'aria-label': t('app_wishlist_name_placeholder')
+  });
+  const createButton = h('button', { className: 'button', type: 'submit', text: t('app_button_create_wishlist') });
+
+  const createWishlist = async (event) => {
+    event.preventDefault();
+    const title = titleInput.value.trim();
+    if (!title) {
+      titleInput.focus();
+      return;
+    }
+
+    createButton.disabled = true;
+    try {
+      const wishlist = await app.api.createWishlist({ title });
+      notifyHaptic('success');
+      app.navigate(`/wishlists/${wishlist.id}`);
+    } catch (error) {
+      createButton.disabled = false;
+      notifyHaptic('error');
+      await showAlert(t(errorMessageKey(error)));
+    }
+  };
+
+  replaceContent(view,
+    h('header', { className: 'page-header' },
+      h('h1', { className: 'page-title', text: t('app_wishlists_title') }),
+      h('button', {
+        className: 'button button-secondary icon-button',
+        type: 'button',
+        text: '⚙️',
+        title: t('app_settings_title'),
+        'aria-label': t('app_settings_title'),
+        onClick: () => app.navigate('/settings')
+      })),
+    h('section', { className: 'section' },
+      wishlists.length > 0
+        ? h('ul', { className: 'list' }, wishlists.map((wishlist) => wishlistRow({
+          t,
+          wishlist,
+          onOpen: () => app.navigate(`/wishlists/${wishlist.id}`)
+        })))
+        : noticeView(t('app_wishlists_empty'))),
+    h('section', { className: 'section' },
+      h('form', { className: 'inline-form', onSubmit: createWishlist }, titleInput, createButton)));
+};
@@ -0,0 +1,62 @@
+/**
+ * Settings Page
+ * Giftunity Frontend Service
+ *
+ * Route: #/settings
+ *
+ * Interface language. The choice is saved as the user's preference, so the
+ * bot answers in the same language.
+ */
+
+import { h, replaceContent } from '../utils/dom.js';
+import { errorMessageKey } from '../components/view-state.js';
+import { showAlert, notifyHaptic } from '../services/telegram.js';
+
+/**
+ * @param {Object} page - { app, view, isCurrent, reload } (see main.js)
+ */
+export const renderSettingsPage = async (page) => {
+  const { app, view } = page;
+  const { t, language } = app.i18n;
+
+  let saving = false;
+  const selectLanguage = async (code) => {
+    if (saving || code === language) {
+      return;
+    }
+
+    saving = true;
+    try {
+      await app.api.updatePreferences({ preferred_language: code });
+      await app.setLanguage(code);
+      notifyHaptic('success');
+      await showAlert(app.i18n.t('language_selected'));
+    } catch (error) {
+      notifyHaptic('error');
+      await showAlert(t(errorMessageKey(error)));
+    } finally {
+      saving = false;
+    }
+    page.reload();
+  };
+
+  replaceContent(view,
+    h('header', { className: 'page-header' },
+      h('h1', { className: 'page-title', text: t('app_settings_title') })),
+    h('section', { className: 'section' },
+      h('h2', { className: 'field-label', text: t('app_settings_language') }),
+      h('ul', { className: 'list', role: 'radiogroup', 'aria-label': t('app_settings_language') },
+        app.languages.map(({ code, name, direction }) => h('li', {},
+          h('button', {
+            className: 'list-row',
+            type: 'button',
+            role: 'radio',
+            lang: code,
+            dir: direction,
+            'aria-checked': String(code === language),
+            onClick: () => selectLanguage(code)
+          },
+          h('span', { className: 'row-main' },
+            h('div', { className: 'row-title', text: name })),
+          code === language ? h('span', { className: 'option-check', text: '✓' }) : null))))));
+};
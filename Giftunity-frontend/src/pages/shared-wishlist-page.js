@@ -0,0 +1,114 @@
+/**
+ * Friend's Wishlist Page
+ * Giftunity Frontend Service
+ *
+ * Routes: #/shared/:id, and #/open/:link for a signed share link in the start
+ * parameter. The backend only serves a wishlist to its owner and to users who
+ * opened a link to it, so #/open/:link hands the link to the backend first and
+ * then replaces itself with the wishlist's page.
+ *
+ * Someone else's wishlist, read-only, with Reserve and Unreserve buttons.
+ * Reservations are secret: the viewer sees that a wish is taken (🔒) or
+ * reserved by them (✅), never by whom. The owner opening their own link gets
+ * no reservation state from the backend and a way to their editable list.
+ */
+
+import { h, replaceContent } from '../utils/dom.js';
+import { itemRow } from '../components/item-row.js';
+import { noticeView, errorMessageKey } from '../components/view-state.js';
+import { hasStatus } from '../services/api-client.js';
+import { showAlert, notifyHaptic } from '../services/telegram.js';
+
+/**
+ * Open a signed share link and continue to its wishlist
+ * Invalid and expired links fail with 404 and 410, shown by main.js.
+ * @param {Object} page - { app, params, isCurrent } (see main.js)
+ */
+export const renderSharedLinkPage = async (page) => {
+  const { app, params } = page;
+  const target = await app.api.openSharedLink(params.link);
+  if (page.isCurrent()) {
+    app.navigate(`/shared/${target.wishlist_id}`, { replace: true });
+  }
+};
+
+/**
+ * @param {Object} page - { app, params, view, isCurrent, reload } (see main.js)
+ */
+export const renderSharedWishlistPage = async (page) => {
+  const { app, params, view } = page;
+  const { t, language } = app.i18n;
+  const wishlist = await app.api.getSharedWishlist(params.id);
+  if (!page.isCurrent()) {
+    return;
+  }
+  const isOwner = String(wishlist.owner_id) === String(app.api.getUser().id);
+
+  /**
+   * Run a reservation change, tell the user how it went and show the current state
+   * @param {Function} change - async () => message key on success
+   * @param {Object} alerts - Message keys for expected failures, by HTTP status
+   */
+  const updateReservation = async (change, alerts) => {
+    try {
+      const messageKey = await change();
+      notifyHaptic('success');
+      await showAlert(t(messageKey));
+    } catch (error) {
+      const alertKey = Object.keys(alerts).find((status) => hasStatus(error, Number(status)));
+      notifyHaptic('error');
+      await showAlert(t(alertKey ? alerts[alertKey] : errorMessageKey(error)));
+    }
+    page.reload();
+  };
+
+  const reserve = (item) => updateReservation(async () => {
+    await app.api.reserveItem(item.id);
+    return 'reservation_saved';
+  }, { 409: 'reservation_taken', 403: 'reservation_own_item' });
+
+  const release = (item) => updateReservation(async () => {
+    try {
+      await app.api.releaseReservation(item.id);
+    } catch (error) {
+      // Nothing to release (e.g. released in the bot meanwhile) counts as released
+      if (!hasStatus(error, 404)) {
+        throw error;
+      }
+    }
+    return 'reservation_released';
+  }, {});
+
+  const actionsFor = (item) => {
+    if (item.reserved_by_me) {
+      return [h('button', { className: 'button button-secondary', type: 'button', text: t('button_unreserve'), onClick: () => release(item) })];
+    }
+    if (item.reserved === false) {
+      return [h('button', { className: 'button', type: 'button', text: t('button_reserve'), onClick: () => reserve(item) })];
+    }
+    return [];
+  };
+
+  const hasReservations = wishlist.items.some((item) => item.reserved);
+
+  replaceContent(view,
+    h('header', { className: 'page-header' },
+      h('h1', { className: 'page-title', text: t('share_wishlist_card', { name: wishlist.owner_first_name, title: wishlist.title }) })),
+    wishlist.description ? h('p', { className: 'page-subtitle', text: wishlist.description }) : null,
+    isOwner
+      ? h('section', { className: 'section' },
+        h('div', { className: 'notice' },
+          h('div', { text: t('app_shared_own') }),
+          h('button', {
+            className: 'button button-secondary',
+            type: 'button',
+            text: t('app_button_edit_wishlist'),
+            onClick: () => app.navigate(`/wishlists/${wishlist.id}`)
+          })))
+      : null,
+    h('section', { className: 'section' },
+      wishlist.items.length > 0
+        ? h('ul', { className: 'list' }, wishlist.items.map((item) => itemRow({ item, language, actions: actionsFor(item) })))
+        : noticeView(t('shared_wishlist_empty'))),
+    hasReservations ? h('p', { className: 'page-subtitle', text: t('reservation_legend') }) : null);
+};
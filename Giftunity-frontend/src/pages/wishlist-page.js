@@ -0,0 +1,68 @@
+/**
+ * Wishlist Page
+ * Giftunity Frontend Service
+ *
+ * Route: #/wishlists/:id
+ *
+ * One of the user's wishlists with its wishes. Tapping a wish opens the
+ * editor; the Main button adds a wish. Share opens the bot's inline mode with
+ * the wishlist's title, which offers the wishlist card to post in a chat.
+ */
+
+import { h, replaceContent } from '../utils/dom.js';
+import { itemRow } from '../components/item-row.js';
+import { noticeView, errorMessageKey } from '../components/view-state.js';
+import { shareInline, showAlert, showConfirm, notifyHaptic } from '../services/telegram.js';
+
+/**
+ * @param {Object} page - { app, params, view, isCurrent, showMainButton } (see main.js)
+ */
+export const renderWishlistPage = async (page) => {
+  const { app, params, view } = page;
+  const { t, language } = app.i18n;
+  const wishlist = await app.api.getWishlist(params.id);
+  if (!page.isCurrent()) {
+    return;
+  }
+
+  const share = async () => {
+    if (!shareInline(wishlist.title)) {
+      await showAlert(t('error_generic'));
+    }
+  };
+
+  const deleteWishlist = async () => {
+    if (!(await showConfirm(t('app_confirm_delete_wishlist', { title: wishlist.title })))) {
+      return;
+    }
+    try {
+      await app.api.deleteWishlist(wishlist.id);
+      notifyHaptic('success');
+      app.navigate('/', { replace: true });
+    } catch (error) {
+      notifyHaptic('error');
+      await showAlert(t(errorMessageKey(error)));
+    }
+  };
+
+  replaceContent(view,
+    h('header', { className: 'page-header' },
+      h('h1', { className: 'page-title', text: wishlist.title }),
+      h('button', { className: 'button button-secondary', type: 'button', text: t('app_button_share_wishlist'), onClick: share })),
+    wishlist.description ? h('p', { className: 'page-subtitle', text: wishlist.description }) : null,
+    h('section', { className: 'section' },
+      wishlist.items.length > 0
+        ? h('ul', { className: 'list' }, wishlist.items.map((item) => itemRow({
+          item,
+          language,
+          onOpen: () => app.navigate(`/wishlists/${wishlist.id}/items/${item.id}`)
+        })))
+        : noticeView(t('app_wishlist_empty'))),
+    h('div', { className: 'actions' },
+      h('button', { className: 'button button-destructive', type: 'button', text: t('app_button_delete_wishlist'), onClick: deleteWishlist })));
+
+  page.showMainButton({
+    text: t('app_button_add_wish'),
+    onClick: () => app.navigate(`/wishlists/${wishlist.id}/items/new`)
+  });
+};
@@ -0,0 +1,171 @@
+/**
+ * Backend API Client
+ * Giftunity Frontend Service
+ *
+ * Calls the backend on behalf of the Mini App user. Signing in exchanges the
+ * Telegram initData for a session token (POST /api/auth/telegram), sent as
+ * "Authorization: Bearer <token>" afterwards. An expired or rejected token is
+ * replaced once by signing in again with the same initData, which the backend
+ * accepts for a day.
+ *
+ * Creating a wishlist or a wish sends an Idempotency-Key, so a double tap or
+ * a retried request does not create it twice. A submission keeps its key until
+ * the backend gives a final answer: submitting the same form again after a
+ * lost connection or a server error repeats the key, and only a success or a
+ * refusal (4xx, which the backend stores for the key) lets the next
+ * submission of the same content start a new one.
+ */
+
+// Renew the session this long before the backend would reject it
+const SESSION_RENEW_MARGIN_MS = 60 * 1000;
+
+/**
+ * Error for a failed request
+ * status is null when the backend could not be reached; body is the
+ * backend's { error, message } when it answered.
+ */
+export class ApiError extends Error {
+  constructor(status, body = {}) {
+    super(body.message || (status ? `Request failed with status ${status}` : 'Backend unreachable'));
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Whether a request failed with a status
+ */
+export const hasStatus = (error, status) => error instanceof ApiError && error.status === status;
+
+/**
+ * Whether the backend refused the user as banned
+ */
+export const isBanned = (error) => hasStatus(error, 403) && error.body.error === 'User banned';
+
+const newIdempotencyKey = () => (window.crypto.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * Create the API client
+ * @param {Object} options
+ * @param {string} options.baseUrl - Backend URL
+ * @param {Function} options.getInitData - () => Telegram initData
+ * @returns {Object} API methods
+ */
+export const createApiClient = ({ baseUrl, getInitData }) => {
+  let session = null;
+  // Idempotency-Key of each unanswered submission, by path and body
+  const submissionKeys = new Map();
+
+  const send = async (method, path, { body, headers = {}, token } = {}) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw new ApiError(null);
+    }
+
+    const data = response.status === 204 ? null : await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new ApiError(response.status, data || {});
+    }
+    return { data, response };
+  };
+
+  const signIn = async () => {
+    const { data } = await send('POST', '/api/auth/telegram', { body: { initData: getInitData() } });
+    session = { token: data.token, expiresAt: new Date(data.expires_at).getTime(), user: data.user };
+    return data.user;
+  };
+
+  const request = async (method, path, options = {}) => {
+    if (!session || session.expiresAt - SESSION_RENEW_MARGIN_MS < Date.now()) {
+      await signIn();
+    }
+    try {
+      return (await send(method, path, { ...options, token: session.token })).data;
+    } catch (error) {
+      if (!hasStatus(error, 401)) {
+        throw error;
+      }
+      await signIn();
+      return (await send(method, path, { ...options, token: session.token })).data;
+    }
+  };
+
+  const create = async (path, body) => {
+    const submission = `${path}\n${JSON.stringify(body)}`;
+    if (!submissionKeys.has(submission)) {
+      submissionKeys.set(submission, newIdempotencyKey());
+    }
+    try {
+      const data = await request('POST', path, { body, headers: { 'Idempotency-Key': submissionKeys.get(submission) } });
+      submissionKeys.delete(submission);
+      return data;
+    } catch (error) {
+      // A refusal is final; unreachable, in-flight (409) and server errors may be retried with the key
+      if (error.status !== null && error.status !== 409 && error.status < 500) {
+        submissionKeys.delete(submission);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    signIn,
+
+    /**
+     * The signed-in user, as last returned by the backend
+     */
+    getUser: () => (session ? session.user : null),
+
+    /**
+     * Supported languages: { supportedLanguages, languages: [{ code, name, direction }], defaultLanguage }
+     */
+    getLanguages: async () => (await send('GET', '/api/translations')).data,
+
+    /**
+     * Message bundle for a language
+     * @returns {Promise<Object>} { language, messages }; language is the bundle actually served
+     */
+    getTranslations: async (language) => {
+      const { data, response } = await send('GET', `/api/translations/${encodeURIComponent(language)}`);
+      return { language: response.headers.get('Content-Language') || language, messages: data };
+    },
+
+    updatePreferences: async (preferences) => {
+      const user = await request('PATCH', `/api/users/${session.user.id}/preferences`, { body: preferences });
+      session.user = user;
+      return user;
+    },
+
+    listWishlists: async () => (await request('GET', '/api/wishlists')).wishlists,
+    createWishlist: (wishlist) => create('/api/wishlists', wishlist),
+    getWishlist: (wishlistId) => request('GET', `/api/wishlists/${wishlistId}`),
+    deleteWishlist: (wishlistId) => request('DELETE', `/api/wishlists/${wishlistId}`),
+
+    getItem: (wishlistId, itemId) => request('GET', `/api/wishlists/${wishlistId}/items/${itemId}`),
+    createItem: (wishlistId, item) => create(`/api/wishlists/${wishlistId}/items`, item),
+    updateItem: (wishlistId, itemId, item) => request('PATCH', `/api/wishlists/${wishlistId}/items/${itemId}`, { body: item }),
+    deleteItem: (wishlistId, itemId) => request('DELETE', `/api/wishlists/${wishlistId}/items/${itemId}`),
+
+    /**
+     * Open a signed share link (a start parameter), which lets the user view its wishlist
+     * @returns {Promise<Object>} { type, wishlist_id, item_id }
+     */
+    openSharedLink: (link) => request('POST', '/api/shared/links', { body: { link } }),
+    getSharedWishlist: (wishlistId) => request('GET', `/api/shared/wishlists/${wishlistId}`),
+    reserveItem: (itemId) => request('POST', `/api/shared/items/${itemId}/reservation`),
+    releaseReservation: (itemId) => request('DELETE', `/api/shared/items/${itemId}/reservation`)
+  };
+};
@@ -0,0 +1,92 @@
+/**
+ * Translation Service
+ * Giftunity Frontend Service
+ *
+ * Loads message bundles from GET /api/translations/:lang and formats them
+ * with the same rules as the backend and the bot: {placeholder} interpolation
+ * and CLDR plural objects ({ "one": "...", "other": "..." }) selected by
+ * params.count. Applying a language also sets the document's lang and
+ * direction, so Arabic and Persian lay out right to left.
+ *
+ * When the backend cannot be reached, the snapshot of the bundles copied into
+ * the build (locales/, see scripts/build.js) is used, so errors can still be
+ * shown in the user's language.
+ */
+
+import { ApiError } from './api-client.js';
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Create a translate function bound to a language and its bundle
+ * @param {string} language - Language of the bundle (used for plural rules and numbers)
+ * @param {Object} messages - Message bundle
+ * @returns {Function} t(key, params) returning the formatted message, or the key if it is missing
+ */
+export const createTranslator = (language, messages = {}) => {
+  const pluralRules = new Intl.PluralRules(language);
+  const numberFormat = new Intl.NumberFormat(language);
+
+  return (key, params = {}) => {
+    let template = messages[key];
+    if (template === undefined) {
+      console.warn('Missing translation key', key, language);
+      return key;
+    }
+
+    if (typeof template === 'object') {
+      const category = typeof params.count === 'number' ? pluralRules.select(params.count) : 'other';
+      template = template[category] ?? template.other;
+    }
+
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      if (!Object.prototype.hasOwnProperty.call(params, name)) {
+        return placeholder;
+      }
+      const value = params[name];
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  };
+};
+
+/**
+ * Bundle from the build's snapshot: the language itself, its base language or the default
+ */
+const loadSnapshot = async (requested, languages, defaultLanguage) => {
+  const codes = languages.map(({ code }) => code);
+  const base = requested.split('-')[0].toLowerCase();
+  const language = [requested, base].find((code) => codes.includes(code)) || defaultLanguage;
+
+  const response = await fetch(`locales/${language}.json`);
+  if (!response.ok) {
+    throw new ApiError(null);
+  }
+  return { language, messages: await response.json() };
+};
+
+/**
+ * Load a language and apply it to the document
+ * @param {Object} api - API client
+ * @param {string} requested - Language tag, e.g. the user's preference
+ * @param {Object} catalog - { languages: [{ code, direction }], defaultLanguage }
+ * @returns {Promise<Object>} { language, direction, t }
+ */
+export const loadLanguage = async (api, requested, { languages, defaultLanguage }) => {
+  let bundle;
+  try {
+    bundle = await api.getTranslations(requested);
+  } catch (error) {
+    if (!(error instanceof ApiError) || error.status !== null) {
+      throw error;
+    }
+    bundle = await loadSnapshot(requested, languages, defaultLanguage);
+  }
+
+  const { language, messages } = bundle;
+  const known = languages.find(({ code }) => code === language);
+  const direction = known ? known.direction : 'ltr';
+
+  document.documentElement.lang = language;
+  document.documentElement.dir = direction;
+  return { language, direction, t: createTranslator(language, messages) };
+};
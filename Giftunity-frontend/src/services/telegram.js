@@ -0,0 +1,180 @@
+/**
+ * Telegram WebApp Bridge
+ * Giftunity Frontend Service
+ *
+ * Wraps window.Telegram.WebApp (telegram-web-app.js): initData for signing in,
+ * the theme, the native Back and Main buttons, dialogs and haptics. Outside
+ * Telegram (a plain browser) the dialogs fall back to the browser's and the
+ * native buttons are not available; there is no initData, so the app only
+ * shows how to open it from the bot.
+ */
+
+const webApp = window.Telegram ? window.Telegram.WebApp : null;
+
+// Mini App start parameter ("t.me/<bot>/<app>?startapp=<link>") holding a signed
+// share link, the bot's /start payload (see Giftunity-bot/src/utils/deep-link.js)
+const START_PARAM_PATTERN = /^[A-Za-z0-9_-]{44}$/;
+
+/**
+ * Whether the page runs inside Telegram with signed launch data
+ */
+export const isInTelegram = () => Boolean(webApp && webApp.initData);
+
+/**
+ * Signed launch data, exchanged with the backend for a session token
+ */
+export const getInitData = () => (webApp ? webApp.initData : '');
+
+/**
+ * Language of the Telegram client, used until the user's preference is known
+ */
+export const getTelegramLanguage = () => {
+  const user = webApp && webApp.initDataUnsafe && webApp.initDataUnsafe.user;
+  return (user && user.language_code) || navigator.language || 'en';
+};
+
+/**
+ * Path to open first, from the start parameter of a direct Mini App link
+ * Only the shape is checked here; the backend verifies the signature when the
+ * page opens the link.
+ * @returns {string|null} e.g. "/open/<link>"
+ */
+export const getStartPath = () => {
+  const startParam = webApp && webApp.initDataUnsafe && webApp.initDataUnsafe.start_param;
+  return START_PARAM_PATTERN.test(startParam || '') ? `/open/${startParam}` : null;
+};
+
+/**
+ * Tell Telegram the app is ready and follow its theme
+ * The theme colours themselves arrive as --tg-theme-* CSS variables.
+ */
+export const initTelegram = () => {
+  if (!webApp) {
+    return;
+  }
+  const applyColorScheme = () => {
+    document.documentElement.style.colorScheme = webApp.colorScheme;
+    webApp.setHeaderColor('secondary_bg_color');
+    webApp.setBackgroundColor('secondary_bg_color');
+  };
+  applyColorScheme();
+  webApp.onEvent('themeChanged', applyColorScheme);
+  webApp.ready();
+  webApp.expand();
+};
+
+/**
+ * Show the native Back button
+ * @param {Function} onClick - Handler
+ * @returns {Function} Hides the button again
+ */
+export const showBackButton = (onClick) => {
+  if (!webApp) {
+    return () => {};
+  }
+  webApp.BackButton.onClick(onClick);
+  webApp.BackButton.show();
+  return () => {
+    webApp.BackButton.offClick(onClick);
+    webApp.BackButton.hide();
+  };
+};
+
+/**
+ * Whether the native Main button is available
+ */
+export const hasMainButton = () => Boolean(webApp && webApp.MainButton);
+
+/**
+ * Show the native Main button at the bottom of the screen
+ * @param {Object} options - { text, onClick }
+ * @returns {Object} { setBusy(busy), remove() }
+ */
+export const showMainButton = ({ text, onClick }) => {
+  if (!hasMainButton()) {
+    return { setBusy: () => {}, remove: () => {} };
+  }
+  const button = webApp.MainButton;
+  button.setText(text);
+  button.onClick(onClick);
+  button.enable();
+  button.show();
+  return {
+    setBusy(busy) {
+      if (busy) {
+        button.disable();
+        button.showProgress();
+      } else {
+        button.hideProgress();
+        button.enable();
+      }
+    },
+    remove() {
+      button.offClick(onClick);
+      button.hideProgress();
+      button.hide();
+    }
+  };
+};
+
+/**
+ * Show a message
+ * @returns {Promise<void>} Resolves when it is dismissed
+ */
+export const showAlert = (message) => new Promise((resolve) => {
+  if (webApp && webApp.showAlert) {
+    webApp.showAlert(message, () => resolve());
+  } else {
+    window.alert(message);
+    resolve();
+  }
+});
+
+/**
+ * Ask to confirm an action
+ * @returns {Promise<boolean>}
+ */
+export const showConfirm = (message) => new Promise((resolve) => {
+  if (webApp && webApp.showConfirm) {
+    webApp.showConfirm(message, (confirmed) => resolve(Boolean(confirmed)));
+  } else {
+    resolve(window.confirm(message));
+  }
+});
+
+/**
+ * Haptic feedback for the outcome of an action
+ * @param {string} type - success, warning or error
+ */
+export const notifyHaptic = (type) => {
+  if (webApp && webApp.HapticFeedback) {
+    webApp.HapticFeedback.notificationOccurred(type);
+  }
+};
+
+/**
+ * Open an external link, in Telegram's in-app browser when available
+ */
+export const openLink = (url) => {
+  if (webApp) {
+    webApp.openLink(url);
+  } else {
+    window.open(url, '_blank', 'noopener');
+  }
+};
+
+/**
+ * Let the user pick a chat and post the bot's inline results for a query there
+ * The bot's inline mode turns the query into wishlist and wish cards.
+ * @param {string} query - Inline query, e.g. the wishlist title
+ * @returns {boolean} false when the client cannot do it (old client, inline mode disabled)
+ */
+export const shareInline = (query) => {
+  try {
+    webApp.switchInlineQuery(query, ['users', 'groups', 'channels']);
+    return true;
+  } catch (error) {
+    console.warn('Inline sharing is not available', error);
+    return false;
+  }
+};
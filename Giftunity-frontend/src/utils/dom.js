@@ -0,0 +1,62 @@
+/**
+ * DOM Helper
+ * Giftunity Frontend Service
+ *
+ * Builds elements from plain values. Text is always inserted as text nodes,
+ * never parsed as HTML, so names and wishes typed by users cannot inject markup.
+ */
+
+/**
+ * Create an element
+ * @param {string} tag - Tag name
+ * @param {Object} [props] - className, text, dataset, on<Event> handlers and attributes
+ *   (false, null and undefined attributes are left out)
+ * @param {...(Node|string|number|Array|null|false)} children - Nested arrays are flattened
+ * @returns {HTMLElement}
+ */
+export const h = (tag, props = {}, ...children) => {
+  const element = document.createElement(tag);
+
+  Object.entries(props).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === false) {
+      return;
+    }
+    if (name === 'className') {
+      element.className = value;
+    } else if (name === 'text') {
+      element.textContent = value;
+    } else if (name === 'dataset') {
+      Object.assign(element.dataset, value);
+    } else if (name.startsWith('on') && typeof value === 'function') {
+      element.addEventListener(name.slice(2).toLowerCase(), value);
+    } else if (name === 'value') {
+      element.value = value;
+    } else {
+      element.setAttribute(name, value === true ? '' : String(value));
+    }
+  });
+
+  appendChildren(element, children);
+  return element;
+};
+
+/**
+ * Append children, skipping null and false so conditional children read naturally
+ */
+export const appendChildren = (element, children) => {
+  children.flat(Infinity).forEach((child) => {
+    if (child === null || child === undefined || child === false) {
+      return;
+    }
+    element.append(child instanceof Node ? child : document.createTextNode(String(child)));
+  });
+  return element;
+};
+
+/**
+ * Replace an element's content
+ */
+export const replaceContent = (element, ...children) => {
+  element.replaceChildren();
+  return appendChildren(element, children);
+};
@@ -0,0 +1,84 @@
+/**
+ * Price Helper
+ * Giftunity Frontend Service
+ *
+ * The backend stores prices as an integer amount in minor units plus an ISO
+ * 4217 currency code. The number of minor digits comes from Intl for each
+ * currency (2 for EUR, 0 for JPY), the same rule the bot uses for prices
+ * typed in chat. Telegram Stars (XTR) have no minor units and show as "50 ⭐".
+ */
+
+const STARS_CURRENCY = 'XTR';
+const AMOUNT_PATTERN = /^\d[\d\s]*(?:[.,]\d+)?$/;
+
+// Offered in the currency picker; a wish's own currency is added when it is not listed
+export const CURRENCIES = ['EUR', 'USD', 'GBP', 'RUB', 'TRY', 'INR', 'AED', 'SAR', 'IRR', 'CNY', 'JPY'];
+
+// Currency preselected for a first priced wish, by interface language
+const DEFAULT_CURRENCIES = {
+  en: 'USD',
+  de: 'EUR',
+  ru: 'RUB',
+  ar: 'SAR',
+  fa: 'IRR',
+  zh: 'CNY'
+};
+
+/**
+ * Number of minor-unit digits for a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+const getMinorDigits = (currency) => (currency === STARS_CURRENCY
+  ? 0
+  : new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits);
+
+/**
+ * Currency to preselect for a new priced wish
+ * @param {string} language - Interface language
+ * @returns {string}
+ */
+export const defaultCurrency = (language) => DEFAULT_CURRENCIES[language] || 'EUR';
+
+/**
+ * Parse an amount typed into the price field ("20", "12,50", "1 200")
+ * @param {string} text - User input
+ * @param {string} currency - ISO 4217 code
+ * @returns {number|null} Amount in minor units, or null if unreadable or too precise
+ */
+export const parseAmount = (text, currency) => {
+  const trimmed = String(text).trim();
+  if (!AMOUNT_PATTERN.test(trimmed)) {
+    return null;
+  }
+
+  const [whole, fraction = ''] = trimmed.replace(/\s/g, '').split(/[.,]/);
+  const minorDigits = getMinorDigits(currency);
+  if (fraction.length > minorDigits) {
+    return null;
+  }
+  const amount = Number(whole) * 10 ** minorDigits + Number(fraction.padEnd(minorDigits, '0') || 0);
+  return Number.isSafeInteger(amount) ? amount : null;
+};
+
+/**
+ * A minor-unit amount as the editable text of the price field ("12.5" → "12.50")
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string}
+ */
+export const amountToInput = (amount, currency) => {
+  const minorDigits = getMinorDigits(currency);
+  return minorDigits === 0 ? String(amount) : (amount / 10 ** minorDigits).toFixed(minorDigits);
+};
+
+/**
+ * Format a minor-unit amount for display
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} language - Display language
+ * @returns {string}
+ */
+export const formatPrice = (amount, currency, language) => (currency === STARS_CURRENCY
+  ? `${new Intl.NumberFormat(language).format(amount)} ⭐`
+  : new Intl.NumberFormat(language, { style: 'currency', currency }).format(amount / 10 ** getMinorDigits(currency)));
@@ -0,0 +1,82 @@
+/**
+ * Hash Router
+ * Giftunity Frontend Service
+ *
+ * Pages live in the URL fragment ("#/wishlists/5"), so the static host serves
+ * index.html for every screen and Telegram keeps the position on reload.
+ * Patterns use ":name" segments, which are passed to the page as params.
+ */
+
+/**
+ * Compile a route pattern
+ * @param {string} pattern - e.g. "/wishlists/:id/items/:itemId"
+ * @returns {Function} (path) => params object, or null when the path does not match
+ */
+const compilePattern = (pattern) => {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (segment, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  const regex = new RegExp(`^${source}$`);
+
+  return (path) => {
+    const match = regex.exec(path);
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+  };
+};
+
+/**
+ * Current path from the location fragment
+ * @returns {string} e.g. "/wishlists/5", "/" when empty
+ */
+export const currentPath = () => window.location.hash.replace(/^#/, '') || '/';
+
+/**
+ * Create a router
+ * @param {Array<Object>} routes - { path, ...route } in priority order; the first is the fallback
+ * @param {Function} onRoute - ({ route, params, path }) called on every navigation
+ * @returns {Object} { start, navigate }
+ */
+export const createRouter = (routes, onRoute) => {
+  const compiled = routes.map((route) => ({ route, match: compilePattern(route.path) }));
+
+  const resolve = () => {
+    const path = currentPath();
+    for (const { route, match } of compiled) {
+      const params = match(path);
+      if (params) {
+        return { route, params, path };
+      }
+    }
+    return { route: routes[0], params: {}, path: routes[0].path };
+  };
+
+  const handleChange = () => onRoute(resolve());
+
+  return {
+    start() {
+      window.addEventListener('hashchange', handleChange);
+      handleChange();
+    },
+
+    /**
+     * Go to a path
+     * @param {string} path - e.g. "/settings"
+     * @param {Object} [options] - { replace: true } replaces the history entry
+     */
+    navigate(path, { replace = false } = {}) {
+      if (path === currentPath()) {
+        handleChange();
+      } else if (replace) {
+        window.history.replaceState(null, '', `#${path}`);
+        handleChange();
+      } else {
+        window.location.hash = path;
+      }
+    }
+  };
+};
@@ -0,0 +1,193 @@
+/**
+ * API Client Tests
+ * Giftunity Frontend Service
+ *
+ * Session renewal and the Idempotency-Key of submissions
+ * (src/services/api-client.js), against a scripted stand-in for fetch that
+ * records every request.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.window = { crypto: globalThis.crypto };
+const { createApiClient, ApiError } = await import('../src/services/api-client.js');
+
+const BASE_URL = 'https://backend.test';
+const USER = { id: '777001', first_name: 'Anna', preferred_language: 'de' };
+
+const jsonResponse = (status, body) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  json: async () => body,
+  headers: { get: () => null }
+});
+
+/**
+ * Install a fetch stand-in
+ * @param {Function} answer - ({ method, path, headers, body, calls }) => response, or throws
+ * @returns {Array<Object>} Requests made, in order
+ */
+const installFetch = (answer) => {
+  const calls = [];
+  globalThis.fetch = async (url, { method, headers, body }) => {
+    const call = {
+      method,
+      path: url.slice(BASE_URL.length),
+      headers,
+      body: body === undefined ? undefined : JSON.parse(body)
+    };
+    calls.push(call);
+    return answer({ ...call, calls });
+  };
+  return calls;
+};
+
+let tokenCount = 0;
+/**
+ * A sign-in answer whose token expires after ttlMs
+ */
+const signInResponse = (ttlMs = 3600 * 1000) => {
+  tokenCount += 1;
+  return jsonResponse(200, { token: `token-${tokenCount}`, expires_at: new Date(Date.now() + ttlMs).toISOString(), user: USER });
+};
+
+const createClient = () => createApiClient({ baseUrl: BASE_URL, getInitData: () => 'signed-init-data' });
+
+const isSignIn = (call) => call.path === '/api/auth/telegram';
+const apiCalls = (calls) => calls.filter((call) => !isSignIn(call));
+
+test('session renewal', async (t) => {
+  await t.test('the first request signs in with initData and sends the token', async () => {
+    const calls = installFetch((call) => (isSignIn(call) ? signInResponse() : jsonResponse(200, { wishlists: [] })));
+    const api = createClient();
+
+    assert.deepEqual(await api.listWishlists(), []);
+    assert.equal(calls.length, 2);
+    assert.deepEqual(calls[0].body, { initData: 'signed-init-data' });
+    assert.equal(calls[1].headers.Authorization, `Bearer token-${tokenCount}`);
+    assert.deepEqual(api.getUser(), USER);
+  });
+
+  await t.test('a valid session is reused', async () => {
+    const calls = installFetch((call) => (isSignIn(call) ? signInResponse() : jsonResponse(200, { wishlists: [] })));
+    const api = createClient();
+
+    await api.listWishlists();
+    await api.listWishlists();
+    assert.equal(calls.filter(isSignIn).length, 1);
+  });
+
+  await t.test('a session about to expire is renewed before the request', async () => {
+    // Expires within the renewal margin (one minute)
+    const calls = installFetch((call) => (isSignIn(call) ? signInResponse(30 * 1000) : jsonResponse(200, { wishlists: [] })));
+    const api = createClient();
+
+    await api.listWishlists();
+    await api.listWishlists();
+    assert.deepEqual(calls.map((call) => call.path), ['/api/auth/telegram', '/api/wishlists', '/api/auth/telegram', '/api/wishlists']);
+    assert.notEqual(calls[1].headers.Authorization, calls[3].headers.Authorization);
+  });
+
+  await t.test('a rejected token is replaced once and the request repeated', async () => {
+    let rejected = false;
+    const calls = installFetch((call) => {
+      if (isSignIn(call)) {
+        return signInResponse();
+      }
+      if (!rejected) {
+        rejected = true;
+        return jsonResponse(401, { error: 'Unauthorized', message: 'Session expired' });
+      }
+      return jsonResponse(200, { wishlists: [] });
+    });
+    const api = createClient();
+
+    assert.deepEqual(await api.listWishlists(), []);
+    assert.equal(calls.filter(isSignIn).length, 2);
+    const [first, second] = apiCalls(calls);
+    assert.notEqual(first.headers.Authorization, second.headers.Authorization);
+  });
+
+  await t.test('a second rejection is passed on', async () => {
+    const calls = installFetch((call) => (isSignIn(call)
+      ? signInResponse()
+      : jsonResponse(401, { error: 'Unauthorized', message: 'Session expired' })));
+    const api = createClient();
+
+    await assert.rejects(api.listWishlists(), (error) => error instanceof ApiError && error.status === 401);
+    assert.equal(calls.filter(isSignIn).length, 2);
+    assert.equal(apiCalls(calls).length, 2);
+  });
+
+  await t.test('an unreachable backend fails with status null', async () => {
+    installFetch(() => {
+      throw new TypeError('fetch failed');
+    });
+    await assert.rejects(createClient().signIn(), (error) => error instanceof ApiError && error.status === null);
+  });
+});
+
+test('idempotency keys of submissions', async (t) => {
+  /**
+   * Client whose wishlist creation answers with the given statuses in turn
+   */
+  const clientAnswering = (statuses) => {
+    const remaining = [...statuses];
+    const calls = installFetch((call) => {
+      if (isSignIn(call)) {
+        return signInResponse();
+      }
+      const status = remaining.shift();
+      if (status === null) {
+        throw new TypeError('fetch failed');
+      }
+      return jsonResponse(status, status < 300 ? { id: '5', ...call.body } : { error: 'Error', message: `Status ${status}` });
+    });
+    return { api: createClient(), keys: () => apiCalls(calls).map((call) => call.headers['Idempotency-Key']) };
+  };
+
+  await t.test('a repeated submission keeps its key until it succeeds', async () => {
+    const { api, keys } = clientAnswering([null, 500, 409, 201, 201]);
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await assert.rejects(api.createWishlist({ title: 'Birthday' }));
+    }
+    await api.createWishlist({ title: 'Birthday' });
+    await api.createWishlist({ title: 'Birthday' });
+
+    const [first, second, third, succeeded, next] = keys();
+    assert.ok(first);
+    assert.deepEqual([second, third, succeeded], [first, first, first]);
+    assert.notEqual(next, first);
+  });
+
+  await t.test('a refused submission starts a new key', async () => {
+    const { api, keys } = clientAnswering([422, 201]);
+
+    await assert.rejects(api.createWishlist({ title: 'Birthday' }), (error) => error.status === 422);
+    await api.createWishlist({ title: 'Birthday' });
+
+    const [refused, next] = keys();
+    assert.notEqual(refused, next);
+  });
+
+  await t.test('a changed form is a new submission', async () => {
+    const { api, keys } = clientAnswering([500, 201]);
+
+    await assert.rejects(api.createWishlist({ title: 'Birthday' }));
+    await api.createWishlist({ title: 'Birthday 2027' });
+
+    const [failed, next] = keys();
+    assert.notEqual(failed, next);
+  });
+
+  await t.test('a renewed session repeats the request with the same key', async () => {
+    const { api, keys } = clientAnswering([401, 201]);
+
+    await api.createItem('5', { title: 'Book' });
+
+    const [rejected, repeated] = keys();
+    assert.equal(rejected, repeated);
+  });
+});
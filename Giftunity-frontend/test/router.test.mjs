@@ -0,0 +1,113 @@
+/**
+ * Hash Router Tests
+ * Giftunity Frontend Service
+ *
+ * Route matching and navigation (src/utils/router.js) against a stand-in for
+ * window.location and window.history, since the tests run without a browser.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Stand-in window: hash changes from navigate() are delivered through
+ * deliverHashChange(), as the browser would after the current task
+ */
+const createWindow = (hash = '') => {
+  const listeners = [];
+  const fake = {
+    location: { hash },
+    history: {
+      replaceState: (state, title, url) => {
+        fake.location.hash = url;
+      }
+    },
+    addEventListener: (type, listener) => {
+      if (type === 'hashchange') {
+        listeners.push(listener);
+      }
+    },
+    deliverHashChange: () => listeners.forEach((listener) => listener())
+  };
+  return fake;
+};
+
+globalThis.window = createWindow();
+const { createRouter, currentPath } = await import('../src/utils/router.js');
+
+const ROUTES = [
+  { path: '/' },
+  { path: '/wishlists/:id' },
+  { path: '/wishlists/:id/items/new' },
+  { path: '/wishlists/:id/items/:itemId' },
+  { path: '/open/:link' }
+];
+
+/**
+ * Start a router at a fragment
+ * @returns {Object} { router, seen } where seen lists { path, params } per navigation
+ */
+const startAt = (hash) => {
+  globalThis.window = createWindow(hash);
+  const seen = [];
+  const router = createRouter(ROUTES, ({ route, params }) => seen.push({ path: route.path, params }));
+  router.start();
+  return { router, seen };
+};
+
+test('current path comes from the fragment', () => {
+  globalThis.window = createWindow('#/wishlists/5');
+  assert.equal(currentPath(), '/wishlists/5');
+  globalThis.window = createWindow('');
+  assert.equal(currentPath(), '/');
+});
+
+test('routes match with their params', async (t) => {
+  await t.test('named segments become params', () => {
+    const { seen } = startAt('#/wishlists/5/items/12');
+    assert.deepEqual(seen, [{ path: '/wishlists/:id/items/:itemId', params: { id: '5', itemId: '12' } }]);
+  });
+
+  await t.test('an earlier route wins over a later one matching the same path', () => {
+    const { seen } = startAt('#/wishlists/5/items/new');
+    assert.deepEqual(seen, [{ path: '/wishlists/:id/items/new', params: { id: '5' } }]);
+  });
+
+  await t.test('params are URL-decoded', () => {
+    const { seen } = startAt('#/open/a%2Db_c');
+    assert.deepEqual(seen[0].params, { link: 'a-b_c' });
+  });
+
+  await t.test('unknown paths fall back to the first route', () => {
+    for (const hash of ['#/nowhere', '#/wishlists/5/extra', '#/wishlists/']) {
+      const { seen } = startAt(hash);
+      assert.deepEqual(seen, [{ path: '/', params: {} }], hash);
+    }
+  });
+});
+
+test('navigation', async (t) => {
+  await t.test('navigate sets the fragment and the page follows its hashchange', () => {
+    const { router, seen } = startAt('#/');
+    router.navigate('/wishlists/7');
+    assert.equal(window.location.hash, '/wishlists/7');
+    assert.equal(seen.length, 1);
+
+    window.deliverHashChange();
+    assert.deepEqual(seen[1], { path: '/wishlists/:id', params: { id: '7' } });
+  });
+
+  await t.test('replace swaps the history entry and shows the page at once', () => {
+    const { router, seen } = startAt('#/open/abc');
+    router.navigate('/wishlists/9', { replace: true });
+    assert.equal(window.location.hash, '#/wishlists/9');
+    assert.deepEqual(seen[1], { path: '/wishlists/:id', params: { id: '9' } });
+  });
+
+  await t.test('navigating to the current path shows the page again', () => {
+    const { router, seen } = startAt('#/wishlists/3');
+    router.navigate('/wishlists/3');
+    assert.equal(seen.length, 2);
+    assert.deepEqual(seen[0], seen[1]);
+  });
+});
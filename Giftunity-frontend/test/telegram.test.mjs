@@ -0,0 +1,51 @@
+/**
+ * Start Parameter Tests
+ * Giftunity Frontend Service
+ *
+ * getStartPath (src/services/telegram.js) only passes on start parameters
+ * shaped like the bot's signed share links; the backend verifies them when
+ * #/open/:link opens. The Telegram WebApp object is a stand-in.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const webApp = { initData: 'query_id=1', initDataUnsafe: {} };
+globalThis.window = { Telegram: { WebApp: webApp } };
+const { getStartPath, isInTelegram } = await import('../src/services/telegram.js');
+
+// Shape of a signed link: 33 bytes in base64url
+const SIGNED_LINK = 'EQAAAAAAAAAHAAAAAAALvaFpfSkAsTbk7vEfM2J_x-_3';
+
+const startPathFor = (startParam) => {
+  webApp.initDataUnsafe = startParam === undefined ? {} : { start_param: startParam };
+  return getStartPath();
+};
+
+test('signed share links open through #/open/:link', () => {
+  assert.equal(SIGNED_LINK.length, 44);
+  assert.equal(startPathFor(SIGNED_LINK), `/open/${SIGNED_LINK}`);
+});
+
+test('other start parameters open nothing', () => {
+  const rejected = [
+    undefined,
+    '',
+    // Unsigned links of older cards
+    'wishlist_5',
+    'item_12',
+    SIGNED_LINK.slice(1),
+    `${SIGNED_LINK}A`,
+    `${SIGNED_LINK.slice(0, -1)}=`,
+    `${SIGNED_LINK.slice(0, -2)}/x`
+  ];
+  for (const startParam of rejected) {
+    assert.equal(startPathFor(startParam), null, String(startParam));
+  }
+});
+
+test('launch data marks the page as running in Telegram', () => {
+  assert.equal(isInTelegram(), true);
+  webApp.initData = '';
+  assert.equal(isInTelegram(), false);
+});